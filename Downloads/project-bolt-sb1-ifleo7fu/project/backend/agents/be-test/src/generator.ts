@@ -1,5 +1,11 @@
 import { logger } from '../../../shared/utils/logger';
 import { BeTestJobData } from '../../types/queues';
+import {
+  tagTestFile,
+  getTraceableCriteria,
+  buildTraceabilityInfo,
+  TraceabilityInfo
+} from '../../../shared/utils/traceability';
 
 export interface BackendTestResult {
   success: boolean;
@@ -19,6 +25,7 @@ export interface BackendTestResult {
   };
   dependencies: string[];
   devDependencies: string[];
+  traceability: TraceabilityInfo;
 }
 
 export class BeTestGenerator {
@@ -60,6 +67,12 @@ export class BeTestGenerator {
         testCount += e2eTests.testCount;
       }
 
+      // Tag every generated test file with the user story so Jest results can be traced back to it
+      const testFiles = Object.keys(files).filter(filePath => /\.test\.(ts|js)$/.test(filePath));
+      testFiles.forEach(filePath => {
+        files[filePath] = tagTestFile(files[filePath], data.userStory);
+      });
+
       // Generate test configuration
       files[`jest.config.${data.api.typescript ? 'ts' : 'js'}`] = this.generateJestConfig(data);
       files[`test/setup.${data.api.typescript ? 'ts' : 'js'}`] = this.generateTestSetup(data);
@@ -91,7 +104,8 @@ export class BeTestGenerator {
             total + content.split('\n').length, 0)
         },
         dependencies,
-        devDependencies
+        devDependencies,
+        traceability: buildTraceabilityInfo(data.userStory, testFiles)
       };
     } catch (error) {
       this.errorCount++;
@@ -154,14 +168,30 @@ export class BeTestGenerator {
     const files: { [key: string]: string } = {};
     let testCount = 0;
 
-    // End-to-end tests
+    // End-to-end tests, with a placeholder per acceptance criterion still to be automated
     files[`test/e2e/${name}.test.${typescript ? 'ts' : 'js'}`] = 
-      this.generateEndToEndTests(data);
+      this.addAcceptanceCriteriaTodos(this.generateEndToEndTests(data), data);
     testCount += 5; // Typical e2e test count
 
     return { files, testCount };
   }
 
+  private addAcceptanceCriteriaTodos(code: string, data: BeTestJobData): string {
+    const criteria = getTraceableCriteria(data.userStory);
+    if (criteria.length === 0) {
+      return code;
+    }
+
+    // it.todo shows up as "todo" in the Jest report: the criterion stays without a passing test
+    const block = `
+  describe('Acceptance Criteria', () => {
+${criteria.map(criterion => `    it.todo(${JSON.stringify(`${criterion.tag} ${criterion.text}`)});`).join('\n')}
+  });
+`;
+    const end = code.lastIndexOf('});');
+    return end === -1 ? code : code.slice(0, end) + block + code.slice(end);
+  }
+
   private generateControllerTests(data: BeTestJobData): string {
     const { name, typescript } = data.api;
     const className = `${name.charAt(0).toUpperCase() + name.slice(1)}Controller`;
@@ -2,6 +2,13 @@ import { ContextualLogger } from '../../../shared/utils/logger';
 import { LLMOrchestrator } from '../../../shared/llm/llmOrchestrator';
 import { FileWriter } from '../../../shared/utils/fileWriter';
 import { config } from '../../../shared/config/env';
+import {
+  tagTestFile,
+  storyTag,
+  getTraceableCriteria,
+  buildTraceabilityInfo,
+  TraceabilityInfo
+} from '../../../shared/utils/traceability';
 import * as fs from 'fs/promises';
 import * as path from 'path';
 
@@ -10,7 +17,7 @@ interface TestGenerationJob {
     id: string;
     title: string;
     description: string;
-    acceptanceCriteria: string[];
+    acceptanceCriteria: Array<string | { id: string; text: string }>;
     priority: number;
     complexity: number;
   };
@@ -76,6 +83,7 @@ interface TestGenerationResult {
     testComplexity: number;
     estimatedRunTime: number;
   };
+  traceability: TraceabilityInfo;
 }
 
 export class FeTestGenerator {
@@ -180,7 +188,8 @@ export class FeTestGenerator {
         testConfiguration,
         coverage,
         documentation,
-        metrics
+        metrics,
+        traceability: buildTraceabilityInfo(jobData.userStory, Object.values(testFiles) as string[])
       };
     } catch (error) {
       logger.error('Test generation failed', { error: error.message, stack: error.stack });
@@ -261,7 +270,7 @@ export class FeTestGenerator {
       focus: ['functions', 'hooks', 'props', 'state']
     };
 
-    const testCode = await this.llmOrchestrator.generateFromTemplate('fe-test-unit', context);
+    const testCode = tagTestFile(await this.llmOrchestrator.generateFromTemplate('fe-test-unit', context), jobData.userStory);
     const filePath = this.getTestFilePath(jobData.component.path, 'unit');
     
     await this.fileWriter.writeFile(filePath, testCode);
@@ -275,7 +284,7 @@ export class FeTestGenerator {
       focus: ['component interactions', 'data flow', 'side effects']
     };
 
-    const testCode = await this.llmOrchestrator.generateFromTemplate('fe-test-integration', context);
+    const testCode = tagTestFile(await this.llmOrchestrator.generateFromTemplate('fe-test-integration', context), jobData.userStory);
     const filePath = this.getTestFilePath(jobData.component.path, 'integration');
     
     await this.fileWriter.writeFile(filePath, testCode);
@@ -290,7 +299,7 @@ export class FeTestGenerator {
       framework: jobData.project.e2eFramework
     };
 
-    const testCode = await this.llmOrchestrator.generateFromTemplate('fe-test-e2e', context);
+    const testCode = tagTestFile(await this.llmOrchestrator.generateFromTemplate('fe-test-e2e', context), jobData.userStory);
     const filePath = this.getTestFilePath(jobData.component.path, 'e2e');
     
     await this.fileWriter.writeFile(filePath, testCode);
@@ -304,7 +313,7 @@ export class FeTestGenerator {
       focus: ['WCAG compliance', 'keyboard navigation', 'screen readers', 'color contrast']
     };
 
-    const testCode = await this.llmOrchestrator.generateFromTemplate('fe-test-a11y', context);
+    const testCode = tagTestFile(await this.llmOrchestrator.generateFromTemplate('fe-test-a11y', context), jobData.userStory);
     const filePath = this.getTestFilePath(jobData.component.path, 'a11y');
     
     await this.fileWriter.writeFile(filePath, testCode);
@@ -318,7 +327,7 @@ export class FeTestGenerator {
       focus: ['visual regression', 'responsive design', 'cross-browser']
     };
 
-    const testCode = await this.llmOrchestrator.generateFromTemplate('fe-test-visual', context);
+    const testCode = tagTestFile(await this.llmOrchestrator.generateFromTemplate('fe-test-visual', context), jobData.userStory);
     const filePath = this.getTestFilePath(jobData.component.path, 'visual');
     
     await this.fileWriter.writeFile(filePath, testCode);
@@ -332,7 +341,7 @@ export class FeTestGenerator {
       focus: ['render performance', 'memory usage', 'load times']
     };
 
-    const testCode = await this.llmOrchestrator.generateFromTemplate('fe-test-performance', context);
+    const testCode = tagTestFile(await this.llmOrchestrator.generateFromTemplate('fe-test-performance', context), jobData.userStory);
     const filePath = this.getTestFilePath(jobData.component.path, 'performance');
     
     await this.fileWriter.writeFile(filePath, testCode);
@@ -571,6 +580,10 @@ global.IntersectionObserver = class IntersectionObserver {
       project: jobData.project,
       requirements: jobData.requirements,
       analysis,
+      traceability: {
+        storyTag: storyTag(jobData.userStory.id),
+        criteria: getTraceableCriteria(jobData.userStory)
+      },
       testingBestPractices: this.getTestingBestPractices(),
       testPatterns: this.getTestPatterns(jobData.project.testingFramework)
     };
@@ -377,6 +377,7 @@ export interface BeTestJobData {
     priority: 'low' | 'medium' | 'high';
     status: 'backlog' | 'in-progress' | 'review' | 'completed';
     estimatedHours?: number;
+    acceptanceCriteria?: Array<string | { id: string; text: string }>;
     pageId: string;
     projectId: string;
     apiImpact: true;
@@ -1,28 +1,33 @@
-const { GoogleGenAI } = require('@google/genai');
 const fs = require('fs-extra');
 const path = require('path');
 const simpleGit = require('simple-git');
-const JSON5 = require('json5');
-const { z } = require('zod');
 const extractFunctions = require('./utils/extractFunctions');
+const Project = require('./models/Project');
+const { getProjectLLMProvider } = require('./utils/llmProvider');
+const { verifyGeneratedBackend, summarizeVerification } = require('./utils/backendVerifier');
+const { generateOpenApiSpec } = require('./utils/openApiGenerator');
+const { typeCheckGeneratedBackend, summarizeTypecheck } = require('./utils/typeChecker');
+const { generateSeedData } = require('./utils/seedGenerator');
+const { chunkApiSource, mergeChunkAnalyses } = require('./utils/apiChunker');
+const { generateStructured, validateStructuredOutput, salvageStructuredOutput, createRepairStats } = require('./utils/structuredOutput');
+const { createPreviewDirectory, diffGeneratedOutput } = require('./utils/generationPreview');
+const { acquireWorkspace } = require('./utils/workspaceManager');
+const { canPushToRepository } = require('./utils/repositoryAccess');
 
-// Helper function to write Gemini responses to files
-const writeGeminiResponseToFile = async (responseText, fileName, projectId) => {
-  try {
-    const responseDir = path.join(__dirname, 'gemini-responses');
-    await fs.ensureDir(responseDir);
-    
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const fullFileName = `${projectId}_${fileName}_${timestamp}.txt`;
-    const filePath = path.join(responseDir, fullFileName);
-    
-    await fs.writeFile(filePath, responseText, 'utf8');
-    console.log(`📝 Respuesta de Gemini guardada en: ${filePath}`);
-    
-    return filePath;
-  } catch (error) {
-    console.error('❌ Error al escribir respuesta de Gemini:', error);
-  }
+// Lenguajes y frameworks de salida soportados por el generador
+const SUPPORTED_LANGUAGES = ['javascript', 'typescript'];
+const SUPPORTED_FRAMEWORKS = ['express', 'fastify', 'koa'];
+const SUPPORTED_DATABASES = ['mongodb', 'postgres', 'sqlite'];
+const SQL_DATABASES = ['postgres', 'sqlite'];
+// Extensiones de los archivos que se analizan dentro del directorio API
+const API_FILE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.json', '.yaml', '.yml'];
+// Rama y directorio del repositorio donde se guarda el backend generado con commitToBranch
+const DEFAULT_COMMIT_BRANCH_PREFIX = process.env.GENERATED_BRANCH_PREFIX || 'generated-backend/';
+const DEFAULT_COMMIT_DIRECTORY = process.env.GENERATED_BRANCH_DIRECTORY || 'generated-backend';
+const DATABASE_LABELS = {
+  mongodb: 'MongoDB con Mongoose',
+  postgres: 'PostgreSQL con Knex (SQLite para desarrollo local y tests)',
+  sqlite: 'SQLite con Knex'
 };
 
 // Helper function to cleanup temp directory with retry logic for Windows
@@ -69,24 +74,209 @@ const cleanupTempDir = async (tempDir, maxRetries = 15, delay = 2500) => {
   }
 };
 
+// Función auxiliar para obtener la extensión de los archivos de código generados
+const getSourceExtension = (language) => language === 'typescript' ? '.ts' : '.js';
+
+// Función auxiliar para obtener la ruta de import de un archivo generado (sin extensión en TypeScript)
+const toImportPath = (dir, fileName, language) =>
+  `../${dir}/${language === 'typescript' ? fileName.replace(/\.[jt]s$/, '') : fileName}`;
+
+// Función auxiliar para generar la instrucción de import que se sugiere al modelo en los prompts
+const createImportHint = (name, dir, fileName, language) => {
+  const importPath = toImportPath(dir, fileName, language);
+  if (language !== 'typescript') return `const ${name} = require('${importPath}');`;
+  // En TypeScript los modelos se exportan por defecto y los controladores con exports con nombre
+  return dir === 'models' ? `import ${name} from '${importPath}';` : `import * as ${name} from '${importPath}';`;
+};
+
+// Instrucciones adicionales de cada capa cuando la salida es TypeScript
+// (los tipos propios de cada framework y base de datos están en FRAMEWORK_INSTRUCTIONS y DATABASE_INSTRUCTIONS)
+const TYPESCRIPT_INSTRUCTIONS = {
+  controllers: `- Exporta desde cada servicio las interfaces DTO de entrada (Create<Modelo>Dto, Update<Modelo>Dto) y de consulta
+- Los servicios devuelven tipos explícitos (Promise<I<Modelo>>, Promise<I<Modelo>[]>...)`,
+  routes: `- Importa los controladores con import * as <nombre> from '../controllers/<archivo>'`,
+  infrastructure: `- Los tests usan archivos .test.ts`
+};
+
+// Función auxiliar para obtener las instrucciones de lenguaje que se añaden a cada prompt
+const getLanguageInstructions = (language, layer, framework = 'express', database = 'mongodb') => {
+  if (language !== 'typescript') return '';
+  const targetTypes = [
+    TYPESCRIPT_INSTRUCTIONS[layer],
+    FRAMEWORK_INSTRUCTIONS[framework]?.typescript?.[layer],
+    DATABASE_INSTRUCTIONS[database]?.typescript?.[layer]
+  ].filter(Boolean).join('\n');
+  return `
+
+LENGUAJE: TypeScript en modo strict (se comprobará con tsc --noEmit)
+- Usa import/export de ES modules; no uses require ni module.exports
+- Todos los archivos de código usan la extensión .ts
+- No uses any implícito: tipa parámetros, valores de retorno y objetos de respuesta
+${targetTypes}`;
+};
+
+// Instrucciones de cada capa según el framework de salida. Los prompts base están escritos
+// para Express, así que express solo añade los tipos de TypeScript.
+const FRAMEWORK_INSTRUCTIONS = {
+  express: {
+    typescript: {
+      controllers: `- Los controladores son funciones exportadas con tipos de express: (req: Request<Params, unknown, Dto>, res: Response, next: NextFunction): Promise<void>`,
+      routes: `- Crea el router con Router() de express y expórtalo con export default router`,
+      infrastructure: `- Tipa los middleware con RequestHandler / ErrorRequestHandler de express
+- Si añades propiedades a la request (req.user, req.id) decláralas con declare global { namespace Express { interface Request { ... } } }`
+    }
+  },
+  fastify: {
+    controllers: `- Los controladores son handlers async (request, reply) de Fastify: leen request.params, request.query y request.body, llaman a los servicios y devuelven el resultado (o usan reply.code(201).send(...))
+- No uses next(): los errores se lanzan y los captura fastify.setErrorHandler (usa error.statusCode para los códigos HTTP)`,
+    routes: `- Cada archivo de rutas es un plugin: async function <recurso>Routes(fastify, options) { ... } que registra sus rutas con fastify.get/post/put/patch/delete
+- Exporta el plugin con module.exports = <recurso>Routes (sin envolverlo con fastify-plugin)
+- Las rutas son relativas al recurso: el servidor registra cada archivo con prefix /api/v1/<nombre del archivo sin "Routes">
+- En lugar de zod-express, define en cada ruta un schema JSON (params, querystring, body y response) que Fastify usa para validar y serializar
+- La autenticación JWT y los roles se aplican con preHandler en la ruta (o fastify.addHook('preHandler', ...)) usando @fastify/jwt
+- El rate limiting se configura por ruta con config: { rateLimit: { max: 10, timeWindow: '1 minute' } } (@fastify/rate-limit)`,
+    infrastructure: `- Escribe la infraestructura para Fastify, no para Express: los middleware son hooks (onRequest/preHandler) o plugins envueltos con fastify-plugin
+- El manejo centralizado de errores se registra con fastify.setErrorHandler
+- Usa @fastify/jwt, @fastify/rate-limit, @fastify/helmet, @fastify/cors y @fastify/swagger en lugar de los paquetes de Express (express-rate-limit, zod-express, pino-http, swagger-ui-express)
+- El logger es el de Fastify (pino integrado, request.log)
+- Los tests usan fastify.inject() en lugar de Supertest`,
+    typescript: {
+      controllers: `- Tipa los handlers con FastifyRequest<{ Params: ...; Querystring: ...; Body: <Dto> }> y FastifyReply`,
+      routes: `- Tipa el plugin como (fastify: FastifyInstance, options: FastifyPluginOptions): Promise<void> y expórtalo con export default <recurso>Routes`,
+      infrastructure: `- Si añades propiedades a la request (request.user) decláralas con declare module 'fastify' { interface FastifyRequest { ... } }`
+    }
+  },
+  koa: {
+    controllers: `- Los controladores son middleware async (ctx) de Koa: leen ctx.params, ctx.query y ctx.request.body, llaman a los servicios y responden asignando ctx.status y ctx.body
+- No uses req/res ni next(error): los errores se lanzan (ctx.throw(404, 'mensaje')) y los captura el middleware de errores`,
+    routes: `- Cada archivo crea un router de @koa/router: const router = new Router({ prefix: '/api/v1/<recurso>' })
+- Encadena en cada ruta los middleware (auth, validate, rateLimiter) y el controlador: router.get('/:id', auth, controller.getById)
+- Exporta el router con module.exports = router
+- La validación es un middleware validate(schema) basado en zod que lee ctx.request.body`,
+    infrastructure: `- Escribe la infraestructura para Koa, no para Express: los middleware son funciones async (ctx, next)
+- El manejo centralizado de errores es un middleware try { await next() } catch (err) { ... } registrado el primero
+- Usa @koa/cors, koa-helmet, koa-ratelimit y @koa/bodyparser en lugar de los paquetes de Express
+- Los tests usan Supertest sobre app.callback()`,
+    typescript: {
+      controllers: `- Tipa los controladores con Context de koa y el body con los DTO: (ctx: Context): Promise<void>`,
+      routes: `- Exporta el router con export default router`,
+      infrastructure: `- Tipa los middleware como Middleware de koa; si añades estado (ctx.state.user) decláralo en DefaultState`
+    }
+  }
+};
+
+// Función auxiliar para generar las instrucciones de una base de datos SQL (Knex) para cada capa
+const createSqlInstructions = (label) => ({
+  models: `- No uses Mongoose: cada modelo (models/<entidad>) es una capa de consultas sobre knex que importa la instancia compartida de '../config/database'
+- Cada modelo exporta tableName y las funciones findAll({ page, limit, sort, filters }), findById(id), create(data), update(id, data) y remove(id) (soft delete con deleted_at)
+- Por cada tabla genera una migración en "migrations" (fileName create_<tabla>, sin timestamp: el generador las numera) con up y down usando knex.schema.createTable y dropTableIfExists
+- Clave primaria increments('id'), table.timestamps(true, true) y deleted_at nullable
+- Convierte cada relación detectada en una clave foránea: table.integer('<entidad>_id').unsigned().references('id').inTable('<tabla>').onDelete('CASCADE' o 'SET NULL') con su índice
+- Las relaciones N-N usan una tabla intermedia con sus dos claves foráneas y clave primaria compuesta
+- Usa solo tipos portables entre PostgreSQL y SQLite (string, text, integer, decimal, boolean, timestamp, json) para poder probar en local con SQLite
+- Tablas y columnas en snake_case; los modelos devuelven objetos con esas columnas`,
+  controllers: `- Los servicios usan los modelos de consultas de knex, no Mongoose; para escribir en varias tablas usa db.transaction(async (trx) => { ... })
+- La paginación usa limit/offset y el total se obtiene con count()
+- Los IDs son enteros: valida y convierte los parámetros :id a número antes de consultar
+- Traduce los errores de restricciones (clave única, clave foránea) a 409/400 en lugar de 500`,
+  infrastructure: `- config/database, knexfile y las migraciones ya se generan automáticamente: no los generes
+- La base de datos es ${label}: no generes nada de MongoDB ni Mongoose
+- Los tests usan SQLite en memoria (NODE_ENV=test) y ejecutan db.migrate.latest() antes de empezar, en lugar de MongoMemoryServer
+- seed.js y fixtures/ se generan automáticamente a partir de los mocks del frontend: no los generes`,
+  typescript: {
+    models: `- Declara una interface <Modelo>Row con las columnas de la tabla y tipa las consultas con db<<Modelo>Row>('<tabla>')
+- Las migraciones exportan export async function up(knex: Knex): Promise<void> y down, con import type { Knex } from 'knex'`
+  }
+});
+
+// Instrucciones de cada capa según la base de datos. Los prompts base están escritos para Mongoose,
+// así que mongodb solo añade los tipos de TypeScript.
+const DATABASE_INSTRUCTIONS = {
+  mongodb: {
+    typescript: {
+      models: `- Declara una interface I<Modelo> con los campos del documento y expórtala
+- Tipa el esquema como new Schema<I<Modelo>>(...) y usa Types.ObjectId para las referencias
+- Exporta el modelo con export default model<I<Modelo>>('<Modelo>', schema)`
+    }
+  },
+  postgres: createSqlInstructions('PostgreSQL'),
+  sqlite: createSqlInstructions('SQLite')
+};
+
+// Función auxiliar para obtener las instrucciones de la base de datos que se añaden a cada prompt
+const getDatabaseInstructions = (database, layer) => {
+  const instructions = DATABASE_INSTRUCTIONS[database]?.[layer];
+  if (!instructions) return '';
+  return `
+
+BASE DE DATOS: ${DATABASE_LABELS[database]} (estas instrucciones prevalecen sobre las anteriores)
+${instructions}`;
+};
+
+// Función auxiliar para obtener las instrucciones del framework (de una o varias capas) que se añaden a cada prompt
+const getFrameworkInstructions = (framework, ...layers) => {
+  const instructions = layers.map(layer => FRAMEWORK_INSTRUCTIONS[framework]?.[layer]).filter(Boolean).join('\n');
+  if (!instructions) return '';
+  return `
+
+FRAMEWORK: ${framework} (estas instrucciones prevalecen sobre las anteriores)
+${instructions}`;
+};
+
+// Función auxiliar para renombrar a .ts los archivos que el modelo devuelva como .js en modo TypeScript
+const normalizeAnalysisFileNames = (analysis, language) => {
+  if (language !== 'typescript') return analysis;
+  Object.values(analysis).forEach(items => {
+    if (!Array.isArray(items)) return;
+    items.forEach(item => {
+      if (item && typeof item.fileName === 'string') {
+        item.fileName = item.fileName.replace(/\.[cm]?jsx?$/i, '.ts');
+      }
+    });
+  });
+  return analysis;
+};
+
 // Función principal para generar backend desde API
 const generateBackendFromAPI = async (project, options = {}) => {
-  const { outputPath = './generated-backend', includeDatabase = true, framework = 'express' } = options;
-  const createAdvancedControllersPromptWithContext = (fileName, fileContent, framework, includeDatabase, existingModels = []) => {
+  const { outputPath: targetOutputPath = './generated-backend', includeDatabase = true, framework = 'express', language = 'javascript', database = 'mongodb', incremental = true, verify = true, dryRun = false, commitToBranch = false, copyToServer = false, features = {}, llmProvider, llmMode, onProgress } = options;
+  const ext = getSourceExtension(language);
+  // Los prompts siempre generan modelos para la base de datos elegida; la conexión solo se genera si se incluye
+  const databaseTarget = includeDatabase ? database : null;
+  // En modo dryRun todo el pipeline escribe en una copia de la salida actual; la salida real no se toca hasta aplicar los cambios
+  const outputPath = dryRun ? path.join(__dirname, 'temp', 'previews', `${project._id}_${Date.now()}`) : targetOutputPath;
+  if (dryRun && commitToBranch) {
+    throw new Error('commitToBranch no se puede usar en modo dryRun: aplica antes la previsualización');
+  }
+  // Copia de los archivos generados en los directorios de este servidor (models/, controllers/...). Los nombres de archivo
+  // los elige el modelo, así que solo se hace si quien llama lo pide expresamente (uso local de confianza), nunca desde la API ni en dryRun
+  const copyToServerDirs = copyToServer && !dryRun;
+
+  // Notifica el avance de cada fase (clone, models, controllers, routes, infrastructure, coherence, seed, typecheck, verification, openapi, commit)
+  const reportProgress = (phase, status, details = {}) => {
+    if (typeof onProgress !== 'function') return;
+    try {
+      onProgress({ phase, status, ...details, timestamp: new Date().toISOString() });
+    } catch (error) {
+      console.warn(`⚠️ Error notificando progreso (${phase}/${status}):`, error.message);
+    }
+  };
+
+  const createAdvancedControllersPromptWithContext = (fileName, fileContent, framework, includeDatabase, existingModels = [], chunkContext = '') => {
     const modelsContext = existingModels.length > 0 
       ? `\n\nMODELOS YA GENERADOS (úsalos como referencia):\n${existingModels.map(m => `- ${m.name}: ${m.description || 'Modelo generado'}`).join('\n')}`
       : '';
   
     const modelImports = existingModels.length > 0
-      ? `\n\nIMPORTS DE MODELOS DISPONIBLES:\n${existingModels.map(m => `const ${m.name} = require('../models/${m.fileName}');`).join('\n')}`
+      ? `\n\nIMPORTS DE MODELOS DISPONIBLES:\n${existingModels.map(m => createImportHint(m.name, 'models', m.fileName, language)).join('\n')}`
       : '';
   
     return `Analiza el siguiente archivo de API/endpoint llamado "${fileName}" y genera controladores con service layer en ${framework} con Node.js.
   
   Contenido del archivo:
   \`\`\`
-  ${fileContent.substring(0, 4000)}
-  \`\`\`${modelsContext}${modelImports}
+  ${fileContent}
+  \`\`\`${chunkContext}${modelsContext}${modelImports}
   
   Instrucciones Específicas para CONTROLADORES Y SERVICIOS:
   1. USA LOS MODELOS YA GENERADOS como base para tus operaciones CRUD
@@ -99,7 +289,7 @@ const generateBackendFromAPI = async (project, options = {}) => {
   8. Validación de entrada en servicios usando los esquemas de los modelos
   9. Logging estructurado con correlación de requests
   10. Separación clara de responsabilidades
-  11. ASEGÚRATE de importar y usar los modelos existentes correctamente
+  11. ASEGÚRATE de importar y usar los modelos existentes correctamente${getDatabaseInstructions(database, 'controllers')}${getFrameworkInstructions(framework, 'controllers')}${getLanguageInstructions(language, 'controllers', framework, database)}
   
   Formato de respuesta (JSON):
   \`\`\`json
@@ -107,7 +297,7 @@ const generateBackendFromAPI = async (project, options = {}) => {
     "controllers": [
       {
         "name": "NombreController",
-        "fileName": "nombreController.js",
+        "fileName": "nombreController${ext}",
         "content": "código del controlador como orquestador que usa los servicios",
         "description": "descripción del controlador"
       }
@@ -115,7 +305,7 @@ const generateBackendFromAPI = async (project, options = {}) => {
     "services": [
       {
         "name": "NombreService",
-        "fileName": "nombreService.js",
+        "fileName": "nombreService${ext}",
         "content": "código del servicio con lógica de negocio que usa los modelos",
         "description": "descripción del servicio"
       }
@@ -127,7 +317,7 @@ const generateBackendFromAPI = async (project, options = {}) => {
   };
   
   // Prompt mejorado para rutas CON CONTEXTO de modelos, controladores y servicios
-  const createAdvancedRoutesPromptWithContext = (fileName, fileContent, framework, includeDatabase, existingModels = [], existingControllers = [], existingServices = []) => {
+  const createAdvancedRoutesPromptWithContext = (fileName, fileContent, framework, includeDatabase, existingModels = [], existingControllers = [], existingServices = [], chunkContext = '') => {
     const modelsContext = existingModels.length > 0 
       ? `\n\nMODELOS DISPONIBLES:\n${existingModels.map(m => `- ${m.name}: ${m.description || 'Modelo generado'}`).join('\n')}`
       : '';
@@ -141,15 +331,15 @@ const generateBackendFromAPI = async (project, options = {}) => {
       : '';
   
     const controllerImports = existingControllers.length > 0
-      ? `\n\nIMPORTS DE CONTROLADORES DISPONIBLES:\n${existingControllers.map(c => `const ${c.name} = require('../controllers/${c.fileName}');`).join('\n')}`
+      ? `\n\nIMPORTS DE CONTROLADORES DISPONIBLES:\n${existingControllers.map(c => createImportHint(c.name, 'controllers', c.fileName, language)).join('\n')}`
       : '';
   
     return `Analiza el siguiente archivo de API/endpoint llamado "${fileName}" y genera rutas completas con seguridad en ${framework} con Node.js.
   
   Contenido del archivo:
   \`\`\`
-  ${fileContent.substring(0, 4000)}
-  \`\`\`${modelsContext}${controllersContext}${servicesContext}${controllerImports}
+  ${fileContent}
+  \`\`\`${chunkContext}${modelsContext}${controllersContext}${servicesContext}${controllerImports}
   
   Instrucciones Específicas para RUTAS AVANZADAS:
   1. USA LOS CONTROLADORES YA GENERADOS - conecta las rutas con los métodos correctos
@@ -166,7 +356,7 @@ const generateBackendFromAPI = async (project, options = {}) => {
   8. Documentación inline para Swagger
   9. Manejo de errores centralizado
   10. ASEGÚRATE de que las rutas llamen a los métodos correctos de los controladores
-  11. Los parámetros de las rutas deben coincidir con los esperados por los controladores
+  11. Los parámetros de las rutas deben coincidir con los esperados por los controladores${getFrameworkInstructions(framework, 'routes')}${getLanguageInstructions(language, 'routes', framework, database)}
   
   Formato de respuesta (JSON):
   \`\`\`json
@@ -174,7 +364,7 @@ const generateBackendFromAPI = async (project, options = {}) => {
     "routes": [
       {
         "name": "NombreRoute",
-        "fileName": "nombreRoute.js",
+        "fileName": "nombreRoute${ext}",
         "content": "código completo de las rutas que usa los controladores existentes",
         "description": "descripción de las rutas y su conexión con controladores"
       }
@@ -184,7 +374,7 @@ const generateBackendFromAPI = async (project, options = {}) => {
   
   Genera rutas production-ready que se conecten coherentemente con los controladores y servicios ya generados.`;
   };
-  const validateBackendCoherence = (backendStructure) => {
+  const validateBackendCoherence = (backendStructure, apiFiles) => {
     const issues = [];
     const warnings = [];
     
@@ -241,12 +431,25 @@ const generateBackendFromAPI = async (project, options = {}) => {
   
   
   console.log('🚀 generateBackendFromAPI - Iniciando generación de backend completo');
-  console.log('📋 Parámetros:', { projectId: project._id, outputPath, includeDatabase, framework });
+  console.log('📋 Parámetros:', { projectId: project._id, outputPath, includeDatabase, database: databaseTarget, framework, language });
 
-  // Verificar que la API key de Gemini esté configurada
-  if (!process.env.GEMINI_API_KEY) {
-    console.log('❌ API key de Gemini no configurada');
-    throw new Error('La API key de Google Gemini no está configurada');
+  if (!SUPPORTED_LANGUAGES.includes(language)) {
+    throw new Error(`Lenguaje no soportado: ${language}. Usa uno de: ${SUPPORTED_LANGUAGES.join(', ')}`);
+  }
+
+  if (!SUPPORTED_FRAMEWORKS.includes(framework)) {
+    throw new Error(`Framework no soportado: ${framework}. Usa uno de: ${SUPPORTED_FRAMEWORKS.join(', ')}`);
+  }
+
+  if (!SUPPORTED_DATABASES.includes(database)) {
+    throw new Error(`Base de datos no soportada: ${database}. Usa una de: ${SUPPORTED_DATABASES.join(', ')}`);
+  }
+
+  // Verificar que el proveedor de IA del proyecto esté configurado
+  const llm = getProjectLLMProvider(project, { ...llmProvider, mode: llmMode });
+  if (!llm.isConfigured()) {
+    console.log(`❌ Proveedor de IA ${llm.name} no configurado`);
+    throw new Error(`El proveedor de IA "${llm.name}" no está configurado (falta ${llm.missingConfiguration})`);
   }
 
   if (!project.githubUrl) {
@@ -257,26 +460,23 @@ const generateBackendFromAPI = async (project, options = {}) => {
   console.log(`✅ Proyecto encontrado: ${project.name}`);
   console.log(`🔗 GitHub URL: ${project.githubUrl}`);
 
-  // Crear directorio temporal para clonar el repositorio
-  const tempDir = path.join(__dirname, 'temp', `backend_gen_${project._id}_${Date.now()}`);
-  console.log(`📁 Directorio temporal: ${tempDir}`);
+  // Obtener un snapshot del repositorio desde el workspace en caché del proyecto
+  let workspace = null;
+  // Staging de la regeneración incremental: fuera del snapshot, que se comparte con el clon en caché y no se modifica
+  const stagingDir = path.join(__dirname, 'temp', `backend_gen_${project._id}_${Date.now()}`);
   
   try {
-    // Preparar directorio temporal
-    console.log('🧹 Preparando directorio temporal...');
-    await cleanupTempDir(tempDir);
-    await fs.ensureDir(tempDir);
-    console.log('✅ Directorio temporal preparado');
-
-    // Clonar repositorio
-    console.log(`📥 Clonando repositorio: ${project.githubUrl}`);
-    const git = simpleGit();
-    await git.clone(project.githubUrl, tempDir);
-    console.log('✅ Repositorio clonado exitosamente');
+    console.log(`📥 Preparando workspace del repositorio: ${project.githubUrl}`);
+    reportProgress('clone', 'started', { message: `Clonando ${project.githubUrl}` });
+    workspace = await acquireWorkspace(project, { label: 'backend' });
+    if (dryRun) await createPreviewDirectory(path.resolve(targetOutputPath), outputPath);
+    const repoDir = workspace.dir;
+    const { headCommit } = workspace;
+    console.log(`✅ Snapshot del repositorio listo (${project.repository?.ref || 'rama por defecto'} @ ${headCommit.slice(0, 7)}${workspace.reused ? ', desde caché' : ''})`);
 
     // Buscar carpeta API
     console.log('🔍 Buscando carpeta API...');
-    const apiDir = await findAPIDirectory(tempDir);
+    const apiDir = await findAPIDirectory(repoDir);
     
     if (!apiDir) {
       console.log('❌ Carpeta API no encontrada');
@@ -294,10 +494,191 @@ const generateBackendFromAPI = async (project, options = {}) => {
       throw new Error('No se encontraron archivos de API en el directorio especificado');
     }
 
-    // Inicializar Google Gemini
-    console.log('🤖 Inicializando Google Gemini...');
-    const client = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
-    console.log('✅ Cliente Gemini inicializado correctamente');
+    // Regeneración incremental: solo analizar los archivos API modificados desde el último commit analizado
+    const fullOutputPath = path.resolve(outputPath);
+    const previousGeneration = project.backendGeneration;
+    let incrementalState = null;
+
+    if (incremental && previousGeneration?.lastAnalyzedCommit &&
+        previousGeneration.outputPath === path.resolve(targetOutputPath) &&
+        (previousGeneration.language || 'javascript') === language &&
+        (previousGeneration.framework || 'express') === framework &&
+        (previousGeneration.database || 'mongodb') === database &&
+        await fs.pathExists(fullOutputPath)) {
+      // En un clon superficial el commit anterior no está: se trae solo ese commit para calcular el diff
+      await workspace.ensureCommit(previousGeneration.lastAnalyzedCommit);
+      const changedPaths = await getChangedAPIFiles(repoDir, apiDir, previousGeneration.lastAnalyzedCommit);
+
+      if (changedPaths) {
+        const changedSet = new Set(changedPaths);
+        const changedFiles = apiFiles.filter(f => changedSet.has(toRepoPath(repoDir, f.path)));
+        const existingPaths = new Set(apiFiles.map(f => toRepoPath(repoDir, f.path)));
+        const removedFiles = changedPaths.filter(p => !existingPaths.has(p));
+
+        incrementalState = {
+          baseCommit: previousGeneration.lastAnalyzedCommit,
+          changedFiles,
+          removedFiles,
+          affectedSources: new Set(changedPaths.map(p => toRepoPath(apiDir, path.join(repoDir, p))))
+        };
+        console.log(`♻️ Regeneración incremental desde ${incrementalState.baseCommit.slice(0, 7)}: ${changedFiles.length} modificados, ${removedFiles.length} eliminados`);
+      }
+    }
+
+    const filesToAnalyze = incrementalState ? incrementalState.changedFiles : apiFiles;
+    reportProgress('clone', 'completed', {
+      message: `${apiFiles.length} archivos API encontrados`,
+      totalFiles: filesToAnalyze.length,
+      incremental: !!incrementalState
+    });
+
+    // Guarda el commit analizado y el manifiesto de archivos para la próxima regeneración
+    // (en modo dryRun solo se prepara: se guarda al aplicar todos los cambios)
+    let pendingGenerationState = null;
+    const saveGenerationState = async (files) => {
+      const backendGeneration = {
+        lastAnalyzedCommit: headCommit,
+        apiDirectory: toRepoPath(repoDir, apiDir),
+        outputPath: path.resolve(targetOutputPath),
+        language,
+        framework,
+        database,
+        analyzedAt: new Date(),
+        files: files.map(file => ({
+          type: file.type,
+          name: file.name,
+          fileName: file.fileName,
+          path: path.relative(fullOutputPath, file.path),
+          description: file.description,
+          source: file.source
+        }))
+      };
+      if (dryRun) {
+        pendingGenerationState = backendGeneration;
+        return;
+      }
+      project.backendGeneration = backendGeneration;
+      await Project.updateOne({ _id: project._id }, { $set: { backendGeneration } });
+    };
+
+    // Diff de la previsualización contra la salida actual (o un árbol vacío si aún no existe)
+    const createDryRunResult = async () => {
+      const { summary, files } = await diffGeneratedOutput(path.resolve(targetOutputPath), fullOutputPath);
+      console.log(`🔍 Previsualización: ${summary.added} nuevos, ${summary.modified} modificados, ${summary.deleted} eliminados, ${summary.unchanged} sin cambios`);
+      return {
+        targetPath: path.resolve(targetOutputPath),
+        previewPath: fullOutputPath,
+        generationState: pendingGenerationState,
+        summary,
+        files
+      };
+    };
+
+    // Guarda el backend generado en una rama nueva del repositorio del proyecto (y la sube si hay credenciales).
+    // Un fallo aquí no invalida la generación: se devuelve como repositoryCommit.error
+    const commitGeneratedBackend = async (files) => {
+      if (!commitToBranch) return null;
+      const settings = commitToBranch === true ? {} : commitToBranch;
+      const branch = settings.branch || `${DEFAULT_COMMIT_BRANCH_PREFIX}${new Date().toISOString().replace(/\D/g, '').slice(0, 14)}`;
+      const push = settings.push !== false && canPushToRepository(project);
+      if (settings.push === true && !push) {
+        console.warn('⚠️ El proyecto no tiene credenciales del repositorio: la rama solo se crea en el clon en caché');
+      }
+
+      console.log(`\n🌿 Guardando el backend generado en la rama ${branch}...`);
+      reportProgress('commit', 'started', { branch });
+      try {
+        const repositoryCommit = await workspace.commitToBranch({
+          sourceDir: fullOutputPath,
+          branch,
+          directory: settings.directory || DEFAULT_COMMIT_DIRECTORY,
+          push,
+          message: createGenerationCommitMessage(files, {
+            outputPath: fullOutputPath,
+            framework,
+            language,
+            database: databaseTarget,
+            headCommit,
+            apiDirectory: toRepoPath(repoDir, apiDir)
+          })
+        });
+        reportProgress('commit', 'completed', { branch, commit: repositoryCommit.commit, pushed: repositoryCommit.pushed });
+        return repositoryCommit;
+      } catch (commitError) {
+        console.error('⚠️ No se pudo guardar el backend generado en el repositorio:', commitError.message);
+        reportProgress('commit', 'failed', { branch, error: commitError.message });
+        return { branch, error: commitError.message };
+      }
+    };
+
+    if (incrementalState && filesToAnalyze.length === 0 && incrementalState.removedFiles.length === 0) {
+      console.log('✅ Sin cambios en los archivos API desde la última generación');
+      const previousFiles = toAbsoluteFiles(fullOutputPath, previousGeneration.files);
+      await saveGenerationState(previousFiles);
+      const repositoryCommit = await commitGeneratedBackend(previousFiles);
+      await cleanupTempDir(stagingDir).catch(cleanupError => {
+        console.log('⚠️ Error limpiando directorio temporal:', cleanupError.message);
+      });
+      const dryRunResult = dryRun ? await createDryRunResult() : null;
+
+      return {
+        message: 'El backend ya está actualizado: no hay cambios en los archivos API',
+        project: {
+          id: project._id,
+          name: project.name,
+          githubUrl: project.githubUrl
+        },
+        results: {
+          apiFilesAnalyzed: 0,
+          generatedFiles: 0,
+          outputPath: outputPath,
+          framework: framework,
+          language,
+          includeDatabase: includeDatabase,
+          database: databaseTarget,
+          provider: llm.name,
+          model: llm.model,
+          tokenUsage: { promptTokens: 0, completionTokens: 0, totalTokens: 0, calls: 0 },
+          llmRepairs: {},
+          coherence: { issues: [], warnings: [] },
+          typecheck: null,
+          verification: null,
+          openApi: await fs.pathExists(path.join(fullOutputPath, 'openapi.json'))
+            ? { path: path.join(fullOutputPath, 'openapi.json') }
+            : null,
+          seed: null,
+          dryRun: dryRunResult,
+          repositoryCommit,
+          commit: headCommit,
+          incremental: {
+            baseCommit: incrementalState.baseCommit,
+            changedFiles: [],
+            removedFiles: []
+          },
+          files: previousFiles
+        }
+      };
+    }
+
+    // En modo incremental se genera en un directorio de staging y luego se fusiona con la salida existente
+    const generationPath = incrementalState ? stagingDir : outputPath;
+
+    console.log(`🤖 Proveedor de IA: ${llm.name} (${llm.model})${llm.mode ? ` en modo ${llm.mode}` : ''}`);
+
+    // Acumular el consumo de tokens de todas las llamadas de esta generación
+    const tokenUsage = { promptTokens: 0, completionTokens: 0, totalTokens: 0, calls: 0 };
+    // Reparaciones de respuestas que no cumplían el schema, por paso
+    const llmRepairs = createRepairStats();
+    const callLLM = async (prompt) => {
+      const response = await retryLLMCall(llm, prompt);
+      tokenUsage.calls++;
+      if (response.usage) {
+        tokenUsage.promptTokens += response.usage.promptTokens;
+        tokenUsage.completionTokens += response.usage.completionTokens;
+        tokenUsage.totalTokens += response.usage.totalTokens;
+      }
+      return response;
+    };
   
     const backendStructure = {
       models: [],
@@ -312,17 +693,38 @@ const generateBackendFromAPI = async (project, options = {}) => {
     
     // Agregar esta línea:
     const generatedFiles = [];
+    // Registra archivos generados; una ruta ya registrada (otra parte o un reintento que la amplía) no se repite
+    const addGeneratedFiles = (files) => files.forEach(file => {
+      if (!generatedFiles.some(existing => existing.path === file.path)) generatedFiles.push(file);
+    });
+
+    // Llama al modelo validando la respuesta contra el schema del paso (con prompts de reparación si no cumple)
+    const callStructuredLLM = async (prompt, step) => {
+      const { data } = await generateStructured(callLLM, prompt, { step, stats: llmRepairs });
+      return data;
+    };
+
+    // Envía el prompt de cada parte del archivo API y fusiona las respuestas en un solo análisis
+    const analyzeInChunks = async (chunks, step, buildPrompt, mergeOptions) => {
+      const analyses = [];
+      for (const chunk of chunks) {
+        if (chunks.length > 1) console.log(`🧩 Parte ${chunk.index}/${chunk.total}: [${chunk.functions.join(', ')}]`);
+        const prompt = buildPrompt(chunk, mergeChunkAnalyses(analyses, mergeOptions));
+        analyses.push(await callStructuredLLM(prompt, step));
+      }
+      return mergeChunkAnalyses(analyses, mergeOptions);
+    };
     const createMissingFnsPrompt = (fileName, fileContent, missingFns, context) => `
 Analiza nuevamente "${fileName}". Las **siguientes funciones** no tienen aún endpoint:
 ${missingFns.map(f => `- ${f}`).join('\n')}
-
+${fileContent ? `\nCódigo de estas funciones (con los imports, tipos y constantes que usan):\n\`\`\`\n${fileContent}\n\`\`\`\n` : ''}
 CONSIDERA el backend ya generado (modelos, controladores y rutas existentes).
 Solo debes generar lo mínimo para exponer estas funciones:
 
 1. Métodos en el controlador (orquestador + llamado a service).
 2. Services con la lógica correspondiente.
 3. Rutas /api/v1/* que llamen a esos métodos.
-4. Actualiza Swagger en memoria (no hace falta devolverlo aquí).
+4. Actualiza Swagger en memoria (no hace falta devolverlo aquí).${getDatabaseInstructions(database, 'controllers')}${getFrameworkInstructions(framework, 'controllers', 'routes')}${getLanguageInstructions(language, 'controllers', framework, database)}
 
 Contexto del backend existente:
 - Modelos: ${context.models.map(m => m.name).join(', ')}
@@ -335,7 +737,7 @@ Formato de respuesta:
   "controllers": [
     {
       "name": "NombreController",
-      "fileName": "nombreController.js",
+      "fileName": "nombreController${ext}",
       "content": "código del controlador que implementa las funciones faltantes",
       "description": "descripción"
     }
@@ -343,7 +745,7 @@ Formato de respuesta:
   "services": [
     {
       "name": "NombreService",
-      "fileName": "nombreService.js",
+      "fileName": "nombreService${ext}",
       "content": "código del servicio con lógica para las funciones faltantes",
       "description": "descripción"
     }
@@ -351,7 +753,7 @@ Formato de respuesta:
   "routes": [
     {
       "name": "NombreRoute",
-      "fileName": "nombreRoute.js",
+      "fileName": "nombreRoute${ext}",
       "content": "código de rutas para las funciones faltantes",
       "description": "descripción"
     }
@@ -362,6 +764,7 @@ Formato de respuesta:
         const createFilesFromResponse = async (analysis, outputPath, apiFileName) => {
       const createdFiles = [];
       const fullOutputPath = path.resolve(outputPath);
+      normalizeAnalysisFileNames(analysis, language);
       
       try {
         // Crear directorio de salida si no existe
@@ -390,6 +793,24 @@ Formato de respuesta:
           }
         }
         
+        // Crear las migraciones de las tablas (solo con bases de datos SQL); orderMigrationFiles las numera al final
+        if (analysis.migrations && analysis.migrations.length > 0) {
+          await fs.ensureDir(path.join(fullOutputPath, 'migrations'));
+          for (const migration of analysis.migrations) {
+            const filePath = path.join(fullOutputPath, 'migrations', migration.fileName);
+            await fs.writeFile(filePath, migration.content, 'utf8');
+            console.log(`✅ Migración creada: ${migration.fileName}`);
+            createdFiles.push({
+              type: 'migration',
+              name: migration.name,
+              fileName: migration.fileName,
+              path: filePath,
+              description: migration.description,
+              source: apiFileName
+            });
+          }
+        }
+        
         // Crear archivos de controladores inmediatamente
         if (analysis.controllers && analysis.controllers.length > 0) {
           for (const controller of analysis.controllers) {
@@ -522,8 +943,9 @@ Formato de respuesta:
     const MAX_RETRIES_PER_FILE = 3; // ✨ NUEVO: máximo de reintentos por archivo
     
     // Procesar cada archivo API individualmente con múltiples reintentos
-    for (const apiFile of apiFiles) {
+    for (const [fileIndex, apiFile] of filesToAnalyze.entries()) {
       console.log(`\n🎯 === PROCESANDO ARCHIVO: ${apiFile.name} ===`);
+      const fileProgress = { file: apiFile.name, current: fileIndex + 1, total: filesToAnalyze.length };
       
       try {
         console.log(`📁 Ruta del archivo: ${apiFile.path}`);
@@ -538,24 +960,33 @@ Formato de respuesta:
         apiFile.declaredFns = declaredFns;
         console.log(`📋 Funciones encontradas: [${declaredFns.join(', ')}]`);
     
+        // Los archivos grandes se analizan por partes con funciones completas (nunca se recortan)
+        const chunks = chunkApiSource(apiContent, { fileName: path.basename(apiFile.path) });
+        if (chunks.length > 1) {
+          console.log(`✂️ Archivo dividido en ${chunks.length} partes: ${chunks.map(chunk => `[${chunk.functions.join(', ')}]`).join(' ')}`);
+        }
+    
         // --- PASO 1: Generar Modelos (solo una vez) ---
+        reportProgress('models', 'started', { ...fileProgress, chunks: chunks.length });
         console.log('📝 Creando prompt para Modelos avanzados...');
-        const modelsPrompt = createAdvancedModelsPrompt(apiFile.name, apiContent, framework, includeDatabase);
-        console.log(`🤖 Enviando solicitud a Gemini para Modelos...`);
-        let response = await retryGeminiCall(client, modelsPrompt);
-        
-        // Escribir respuesta de Gemini en archivo
-        await writeGeminiResponseToFile(response.text, `backend_modelos_${apiFile.name}`, project._id);
-        
-        let analysis = parseBackendAnalysisResponse(response.text);
+        console.log(`🤖 Enviando solicitud al proveedor de IA para Modelos...`);
+        let analysis = await analyzeInChunks(chunks, 'models', (chunk, previous) => createAdvancedModelsPrompt(
+          apiFile.name,
+          chunk.content,
+          framework,
+          includeDatabase,
+          language,
+          database,
+          createChunkContext(chunk, [...(previous.models || []), ...(previous.migrations || [])], { complete: true })
+        ), { replace: ['models', 'migrations'] });
         console.log(`📚 Análisis de Modelos completado para: ${apiFile.name}`);
         
         // Crear archivos de modelos inmediatamente
-        const modelFiles = await createFilesFromResponse(analysis, outputPath, apiFile.name);
-        generatedFiles.push(...modelFiles);
+        const modelFiles = await createFilesFromResponse(analysis, generationPath, getApiSourceId(apiFile));
+        addGeneratedFiles(modelFiles);
         
-        // Crear archivos funcionales en el directorio principal de modelos
-        if (analysis.models && analysis.models.length > 0) {
+        // Crear archivos funcionales en el directorio principal de modelos (solo con copyToServer y nunca en modo dryRun)
+        if (copyToServerDirs && analysis.models && analysis.models.length > 0) {
           for (const model of analysis.models) {
             const mainModelPath = path.join(__dirname, 'models', model.fileName);
             await fs.ensureDir(path.dirname(mainModelPath));
@@ -565,8 +996,11 @@ Formato de respuesta:
         }
         
         if (analysis.models) backendStructure.models.push(...analysis.models);
+        reportProgress('models', 'completed', { ...fileProgress, generated: analysis.models?.length || 0 });
         
         // ✨ NUEVO: Loop de reintentos para controladores y rutas
+        // Controladores, servicios y rutas generados para este archivo API (los reintentos los amplían)
+        let fileOutputs = {};
         let retryCount = 0;
         let currentMissingFns = [...declaredFns]; // Inicializar con todas las funciones
         
@@ -577,29 +1011,27 @@ Formato de respuesta:
           
           if (retryCount === 1) {
             // --- PASO 2: Generar Servicios y Controladores (primer intento) ---
+            reportProgress('controllers', 'started', fileProgress);
             console.log('📝 Creando prompt para Servicios y Controladores con contexto de modelos...');
-            const controllersPrompt = createAdvancedControllersPromptWithContext(
-              apiFile.name, 
-              apiContent, 
-              framework, 
+            const fileModels = analysis.models || [];
+            console.log(`🤖 Enviando solicitud al proveedor de IA para Controladores...`);
+            analysis = await analyzeInChunks(chunks, 'controllers', (chunk, previous) => createAdvancedControllersPromptWithContext(
+              apiFile.name,
+              chunk.content,
+              framework,
               includeDatabase,
-              analysis.models || []
-            );
-            console.log(`🤖 Enviando solicitud a Gemini para Controladores...`);
-            response = await retryGeminiCall(client, controllersPrompt);
-            
-            // Escribir respuesta de Gemini en archivo
-            await writeGeminiResponseToFile(response.text, `backend_controladores_${apiFile.name}`, project._id);
-            
-            analysis = parseBackendAnalysisResponse(response.text);
+              fileModels,
+              createChunkContext(chunk, [...(previous.controllers || []), ...(previous.services || [])])
+            ));
             console.log(`📚 Análisis de Controladores completado para: ${apiFile.name}`);
             
             // Crear archivos de controladores y servicios
-            const controllerFiles = await createFilesFromResponse(analysis, outputPath, apiFile.name);
-            generatedFiles.push(...controllerFiles);
+            const controllerFiles = await createFilesFromResponse(analysis, generationPath, getApiSourceId(apiFile));
+            addGeneratedFiles(controllerFiles);
+            fileOutputs = mergeChunkAnalyses([fileOutputs, analysis]);
             
             // Crear archivos funcionales en el directorio principal
-            if (analysis.controllers && analysis.controllers.length > 0) {
+            if (copyToServerDirs && analysis.controllers && analysis.controllers.length > 0) {
               for (const controller of analysis.controllers) {
                 const mainControllerPath = path.join(__dirname, 'controllers', controller.fileName);
                 await fs.ensureDir(path.dirname(mainControllerPath));
@@ -608,7 +1040,7 @@ Formato de respuesta:
               }
             }
             
-            if (analysis.services && analysis.services.length > 0) {
+            if (copyToServerDirs && analysis.services && analysis.services.length > 0) {
               await fs.ensureDir(path.join(__dirname, 'services'));
               for (const service of analysis.services) {
                 const mainServicePath = path.join(__dirname, 'services', service.fileName);
@@ -619,33 +1051,33 @@ Formato de respuesta:
             
             if (analysis.controllers) backendStructure.controllers.push(...analysis.controllers);
             if (analysis.services) backendStructure.services.push(...analysis.services);
+            reportProgress('controllers', 'completed', { ...fileProgress, generated: analysis.controllers?.length || 0 });
         
             // --- PASO 3: Generar Rutas (primer intento) ---
+            reportProgress('routes', 'started', fileProgress);
             console.log('📝 Creando prompt para Rutas con contexto completo...');
-            const routesPrompt = createAdvancedRoutesPromptWithContext(
-              apiFile.name, 
-              apiContent, 
-              framework, 
+            const fileControllers = analysis.controllers || [];
+            const fileServices = analysis.services || [];
+            console.log(`🤖 Enviando solicitud al proveedor de IA para Rutas...`);
+            analysis = await analyzeInChunks(chunks, 'routes', (chunk, previous) => createAdvancedRoutesPromptWithContext(
+              apiFile.name,
+              chunk.content,
+              framework,
               includeDatabase,
               backendStructure.models || [],
-              analysis.controllers || [],
-              analysis.services || []
-            );
-            console.log(`🤖 Enviando solicitud a Gemini para Rutas...`);
-            response = await retryGeminiCall(client, routesPrompt);
-            
-            // Escribir respuesta de Gemini en archivo
-            await writeGeminiResponseToFile(response.text, `backend_rutas_${apiFile.name}`, project._id);
-            
-            analysis = parseBackendAnalysisResponse(response.text);
+              fileControllers,
+              fileServices,
+              createChunkContext(chunk, previous.routes || [])
+            ));
             console.log(`📚 Análisis de Rutas completado para: ${apiFile.name}`);
             
             // Crear archivos de rutas
-            const routeFiles = await createFilesFromResponse(analysis, outputPath, apiFile.name);
-            generatedFiles.push(...routeFiles);
+            const routeFiles = await createFilesFromResponse(analysis, generationPath, getApiSourceId(apiFile));
+            addGeneratedFiles(routeFiles);
+            fileOutputs = mergeChunkAnalyses([fileOutputs, analysis]);
             
             // Crear archivos funcionales de rutas en el directorio principal
-            if (analysis.routes && analysis.routes.length > 0) {
+            if (copyToServerDirs && analysis.routes && analysis.routes.length > 0) {
               for (const route of analysis.routes) {
                 const mainRoutePath = path.join(__dirname, 'routes', route.fileName);
                 await fs.ensureDir(path.dirname(mainRoutePath));
@@ -655,36 +1087,39 @@ Formato de respuesta:
             }
             
             if (analysis.routes) backendStructure.routes.push(...analysis.routes);
+            reportProgress('routes', 'completed', { ...fileProgress, generated: analysis.routes?.length || 0 });
             
           } else {
             // --- REINTENTOS: Usar prompt específico para funciones faltantes ---
             console.log(`🎯 Generando código específico para funciones faltantes (intento ${retryCount})...`);
+            reportProgress('routes', 'retry', { ...fileProgress, attempt: retryCount, missingFunctions: currentMissingFns });
             
-            const missingPrompt = createMissingFnsPrompt(
-              apiFile.name,
-              apiContent,
-              currentMissingFns,
-              backendStructure
-            );
+            // Se envía el código de las funciones que faltan (agrupado en partes si no cabe en una)
+            const missingChunks = chunkApiSource(apiContent, { fileName: path.basename(apiFile.path), only: currentMissingFns });
+            const retryChunks = missingChunks.length > 0 ? missingChunks : [{ index: 1, total: 1, content: '', functions: currentMissingFns }];
             
             console.log('🤖 Enviando solicitud para funciones faltantes...');
-            const resp = await retryGeminiCall(client, missingPrompt);
-            
-            // Escribir respuesta de Gemini a archivo
-            await writeGeminiResponseToFile(
-              resp.text,
-              `backend_funciones_faltantes_${apiFile.name}_retry${retryCount}`,
-              project._id
-            );
+            const retryAnalysis = await analyzeInChunks(retryChunks, 'missingFunctions', (chunk) => createMissingFnsPrompt(
+              apiFile.name,
+              chunk.content,
+              missingChunks.length > 0 ? chunk.functions : currentMissingFns,
+              backendStructure
+            ));
             
-            const extra = parseBackendAnalysisResponse(resp.text);
+            // Los archivos que ya existían para este archivo API se amplían en lugar de sobrescribirse
+            fileOutputs = mergeChunkAnalyses([fileOutputs, retryAnalysis]);
+            const extra = {};
+            Object.keys(retryAnalysis).forEach(section => {
+              const fileNames = new Set(retryAnalysis[section].map(file => file.fileName));
+              extra[section] = fileOutputs[section].filter(file => fileNames.has(file.fileName));
+            });
             
             // Escribir inmediatamente los archivos
-            const newFiles = await createFilesFromResponse(extra, outputPath, `${apiFile.name}_retry${retryCount}`);
-            generatedFiles.push(...newFiles);
+            const newFiles = await createFilesFromResponse(extra, generationPath, `${getApiSourceId(apiFile)}_retry${retryCount}`);
+            addGeneratedFiles(newFiles);
             
             // Crear archivos funcionales adicionales en el directorio principal
-            if (extra.controllers && extra.controllers.length > 0) {
+            if (copyToServerDirs && extra.controllers && extra.controllers.length > 0) {
               for (const controller of extra.controllers) {
                 const mainControllerPath = path.join(__dirname, 'controllers', controller.fileName);
                 await fs.ensureDir(path.dirname(mainControllerPath));
@@ -693,7 +1128,7 @@ Formato de respuesta:
               }
             }
             
-            if (extra.services && extra.services.length > 0) {
+            if (copyToServerDirs && extra.services && extra.services.length > 0) {
               await fs.ensureDir(path.join(__dirname, 'services'));
               for (const service of extra.services) {
                 const mainServicePath = path.join(__dirname, 'services', service.fileName);
@@ -702,7 +1137,7 @@ Formato de respuesta:
               }
             }
             
-            if (extra.routes && extra.routes.length > 0) {
+            if (copyToServerDirs && extra.routes && extra.routes.length > 0) {
               for (const route of extra.routes) {
                 const mainRoutePath = path.join(__dirname, 'routes', route.fileName);
                 await fs.ensureDir(path.dirname(mainRoutePath));
@@ -711,9 +1146,11 @@ Formato de respuesta:
               }
             }
             
-            // Merge en la estructura en memoria
+            // Merge en la estructura en memoria (un archivo ampliado sustituye a su versión anterior)
             ['controllers', 'services', 'routes'].forEach(k => {
               if (extra[k]?.length) {
+                const extendedNames = new Set(extra[k].map(file => file.fileName));
+                backendStructure[k] = backendStructure[k].filter(file => !extendedNames.has(file.fileName));
                 backendStructure[k].push(...extra[k]);
                 console.log(`✅ Agregados ${extra[k].length} ${k} adicionales`);
               }
@@ -762,6 +1199,7 @@ Formato de respuesta:
         
       } catch (error) {
         console.error(`❌ Error procesando archivo API ${apiFile.name}:`, error.message);
+        reportProgress('models', 'failed', { ...fileProgress, error: error.message });
       }
     }
     
@@ -770,7 +1208,7 @@ Formato de respuesta:
     let totalFunctions = 0;
     let totalImplemented = 0;
     
-    apiFiles.forEach(apiFile => {
+    filesToAnalyze.forEach(apiFile => {
       const total = apiFile.declaredFns?.length || 0;
       const missing = apiFile.missingFns?.length || 0;
       const implemented = total - missing;
@@ -787,80 +1225,102 @@ Formato de respuesta:
     
     // ✨ NUEVO: Fusionar archivos duplicados
     console.log('\n🔀 Fusionando archivos duplicados...');
-    const deduplicatedFiles = await mergeAndDeduplicateFiles(outputPath, generatedFiles);
+    const deduplicatedFiles = await mergeAndDeduplicateFiles(generationPath, generatedFiles, language, framework);
     
     // Actualizar la lista de archivos generados
     generatedFiles.length = 0;
     generatedFiles.push(...deduplicatedFiles);
             
-    // --- Generar infraestructura y utilidades ---
-    console.log('\n🏗️ Generando infraestructura y utilidades...');
-    const infraPrompt = createInfrastructurePrompt(backendStructure, framework, includeDatabase);
-    const infraResponse = await retryGeminiCall(client, infraPrompt);
-    
-    // Escribir respuesta de Gemini en archivo
-    await writeGeminiResponseToFile(infraResponse.text, 'backend_infraestructura', project._id);
-    
-    const infraAnalysis = parseBackendAnalysisResponse(infraResponse.text);
+    let finalFiles;
+    if (incrementalState) {
+      // La infraestructura y los archivos principales no dependen de un archivo API concreto: se conservan
+      console.log('\n🔀 Integrando archivos regenerados en el backend existente...');
+      reportProgress('infrastructure', 'started', { incremental: true });
+      finalFiles = await integrateIncrementalFiles(
+        fullOutputPath,
+        toAbsoluteFiles(fullOutputPath, previousGeneration.files),
+        generationPath,
+        generatedFiles,
+        incrementalState.affectedSources,
+        language,
+        framework
+      );
+      reportProgress('infrastructure', 'completed', { generated: generatedFiles.length, incremental: true });
+    } else {
+      // --- Generar infraestructura y utilidades ---
+      console.log('\n🏗️ Generando infraestructura y utilidades...');
+      reportProgress('infrastructure', 'started');
+      const infraPrompt = createInfrastructurePrompt(backendStructure, framework, includeDatabase, language, database);
+      const infraAnalysis = await callStructuredLLM(infraPrompt, 'infrastructure');
     
-    // ✨ CREAR ARCHIVOS DE INFRAESTRUCTURA INMEDIATAMENTE
-    const infraFiles = await createFilesFromResponse(infraAnalysis, outputPath, 'infrastructure');
-    generatedFiles.push(...infraFiles);
+      // ✨ CREAR ARCHIVOS DE INFRAESTRUCTURA INMEDIATAMENTE
+      const infraFiles = await createFilesFromResponse(infraAnalysis, outputPath, 'infrastructure');
+      generatedFiles.push(...infraFiles);
     
-    // Crear archivos funcionales de infraestructura en el directorio principal
-    if (infraAnalysis.middleware && infraAnalysis.middleware.length > 0) {
-      await fs.ensureDir(path.join(__dirname, 'middleware'));
-      for (const middleware of infraAnalysis.middleware) {
-        const mainMiddlewarePath = path.join(__dirname, 'middleware', middleware.fileName);
-        await fs.writeFile(mainMiddlewarePath, middleware.content, 'utf8');
-        console.log(`✅ Middleware funcional creado en directorio principal: ${middleware.fileName}`);
+      // Crear archivos funcionales de infraestructura en el directorio principal
+      if (copyToServerDirs && infraAnalysis.middleware && infraAnalysis.middleware.length > 0) {
+        await fs.ensureDir(path.join(__dirname, 'middleware'));
+        for (const middleware of infraAnalysis.middleware) {
+          const mainMiddlewarePath = path.join(__dirname, 'middleware', middleware.fileName);
+          await fs.writeFile(mainMiddlewarePath, middleware.content, 'utf8');
+          console.log(`✅ Middleware funcional creado en directorio principal: ${middleware.fileName}`);
+        }
       }
-    }
     
-    if (infraAnalysis.config && infraAnalysis.config.length > 0) {
-      await fs.ensureDir(path.join(__dirname, 'config'));
-      for (const config of infraAnalysis.config) {
-        const mainConfigPath = path.join(__dirname, 'config', config.fileName);
-        await fs.writeFile(mainConfigPath, config.content, 'utf8');
-        console.log(`✅ Configuración funcional creada en directorio principal: ${config.fileName}`);
+      if (copyToServerDirs && infraAnalysis.config && infraAnalysis.config.length > 0) {
+        await fs.ensureDir(path.join(__dirname, 'config'));
+        for (const config of infraAnalysis.config) {
+          const mainConfigPath = path.join(__dirname, 'config', config.fileName);
+          await fs.writeFile(mainConfigPath, config.content, 'utf8');
+          console.log(`✅ Configuración funcional creada en directorio principal: ${config.fileName}`);
+        }
       }
-    }
     
-    if (infraAnalysis.utils && infraAnalysis.utils.length > 0) {
-      await fs.ensureDir(path.join(__dirname, 'utils'));
-      for (const util of infraAnalysis.utils) {
-        const mainUtilPath = path.join(__dirname, 'utils', util.fileName);
-        await fs.writeFile(mainUtilPath, util.content, 'utf8');
-        console.log(`✅ Utilidad funcional creada en directorio principal: ${util.fileName}`);
+      if (copyToServerDirs && infraAnalysis.utils && infraAnalysis.utils.length > 0) {
+        await fs.ensureDir(path.join(__dirname, 'utils'));
+        for (const util of infraAnalysis.utils) {
+          const mainUtilPath = path.join(__dirname, 'utils', util.fileName);
+          await fs.writeFile(mainUtilPath, util.content, 'utf8');
+          console.log(`✅ Utilidad funcional creada en directorio principal: ${util.fileName}`);
+        }
       }
-    }
     
-    if (infraAnalysis.tests && infraAnalysis.tests.length > 0) {
-      await fs.ensureDir(path.join(__dirname, 'tests'));
-      for (const test of infraAnalysis.tests) {
-        const mainTestPath = path.join(__dirname, 'tests', test.fileName);
-        await fs.writeFile(mainTestPath, test.content, 'utf8');
-        console.log(`✅ Test funcional creado en directorio principal: ${test.fileName}`);
+      if (copyToServerDirs && infraAnalysis.tests && infraAnalysis.tests.length > 0) {
+        await fs.ensureDir(path.join(__dirname, 'tests'));
+        for (const test of infraAnalysis.tests) {
+          const mainTestPath = path.join(__dirname, 'tests', test.fileName);
+          await fs.writeFile(mainTestPath, test.content, 'utf8');
+          console.log(`✅ Test funcional creado en directorio principal: ${test.fileName}`);
+        }
       }
-    }
     
-    if (infraAnalysis.middleware) backendStructure.middleware.push(...infraAnalysis.middleware);
-    if (infraAnalysis.config) backendStructure.config.push(...infraAnalysis.config);
-    if (infraAnalysis.utils) backendStructure.utils.push(...infraAnalysis.utils);
-    if (infraAnalysis.tests) backendStructure.tests.push(...infraAnalysis.tests);
+      if (infraAnalysis.middleware) backendStructure.middleware.push(...infraAnalysis.middleware);
+      if (infraAnalysis.config) backendStructure.config.push(...infraAnalysis.config);
+      if (infraAnalysis.utils) backendStructure.utils.push(...infraAnalysis.utils);
+      if (infraAnalysis.tests) backendStructure.tests.push(...infraAnalysis.tests);
     
-    // Generar archivos principales del proyecto (package.json, server.js, etc.)
-    console.log('\n🏗️ Generando archivos principales del proyecto...');
-    const mainFiles = await generateMainProjectFiles(outputPath, framework, includeDatabase, client);
-    generatedFiles.push(...mainFiles);
+      // Generar archivos principales del proyecto (package.json, server.js, etc.)
+      console.log('\n🏗️ Generando archivos principales del proyecto...');
+      const mainFiles = await generateMainProjectFiles(outputPath, framework, includeDatabase, llm, language, database);
+      // Los archivos principales sobrescriben a los que la IA haya generado en la misma ruta
+      const mainPaths = new Set(mainFiles.map(file => file.path));
+      const overwrittenFiles = generatedFiles.filter(file => mainPaths.has(file.path));
+      overwrittenFiles.forEach(file => generatedFiles.splice(generatedFiles.indexOf(file), 1));
+      generatedFiles.push(...mainFiles);
     
-    // Fusionar archivos duplicados
-    console.log('\n🔀 Fusionando archivos duplicados...');
-    const finalFiles = await mergeAndDeduplicateFiles(outputPath, generatedFiles);
+      // Fusionar archivos duplicados
+      console.log('\n🔀 Fusionando archivos duplicados...');
+      finalFiles = await mergeAndDeduplicateFiles(outputPath, generatedFiles, language, framework);
+      reportProgress('infrastructure', 'completed', { generated: finalFiles.length });
+    }
+
+    if (databaseTarget && SQL_DATABASES.includes(databaseTarget)) {
+      finalFiles = await orderMigrationFiles(finalFiles, incrementalState ? previousGeneration.files : []);
+    }
     
     console.log('\n🧹 Limpiando directorio temporal...');
     try {
-      await cleanupTempDir(tempDir);
+      await cleanupTempDir(stagingDir);
       console.log('✅ Directorio temporal eliminado');
     } catch (cleanupError) {
       console.log('⚠️ Error limpiando directorio temporal:', cleanupError.message);
@@ -868,7 +1328,12 @@ Formato de respuesta:
 
     // Validar coherencia del backend generado
     console.log('\n🔍 Validando coherencia del backend generado...');
-    const coherenceCheck = validateBackendCoherence(backendStructure);
+    reportProgress('coherence', 'started');
+    const coherenceCheck = validateBackendCoherence(backendStructure, filesToAnalyze);
+    reportProgress('coherence', 'completed', {
+      issues: coherenceCheck.issues.length,
+      warnings: coherenceCheck.warnings.length
+    });
 
     if (coherenceCheck.warnings.length > 0) {
       console.log('⚠️ Advertencias de coherencia encontradas:');
@@ -884,10 +1349,104 @@ Formato de respuesta:
       console.log('✅ Backend generado con coherencia completa');
     }
 
+    // Convertir los datos mock de los archivos API en fixtures y un script de seed para el backend
+    let seed = null;
+    if (includeDatabase && features.seed !== false) {
+      console.log('\n🌱 Generando datos de ejemplo desde los mocks del frontend...');
+      reportProgress('seed', 'started');
+      try {
+        const seedResult = await generateSeedData(fullOutputPath, { apiFiles, database, language, framework });
+        if (seedResult.files.length > 0) {
+          const seedPaths = new Set(seedResult.files.map(file => file.path));
+          finalFiles = finalFiles
+            .filter(file => file.type !== 'seed' && !seedPaths.has(file.path))
+            .concat(seedResult.files);
+        }
+        seed = {
+          fixtures: seedResult.fixtures,
+          unmatched: seedResult.unmatched,
+          warnings: seedResult.warnings
+        };
+        seedResult.warnings.forEach(warning => console.log(`  ⚠️ ${warning}`));
+        reportProgress('seed', 'completed', { fixtures: seed.fixtures.length, unmatched: seed.unmatched.length });
+        console.log(`✅ Datos de ejemplo: ${seed.fixtures.reduce((total, fixture) => total + fixture.records, 0)} registros en ${seed.fixtures.length} modelos (${seed.unmatched.length} mocks sin modelo)`);
+      } catch (seedError) {
+        console.error('⚠️ No se pudieron generar los datos de ejemplo:', seedError.message);
+        reportProgress('seed', 'failed', { error: seedError.message });
+      }
+    }
+
+    // En TypeScript el backend debe pasar tsc --noEmit para dar la generación por buena
+    let typecheck = null;
+    if (language === 'typescript') {
+      console.log('\n🔎 Comprobando tipos del backend generado (tsc --noEmit)...');
+      reportProgress('typecheck', 'started');
+      typecheck = await typeCheckGeneratedBackend(fullOutputPath);
+      console.log(`${typecheck.passed ? '✅' : '❌'} Tipos: ${summarizeTypecheck(typecheck)}`);
+
+      if (!typecheck.passed) {
+        reportProgress('typecheck', 'failed', { errors: typecheck.errorCount });
+        typecheck.diagnostics.slice(0, 10).forEach(d => console.log(`  - ${d.file || ''}:${d.line || ''} TS${d.code}: ${d.message}`));
+        const typecheckError = new Error(`El backend generado no pasa la comprobación de tipos (${typecheck.errorCount} errores)`);
+        typecheckError.typecheck = typecheck;
+        throw typecheckError;
+      }
+      reportProgress('typecheck', 'completed', { files: typecheck.fileCount, missingTypes: typecheck.missingTypes.length });
+    }
+
+    // Compilar y arrancar el backend generado contra un MongoDB en memoria
+    let verification = null;
+    if (verify) {
+      console.log('\n🧪 Verificando que el backend generado compila y arranca...');
+      reportProgress('verification', 'started');
+      verification = await verifyGeneratedBackend(fullOutputPath, { framework });
+      reportProgress('verification', 'completed', {
+        passed: verification.passed,
+        routes: verification.routes.length,
+        serverErrors: verification.serverErrors.length
+      });
+      console.log(`${verification.passed ? '✅' : '❌'} Verificación: ${summarizeVerification(verification)}`);
+    }
+
+    // Derivar la especificación OpenAPI de las rutas, controladores y modelos generados
+    let openApi = null;
+    if (features.swagger !== false) {
+      console.log('\n📚 Generando especificación OpenAPI...');
+      reportProgress('openapi', 'started');
+      try {
+        const openApiResult = await generateOpenApiSpec(fullOutputPath, { project, framework });
+        openApi = {
+          path: openApiResult.filePath,
+          paths: openApiResult.paths,
+          operations: openApiResult.operations,
+          warnings: openApiResult.warnings
+        };
+        if (!finalFiles.some(file => file.path === openApiResult.filePath)) {
+          finalFiles.push({
+            type: 'docs',
+            name: 'openapi',
+            fileName: 'openapi.json',
+            path: openApiResult.filePath,
+            description: 'Especificación OpenAPI 3.1 derivada de las rutas y modelos generados'
+          });
+        }
+        reportProgress('openapi', 'completed', { paths: openApi.paths, operations: openApi.operations });
+        console.log(`✅ OpenAPI: ${openApi.operations} operaciones en ${openApi.paths} rutas`);
+      } catch (openApiError) {
+        console.error('⚠️ No se pudo generar la especificación OpenAPI:', openApiError.message);
+        reportProgress('openapi', 'failed', { error: openApiError.message });
+      }
+    }
+
+    await saveGenerationState(finalFiles);
+    const repositoryCommit = await commitGeneratedBackend(finalFiles);
+
     console.log(`\n🎉 Generación de backend completada:`);
-    console.log(`📄 Archivos API analizados: ${apiFiles.length}`);
+    console.log(`📄 Archivos API analizados: ${filesToAnalyze.length}/${apiFiles.length}`);
     console.log(`🏗️ Archivos generados: ${generatedFiles.length}`);
     console.log(`🔍 Coherencia: ${coherenceCheck.issues.length} problemas, ${coherenceCheck.warnings.length} advertencias`);
+    if (typecheck) console.log(`🔎 Tipos: ${summarizeTypecheck(typecheck)}`);
+    console.log(`🧪 Verificación: ${summarizeVerification(verification)}`);
 
     return {
       message: 'Backend generado exitosamente con funcionalidades avanzadas',
@@ -897,11 +1456,33 @@ Formato de respuesta:
         githubUrl: project.githubUrl
       },
       results: {
-        apiFilesAnalyzed: apiFiles.length,
+        apiFilesAnalyzed: filesToAnalyze.length,
         generatedFiles: generatedFiles.length,
         outputPath: outputPath,
         framework: framework,
+        language,
         includeDatabase: includeDatabase,
+        database: databaseTarget,
+        provider: llm.name,
+        model: llm.model,
+        tokenUsage,
+        llmRepairs,
+        coherence: {
+          issues: coherenceCheck.issues,
+          warnings: coherenceCheck.warnings
+        },
+        typecheck,
+        verification,
+        openApi,
+        seed,
+        dryRun: dryRun ? await createDryRunResult() : null,
+        repositoryCommit,
+        commit: headCommit,
+        incremental: incrementalState ? {
+          baseCommit: incrementalState.baseCommit,
+          changedFiles: incrementalState.changedFiles.map(f => toRepoPath(repoDir, f.path)),
+          removedFiles: incrementalState.removedFiles
+        } : null,
         structure: {
           models: backendStructure.models.length,
           controllers: backendStructure.controllers.length,
@@ -919,51 +1500,52 @@ Formato de respuesta:
   } catch (error) {
     console.error('❌ Error en el proceso de generación:', error);
     
-    // Limpiar directorio temporal en caso de error
+    // Limpiar directorio temporal (y la previsualización) en caso de error
     try {
-      await cleanupTempDir(tempDir);
+      await cleanupTempDir(stagingDir);
+      if (dryRun) await cleanupTempDir(outputPath);
     } catch (cleanupError) {
       console.log('⚠️ Error limpiando directorio temporal después del error:', cleanupError.message);
     }
     
     throw error;
+  } finally {
+    // Liberar el snapshot (el clon en caché se conserva para la próxima generación)
+    if (workspace) await workspace.release();
   }
 };
 
-// Función de retry para llamadas a Gemini con back-off exponencial
-const retryGeminiCall = async (client, prompt, maxRetries = 3) => {
+// Función de retry para llamadas al proveedor de IA con back-off exponencial
+const retryLLMCall = async (provider, prompt, maxRetries = 3) => {
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      console.log(`🤖 Intento ${attempt}/${maxRetries} - Enviando solicitud a Gemini...`);
+      console.log(`🤖 Intento ${attempt}/${maxRetries} - Enviando solicitud a ${provider.name}...`);
       
-      const response = await client.models.generateContent({
-        model: 'gemini-2.5-pro-preview-06-05',
-        contents: [{ role: 'user', parts: [{ text: prompt }] }],
-        generationConfig: {
-          temperature: 0.1,
-          topK: 1,
-          topP: 0.8,
-          maxOutputTokens: 8192
-        }
+      const response = await provider.generate(prompt, {
+        temperature: 0.1,
+        maxTokens: 8192
       });
       
       if (!response || !response.text) {
-        throw new Error('Respuesta vacía o inválida de Gemini');
+        throw new Error(`Respuesta vacía o inválida de ${provider.name}`);
       }
       
       const responseText = response.text;
-      console.log(`✅ Respuesta recibida de Gemini (${responseText.length} caracteres)`);
+      console.log(`✅ Respuesta recibida de ${provider.name} (${responseText.length} caracteres)`);
       
       // Validar que la respuesta contiene JSON
       if (!responseText.includes('{') || !responseText.includes('}')) {
         throw new Error('La respuesta no contiene JSON válido');
       }
       
-      return { text: responseText };
+      return { text: responseText, usage: response.usage };
       
     } catch (error) {
       console.warn(`⚠️ Intento ${attempt}/${maxRetries} falló:`, error.message);
       
+      // En modo replay la respuesta es determinista: si no está grabada, ningún reintento la encontrará
+      if (error.code === 'LLM_RECORDING_MISSING') throw error;
+
       if (attempt === maxRetries) {
         console.error('❌ Todos los intentos fallaron, lanzando error final');
         throw error;
@@ -976,14 +1558,50 @@ const retryGeminiCall = async (client, prompt, maxRetries = 3) => {
   }
 };
 
+/**
+ * Explica a la IA qué parte de un archivo API grande recibe (los prompts reciben partes de
+ * chunkApiSource, no el archivo completo) y qué archivos generaron ya las partes anteriores.
+ *
+ * @param {Object} chunk - Parte del archivo ({ index, total, functions })
+ * @param {Array} [previousFiles=[]] - Archivos generados por las partes anteriores
+ * @param {Object} [options]
+ * @param {boolean} [options.complete=false] - Pedir los archivos repetidos completos (modelos) en lugar de solo lo nuevo
+ * @returns {string} Texto para el prompt ('' si el archivo cabe en una sola parte)
+ */
+const createChunkContext = (chunk, previousFiles = [], { complete = false } = {}) => {
+  if (!chunk || chunk.total <= 1) return '';
+
+  const header = `\n\nARCHIVO POR PARTES: el archivo es demasiado grande para un solo prompt y se analiza por partes. Esta es la parte ${chunk.index} de ${chunk.total} y contiene las funciones: ${chunk.functions.join(', ') || '(ninguna)'}. Cada parte incluye los imports, tipos y constantes que usan sus funciones.`;
+  if (previousFiles.length === 0) {
+    return `${header}\nGenera solo lo que necesitan las funciones de esta parte.`;
+  }
+
+  if (complete) {
+    return `${header}\nLas partes anteriores ya generaron estos archivos:\n${previousFiles.map(file => `--- ${file.fileName} ---\n${file.content}`).join('\n')}\nSi esta parte añade campos o relaciones a alguno, devuélvelo completo con el mismo fileName (sustituye al anterior). No repitas los que no cambian.`;
+  }
+  return `${header}\nLas partes anteriores ya generaron estos archivos:\n${previousFiles.map(file => `- ${file.fileName}: ${file.description || file.name}`).join('\n')}\nPara ampliar uno de ellos usa el mismo fileName y devuelve solo lo que añade esta parte (imports, métodos, rutas y exports): el generador fusiona las partes.`;
+};
+
 // Prompt mejorado para modelos con relaciones y audit fields
-const createAdvancedModelsPrompt = (fileName, fileContent, framework, includeDatabase) => {
+const createAdvancedModelsPrompt = (fileName, fileContent, framework, includeDatabase, language = 'javascript', database = 'mongodb', chunkContext = '') => {
+  const ext = getSourceExtension(language);
+  // Con SQL cada modelo va acompañado de la migración que crea su tabla
+  const migrationsFormat = SQL_DATABASES.includes(database) ? `,
+  "migrations": [
+    {
+      "name": "CreateNombreTabla",
+      "fileName": "create_nombre_tabla${ext}",
+      "content": "migración de knex con up/down, columnas, índices y claves foráneas",
+      "description": "tabla que crea y sus relaciones"
+    }
+  ]` : '';
+
   return `Analiza el siguiente archivo de API/endpoint llamado "${fileName}" y genera SOLO los modelos de datos avanzados en ${framework} con Node.js.
 
 Contenido del archivo:
 \`\`\`
-${fileContent.substring(0, 4000)}
-\`\`\`
+${fileContent}
+\`\`\`${chunkContext}
 
 Instrucciones Específicas para MODELOS AVANZADOS:
 1. Identifica las entidades de datos y sus relaciones (1-N, N-N)
@@ -994,7 +1612,7 @@ Instrucciones Específicas para MODELOS AVANZADOS:
 6. Incluye validaciones robustas (required, min, max, enum, custom)
 7. Agrega métodos de instancia y estáticos útiles
 8. Implementa middleware pre/post para hooks
-9. Usa Mongoose para modelos de MongoDB con esquemas completos
+9. Usa Mongoose para modelos de MongoDB con esquemas completos${getDatabaseInstructions(database, 'models')}${getLanguageInstructions(language, 'models', framework, database)}
 
 Formato de respuesta (JSON):
 \`\`\`json
@@ -1002,11 +1620,11 @@ Formato de respuesta (JSON):
   "models": [
     {
       "name": "NombreModelo",
-      "fileName": "nombreModelo.js",
+      "fileName": "nombreModelo${ext}",
       "content": "código completo del modelo con relaciones, índices y validaciones",
       "description": "descripción del modelo y sus características"
     }
-  ]
+  ]${migrationsFormat}
 }
 \`\`\`
 
@@ -1019,7 +1637,7 @@ const createAdvancedControllersPrompt = (fileName, fileContent, framework, inclu
 
 Contenido del archivo:
 \`\`\`
-${fileContent.substring(0, 4000)}
+${fileContent}
 \`\`\`
 
 Instrucciones Específicas para CONTROLADORES Y SERVICIOS:
@@ -1063,7 +1681,7 @@ const createAdvancedRoutesPrompt = (fileName, fileContent, framework, includeDat
 
 Contenido del archivo:
 \`\`\`
-${fileContent.substring(0, 4000)}
+${fileContent}
 \`\`\`
 
 Instrucciones Específicas para RUTAS AVANZADAS:
@@ -1098,7 +1716,7 @@ Genera rutas production-ready con todas las medidas de seguridad.`;
 };
 
 // Prompt para infraestructura y utilidades
-const createInfrastructurePrompt = (backendStructure, framework, includeDatabase) => {
+const createInfrastructurePrompt = (backendStructure, framework, includeDatabase, language = 'javascript', database = 'mongodb') => {
   const modelsInfo = backendStructure.models.map(m => m.name).join(', ');
   const routesInfo = backendStructure.routes.map(r => r.name).join(', ');
   
@@ -1127,10 +1745,11 @@ Genera archivos de configuración:
 - Dockerfile (multi-stage build)
 - docker-compose.yml (app + MongoDB)
 - swagger.yaml (documentación API)
-- seed.js (datos de ejemplo)
 - .eslintrc.cjs + .prettierrc
 - .github/workflows/ci.yml
 
+No generes seed.js ni fixtures: se generan automáticamente a partir de los datos mock del frontend.
+
 Genera en /__tests__/:
 - model.test.js, controller.test.js, route.test.js usando Jest + Supertest + MongoMemoryServer
 
@@ -1143,8 +1762,9 @@ Formato de respuesta (JSON):
   "tests": [...]
 }
 \`\`\`
+Cada elemento de estas listas es un archivo: { "name": "NombreArchivo", "fileName": "nombreArchivo${getSourceExtension(language)}", "content": "código completo", "description": "Descripción" }.
 
-Incluye endpoints /health, /ready, /metrics y toda la observabilidad necesaria.`;
+Incluye endpoints /health, /ready, /metrics y toda la observabilidad necesaria.${getDatabaseInstructions(database, 'infrastructure')}${getFrameworkInstructions(framework, 'infrastructure')}${getLanguageInstructions(language, 'infrastructure', framework, database)}`;
 };
 
 // Función auxiliar para encontrar el directorio de API
@@ -1192,7 +1812,7 @@ const getAPIFiles = async (apiDir) => {
         await processDirectory(itemPath);
       } else if (stat.isFile()) {
         const ext = path.extname(item).toLowerCase();
-        if (['.js', '.jsx', '.ts', '.tsx', '.json', '.yaml', '.yml'].includes(ext)) {
+        if (API_FILE_EXTENSIONS.includes(ext)) {
           files.push({
             name: path.basename(item, ext),
             path: itemPath,
@@ -1208,6 +1828,198 @@ const getAPIFiles = async (apiDir) => {
   return files;
 };
 
+// Función auxiliar para obtener la ruta relativa al repositorio con separadores POSIX (como los devuelve git)
+const toRepoPath = (repoDir, filePath) => path.relative(repoDir, filePath).split(path.sep).join('/');
+
+// Función auxiliar para identificar un archivo API por su ruta relativa al directorio API
+// (dos archivos con el mismo nombre en carpetas distintas son fuentes distintas)
+const getApiSourceId = (apiFile) => apiFile.relativePath.split(path.sep).join('/');
+
+// Función auxiliar para crear el mensaje del commit del backend generado: resumen, origen y modelos y rutas creados
+const createGenerationCommitMessage = (files, { outputPath, framework, language, database, headCommit, apiDirectory }) => {
+  const listFiles = (type) => files
+    .filter(file => file.type === type)
+    .map(file => `- ${file.name} (${path.relative(outputPath, file.path).split(path.sep).join('/')})`);
+  const models = listFiles('model');
+  const routes = listFiles('route');
+  const countFiles = (type) => files.filter(file => file.type === type).length;
+
+  return [
+    `Backend generado (${[framework, language, database].filter(Boolean).join(', ')})`,
+    '',
+    `Generado a partir de ${apiDirectory}/ en ${headCommit.slice(0, 7)}.`,
+    '',
+    `Modelos (${models.length}):`,
+    ...(models.length > 0 ? models : ['- (ninguno)']),
+    '',
+    `Rutas (${routes.length}):`,
+    ...(routes.length > 0 ? routes : ['- (ninguna)']),
+    '',
+    `Controladores: ${countFiles('controller')}, servicios: ${countFiles('service')}, archivos: ${files.length}`
+  ].join('\n');
+};
+
+// Función auxiliar para convertir el manifiesto guardado (rutas relativas) en entradas con rutas absolutas
+const toAbsoluteFiles = (outputPath, files = []) => files.map(file => ({
+  type: file.type,
+  name: file.name,
+  fileName: file.fileName,
+  path: path.join(outputPath, file.path),
+  description: file.description,
+  source: file.source
+}));
+
+// Función auxiliar para obtener los archivos API modificados desde un commit (null si no se puede calcular)
+const getChangedAPIFiles = async (repoDir, apiDir, sinceCommit) => {
+  try {
+    const diff = await simpleGit(repoDir).diff(['--name-only', sinceCommit, 'HEAD', '--', toRepoPath(repoDir, apiDir)]);
+    return diff.split('\n').map(line => line.trim()).filter(Boolean);
+  } catch (error) {
+    console.warn(`⚠️ No se pudo calcular el diff desde ${sinceCommit}, se regenerará todo: ${error.message}`);
+    return null;
+  }
+};
+
+// Función auxiliar para obtener los archivos API de los que proviene un archivo generado
+const getFileSources = (file) => String(file.source || '')
+  .split(', ')
+  .map(source => source.replace(/_retry\d+$/, ''))
+  .filter(Boolean);
+
+// Función auxiliar para saber si una fuente es uno de los archivos API modificados o eliminados. Los manifiestos
+// anteriores guardaban solo el nombre del archivo API (sin carpeta ni extensión): esas fuentes se comparan por nombre
+const isAffectedSource = (source, affectedSources) => {
+  if (affectedSources.has(source)) return true;
+  if (API_FILE_EXTENSIONS.includes(path.posix.extname(source).toLowerCase())) return false;
+  return [...affectedSources].some(affected => path.posix.basename(affected, path.posix.extname(affected)) === source);
+};
+
+const MIGRATION_PREFIX = /^(\d+)_/;
+
+// Función auxiliar para obtener las tablas que crea una migración y las que referencia con claves foráneas
+const parseMigrationTables = (content) => {
+  const created = [...content.matchAll(/createTable(?:IfNotExists)?\(\s*['"`](\w+)['"`]/g)].map(match => match[1]);
+  const referenced = [
+    ...[...content.matchAll(/\.inTable\(\s*['"`](\w+)['"`]/g)].map(match => match[1]),
+    ...[...content.matchAll(/\.references\(\s*['"`](\w+)\.\w+['"`]/g)].map(match => match[1])
+  ];
+  return { created, referenced: referenced.filter(table => !created.includes(table)) };
+};
+
+/**
+ * Numera las migraciones nuevas (las que aún no tienen prefijo numérico) para que knex las
+ * ejecute después de las existentes y en orden de dependencias: la tabla referenciada por una
+ * clave foránea se crea antes que la que la referencia. Una migración regenerada conserva el
+ * número que tenía en la generación anterior, porque knex ya la tiene registrada como aplicada.
+ *
+ * @param {Array} files - Archivos del backend (las migraciones tienen type 'migration')
+ * @param {Array} [previousFiles=[]] - Manifiesto de la generación anterior
+ * @returns {Promise<Array>} Archivos con las migraciones renombradas
+ */
+const orderMigrationFiles = async (files, previousFiles = []) => {
+  // Dos archivos API pueden generar la misma migración: solo existe una vez en disco
+  const uniqueFiles = files.filter((file, index) =>
+    file.type !== 'migration' || files.findLastIndex(other => other.path === file.path) === index
+  );
+  const isMigration = file => file.type === 'migration';
+  const pending = uniqueFiles.filter(file => isMigration(file) && !MIGRATION_PREFIX.test(file.fileName));
+  if (pending.length === 0) return uniqueFiles;
+
+  const numbered = [...uniqueFiles, ...previousFiles].filter(file => isMigration(file) && MIGRATION_PREFIX.test(file.fileName));
+  const previousNames = new Map(previousFiles
+    .filter(file => isMigration(file) && MIGRATION_PREFIX.test(file.fileName))
+    .map(file => [file.fileName.replace(MIGRATION_PREFIX, ''), file.fileName]));
+  let nextNumber = Math.max(0, ...numbered.map(file => Number(file.fileName.match(MIGRATION_PREFIX)[1]))) + 1;
+
+  const entries = [];
+  for (const file of pending) {
+    entries.push({ file, ...parseMigrationTables(await fs.readFile(file.path, 'utf8')) });
+  }
+
+  // Orden topológico estable; un ciclo de claves foráneas se rompe respetando el orden original
+  const creators = new Map();
+  entries.forEach(entry => entry.created.forEach(table => creators.set(table, entry)));
+  const ordered = [];
+  const visiting = new Set();
+  const visit = (entry) => {
+    if (ordered.includes(entry) || visiting.has(entry)) return;
+    visiting.add(entry);
+    entry.referenced.forEach(table => {
+      const dependency = creators.get(table);
+      if (dependency && dependency !== entry) visit(dependency);
+    });
+    visiting.delete(entry);
+    ordered.push(entry);
+  };
+  entries.forEach(visit);
+
+  const renamed = new Map();
+  for (const { file } of ordered) {
+    const fileName = previousNames.get(file.fileName) || `${String(nextNumber++).padStart(3, '0')}_${file.fileName}`;
+    const targetPath = path.join(path.dirname(file.path), fileName);
+    await fs.move(file.path, targetPath, { overwrite: true });
+    console.log(`🔢 Migración ordenada: ${fileName}`);
+    renamed.set(file, { ...file, fileName, path: targetPath });
+  }
+
+  // Una migración regenerada reemplaza a la existente con el mismo número
+  const orderedFiles = uniqueFiles.map(file => renamed.get(file) || file);
+  return orderedFiles.filter((file, index) =>
+    orderedFiles.findLastIndex(other => other.path === file.path) === index
+  );
+};
+
+/**
+ * Integra los archivos regenerados (en staging) en el backend existente.
+ * Los archivos que solo provenían de archivos API modificados o eliminados se descartan;
+ * el resto se fusiona con los nuevos mediante mergeAndDeduplicateFiles.
+ *
+ * @param {string} outputPath - Directorio del backend existente
+ * @param {Array} previousFiles - Manifiesto de la generación anterior (rutas absolutas)
+ * @param {string} stagingPath - Directorio de staging donde se generaron los archivos nuevos
+ * @param {Array} stagedFiles - Archivos recién generados en el directorio de staging
+ * @param {Set<string>} affectedSources - Rutas (relativas al directorio API) de los archivos API modificados o eliminados
+ * @param {string} [language='javascript'] - Lenguaje del backend generado
+ * @param {string} [framework='express'] - Framework del backend generado
+ * @returns {Promise<Array>} Lista final de archivos del backend
+ */
+const integrateIncrementalFiles = async (outputPath, previousFiles, stagingPath, stagedFiles, affectedSources, language = 'javascript', framework = 'express') => {
+  const keptFiles = [];
+
+  for (const file of previousFiles) {
+    const sources = getFileSources(file);
+    // Las migraciones no se eliminan nunca: knex falla si falta una que ya aplicó
+    const isStale = file.type !== 'migration' && sources.length > 0 && sources.every(source => isAffectedSource(source, affectedSources));
+
+    if (isStale) {
+      await fs.remove(file.path);
+      console.log(`🗑️ Archivo obsoleto eliminado: ${file.fileName}`);
+    } else if (await fs.pathExists(file.path)) {
+      keptFiles.push(file);
+    }
+  }
+
+  const mergedFiles = await mergeAndDeduplicateFiles(outputPath, [...keptFiles, ...stagedFiles], language, framework);
+  const finalFiles = [];
+
+  // Mover a la salida los archivos nuevos que no se fusionaron con ninguno existente
+  for (const file of mergedFiles) {
+    if (!stagedFiles.includes(file)) {
+      finalFiles.push(file);
+      continue;
+    }
+
+    const targetPath = path.join(outputPath, path.relative(stagingPath, file.path));
+    await fs.move(file.path, targetPath, { overwrite: true });
+    finalFiles.push({ ...file, path: targetPath });
+  }
+
+  // Un modelo regenerado reemplaza al existente con el mismo nombre
+  return finalFiles.filter((file, index) =>
+    finalFiles.findLastIndex(other => other.path === file.path) === index
+  );
+};
+
 // Nueva función para prompts específicos
 const createTargetedBackendAnalysisPrompt = (fileName, fileContent, framework, includeDatabase, targetType) => {
   let specificInstructions = '';
@@ -1261,7 +2073,7 @@ const createTargetedBackendAnalysisPrompt = (fileName, fileContent, framework, i
 
 Contenido del archivo:
 \`\`\`
-${fileContent.substring(0, 4000)}
+${fileContent}
 \`\`\`
 
 Instrucciones Específicas para ${targetType.toUpperCase()}:
@@ -1293,7 +2105,7 @@ const createBackendAnalysisPrompt = (fileName, fileContent, framework, includeDa
 
 Contenido del archivo:
 \`\`\`
-${fileContent.substring(0, 4000)}
+${fileContent}
 \`\`\`
 
 Instrucciones:
@@ -1364,170 +2176,17 @@ ${includeDatabase ? '- Usar Mongoose para modelos de MongoDB' : '- Usar estructu
   return prompt;
 };
 
-// Función auxiliar para parsear respuesta de análisis de backend
-// Función auxiliar para parsear respuesta de análisis de backend
-const parseBackendAnalysisResponse = (responseText = '') => {
-  try {
-    // 1. Limpiar la respuesta de manera más agresiva
-    let cleanedText = responseText.trim();
-    
-    // Remover texto explicativo al inicio (común en respuestas de Gemini)
-    // Buscar el primer '{' que indica el inicio del JSON
-    const firstBraceIndex = cleanedText.indexOf('{');
-    if (firstBraceIndex > 0) {
-      cleanedText = cleanedText.substring(firstBraceIndex);
-    }
-    
-    // Remover markdown code blocks si existen
-    cleanedText = cleanedText.replace(/```json\s*/g, '').replace(/```\s*/g, '');
-    
-    // Remover caracteres problemáticos comunes
-    cleanedText = cleanedText.replace(/^[^{]*/, ''); // Todo antes del primer '{'
-    cleanedText = cleanedText.replace(/[^}]*$/, '}'); // Todo después del último '}'
-    
-    // Buscar el JSON de manera más robusta
-    let jsonMatch = cleanedText.match(/\{[\s\S]*\}/);
-    
-    if (!jsonMatch) {
-      // Intentar buscar solo el contenido entre llaves más externas
-      const firstBrace = cleanedText.indexOf('{');
-      const lastBrace = cleanedText.lastIndexOf('}');
-      
-      if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
-        jsonMatch = [cleanedText.substring(firstBrace, lastBrace + 1)];
-      } else {
-        throw new Error('No se encontró bloque JSON válido en la respuesta de Gemini');
-      }
-    }
-
-    // 2. Limpiar el JSON extraído más agresivamente
-    let jsonString = jsonMatch[0];
-    
-    // Remover caracteres problemáticos al inicio
-    jsonString = jsonString.replace(/^[^{]*/, '');
-    
-    // Limpiar caracteres especiales que pueden causar problemas
-    jsonString = jsonString.replace(/[\u0000-\u001F\u007F-\u009F]/g, ''); // Caracteres de control
-    jsonString = jsonString.replace(/\\n/g, '\\n'); // Asegurar escape correcto de newlines
-    jsonString = jsonString.replace(/\\r/g, '\\r'); // Asegurar escape correcto de returns
-    
-    // Asegurar que termine correctamente
-    if (!jsonString.endsWith('}')) {
-      const lastBraceIndex = jsonString.lastIndexOf('}');
-      if (lastBraceIndex !== -1) {
-        jsonString = jsonString.substring(0, lastBraceIndex + 1);
-      }
-    }
-
-    // 3. Parsear con JSON5 (mucho más tolerante que JSON.parse)
-    const rawObject = JSON5.parse(jsonString);
-
-    // 4. Validar con Zod
-    const schema = z.object({
-      models:      z.array(z.any()).optional(),
-      controllers: z.array(z.any()).optional(),
-      routes:      z.array(z.any()).optional(),
-      services:    z.array(z.any()).optional(),
-      middleware:  z.array(z.any()).optional(),
-      config:      z.array(z.any()).optional(),
-      utils:       z.array(z.any()).optional(),
-      tests:       z.array(z.any()).optional()
-    });
-
-    const result = schema.safeParse(rawObject);
-    if (!result.success) {
-      throw new Error(`Estructura inesperada: ${result.error}`);
-    }
-
-    // 5. Normalizar (garantizar todas las claves)
-    const get = (k) => result.data[k] ?? [];
-    return {
-      models:      get('models'),
-      controllers: get('controllers'),
-      routes:      get('routes'),
-      services:    get('services'),
-      middleware:  get('middleware'),
-      config:      get('config'),
-      utils:       get('utils'),
-      tests:       get('tests')
-    };
-
-  } catch (err) {
-    console.error('❌ Error parseando respuesta Gemini:', err.message);
-    console.error('📝 Respuesta problemática (primeros 500 chars):', responseText.substring(0, 500));
-    console.error('📝 Respuesta problemática (últimos 500 chars):', responseText.substring(Math.max(0, responseText.length - 500)));
-
-    // 6. Intentar extracción parcial como fallback
-    const partialData = extractPartialData(responseText);
-    if (partialData) {
-      console.log('✅ Extracción parcial exitosa');
-      return partialData;
-    }
-
-    // 7. Fallback seguro: devolver estructura vacía
-    console.warn('⚠️ Usando estructura vacía como último recurso');
-    return {
-      models: [], controllers: [], routes: [], services: [],
-      middleware: [], config: [], utils: [], tests: []
-    };
+// Parsea y valida una respuesta de análisis de backend; si no cumple el schema se quedan solo los archivos válidos
+const parseBackendAnalysisResponse = (responseText = '', step = 'backendAnalysis') => {
+  const result = validateStructuredOutput(responseText, step);
+  if (!result.success) {
+    console.error('❌ Respuesta de análisis inválida:', result.errors.slice(0, 5).join('; '));
   }
+  return salvageStructuredOutput(result.success ? result.data : result.value, step);
 };
 
-const extractPartialData = (responseText) => {
-  const result = {
-    models: [],
-    controllers: [],
-    routes: [],
-    services: [],
-    middleware: [],
-    config: [],
-    utils: [],
-    tests: []
-  };
-  
-  try {
-    // Primero intentar encontrar el JSON completo ignorando texto explicativo
-    const jsonStart = responseText.indexOf('{');
-    const jsonEnd = responseText.lastIndexOf('}');
-    
-    if (jsonStart !== -1 && jsonEnd !== -1 && jsonEnd > jsonStart) {
-      const jsonSection = responseText.substring(jsonStart, jsonEnd + 1);
-      
-      // Buscar patrones específicos en el texto JSON
-      const patterns = {
-        models: /"models"\s*:\s*\[([\s\S]*?)\](?=\s*,\s*"\w+"|\s*\})/,
-        controllers: /"controllers"\s*:\s*\[([\s\S]*?)\](?=\s*,\s*"\w+"|\s*\})/,
-        routes: /"routes"\s*:\s*\[([\s\S]*?)\](?=\s*,\s*"\w+"|\s*\})/,
-        services: /"services"\s*:\s*\[([\s\S]*?)\](?=\s*,\s*"\w+"|\s*\})/,
-        middleware: /"middleware"\s*:\s*\[([\s\S]*?)\](?=\s*,\s*"\w+"|\s*\})/,
-        config: /"config"\s*:\s*\[([\s\S]*?)\](?=\s*,\s*"\w+"|\s*\})/,
-        utils: /"utils"\s*:\s*\[([\s\S]*?)\](?=\s*,\s*"\w+"|\s*\})/,
-        tests: /"tests"\s*:\s*\[([\s\S]*?)\](?=\s*,\s*"\w+"|\s*\})/
-      };
-      
-      for (const [key, pattern] of Object.entries(patterns)) {
-        const match = jsonSection.match(pattern);
-        if (match) {
-          try {
-            const arrayContent = `[${match[1]}]`;
-            result[key] = JSON5.parse(arrayContent);
-            console.log(`✅ Extraído ${key}: ${result[key].length} elementos`);
-          } catch (e) {
-            console.log(`⚠️ No se pudo parsear ${key} parcialmente:`, e.message);
-          }
-        }
-      }
-    }
-  } catch (error) {
-    console.error('❌ Error en extracción parcial:', error.message);
-  }
-  
-  // Verificar si se extrajo algo útil
-  const hasData = Object.values(result).some(arr => arr.length > 0);
-  return hasData ? result : null;
-};
 // Función para fusionar archivos duplicados del mismo tipo
-const mergeAndDeduplicateFiles = async (outputPath, generatedFiles) => {
+const mergeAndDeduplicateFiles = async (outputPath, generatedFiles, language = 'javascript', framework = 'express') => {
   console.log('🔄 Iniciando fusión de archivos duplicados...');
   
   const fileGroups = {};
@@ -1537,7 +2196,7 @@ const mergeAndDeduplicateFiles = async (outputPath, generatedFiles) => {
   // Agrupar archivos por tipo y nombre base
   generatedFiles.forEach(file => {
     if (['controller', 'route', 'service'].includes(file.type)) {
-      const baseName = file.fileName.replace(/\.(controller|route|service)\.js$/i, '').toLowerCase();
+      const baseName = file.fileName.replace(/\.(controller|route|service)\.[jt]s$/i, '').toLowerCase();
       const key = `${file.type}_${baseName}`;
       
       if (!fileGroups[key]) {
@@ -1553,10 +2212,10 @@ const mergeAndDeduplicateFiles = async (outputPath, generatedFiles) => {
       console.log(`🔀 Fusionando ${files.length} archivos del grupo: ${groupKey}`);
       
       const [type, baseName] = groupKey.split('_');
-      const mergedContent = await mergeFileContents(files, type);
+      const mergedContent = await mergeFileContents(files, type, language, framework);
       
       // Determinar el nombre del archivo fusionado
-      const mergedFileName = `${baseName}.${type}.js`;
+      const mergedFileName = `${baseName}.${type}${getSourceExtension(language)}`;
       const mergedFilePath = path.join(outputPath, `${type}s`, mergedFileName);
       
       // Escribir archivo fusionado
@@ -1603,28 +2262,32 @@ const mergeAndDeduplicateFiles = async (outputPath, generatedFiles) => {
 };
 
 // Función para fusionar el contenido de archivos del mismo tipo
-const mergeFileContents = async (files, type) => {
+const mergeFileContents = async (files, type, language = 'javascript', framework = 'express') => {
   let mergedContent = '';
   const imports = new Set();
   const exports = new Set();
   let mainContent = '';
+  const isTypeScript = language === 'typescript';
+  // En TypeScript los exports con nombre (export const ...) se conservan en el contenido; solo se separa el export default
+  const importPattern = isTypeScript ? /^import .+;$/gm : /^const .+ = require\(.+\);$/gm;
+  const exportPattern = isTypeScript ? /^export default .+$/gm : /^module\.exports = .+$/gm;
   
   for (const file of files) {
     try {
       const content = await fs.readFile(file.path, 'utf8');
       
       // Extraer imports
-      const importMatches = content.match(/^const .+ = require\(.+\);$/gm) || [];
+      const importMatches = content.match(importPattern) || [];
       importMatches.forEach(imp => imports.add(imp));
       
       // Extraer exports
-      const exportMatches = content.match(/^module\.exports = .+$/gm) || [];
+      const exportMatches = content.match(exportPattern) || [];
       exportMatches.forEach(exp => exports.add(exp));
       
       // Extraer contenido principal (sin imports y exports)
       let cleanContent = content
-        .replace(/^const .+ = require\(.+\);$/gm, '')
-        .replace(/^module\.exports = .+$/gm, '')
+        .replace(importPattern, '')
+        .replace(exportPattern, '')
         .replace(/^\s*$/gm, '')
         .trim();
       
@@ -1640,9 +2303,14 @@ const mergeFileContents = async (files, type) => {
   mergedContent = Array.from(imports).join('\n');
   mergedContent += mainContent;
   
-  // Fusionar exports (para rutas, usar router; para controladores, usar objeto)
-  if (type === 'route') {
-    mergedContent += '\n\nmodule.exports = router;';
+  // Fusionar exports (para rutas, usar router o un plugin de Fastify; para controladores, usar objeto)
+  if (type === 'route' && framework === 'fastify') {
+    mergedContent += '\n\n' + createMergedFastifyPlugin(Array.from(exports), isTypeScript);
+  } else if (type === 'route') {
+    mergedContent += isTypeScript ? '\n\nexport default router;' : '\n\nmodule.exports = router;';
+  } else if (isTypeScript) {
+    // Un módulo solo admite un export default: se usa el del primer archivo
+    if (exports.size > 0) mergedContent += '\n\n' + Array.from(exports)[0];
   } else if (type === 'controller') {
     mergedContent += '\n\nmodule.exports = { ' + 
       files.map(f => f.name.replace('Controller', '')).join(', ') + 
@@ -1654,8 +2322,21 @@ const mergeFileContents = async (files, type) => {
   return mergedContent;
 };
 
+// Función auxiliar para combinar en un solo plugin los plugins de rutas de Fastify de varios archivos
+const createMergedFastifyPlugin = (exportLines, isTypeScript) => {
+  const plugins = exportLines
+    .map(line => (line.match(/^(?:module\.exports =|export default) (\w+);?\s*$/) || [])[1])
+    .filter(Boolean);
+  if (plugins.length === 0) return exportLines[0] || '';
+
+  const calls = plugins.map(plugin => `  await ${plugin}(fastify, options);`).join('\n');
+  return isTypeScript
+    ? `export default async function mergedRoutes(...[fastify, options]: Parameters<typeof ${plugins[0]}>) {\n${calls}\n}`
+    : `module.exports = async function mergedRoutes(fastify, options) {\n${calls}\n};`;
+};
+
 // Función auxiliar para generar archivos del backend
-const generateBackendFiles = async (backendStructure, outputPath, framework, includeDatabase, geminiClient) => {
+const generateBackendFiles = async (backendStructure, outputPath, framework, includeDatabase, llmProvider) => {
   const generatedFiles = [];
   
   try {
@@ -1747,7 +2428,7 @@ const generateBackendFiles = async (backendStructure, outputPath, framework, inc
     });
     
     // Generar server.js principal
-    const serverContent = await generateMainServer(framework, includeDatabase, geminiClient);
+    const serverContent = await generateMainServer(framework, includeDatabase, llmProvider);
     const serverPath = path.join(fullOutputPath, 'server.js');
     await fs.writeFile(serverPath, serverContent, 'utf8');
     generatedFiles.push({
@@ -1779,8 +2460,89 @@ const generateBackendFiles = async (backendStructure, outputPath, framework, inc
   }
 };
 
+// Función auxiliar para generar los archivos principales del proyecto (package.json, server.js/ts, tsconfig.json, README.md)
+const generateMainProjectFiles = async (outputPath, framework, includeDatabase, llmProvider, language = 'javascript', database = 'mongodb') => {
+  const fullOutputPath = path.resolve(outputPath);
+  await fs.ensureDir(fullOutputPath);
+  const isTypeScript = language === 'typescript';
+  const ext = getSourceExtension(language);
+
+  const mainFiles = [
+    {
+      name: 'PackageJson',
+      fileName: 'package.json',
+      type: 'config',
+      content: await generateAdvancedPackageJson(framework, includeDatabase, language, database),
+      description: 'Configuración de dependencias del proyecto'
+    },
+    {
+      name: 'MainServer',
+      fileName: `server${ext}`,
+      type: 'config',
+      content: await generateServerForTarget(framework, includeDatabase, llmProvider, language, database),
+      description: 'Archivo principal del servidor'
+    }
+  ];
+
+  if (isTypeScript) {
+    mainFiles.push({
+      name: 'TsConfig',
+      fileName: 'tsconfig.json',
+      type: 'config',
+      content: generateTsConfig(),
+      description: 'Configuración del compilador de TypeScript'
+    });
+  }
+
+  if (includeDatabase && SQL_DATABASES.includes(database)) {
+    mainFiles.push({
+      name: 'Knexfile',
+      fileName: `knexfile${ext}`,
+      type: 'config',
+      content: generateKnexfile(database, language),
+      description: 'Conexiones de knex por entorno y directorio de migraciones'
+    }, {
+      name: 'Database',
+      fileName: `database${ext}`,
+      directory: 'config',
+      type: 'config',
+      content: generateDatabaseConfig(language),
+      description: 'Instancia compartida de knex'
+    });
+  }
+
+  const createdFiles = [];
+  for (const file of mainFiles) {
+    const filePath = path.join(fullOutputPath, file.directory || '', file.fileName);
+    await fs.ensureDir(path.dirname(filePath));
+    await fs.writeFile(filePath, file.content, 'utf8');
+    console.log(`✅ Archivo principal creado: ${file.fileName}`);
+    createdFiles.push({
+      type: file.type,
+      name: file.name,
+      fileName: file.fileName,
+      path: filePath,
+      description: file.description,
+      source: 'main'
+    });
+  }
+
+  const readmePath = path.join(fullOutputPath, 'README.md');
+  await fs.writeFile(readmePath, generateReadme(framework, includeDatabase, createdFiles, database), 'utf8');
+  createdFiles.push({
+    type: 'documentation',
+    name: 'README',
+    fileName: 'README.md',
+    path: readmePath,
+    description: 'Documentación del proyecto generado',
+    source: 'main'
+  });
+
+  return createdFiles;
+};
+
 // Función auxiliar para generar package.json
-const generatePackageJson = async (framework, includeDatabase, geminiClient) => {
+const generatePackageJson = async (framework, includeDatabase, llmProvider) => {
   const basePackage = {
     "name": "generated-backend",
     "version": "1.0.0",
@@ -1812,7 +2574,7 @@ const generatePackageJson = async (framework, includeDatabase, geminiClient) =>
 };
 
 // Función auxiliar para generar servidor principal
-const generateMainServer = async (framework, includeDatabase, geminiClient) => {
+const generateMainServer = async (framework, includeDatabase, llmProvider, database = 'mongodb') => {
   let serverContent = `const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -1831,7 +2593,13 @@ app.use(express.urlencoded({ extended: true }));
 
 `;
   
-  if (includeDatabase) {
+  if (includeDatabase && SQL_DATABASES.includes(database)) {
+    serverContent += `${generateDatabaseImport(database, 'javascript')}
+${generateSqlConnection(
+  "console.log('✅ Conectado a la base de datos')",
+  "console.error('❌ Error conectando a la base de datos:', err)"
+)}`;
+  } else if (includeDatabase) {
     serverContent += `// Database connection
 const mongoose = require('mongoose');
 
@@ -1885,8 +2653,29 @@ module.exports = app;`;
   return serverContent;
 };
 
+// Función auxiliar para generar el paso de instalación de la base de datos en el README
+const getDatabaseSetupStep = (database) => {
+  if (database === 'postgres') {
+    return '3. Define DATABASE_URL (sin ella se usa SQLite en dev.sqlite3) y aplica las migraciones:\n```bash\nnpm run migrate\n```\n\n';
+  }
+  if (database === 'sqlite') {
+    return '3. Aplica las migraciones (SQLITE_FILENAME permite cambiar el archivo de la base de datos):\n```bash\nnpm run migrate\n```\n\n';
+  }
+  return '3. Asegúrate de tener MongoDB ejecutándose\n\n';
+};
+
+// Función auxiliar para generar la sección de datos de ejemplo en el README
+const getSeedStep = () => `
+### Datos de ejemplo
+Si los archivos API del frontend tenían datos mock, están en \`fixtures/\` (un JSON por modelo) y se cargan con:
+\`\`\`bash
+npm run seed
+\`\`\`
+El seed vacía antes esas colecciones (o tablas), así que la API devuelve los mismos datos que mostraban los mocks.
+`;
+
 // Función auxiliar para generar README
-const generateReadme = (framework, includeDatabase, generatedFiles) => {
+const generateReadme = (framework, includeDatabase, generatedFiles, database = 'mongodb') => {
   let readme = `# Backend Generado Automáticamente
 
 Este backend fue generado automáticamente mediante análisis de archivos API usando IA.
@@ -1894,7 +2683,7 @@ Este backend fue generado automáticamente mediante análisis de archivos API us
 ## Características
 
 - **Framework**: ${framework}
-- **Base de datos**: ${includeDatabase ? 'MongoDB con Mongoose' : 'Sin base de datos'}
+- **Base de datos**: ${includeDatabase ? DATABASE_LABELS[database] : 'Sin base de datos'}
 - **Archivos generados**: ${generatedFiles.length}
 
 ## Estructura del Proyecto
@@ -1923,7 +2712,7 @@ cp .env.example .env
 # Editar .env con tus configuraciones
 \`\`\`
 
-${includeDatabase ? '3. Asegúrate de tener MongoDB ejecutándose\n\n' : ''}## Ejecución
+${includeDatabase ? getDatabaseSetupStep(database) : ''}## Ejecución
 
 ### Desarrollo
 \`\`\`bash
@@ -1934,7 +2723,7 @@ npm run dev
 \`\`\`bash
 npm start
 \`\`\`
-
+${includeDatabase ? getSeedStep() : ''}
 ## Archivos Generados
 
 `;
@@ -1972,7 +2761,78 @@ GET http://localhost:3000/health
   
   return readme;
 };
-const generateAdvancedPackageJson = async (framework, includeDatabase) => {
+// Dependencias propias de cada framework (las comunes están en generateAdvancedPackageJson)
+const FRAMEWORK_DEPENDENCIES = {
+  express: {
+    dependencies: {
+      "express": "^4.18.2",
+      "helmet": "^7.1.0",
+      "cors": "^2.8.5",
+      "express-rate-limit": "^7.1.5",
+      "express-slow-down": "^2.0.1",
+      "zod-express-middleware": "^1.4.0",
+      "celebrate": "^15.0.1",
+      "pino-http": "^8.5.1",
+      "swagger-ui-express": "^5.0.0"
+    },
+    typeDependencies: {
+      "@types/express": "^4.17.21",
+      "@types/cors": "^2.8.17",
+      "@types/swagger-ui-express": "^4.1.6"
+    }
+  },
+  fastify: {
+    dependencies: {
+      "fastify": "^4.26.2",
+      "fastify-plugin": "^4.5.1",
+      "@fastify/cors": "^9.0.1",
+      "@fastify/helmet": "^11.1.1",
+      "@fastify/rate-limit": "^9.1.0",
+      "@fastify/jwt": "^8.0.0",
+      "@fastify/swagger": "^8.14.0",
+      "@fastify/swagger-ui": "^3.0.0"
+    },
+    // Fastify y sus plugins incluyen sus propios tipos
+    typeDependencies: {}
+  },
+  koa: {
+    dependencies: {
+      "koa": "^2.15.3",
+      "@koa/router": "^12.0.1",
+      "@koa/cors": "^5.0.0",
+      "@koa/bodyparser": "^5.1.1",
+      "koa-helmet": "^7.0.2",
+      "koa-ratelimit": "^5.1.0",
+      "koa2-swagger-ui": "^5.10.0"
+    },
+    typeDependencies: {
+      "@types/koa": "^2.15.0",
+      "@types/koa__router": "^12.0.4",
+      "@types/koa__cors": "^5.0.0",
+      "@types/koa-ratelimit": "^5.0.5"
+    }
+  }
+};
+
+// Dependencias de cada base de datos (PostgreSQL usa SQLite en desarrollo sin DATABASE_URL y en los tests)
+const DATABASE_DEPENDENCIES = {
+  mongodb: {
+    dependencies: { "mongoose": "^8.0.3" },
+    devDependencies: { "mongodb-memory-server": "^9.1.3" }
+  },
+  postgres: {
+    dependencies: { "knex": "^3.1.0", "pg": "^8.11.5" },
+    devDependencies: { "better-sqlite3": "^11.0.0" }
+  },
+  sqlite: {
+    dependencies: { "knex": "^3.1.0", "better-sqlite3": "^11.0.0" },
+    devDependencies: {}
+  }
+};
+
+const generateAdvancedPackageJson = async (framework, includeDatabase, language = 'javascript', database = 'mongodb') => {
+    const target = FRAMEWORK_DEPENDENCIES[framework] || FRAMEWORK_DEPENDENCIES.express;
+    const isSql = includeDatabase && SQL_DATABASES.includes(database);
     const packageJson = {
       "name": "generated-backend",
       "version": "1.0.0",
@@ -1993,22 +2853,14 @@ const generateAdvancedPackageJson = async (framework, includeDatabase) => {
         "docs:generate": "swagger-jsdoc -d swaggerDef.js -o swagger.yaml"
       },
       "dependencies": {
-        "express": "^4.18.2",
-        "helmet": "^7.1.0",
-        "cors": "^2.8.5",
-        "express-rate-limit": "^7.1.5",
-        "express-slow-down": "^2.0.1",
+        ...target.dependencies,
         "zod": "^3.22.4",
-        "zod-express-middleware": "^1.4.0",
-        "celebrate": "^15.0.1",
         "jsonwebtoken": "^9.0.2",
         "bcryptjs": "^2.4.3",
         "dotenv": "^16.3.1",
         "pino": "^8.16.2",
-        "pino-http": "^8.5.1",
         "prom-client": "^15.0.0",
-        "swagger-jsdoc": "^6.2.8",
-        "swagger-ui-express": "^5.0.0"
+        "swagger-jsdoc": "^6.2.8"
       },
       "devDependencies": {
         "nodemon": "^3.0.2",
@@ -2022,11 +2874,465 @@ const generateAdvancedPackageJson = async (framework, includeDatabase) => {
     };
   
     if (includeDatabase) {
-      packageJson.dependencies.mongoose = "^8.0.3";
+      const databaseTarget = DATABASE_DEPENDENCIES[database];
+      Object.assign(packageJson.dependencies, databaseTarget.dependencies);
+      if (database !== 'mongodb') delete packageJson.devDependencies['mongodb-memory-server'];
+      Object.assign(packageJson.devDependencies, databaseTarget.devDependencies);
+    }
+
+    if (isSql) {
+      Object.assign(packageJson.scripts, {
+        "migrate": "knex migrate:latest",
+        "migrate:rollback": "knex migrate:rollback",
+        "migrate:make": "knex migrate:make"
+      });
+    }
+
+    // En TypeScript se compila a dist/ con tsc y se desarrolla con tsx
+    if (language === 'typescript') {
+      packageJson.main = "dist/server.js";
+      Object.assign(packageJson.scripts, {
+        "build": "tsc",
+        "start": "node dist/server.js",
+        "dev": "tsx watch server.ts",
+        "typecheck": "tsc --noEmit",
+        "seed": "tsx seed.ts"
+      });
+      delete packageJson.devDependencies.nodemon;
+      Object.assign(packageJson.devDependencies, {
+        "typescript": "^5.4.5",
+        "tsx": "^4.7.2",
+        "ts-jest": "^29.1.2",
+        "@types/node": "^20.12.7",
+        ...target.typeDependencies,
+        "@types/jsonwebtoken": "^9.0.6",
+        "@types/bcryptjs": "^2.4.6",
+        "@types/supertest": "^6.0.2",
+        "@types/swagger-jsdoc": "^6.0.4"
+      });
+      packageJson.jest = { "preset": "ts-jest", "testEnvironment": "node" };
+
+      // El CLI de knex necesita ts-node para cargar knexfile.ts y las migraciones .ts
+      if (isSql) {
+        Object.assign(packageJson.scripts, {
+          "migrate": "knex --knexfile knexfile.ts migrate:latest",
+          "migrate:rollback": "knex --knexfile knexfile.ts migrate:rollback",
+          "migrate:make": "knex --knexfile knexfile.ts migrate:make -x ts"
+        });
+        packageJson.devDependencies["ts-node"] = "^10.9.2";
+      }
     }
   
     return JSON.stringify(packageJson, null, 2);
   };
+
+// Función auxiliar para generar el tsconfig.json del backend en TypeScript
+const generateTsConfig = () => JSON.stringify({
+  "compilerOptions": {
+    "target": "ES2022",
+    "module": "commonjs",
+    "moduleResolution": "node",
+    "outDir": "dist",
+    "rootDir": ".",
+    "strict": true,
+    "esModuleInterop": true,
+    "skipLibCheck": true,
+    "resolveJsonModule": true,
+    "forceConsistentCasingInFileNames": true,
+    "types": ["node"]
+  },
+  "include": ["**/*.ts"],
+  "exclude": ["node_modules", "dist", "__tests__", "**/*.test.ts"]
+}, null, 2);
+
+// Función auxiliar para generar el knexfile con un entorno por NODE_ENV. Los tests usan siempre
+// SQLite en memoria y PostgreSQL cae a un archivo SQLite en desarrollo si no hay DATABASE_URL.
+const generateKnexfile = (database, language = 'javascript') => {
+  const isTypeScript = language === 'typescript';
+  const environments = database === 'postgres'
+    ? `  development: process.env.DATABASE_URL ? postgres : sqlite(path.join(__dirname, 'dev.sqlite3')),
+  test: sqlite(':memory:'),
+  production: postgres`
+    : `  development: sqlite(process.env.SQLITE_FILENAME || path.join(__dirname, 'dev.sqlite3')),
+  test: sqlite(':memory:'),
+  production: sqlite(process.env.SQLITE_FILENAME || path.join(__dirname, 'data.sqlite3'))`;
+  const postgres = database === 'postgres' ? `
+const postgres${isTypeScript ? ': Knex.Config' : ''} = {
+  client: 'pg',
+  connection: process.env.DATABASE_URL,
+  pool: { min: 2, max: 10 },
+  migrations
+};
+` : '';
+
+  return `${isTypeScript
+    ? `import path from 'path';
+import dotenv from 'dotenv';
+import type { Knex } from 'knex';
+
+dotenv.config();`
+    : `const path = require('path');
+require('dotenv').config();`}
+
+const migrations = { directory: path.join(__dirname, 'migrations') };
+
+// SQLite con una sola conexión (necesario para :memory:) y claves foráneas activadas
+const sqlite = (filename${isTypeScript ? ': string' : ''})${isTypeScript ? ': Knex.Config' : ''} => ({
+  client: 'better-sqlite3',
+  connection: { filename },
+  useNullAsDefault: true,
+  pool: {
+    min: 1,
+    max: 1,
+    afterCreate: (conn${isTypeScript ? ': { pragma: (source: string) => unknown }' : ''}, done${isTypeScript ? ': (err: Error | null, conn: unknown) => void' : ''}) => {
+      conn.pragma('foreign_keys = ON');
+      done(null, conn);
+    }
+  },
+  migrations
+});
+${postgres}
+${isTypeScript ? 'const config: Record<string, Knex.Config> = {' : 'module.exports = {'}
+${environments}
+};
+${isTypeScript ? '\nexport default config;\n' : ''}`;
+};
+
+// Función auxiliar para generar config/database con la instancia compartida de knex
+const generateDatabaseConfig = (language = 'javascript') => language === 'typescript'
+  ? `import knex, { Knex } from 'knex';
+import knexConfig from '../knexfile';
+
+const environment = process.env.NODE_ENV || 'development';
+
+// Instancia compartida de knex que usan los modelos y las migraciones
+const db: Knex = knex(knexConfig[environment] || knexConfig.development);
+
+export default db;
+`
+  : `const knex = require('knex');
+const knexConfig = require('../knexfile');
+
+const environment = process.env.NODE_ENV || 'development';
+
+// Instancia compartida de knex que usan los modelos y las migraciones
+const db = knex(knexConfig[environment] || knexConfig.development);
+
+module.exports = db;
+`;
+
+// Función auxiliar para generar server.ts (equivalente tipado de generateMainServer)
+const generateTypeScriptServer = (includeDatabase, database = 'mongodb') => {
+  let serverContent = `import express, { Request, Response, NextFunction } from 'express';
+import cors from 'cors';
+import helmet from 'helmet';
+import morgan from 'morgan';
+import dotenv from 'dotenv';
+${includeDatabase ? generateDatabaseImport(database, 'typescript') : ''}
+dotenv.config();
+
+const app = express();
+const PORT = Number(process.env.PORT) || 3000;
+
+// Middleware
+app.use(helmet());
+app.use(cors());
+app.use(morgan('combined'));
+app.use(express.json({ limit: '10mb' }));
+app.use(express.urlencoded({ extended: true }));
+
+`;
+
+  if (includeDatabase && SQL_DATABASES.includes(database)) {
+    serverContent += generateSqlConnection(
+      "console.log('✅ Conectado a la base de datos')",
+      "console.error('❌ Error conectando a la base de datos:', err)"
+    );
+  } else if (includeDatabase) {
+    serverContent += `// Database connection
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/generated-backend')
+  .then(() => console.log('✅ Conectado a MongoDB'))
+  .catch((err: Error) => console.error('❌ Error conectando a MongoDB:', err));
+
+`;
+  }
+
+  serverContent += `// Routes
+// TODO: Importar y usar las rutas generadas
+// app.use('/api', routes);
+
+// Health check
+app.get('/health', (req: Request, res: Response) => {
+  res.json({
+    status: 'OK',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime()
+  });
+});
+
+// Error handling middleware
+app.use((err: Error, req: Request, res: Response, next: NextFunction) => {
+  console.error(err.stack);
+  res.status(500).json({
+    error: 'Error interno del servidor',
+    message: process.env.NODE_ENV === 'development' ? err.message : 'Algo salió mal'
+  });
+});
+
+// 404 handler
+app.use('*', (req: Request, res: Response) => {
+  res.status(404).json({
+    error: 'Ruta no encontrada',
+    message: \`La ruta \${req.originalUrl} no existe\`
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(\`🚀 Servidor ejecutándose en puerto \${PORT}\`);
+  console.log(\`📍 Health check: http://localhost:\${PORT}/health\`);
+});
+
+export default app;
+`;
+
+  return serverContent;
+};
+
+// Función auxiliar para generar el import de la conexión a la base de datos del servidor principal
+const generateDatabaseImport = (database, language) => {
+  const isTypeScript = language === 'typescript';
+  if (SQL_DATABASES.includes(database)) {
+    return isTypeScript ? "import db from './config/database';\n" : "const db = require('./config/database');\n";
+  }
+  return isTypeScript ? "import mongoose from 'mongoose';\n" : "const mongoose = require('mongoose');\n";
+};
+
+// Función auxiliar para generar la comprobación de la conexión SQL al arrancar
+// (con SQLite, en desarrollo y tests, también aplica las migraciones pendientes)
+const generateSqlConnection = (onReady, onError) => `// Database connection
+(db.client.config.client === 'better-sqlite3' ? db.migrate.latest() : db.raw('select 1'))
+  .then(() => ${onReady})
+  .catch((err) => ${onError});
+
+`;
+
+// Función auxiliar para generar el bloque que registra los archivos de routes/ al arrancar
+// (así el servidor sigue siendo válido tras una regeneración incremental que añada rutas)
+const generateRouteDiscovery = (registerStatement) => `const routesDir = path.join(__dirname, 'routes');
+if (fs.existsSync(routesDir)) {
+  for (const file of fs.readdirSync(routesDir)) {
+    if (!/\\.(js|ts)$/.test(file) || file.endsWith('.d.ts')) continue;
+    const exported = require(path.join(routesDir, file));
+    const name = path.basename(file, path.extname(file)).replace(/[._-]?routes?$/i, '').toLowerCase();
+    ${registerStatement}
+  }
+}`;
+
+// Función auxiliar para generar el servidor principal de Fastify (plugins, rutas con prefijo y setErrorHandler)
+const generateFastifyServer = (includeDatabase, language = 'javascript', database = 'mongodb') => {
+  const isTypeScript = language === 'typescript';
+  const imports = isTypeScript
+    ? `import path from 'path';
+import fs from 'fs';
+import Fastify from 'fastify';
+import helmet from '@fastify/helmet';
+import cors from '@fastify/cors';
+import rateLimit from '@fastify/rate-limit';
+import dotenv from 'dotenv';
+${includeDatabase ? generateDatabaseImport(database, language) : ''}
+dotenv.config();`
+    : `const path = require('path');
+const fs = require('fs');
+const Fastify = require('fastify');
+const helmet = require('@fastify/helmet');
+const cors = require('@fastify/cors');
+const rateLimit = require('@fastify/rate-limit');
+${includeDatabase ? generateDatabaseImport(database, language) : ''}require('dotenv').config();`;
+
+  let serverContent = `${imports}
+
+const app = Fastify({ logger: process.env.NODE_ENV !== 'test' });
+const PORT = Number(process.env.PORT) || 3000;
+
+// Plugins de seguridad
+app.register(helmet);
+app.register(cors);
+app.register(rateLimit, {
+  max: Number(process.env.RATE_LIMIT_MAX) || 100,
+  timeWindow: '15 minutes',
+  allowList: (request) => request.url === '/health'
+});
+
+`;
+
+  if (includeDatabase && SQL_DATABASES.includes(database)) {
+    serverContent += generateSqlConnection(
+      "app.log.info('✅ Conectado a la base de datos')",
+      "app.log.error(err, '❌ Error conectando a la base de datos')"
+    );
+  } else if (includeDatabase) {
+    serverContent += `// Database connection
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/generated-backend')
+  .then(() => app.log.info('✅ Conectado a MongoDB'))
+  .catch((err) => app.log.error(err, '❌ Error conectando a MongoDB'));
+
+`;
+  }
+
+  serverContent += `// Routes: cada archivo de routes/ es un plugin que se registra bajo /api/v1/<nombre>
+${generateRouteDiscovery("app.register(exported.default || exported, { prefix: name && name !== 'index' ? `/api/v1/${name}` : '/api/v1' });")}
+
+// Health check
+app.get('/health', async () => ({
+  status: 'OK',
+  timestamp: new Date().toISOString(),
+  uptime: process.uptime()
+}));
+
+// Error handling (incluye los errores de validación de los schemas de las rutas)
+app.setErrorHandler((error, request, reply) => {
+  const statusCode = error.statusCode && error.statusCode >= 400 ? error.statusCode : 500;
+  if (statusCode >= 500) request.log.error(error);
+  reply.status(statusCode).send({
+    error: statusCode >= 500 ? 'Error interno del servidor' : 'Solicitud inválida',
+    message: statusCode < 500 || process.env.NODE_ENV === 'development' ? error.message : 'Algo salió mal',
+    ...(error.validation ? { details: error.validation } : {})
+  });
+});
+
+// 404 handler
+app.setNotFoundHandler((request, reply) => {
+  reply.status(404).send({
+    error: 'Ruta no encontrada',
+    message: \`La ruta \${request.url} no existe\`
+  });
+});
+
+app.listen({ port: PORT, host: '0.0.0.0' })
+  .then(() => app.log.info(\`🚀 Servidor ejecutándose en puerto \${PORT}\`))
+  .catch((err) => {
+    app.log.error(err);
+    process.exit(1);
+  });
+
+${isTypeScript ? 'export default app;' : 'module.exports = app;'}
+`;
+
+  return serverContent;
+};
+
+// Función auxiliar para generar el servidor principal de Koa (middleware de errores, koa-router y 404)
+const generateKoaServer = (includeDatabase, language = 'javascript', database = 'mongodb') => {
+  const isTypeScript = language === 'typescript';
+  const imports = isTypeScript
+    ? `import path from 'path';
+import fs from 'fs';
+import Koa from 'koa';
+import Router from '@koa/router';
+import cors from '@koa/cors';
+import helmet from 'koa-helmet';
+import { bodyParser } from '@koa/bodyparser';
+import dotenv from 'dotenv';
+${includeDatabase ? generateDatabaseImport(database, language) : ''}
+dotenv.config();`
+    : `const path = require('path');
+const fs = require('fs');
+const Koa = require('koa');
+const Router = require('@koa/router');
+const cors = require('@koa/cors');
+const helmet = require('koa-helmet');
+const { bodyParser } = require('@koa/bodyparser');
+${includeDatabase ? generateDatabaseImport(database, language) : ''}require('dotenv').config();`;
+
+  let serverContent = `${imports}
+
+const app = new Koa();
+const PORT = Number(process.env.PORT) || 3000;
+
+// Error handling: debe ser el primer middleware para capturar los errores de todos los demás
+app.use(async (ctx, next) => {
+  try {
+    await next();
+  } catch (err${isTypeScript ? ': any' : ''}) {
+    const status = err.status || err.statusCode || 500;
+    ctx.status = status;
+    ctx.body = {
+      error: status >= 500 ? 'Error interno del servidor' : 'Solicitud inválida',
+      message: status < 500 || process.env.NODE_ENV === 'development' ? err.message : 'Algo salió mal'
+    };
+    if (status >= 500) ctx.app.emit('error', err, ctx);
+  }
+});
+app.on('error', (err) => console.error(err.stack));
+
+// Middleware
+app.use(helmet());
+app.use(cors());
+app.use(bodyParser());
+
+`;
+
+  if (includeDatabase && SQL_DATABASES.includes(database)) {
+    serverContent += generateSqlConnection(
+      "console.log('✅ Conectado a la base de datos')",
+      "console.error('❌ Error conectando a la base de datos:', err)"
+    );
+  } else if (includeDatabase) {
+    serverContent += `// Database connection
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/generated-backend')
+  .then(() => console.log('✅ Conectado a MongoDB'))
+  .catch((err) => console.error('❌ Error conectando a MongoDB:', err));
+
+`;
+  }
+
+  serverContent += `// Health check
+const healthRouter = new Router();
+healthRouter.get('/health', (ctx) => {
+  ctx.body = {
+    status: 'OK',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime()
+  };
+});
+app.use(healthRouter.routes());
+
+// Routes: cada archivo de routes/ exporta un router de @koa/router con su propio prefijo
+${generateRouteDiscovery(`const router = exported.default || exported;
+    if (!router || typeof router.routes !== 'function') {
+      console.warn(\`⚠️ \${file} no exporta un router de @koa/router (\${name})\`);
+      continue;
+    }
+    app.use(router.routes()).use(router.allowedMethods());`)}
+
+// 404 handler
+app.use((ctx) => {
+  ctx.status = 404;
+  ctx.body = {
+    error: 'Ruta no encontrada',
+    message: \`La ruta \${ctx.originalUrl} no existe\`
+  };
+});
+
+app.listen(PORT, () => {
+  console.log(\`🚀 Servidor ejecutándose en puerto \${PORT}\`);
+  console.log(\`📍 Health check: http://localhost:\${PORT}/health\`);
+});
+
+${isTypeScript ? 'export default app;' : 'module.exports = app;'}
+`;
+
+  return serverContent;
+};
+
+// Función auxiliar para elegir el servidor principal según el framework y el lenguaje
+const generateServerForTarget = async (framework, includeDatabase, llmProvider, language = 'javascript', database = 'mongodb') => {
+  if (framework === 'fastify') return generateFastifyServer(includeDatabase, language, database);
+  if (framework === 'koa') return generateKoaServer(includeDatabase, language, database);
+  return language === 'typescript'
+    ? generateTypeScriptServer(includeDatabase, database)
+    : generateMainServer(framework, includeDatabase, llmProvider, database);
+};
   
   // Función para generar server.js avanzado con todas las medidas de seguridad
   const generateAdvancedServer = async (framework, includeDatabase) => {
@@ -3185,6 +4491,9 @@ const generateAdvancedPackageJson = async (framework, includeDatabase) => {
 
   module.exports = {
     generateBackendFromAPI,
+    SUPPORTED_LANGUAGES,
+    SUPPORTED_FRAMEWORKS,
+    SUPPORTED_DATABASES,
     findAPIDirectory,
     getAPIFiles,
     createTargetedBackendAnalysisPrompt,
@@ -3197,7 +4506,7 @@ const generateAdvancedPackageJson = async (framework, includeDatabase) => {
     generateSwaggerDocumentation,
     generateAdvancedReadme,
     generateEnvExample,
-    retryGeminiCall,
+    retryLLMCall,
     mergeAndDeduplicateFiles,
     mergeFileContents
   };
\ No newline at end of file
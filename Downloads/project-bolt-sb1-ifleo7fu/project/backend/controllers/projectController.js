@@ -1,73 +1,73 @@
 const { validationResult } = require('express-validator');
 const { v4: uuidv4 } = require('uuid');
 const Project = require('../models/Project');
-const simpleGit = require('simple-git');
-const { GoogleGenAI } = require('@google/genai');
+const User = require('../models/User');
+const Revision = require('../models/Revision');
+const { getProjectLLMProvider, LLM_MODES } = require('../utils/llmProvider');
+const { verifyGeneratedBackend, summarizeVerification } = require('../utils/backendVerifier');
+const {
+  hashPageSource,
+  toPageRoute,
+  findSyncedPage,
+  mergeSyncedUserStories,
+  markRemovedPages,
+  placeholderDescription,
+  canRegenerateDescription,
+  describePageChange
+} = require('../utils/projectSync');
+const { discoverPages, createImportResolver, getImportedComponents } = require('../utils/pageDiscovery');
+const { encryptSecret, serializeRepository } = require('../utils/repositoryAccess');
+const { acquireWorkspace } = require('../utils/workspaceManager');
+const { resolveGenerationOutputPath } = require('../utils/generationHistory');
+const { toAcceptanceCriteria, generateCiToken, hashCiToken, applyCiResults } = require('../utils/acceptanceCriteria');
+const { ingestJestReport, getTestCoverage } = require('../utils/testTraceability');
+const {
+  INVITATION_TTL_MS,
+  sameId,
+  getProjectRole,
+  accessibleProjectsFilter,
+  normalizeEmail,
+  isInvitationPending
+} = require('../utils/projectAccess');
+const { recordActivity, getProjectActivity } = require('../utils/activityFeed');
+const { captureProjectState, recordRevisions, listRevisions, getCurrentSnapshot, restoreRevision } = require('../utils/revisionHistory');
+const { exportUserStories: exportStoriesToFormat, parseUserStories, importUserStories: importStoriesIntoProject } = require('../utils/storyExchange');
+const { chunkApiSource, mergeChunkAnalyses } = require('../utils/apiChunker');
+const { generateStructured, createUserStoriesSchema, createRepairStats } = require('../utils/structuredOutput');
 const fs = require('fs-extra');
 const path = require('path');
 
-// Helper function to write Gemini responses to files
-const writeGeminiResponseToFile = async (responseText, fileName, projectId) => {
-  try {
-    const responseDir = path.join(__dirname, '..', 'gemini-responses');
-    await fs.ensureDir(responseDir);
-    
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const fullFileName = `${projectId}_${fileName}_${timestamp}.txt`;
-    const filePath = path.join(responseDir, fullFileName);
-    
-    await fs.writeFile(filePath, responseText, 'utf8');
-    console.log(`📝 Respuesta de Gemini guardada en: ${filePath}`);
-    
-    return filePath;
-  } catch (error) {
-    console.error('❌ Error al escribir respuesta de Gemini:', error);
+// Helper function to get the project's LLM provider, answering with an error if it is not configured.
+// llmMode (live, record o replay) viene del cuerpo de la petición, como en la generación avanzada
+const getConfiguredLLMProvider = (project, res, llmMode) => {
+  if (llmMode !== undefined && !LLM_MODES.includes(llmMode)) {
+    res.status(400).json({
+      error: 'Modo de IA no válido',
+      message: `El modo de IA debe ser: ${LLM_MODES.join(', ')}`
+    });
+    return null;
+  }
+  const llm = getProjectLLMProvider(project, { mode: llmMode });
+  if (!llm.isConfigured()) {
+    console.log(`❌ Proveedor de IA ${llm.name} no configurado`);
+    res.status(500).json({
+      error: 'Configuración faltante',
+      message: `El proveedor de IA "${llm.name}" no está configurado (falta ${llm.missingConfiguration})`
+    });
+    return null;
   }
+  return llm;
 };
 
-// Helper function to cleanup temp directory with retry logic for Windows
-const cleanupTempDir = async (tempDir, maxRetries = 15, delay = 2500) => {
-  for (let i = 0; i < maxRetries; i++) {
-    const attempt = i + 1;
-    try {
-      const exists = await fs.pathExists(tempDir);
-      if (!exists) {
-        console.log(`[Cleanup] Directorio temporal ${tempDir} ya no existe.`);
-        return;
-      }
-      
-      console.log(`[Cleanup] Intento ${attempt}/${maxRetries}: Eliminando ${tempDir}...`);
-      await fs.remove(tempDir);
-      
-      const stillExistsAfterRemove = await fs.pathExists(tempDir);
-      if (!stillExistsAfterRemove) {
-        console.log(`[Cleanup] ✅ Directorio temporal ${tempDir} eliminado correctamente en intento ${attempt}.`);
-        return;
-      }
-      
-      console.warn(`[Cleanup] ⚠️ Directorio ${tempDir} aún existe después del intento de eliminación ${attempt} (sin error explícito de fs.remove). Forzando reintento si no es el último.`);
-      if (attempt === maxRetries) {
-        throw new Error(`Directorio ${tempDir} aún existe después del último intento (${attempt}) de eliminación.`);
-      }
-      // Force a retry by throwing a generic error
-      throw new Error(`Directorio ${tempDir} persistió después del intento ${attempt}, forzando reintento.`);
-
-    } catch (error) {
-      const isLastError = attempt === maxRetries;
-      const filePathInfo = error.path ? ` (archivo problemático: ${error.path})` : '';
-      const errorCodeInfo = error.code ? ` (código: ${error.code})` : '';
-
-      console.error(`[Cleanup] ⚠️ Intento ${attempt}/${maxRetries} de limpieza para ${tempDir} falló${filePathInfo}${errorCodeInfo}: ${error.message}`);
-
-      if (isLastError) {
-        console.error(`[Cleanup] ❌ Falló la limpieza final del directorio temporal ${tempDir} después de ${maxRetries} intentos.`);
-        throw error; 
-      }
-      
-      console.log(`[Cleanup] Reintentando en ${delay}ms...`);
-      await new Promise(resolve => setTimeout(resolve, delay));
-    }
-  }
+// Función auxiliar para rechazar el cambio de URL del repositorio a quien no es propietario: la siguiente
+// sincronización o generación enviaría al nuevo host las credenciales que guardó el propietario
+const rejectRepositoryUrlChange = (req, res, githubUrl) => {
+  if (githubUrl === undefined || (githubUrl || '') === (req.project.githubUrl || '') || req.projectRole === 'owner') return false;
+  res.status(403).json({
+    error: 'Permisos insuficientes',
+    message: 'Solo el propietario del proyecto puede cambiar la URL del repositorio'
+  });
+  return true;
 };
 
 // @desc    Update GitHub URL for a project
@@ -86,22 +86,18 @@ const updateGithubUrl = async (req, res) => {
 
     const { githubUrl } = req.body;
 
-    const project = await Project.findOne({
-      _id: req.params.id,
-      userId: req.user.userId,
-      isActive: true
-    });
-
-    if (!project) {
-      return res.status(404).json({
-        error: 'Proyecto no encontrado',
-        message: 'El proyecto no existe o no tienes permisos para modificarlo'
-      });
-    }
+    const project = req.project;
+    const before = captureProjectState(project);
 
     // Update GitHub URL
     project.githubUrl = githubUrl || '';
     const updatedProject = await project.save();
+    await recordRevisions(req, project, before, { source: 'manual' });
+    await recordActivity(req, project, {
+      action: 'repository.url-updated',
+      targetType: 'repository',
+      targetName: updatedProject.githubUrl || null
+    });
 
     res.json({
       message: 'URL de GitHub actualizada exitosamente',
@@ -121,19 +117,120 @@ const updateGithubUrl = async (req, res) => {
   }
 };
 
-// @desc    Get all projects for authenticated user
+// @desc    Update repository access settings (ref, shallow clone, credentials)
+// @route   PUT /api/projects/:id/repository
+// @access  Private
+const updateRepositorySettings = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { provider, ref, shallow, credentials } = req.body;
+
+    const project = req.project;
+    const before = captureProjectState(project);
+
+    if (!project.repository) project.repository = {};
+    if (provider !== undefined) project.repository.provider = provider || undefined;
+    if (ref !== undefined) project.repository.ref = ref || undefined;
+    if (shallow !== undefined) project.repository.shallow = shallow;
+
+    // El secreto se guarda cifrado y nunca se devuelve
+    if (credentials) {
+      try {
+        project.repository.credentials = {
+          type: credentials.type,
+          username: credentials.username || undefined,
+          encryptedSecret: encryptSecret(credentials.secret),
+          configuredAt: new Date()
+        };
+      } catch (encryptionError) {
+        return res.status(400).json({
+          error: 'No se pudieron guardar las credenciales',
+          message: encryptionError.message
+        });
+      }
+    } else if (credentials === null) {
+      project.repository.credentials = undefined;
+    }
+
+    const updatedProject = await project.save();
+    await recordRevisions(req, project, before, { source: 'manual' });
+    await recordActivity(req, project, {
+      action: 'repository.settings-updated',
+      targetType: 'repository',
+      details: {
+        fields: ['provider', 'ref', 'shallow'].filter(field => req.body[field] !== undefined),
+        credentials: credentials ? 'updated' : credentials === null ? 'removed' : undefined
+      }
+    });
+
+    res.json({
+      message: 'Configuración del repositorio actualizada exitosamente',
+      project: {
+        id: updatedProject._id,
+        name: updatedProject.name,
+        repository: serializeRepository(updatedProject),
+        updatedAt: updatedProject.updatedAt
+      }
+    });
+  } catch (error) {
+    console.error('Error al actualizar la configuración del repositorio:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al actualizar la configuración del repositorio'
+    });
+  }
+};
+
+// @desc    Remove stored repository credentials
+// @route   DELETE /api/projects/:id/repository/credentials
+// @access  Private
+const removeRepositoryCredentials = async (req, res) => {
+  try {
+    const project = req.project;
+    const before = captureProjectState(project);
+
+    if (project.repository) project.repository.credentials = undefined;
+    const updatedProject = await project.save();
+    await recordRevisions(req, project, before, { source: 'manual' });
+    await recordActivity(req, project, { action: 'repository.credentials-removed', targetType: 'repository' });
+
+    res.json({
+      message: 'Credenciales del repositorio eliminadas exitosamente',
+      project: {
+        id: updatedProject._id,
+        name: updatedProject.name,
+        repository: serializeRepository(updatedProject),
+        updatedAt: updatedProject.updatedAt
+      }
+    });
+  } catch (error) {
+    console.error('Error al eliminar las credenciales del repositorio:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al eliminar las credenciales del repositorio'
+    });
+  }
+};
+
+// @desc    Get all projects the authenticated user owns or is a member of
 // @route   GET /api/projects
 // @access  Private
 const getProjects = async (req, res) => {
   try {
-    const projects = await Project.find({ 
-      userId: req.user.userId,
-      isActive: true 
-    }).sort({ createdAt: -1 });
+    const projects = await Project.find(accessibleProjectsFilter(req.user.userId)).sort({ createdAt: -1 });
 
     res.json({
       projects: projects.map(project => ({
         id: project._id,
+        role: getProjectRole(project, req.user.userId),
         name: project.name,
         description: project.description,
         status: project.status,
@@ -161,28 +258,19 @@ const getProjects = async (req, res) => {
 // @access  Private
 const getProject = async (req, res) => {
   try {
-    const project = await Project.findOne({
-      _id: req.params.id,
-      userId: req.user.userId,
-      isActive: true
-    });
-
-    if (!project) {
-      return res.status(404).json({
-        error: 'Proyecto no encontrado',
-        message: 'El proyecto no existe o no tienes permisos para verlo'
-      });
-    }
+    const project = req.project;
 
     res.json({
       project: {
         id: project._id,
+        role: req.projectRole,
         name: project.name,
         description: project.description,
         status: project.status,
         color: project.color,
         techStack: project.techStack,
         githubUrl: project.githubUrl,
+        repository: serializeRepository(project),
         createdAt: project.createdAt,
         updatedAt: project.updatedAt,
         pages: project.pages,
@@ -213,7 +301,7 @@ const createProject = async (req, res) => {
       });
     }
 
-    const { name, description, status, color, techStack, githubUrl } = req.body;
+    const { name, description, status, color, techStack, githubUrl, llmProvider } = req.body;
 
     console.log('createProject - Datos recibidos:', {
       name,
@@ -221,7 +309,8 @@ const createProject = async (req, res) => {
       status,
       color,
       techStack,
-      githubUrl
+      githubUrl,
+      llmProvider
     });
 
     const project = new Project({
@@ -231,11 +320,13 @@ const createProject = async (req, res) => {
       color: color || '#3B82F6',
       techStack: techStack || [],
       githubUrl,
+      llmProvider,
       userId: req.user.userId,
       pages: []
     });
 
     const savedProject = await project.save();
+    await recordActivity(req, savedProject, { action: 'project.created', targetType: 'project', targetId: savedProject._id, targetName: savedProject.name });
 
     console.log('createProject - Proyecto guardado:', savedProject);
 
@@ -249,6 +340,7 @@ const createProject = async (req, res) => {
         color: savedProject.color,
         techStack: savedProject.techStack,
         githubUrl: savedProject.githubUrl,
+        llmProvider: savedProject.llmProvider,
         createdAt: savedProject.createdAt,
         updatedAt: savedProject.updatedAt,
         pages: savedProject.pages
@@ -277,20 +369,11 @@ const updateProject = async (req, res) => {
       });
     }
 
-    const { name, description, status, color, techStack, githubUrl } = req.body;
-
-    const project = await Project.findOne({
-      _id: req.params.id,
-      userId: req.user.userId,
-      isActive: true
-    });
+    const { name, description, status, color, techStack, githubUrl, llmProvider } = req.body;
+    if (rejectRepositoryUrlChange(req, res, githubUrl)) return;
 
-    if (!project) {
-      return res.status(404).json({
-        error: 'Proyecto no encontrado',
-        message: 'El proyecto no existe o no tienes permisos para modificarlo'
-      });
-    }
+    const project = req.project;
+    const before = captureProjectState(project);
 
     // Update fields
     if (name !== undefined) project.name = name;
@@ -299,8 +382,17 @@ const updateProject = async (req, res) => {
     if (color !== undefined) project.color = color;
     if (techStack !== undefined) project.techStack = techStack;
     if (githubUrl !== undefined) project.githubUrl = githubUrl;
+    if (llmProvider !== undefined) project.llmProvider = llmProvider;
 
     const updatedProject = await project.save();
+    await recordRevisions(req, project, before, { source: 'manual' });
+    await recordActivity(req, project, {
+      action: 'project.updated',
+      targetType: 'project',
+      targetId: project._id,
+      targetName: project.name,
+      details: { fields: ['name', 'description', 'status', 'color', 'techStack', 'githubUrl', 'llmProvider'].filter(field => req.body[field] !== undefined) }
+    });
 
     res.json({
       message: 'Proyecto actualizado exitosamente',
@@ -312,6 +404,7 @@ const updateProject = async (req, res) => {
         color: updatedProject.color,
         techStack: updatedProject.techStack,
         githubUrl: updatedProject.githubUrl,
+        llmProvider: updatedProject.llmProvider,
         createdAt: updatedProject.createdAt,
         updatedAt: updatedProject.updatedAt,
         pages: updatedProject.pages
@@ -331,22 +424,12 @@ const updateProject = async (req, res) => {
 // @access  Private
 const deleteProject = async (req, res) => {
   try {
-    const project = await Project.findOne({
-      _id: req.params.id,
-      userId: req.user.userId,
-      isActive: true
-    });
-
-    if (!project) {
-      return res.status(404).json({
-        error: 'Proyecto no encontrado',
-        message: 'El proyecto no existe o no tienes permisos para eliminarlo'
-      });
-    }
+    const project = req.project;
 
     // Soft delete
     project.isActive = false;
     await project.save();
+    await recordActivity(req, project, { action: 'project.deleted', targetType: 'project', targetId: project._id, targetName: project.name });
 
     res.json({
       message: 'Proyecto eliminado exitosamente'
@@ -376,29 +459,22 @@ const addPage = async (req, res) => {
 
     const { name, description, route } = req.body;
 
-    const project = await Project.findOne({
-      _id: req.params.id,
-      userId: req.user.userId,
-      isActive: true
-    });
-
-    if (!project) {
-      return res.status(404).json({
-        error: 'Proyecto no encontrado',
-        message: 'El proyecto no existe o no tienes permisos para modificarlo'
-      });
-    }
+    const project = req.project;
+    const before = captureProjectState(project);
 
     const newPage = {
       id: uuidv4(),
       name,
       description: description || '',
+      descriptionSource: 'manual',
       route,
       userStories: []
     };
 
     project.pages.push(newPage);
     await project.save();
+    await recordRevisions(req, project, before, { source: 'manual' });
+    await recordActivity(req, project, { action: 'page.created', targetType: 'page', targetId: newPage.id, targetName: name, pageId: newPage.id });
 
     res.status(201).json({
       message: 'Página agregada exitosamente',
@@ -408,97 +484,1079 @@ const addPage = async (req, res) => {
     console.error('Error al agregar página:', error);
     res.status(500).json({
       error: 'Error interno del servidor',
-      message: 'Error al agregar página'
+      message: 'Error al agregar página'
+    });
+  }
+};
+
+// @desc    Add user story to page
+// @route   POST /api/projects/:projectId/pages/:pageId/user-stories
+// @access  Private
+const addUserStory = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { title, description, priority, estimatedHours, acceptanceCriteria } = req.body;
+    const { pageId } = req.params;
+
+    const project = req.project;
+    const before = captureProjectState(project);
+
+    const page = project.pages.find(p => p.id === pageId);
+    if (!page) {
+      return res.status(404).json({
+        error: 'Página no encontrada',
+        message: 'La página no existe en este proyecto'
+      });
+    }
+
+    const newUserStory = {
+      id: uuidv4(),
+      title,
+      description,
+      priority: priority || 'medium',
+      status: 'pending',
+      estimatedHours: estimatedHours || 0,
+      acceptanceCriteria: toAcceptanceCriteria(acceptanceCriteria)
+    };
+
+    page.userStories.push(newUserStory);
+    await project.save();
+    await recordRevisions(req, project, before, { source: 'manual' });
+    await recordActivity(req, project, { action: 'userStory.created', targetType: 'userStory', targetId: newUserStory.id, targetName: title, pageId });
+
+    res.status(201).json({
+      message: 'Historia de usuario agregada exitosamente',
+      userStory: newUserStory
+    });
+  } catch (error) {
+    console.error('Error al agregar historia de usuario:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al agregar historia de usuario'
+    });
+  }
+};
+
+// Función auxiliar para buscar una historia de usuario de una página del proyecto de la ruta (cargado por requireProjectRole)
+const findUserStory = (req, res) => {
+  const { pageId, storyId } = req.params;
+  const project = req.project;
+
+  const page = project.pages.find(p => p.id === pageId);
+  const userStory = page && page.userStories.find(story => story.id === storyId);
+  if (!userStory) {
+    res.status(404).json({
+      error: 'Historia de usuario no encontrada',
+      message: 'La página o la historia de usuario no existen en este proyecto'
+    });
+    return null;
+  }
+
+  return { project, page, userStory };
+};
+
+// @desc    Replace the acceptance criteria of a user story
+// @route   PUT /api/projects/:projectId/pages/:pageId/user-stories/:storyId/acceptance-criteria
+// @access  Private
+const updateAcceptanceCriteria = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const found = findUserStory(req, res);
+    if (!found) return;
+    const { project, page, userStory } = found;
+    const before = captureProjectState(project);
+
+    // Los criterios enviados con su id (o con el mismo texto) conservan su estado y resultado de CI
+    userStory.acceptanceCriteria = toAcceptanceCriteria(req.body.acceptanceCriteria, userStory.acceptanceCriteria);
+    await project.save();
+    await recordRevisions(req, project, before, { source: 'manual' });
+    await recordActivity(req, project, {
+      action: 'userStory.acceptance-criteria-updated',
+      targetType: 'userStory',
+      targetId: userStory.id,
+      targetName: userStory.title,
+      pageId: page.id,
+      details: { criteria: userStory.acceptanceCriteria.length }
+    });
+
+    res.json({
+      message: 'Criterios de aceptación actualizados exitosamente',
+      acceptanceCriteria: userStory.acceptanceCriteria
+    });
+  } catch (error) {
+    console.error('Error al actualizar criterios de aceptación:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al actualizar criterios de aceptación'
+    });
+  }
+};
+
+// @desc    Update one acceptance criterion (text or completed)
+// @route   PATCH /api/projects/:projectId/pages/:pageId/user-stories/:storyId/acceptance-criteria/:criterionId
+// @access  Private
+const updateAcceptanceCriterion = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const found = findUserStory(req, res);
+    if (!found) return;
+    const { project, page, userStory } = found;
+    const before = captureProjectState(project);
+
+    const criterion = userStory.acceptanceCriteria.find(ac => ac.id === req.params.criterionId);
+    if (!criterion) {
+      return res.status(404).json({
+        error: 'Criterio no encontrado',
+        message: 'El criterio de aceptación no existe en esta historia de usuario'
+      });
+    }
+
+    const { text, completed } = req.body;
+    if (text !== undefined && text !== criterion.text) {
+      criterion.text = text;
+      // El resultado de CI era del criterio anterior
+      criterion.ciTestPassed = null;
+      criterion.lastChecked = undefined;
+    }
+    if (completed !== undefined) criterion.completed = completed;
+    await project.save();
+    await recordRevisions(req, project, before, { source: 'manual' });
+    await recordActivity(req, project, {
+      action: 'userStory.acceptance-criterion-updated',
+      targetType: 'userStory',
+      targetId: userStory.id,
+      targetName: userStory.title,
+      pageId: page.id,
+      details: { criterionId: criterion.id, fields: ['text', 'completed'].filter(field => req.body[field] !== undefined) }
+    });
+
+    res.json({
+      message: 'Criterio de aceptación actualizado exitosamente',
+      acceptanceCriterion: criterion
+    });
+  } catch (error) {
+    console.error('Error al actualizar criterio de aceptación:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al actualizar criterio de aceptación'
+    });
+  }
+};
+
+// @desc    Create (or rotate) the token CI uses to report test results
+// @route   POST /api/projects/:id/ci-token
+// @access  Private
+const createCiToken = async (req, res) => {
+  try {
+    const project = req.project;
+
+    const token = generateCiToken();
+    project.set('ci.tokenHash', hashCiToken(token));
+    project.set('ci.tokenCreatedAt', new Date());
+    await project.save();
+    await recordActivity(req, project, { action: 'ci.token-created', targetType: 'ci' });
+
+    res.status(201).json({
+      message: 'Token de CI generado exitosamente. Guárdalo: no se volverá a mostrar',
+      token,
+      tokenCreatedAt: project.ci.tokenCreatedAt
+    });
+  } catch (error) {
+    console.error('Error al generar el token de CI:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al generar el token de CI'
+    });
+  }
+};
+
+// @desc    Revoke the CI token
+// @route   DELETE /api/projects/:id/ci-token
+// @access  Private
+const revokeCiToken = async (req, res) => {
+  try {
+    const project = req.project;
+
+    project.set('ci.tokenHash', undefined);
+    project.set('ci.tokenCreatedAt', undefined);
+    await project.save();
+    await recordActivity(req, project, { action: 'ci.token-revoked', targetType: 'ci' });
+
+    res.json({
+      message: 'Token de CI revocado exitosamente'
+    });
+  } catch (error) {
+    console.error('Error al revocar el token de CI:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al revocar el token de CI'
+    });
+  }
+};
+
+// @desc    Report CI test results for acceptance criteria (sets ciTestPassed)
+// @route   POST /api/ci/projects/:id/acceptance-results
+// @access  CI token
+const reportCiResults = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const project = req.ciProject;
+    const checkedAt = req.body.checkedAt ? new Date(req.body.checkedAt) : new Date();
+    const report = applyCiResults(project, req.body.results, checkedAt);
+    project.set('ci.lastReportAt', new Date());
+    await project.save();
+    await recordActivity(req, project, {
+      action: 'ci.acceptance-results-reported',
+      targetType: 'ci',
+      details: { commit: req.body.commit || undefined, updated: report.updated.length, notFound: report.notFound.length }
+    });
+
+    console.log(`🧪 Resultados de CI para ${project.name}${req.body.commit ? ` (${String(req.body.commit).slice(0, 7)})` : ''}: ${report.updated.length} criterios actualizados, ${report.notFound.length} no encontrados`);
+
+    res.json({
+      message: 'Resultados de CI registrados exitosamente',
+      commit: req.body.commit || null,
+      checkedAt,
+      ...report
+    });
+  } catch (error) {
+    console.error('Error al registrar resultados de CI:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al registrar resultados de CI'
+    });
+  }
+};
+
+// @desc    Link generated test files to a user story
+// @route   PUT /api/projects/:projectId/pages/:pageId/user-stories/:storyId/test-files
+// @access  Private
+const linkUserStoryTestFiles = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const found = findUserStory(req, res);
+    if (!found) return;
+    const { project, page, userStory } = found;
+    const before = captureProjectState(project);
+
+    // Los archivos que ya estaban enlazados conservan su fecha de enlace
+    const previous = new Map((userStory.testFiles || []).map(testFile => [testFile.path, testFile]));
+    userStory.testFiles = req.body.testFiles.map(testFile => ({
+      path: testFile.path,
+      type: testFile.type,
+      generatedBy: testFile.generatedBy,
+      linkedAt: previous.get(testFile.path)?.linkedAt || new Date()
+    }));
+    await project.save();
+    await recordRevisions(req, project, before, { source: 'manual' });
+    await recordActivity(req, project, {
+      action: 'userStory.test-files-linked',
+      targetType: 'userStory',
+      targetId: userStory.id,
+      targetName: userStory.title,
+      pageId: page.id,
+      details: { testFiles: userStory.testFiles.map(testFile => testFile.path) }
+    });
+
+    res.json({
+      message: 'Archivos de test enlazados exitosamente',
+      testFiles: userStory.testFiles
+    });
+  } catch (error) {
+    console.error('Error al enlazar archivos de test:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al enlazar archivos de test'
+    });
+  }
+};
+
+// @desc    Get per-page test coverage of user stories (passing, failing, not run, no tests)
+// @route   GET /api/projects/:id/test-coverage
+// @access  Private
+const getProjectTestCoverage = async (req, res) => {
+  try {
+    const project = req.project;
+
+    const { pageId } = req.query;
+    if (pageId && !project.pages.some(page => page.id === pageId)) {
+      return res.status(404).json({
+        error: 'Página no encontrada',
+        message: 'La página no existe en este proyecto'
+      });
+    }
+
+    res.json(getTestCoverage(project, { pageId }));
+  } catch (error) {
+    console.error('Error al obtener la cobertura de tests:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener la cobertura de tests'
+    });
+  }
+};
+
+// @desc    Ingest a Jest JSON report and link its results to user stories and acceptance criteria
+// @route   POST /api/ci/projects/:id/test-results
+// @access  CI token
+const ingestTestResults = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const project = req.ciProject;
+    // Se acepta el informe de Jest tal cual o envuelto en { report, commit }
+    const report = req.body.report || req.body;
+    const commit = req.body.commit;
+
+    let result;
+    try {
+      result = ingestJestReport(project, report, { commit });
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Informe inválido',
+        message: error.message
+      });
+    }
+
+    project.set('ci.lastReportAt', new Date());
+    await project.save();
+    await recordActivity(req, project, {
+      action: 'ci.test-results-reported',
+      targetType: 'ci',
+      details: { commit: commit || undefined, tests: result.totalTests, stories: result.stories.length, criteria: result.criteria.updated.length }
+    });
+
+    console.log(`🧪 Informe de Jest para ${project.name}${commit ? ` (${String(commit).slice(0, 7)})` : ''}: ${result.totalTests} tests, ${result.stories.length} historias y ${result.criteria.updated.length} criterios actualizados`);
+
+    res.json({
+      message: 'Resultados de tests registrados exitosamente',
+      commit: commit || null,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error al registrar el informe de tests:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al registrar el informe de tests'
+    });
+  }
+};
+
+// @desc    Export user stories as CSV, Markdown or Jira JSON
+// @route   GET /api/projects/:id/user-stories/export
+// @access  Private
+const exportUserStories = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const project = req.project;
+
+    const format = req.query.format || 'csv';
+    const pageIds = req.query.pageId ? String(req.query.pageId).split(',') : null;
+    if (pageIds && !pageIds.every(pageId => project.pages.some(page => page.id === pageId))) {
+      return res.status(404).json({
+        error: 'Página no encontrada',
+        message: 'Alguna de las páginas indicadas no existe en este proyecto'
+      });
+    }
+
+    const exported = exportStoriesToFormat(project, format, {
+      pageIds,
+      jiraProjectKey: req.query.jiraProjectKey
+    });
+    const fileName = `${toPageRoute(project.name).replace(/\//g, '') || 'proyecto'}-historias.${exported.extension}`;
+
+    console.log(`📤 Exportadas ${exported.storyCount} historias de usuario del proyecto ${project.name} (${format})`);
+    res.set('Content-Type', exported.contentType);
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(exported.content);
+  } catch (error) {
+    console.error('Error al exportar historias de usuario:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al exportar historias de usuario'
+    });
+  }
+};
+
+// @desc    Import user stories from CSV, Markdown or Jira JSON (deduplicated by title)
+// @route   POST /api/projects/:id/user-stories/import
+// @access  Private
+const importUserStories = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const project = req.project;
+
+    const { format, content, pageId, onDuplicate = 'skip', dryRun = false } = req.body;
+    if (pageId && !project.pages.some(page => page.id === pageId)) {
+      return res.status(404).json({
+        error: 'Página no encontrada',
+        message: 'La página no existe en este proyecto'
+      });
+    }
+
+    let stories;
+    try {
+      stories = parseUserStories(format, content);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Archivo inválido',
+        message: `No se pudo leer el archivo ${format}: ${error.message}`
+      });
+    }
+
+    if (stories.length === 0) {
+      return res.status(400).json({
+        error: 'Archivo vacío',
+        message: 'El archivo no contiene historias de usuario'
+      });
+    }
+
+    const before = captureProjectState(project);
+    const report = importStoriesIntoProject(project, stories, { pageId, onDuplicate });
+    if (!dryRun) {
+      await project.save();
+      await recordRevisions(req, project, before, { source: 'import' });
+      await recordActivity(req, project, {
+        action: 'userStory.imported',
+        targetType: 'userStory',
+        pageId: pageId || undefined,
+        details: { format, created: report.created.length, updated: report.updated.length, skipped: report.skipped.length }
+      });
+    }
+
+    console.log(`📥 Importación de historias (${format}) en ${project.name}: ${report.created.length} creadas, ${report.updated.length} actualizadas, ${report.skipped.length} duplicadas${dryRun ? ' (simulación)' : ''}`);
+
+    res.status(dryRun || report.created.length === 0 ? 200 : 201).json({
+      message: dryRun ? 'Simulación de importación completada (no se guardaron cambios)' : 'Historias de usuario importadas exitosamente',
+      dryRun,
+      report
+    });
+  } catch (error) {
+    console.error('Error al importar historias de usuario:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al importar historias de usuario'
+    });
+  }
+};
+
+// Función auxiliar para serializar una invitación sin datos internos
+const serializeInvitation = (invitation, project) => ({
+  id: invitation.id,
+  email: invitation.email,
+  role: invitation.role,
+  status: invitation.status,
+  invitedBy: invitation.invitedBy,
+  createdAt: invitation.createdAt,
+  expiresAt: invitation.expiresAt,
+  respondedAt: invitation.respondedAt,
+  ...(project ? { project: { id: project._id, name: project.name, description: project.description, color: project.color } } : {})
+});
+
+// @desc    Get project owner, members and (for the owner) pending invitations
+// @route   GET /api/projects/:id/members
+// @access  Private (viewer)
+const getProjectMembers = async (req, res) => {
+  try {
+    const project = req.project;
+
+    const userIds = [project.userId, ...project.members.map(member => member.userId)];
+    const users = await User.find({ _id: { $in: userIds } }).select('name email');
+    const userById = new Map(users.map(user => [String(user._id), user]));
+    const describeUser = (userId) => ({
+      userId,
+      name: userById.get(String(userId))?.name || null,
+      email: userById.get(String(userId))?.email || null
+    });
+
+    res.json({
+      role: req.projectRole,
+      owner: { ...describeUser(project.userId), role: 'owner' },
+      members: project.members.map(member => ({
+        ...describeUser(member.userId),
+        role: member.role,
+        addedBy: member.addedBy,
+        addedAt: member.addedAt
+      })),
+      // Los emails invitados solo los ve quien puede gestionarlos
+      invitations: req.projectRole === 'owner'
+        ? project.invitations.filter(invitation => isInvitationPending(invitation)).map(invitation => serializeInvitation(invitation))
+        : []
+    });
+  } catch (error) {
+    console.error('Error al obtener los miembros del proyecto:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener los miembros del proyecto'
+    });
+  }
+};
+
+// @desc    Invite a user by email as editor or viewer
+// @route   POST /api/projects/:id/invitations
+// @access  Private (owner)
+const inviteProjectMember = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const project = req.project;
+    const email = normalizeEmail(req.body.email);
+    const role = req.body.role || 'viewer';
+
+    // Quien ya tiene acceso se gestiona cambiando su rol, no con otra invitación
+    const existingUser = await User.findOne({ email });
+    if (existingUser && getProjectRole(project, existingUser._id)) {
+      return res.status(409).json({
+        error: 'Ya es miembro',
+        message: `${email} ya tiene acceso al proyecto como ${getProjectRole(project, existingUser._id)}`
+      });
+    }
+
+    // Reinvitar a un email con una invitación pendiente la renueva en lugar de duplicarla
+    let invitation = project.invitations.find(item => item.email === email && isInvitationPending(item));
+    if (invitation) {
+      invitation.role = role;
+      invitation.invitedBy = req.user.userId;
+      invitation.expiresAt = new Date(Date.now() + INVITATION_TTL_MS);
+    } else {
+      project.invitations.push({
+        id: uuidv4(),
+        email,
+        role,
+        invitedBy: req.user.userId,
+        expiresAt: new Date(Date.now() + INVITATION_TTL_MS)
+      });
+      invitation = project.invitations[project.invitations.length - 1];
+    }
+
+    await project.save();
+    await recordActivity(req, project, { action: 'invitation.created', targetType: 'invitation', targetId: invitation.id, targetName: email, details: { role } });
+
+    console.log(`✉️ Invitación a ${email} como ${role} en ${project.name}`);
+
+    res.status(201).json({
+      message: 'Invitación creada exitosamente. El usuario la verá al iniciar sesión con ese email',
+      invitation: serializeInvitation(invitation)
+    });
+  } catch (error) {
+    console.error('Error al invitar al proyecto:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al invitar al proyecto'
+    });
+  }
+};
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/projects/:id/invitations/:invitationId
+// @access  Private (owner)
+const revokeProjectInvitation = async (req, res) => {
+  try {
+    const project = req.project;
+
+    const invitation = project.invitations.find(item => item.id === req.params.invitationId);
+    if (!invitation || invitation.status !== 'pending') {
+      return res.status(404).json({
+        error: 'Invitación no encontrada',
+        message: 'La invitación no existe o ya fue respondida'
+      });
+    }
+
+    invitation.status = 'revoked';
+    invitation.respondedAt = new Date();
+    await project.save();
+    await recordActivity(req, project, { action: 'invitation.revoked', targetType: 'invitation', targetId: invitation.id, targetName: invitation.email });
+
+    res.json({
+      message: 'Invitación revocada exitosamente'
+    });
+  } catch (error) {
+    console.error('Error al revocar la invitación:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al revocar la invitación'
+    });
+  }
+};
+
+// @desc    Change the role of a member
+// @route   PUT /api/projects/:id/members/:userId
+// @access  Private (owner)
+const updateProjectMember = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const project = req.project;
+
+    const member = project.members.find(item => sameId(item.userId, req.params.userId));
+    if (!member) {
+      return res.status(404).json({
+        error: 'Miembro no encontrado',
+        message: 'El usuario no es miembro de este proyecto'
+      });
+    }
+
+    const previousRole = member.role;
+    member.role = req.body.role;
+    await project.save();
+    await recordActivity(req, project, {
+      action: 'member.role-updated',
+      targetType: 'member',
+      targetId: member.userId,
+      details: { from: previousRole, to: member.role }
+    });
+
+    res.json({
+      message: 'Rol del miembro actualizado exitosamente',
+      member: { userId: member.userId, role: member.role, addedAt: member.addedAt }
+    });
+  } catch (error) {
+    console.error('Error al actualizar el miembro del proyecto:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al actualizar el miembro del proyecto'
+    });
+  }
+};
+
+// @desc    Remove a member (the owner removes anyone, members can leave the project)
+// @route   DELETE /api/projects/:id/members/:userId
+// @access  Private (owner, or the member themselves)
+const removeProjectMember = async (req, res) => {
+  try {
+    const project = req.project;
+    const leaving = sameId(req.params.userId, req.user.userId);
+
+    if (!leaving && req.projectRole !== 'owner') {
+      return res.status(403).json({
+        error: 'Permisos insuficientes',
+        message: 'Solo el propietario puede quitar a otros miembros del proyecto'
+      });
+    }
+
+    const member = project.members.find(item => sameId(item.userId, req.params.userId));
+    if (!member) {
+      return res.status(404).json({
+        error: 'Miembro no encontrado',
+        message: leaving
+          ? 'El propietario no puede abandonar su propio proyecto'
+          : 'El usuario no es miembro de este proyecto'
+      });
+    }
+
+    project.members = project.members.filter(item => !sameId(item.userId, req.params.userId));
+    await project.save();
+    await recordActivity(req, project, {
+      action: leaving ? 'member.left' : 'member.removed',
+      targetType: 'member',
+      targetId: req.params.userId,
+      details: { role: member.role }
+    });
+
+    res.json({
+      message: leaving ? 'Has abandonado el proyecto' : 'Miembro eliminado del proyecto exitosamente'
+    });
+  } catch (error) {
+    console.error('Error al eliminar el miembro del proyecto:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al eliminar el miembro del proyecto'
+    });
+  }
+};
+
+// @desc    Get pending project invitations for the authenticated user's email
+// @route   GET /api/projects/invitations
+// @access  Private
+const getMyInvitations = async (req, res) => {
+  try {
+    const email = normalizeEmail(req.user.user.email);
+    const projects = await Project.find({
+      isActive: true,
+      invitations: { $elemMatch: { email, status: 'pending' } }
+    });
+
+    res.json({
+      invitations: projects.flatMap(project => project.invitations
+        .filter(invitation => invitation.email === email && isInvitationPending(invitation))
+        .map(invitation => serializeInvitation(invitation, project)))
+    });
+  } catch (error) {
+    console.error('Error al obtener invitaciones:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener invitaciones'
+    });
+  }
+};
+
+// Función auxiliar para buscar una invitación pendiente dirigida al email del usuario autenticado
+const findMyInvitation = async (req, res) => {
+  const email = normalizeEmail(req.user.user.email);
+  const project = await Project.findOne({
+    isActive: true,
+    invitations: { $elemMatch: { id: req.params.invitationId, email } }
+  });
+  const invitation = project && project.invitations.find(item => item.id === req.params.invitationId);
+
+  if (!invitation || !isInvitationPending(invitation)) {
+    res.status(404).json({
+      error: 'Invitación no encontrada',
+      message: 'La invitación no existe, no es para tu email, ya fue respondida o ha caducado'
+    });
+    return null;
+  }
+
+  return { project, invitation };
+};
+
+// @desc    Accept a project invitation
+// @route   POST /api/projects/invitations/:invitationId/accept
+// @access  Private
+const acceptInvitation = async (req, res) => {
+  try {
+    const found = await findMyInvitation(req, res);
+    if (!found) return;
+    const { project, invitation } = found;
+
+    invitation.status = 'accepted';
+    invitation.respondedAt = new Date();
+    if (!getProjectRole(project, req.user.userId)) {
+      project.members.push({
+        userId: req.user.userId,
+        role: invitation.role,
+        addedBy: invitation.invitedBy
+      });
+    }
+    await project.save();
+    await recordActivity(req, project, { action: 'member.joined', targetType: 'member', targetId: req.user.userId, details: { role: invitation.role } });
+
+    res.json({
+      message: 'Invitación aceptada exitosamente',
+      project: {
+        id: project._id,
+        name: project.name,
+        role: getProjectRole(project, req.user.userId)
+      }
+    });
+  } catch (error) {
+    console.error('Error al aceptar la invitación:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al aceptar la invitación'
+    });
+  }
+};
+
+// @desc    Decline a project invitation
+// @route   POST /api/projects/invitations/:invitationId/decline
+// @access  Private
+const declineInvitation = async (req, res) => {
+  try {
+    const found = await findMyInvitation(req, res);
+    if (!found) return;
+    const { project, invitation } = found;
+
+    invitation.status = 'declined';
+    invitation.respondedAt = new Date();
+    await project.save();
+    await recordActivity(req, project, { action: 'invitation.declined', targetType: 'invitation', targetId: invitation.id, targetName: invitation.email });
+
+    res.json({
+      message: 'Invitación rechazada'
+    });
+  } catch (error) {
+    console.error('Error al rechazar la invitación:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al rechazar la invitación'
+    });
+  }
+};
+
+// @desc    Get the project activity feed (who changed which page or story)
+// @route   GET /api/projects/:id/activity
+// @access  Private (viewer)
+const getActivityFeed = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { limit, before, targetType, targetId, pageId } = req.query;
+    const activity = await getProjectActivity(req.project._id, { limit, before, targetType, targetId, pageId });
+
+    res.json({
+      activity: activity.map(entry => ({
+        id: entry._id,
+        userId: entry.userId,
+        userName: entry.userName,
+        action: entry.action,
+        targetType: entry.targetType,
+        targetId: entry.targetId,
+        targetName: entry.targetName,
+        pageId: entry.pageId,
+        details: entry.details,
+        createdAt: entry.createdAt
+      })),
+      // Para pedir la página siguiente: ?before=<nextBefore>
+      nextBefore: activity.length > 0 ? activity[activity.length - 1].createdAt : null
+    });
+  } catch (error) {
+    console.error('Error al obtener la actividad del proyecto:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener la actividad del proyecto'
+    });
+  }
+};
+
+// Función auxiliar para serializar una revisión (con la foto completa solo en el detalle)
+const serializeRevision = (revision, { includeSnapshot = false } = {}) => ({
+  id: revision._id,
+  targetType: revision.targetType,
+  targetId: revision.targetId,
+  pageId: revision.pageId,
+  version: revision.version,
+  action: revision.action,
+  source: revision.source,
+  userId: revision.userId,
+  userName: revision.userName,
+  changes: revision.changes,
+  restoredFrom: revision.restoredFrom && revision.restoredFrom.revisionId ? revision.restoredFrom : undefined,
+  createdAt: revision.createdAt,
+  ...(includeSnapshot ? { snapshot: revision.snapshot } : {})
+});
+
+// Función auxiliar para buscar una revisión del proyecto de la ruta
+const findProjectRevision = async (req, res) => {
+  const revision = await Revision.findOne({ _id: req.params.revisionId, projectId: req.project._id }).catch(error => {
+    if (error.name === 'CastError') return null;
+    throw error;
+  });
+
+  if (!revision) {
+    res.status(404).json({
+      error: 'Revisión no encontrada',
+      message: 'La revisión no existe en este proyecto'
+    });
+    return null;
+  }
+
+  return revision;
+};
+
+// @desc    List revisions of the project, its pages and user stories
+// @route   GET /api/projects/:id/revisions
+// @access  Private (viewer)
+const getRevisions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        details: errors.array()
+      });
+    }
+
+    const { targetType, targetId, source, limit, before } = req.query;
+    const revisions = await listRevisions(req.project._id, { targetType, targetId, source, limit, before });
+
+    res.json({
+      revisions: revisions.map(revision => serializeRevision(revision)),
+      // Para pedir la página siguiente: ?before=<nextBefore>
+      nextBefore: revisions.length > 0 ? revisions[revisions.length - 1].createdAt : null
+    });
+  } catch (error) {
+    console.error('Error al obtener el historial de revisiones:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener el historial de revisiones'
+    });
+  }
+};
+
+// @desc    Get one revision with its snapshot and the current state of its target
+// @route   GET /api/projects/:id/revisions/:revisionId
+// @access  Private (viewer)
+const getRevision = async (req, res) => {
+  try {
+    const revision = await findProjectRevision(req, res);
+    if (!revision) return;
+
+    res.json({
+      revision: serializeRevision(revision, { includeSnapshot: true }),
+      // null si el elemento ya no existe (se volvería a crear al restaurar)
+      current: getCurrentSnapshot(req.project, revision)
+    });
+  } catch (error) {
+    console.error('Error al obtener la revisión:', error);
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al obtener la revisión'
     });
   }
 };
 
-// @desc    Add user story to page
-// @route   POST /api/projects/:projectId/pages/:pageId/user-stories
-// @access  Private
-const addUserStory = async (req, res) => {
+// @desc    Restore the project, page or user story to the version of a revision
+// @route   POST /api/projects/:id/revisions/:revisionId/restore
+// @access  Private (editor)
+const restoreProjectRevision = async (req, res) => {
   try {
-    // Check for validation errors
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        error: 'Datos de entrada inválidos',
-        details: errors.array()
-      });
+    const revision = await findProjectRevision(req, res);
+    if (!revision) return;
+
+    const project = req.project;
+    const before = captureProjectState(project);
+    const target = restoreRevision(project, revision);
+    // Restaurar la URL o la configuración del repositorio es cosa del propietario, igual que cambiarlas
+    if (revision.targetType === 'project' && req.projectRole !== 'owner') {
+      const previous = before.get(`project:${project._id}`).snapshot;
+      const restored = getCurrentSnapshot(project, revision);
+      if (['githubUrl', 'repository'].some(field => JSON.stringify(previous[field]) !== JSON.stringify(restored[field]))) {
+        return res.status(403).json({
+          error: 'Permisos insuficientes',
+          message: 'Solo el propietario del proyecto puede restaurar la URL o la configuración del repositorio'
+        });
+      }
     }
-
-    const { title, description, priority, estimatedHours } = req.body;
-    const { projectId, pageId } = req.params;
-
-    const project = await Project.findOne({
-      _id: projectId,
-      userId: req.user.userId,
-      isActive: true
-    });
-
-    if (!project) {
-      return res.status(404).json({
-        error: 'Proyecto no encontrado',
-        message: 'El proyecto no existe o no tienes permisos para modificarlo'
+    if (!target) {
+      return res.status(409).json({
+        error: 'No se puede restaurar',
+        message: 'La página de esta historia de usuario ya no existe; restaura antes la página'
       });
     }
 
-    const page = project.pages.find(p => p.id === pageId);
-    if (!page) {
-      return res.status(404).json({
-        error: 'Página no encontrada',
-        message: 'La página no existe en este proyecto'
+    await project.save();
+    const revisions = await recordRevisions(req, project, before, {
+      source: 'restore',
+      restoredFrom: { revisionId: revision._id, version: revision.version }
+    });
+    if (revisions.length > 0) {
+      await recordActivity(req, project, {
+        action: `${revision.targetType}.restored`,
+        targetType: revision.targetType,
+        targetId: revision.targetId,
+        targetName: revision.snapshot.name || revision.snapshot.title,
+        pageId: revision.targetType === 'page' ? revision.targetId : revision.pageId,
+        details: { version: revision.version }
       });
     }
 
-    const newUserStory = {
-      id: uuidv4(),
-      title,
-      description,
-      priority: priority || 'medium',
-      status: 'pending',
-      estimatedHours: estimatedHours || 0
-    };
-
-    page.userStories.push(newUserStory);
-    await project.save();
+    console.log(`⏪ ${revision.targetType} ${revision.targetId} de ${project.name} restaurado a la versión ${revision.version}`);
 
-    res.status(201).json({
-      message: 'Historia de usuario agregada exitosamente',
-      userStory: newUserStory
+    res.json({
+      message: revisions.length > 0
+        ? `Versión ${revision.version} restaurada exitosamente`
+        : `El elemento ya estaba en la versión ${revision.version}`,
+      revision: revisions.length > 0 ? serializeRevision(revisions.find(item => item.targetId === revision.targetId) || revisions[0]) : null,
+      target: getCurrentSnapshot(project, revision)
     });
   } catch (error) {
-    console.error('Error al agregar historia de usuario:', error);
+    console.error('Error al restaurar la revisión:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        message: error.message
+      });
+    }
     res.status(500).json({
       error: 'Error interno del servidor',
-      message: 'Error al agregar historia de usuario'
+      message: 'Error al restaurar la revisión'
     });
   }
 };
 
-// @desc    Sincronizar proyecto con repositorio GitHub
+// @desc    Sincronizar proyecto con repositorio GitHub (sin perder páginas ni historias existentes)
 // @route   POST /api/projects/:id/sync
 // @access  Private
 const syncProject = async (req, res) => {
   try {
-    const project = await Project.findOne({
-      _id: req.params.id,
-      userId: req.user.userId,
-      isActive: true
-    });
+    const project = req.project;
+    const before = captureProjectState(project);
 
     console.log(`\n🚀 Iniciando sincronización del proyecto: ${project.name}`);
     console.log(`👤 Usuario: ${req.user.userId}`);
     console.log(`🆔 ID del proyecto: ${project._id}`);
 
-    if (!project) {
-      console.log('❌ Proyecto no encontrado');
-      return res.status(404).json({
-        error: 'Proyecto no encontrado',
-        message: 'El proyecto no existe o no tienes permisos para modificarlo'
-      });
-    }
-
     console.log(`🔗 GitHub URL: ${project.githubUrl}`);
     if (!project.githubUrl) {
       console.log('❌ URL de GitHub no configurada');
@@ -508,88 +1566,105 @@ const syncProject = async (req, res) => {
       });
     }
 
-    // Verificar que la API key de Gemini esté configurada
-    console.log('🔑 Verificando configuración de Gemini API...');
-    if (!process.env.GEMINI_API_KEY) {
-      console.log('❌ API key de Gemini no configurada');
-      return res.status(500).json({
-        error: 'Configuración faltante',
-        message: 'La API key de Google Gemini no está configurada'
-      });
-    }
-    console.log('✅ API key de Gemini configurada correctamente');
+    // Verificar que el proveedor de IA del proyecto esté configurado
+    console.log('🔑 Verificando configuración del proveedor de IA...');
+    const llm = getConfiguredLLMProvider(project, res, req.body?.llmMode);
+    if (!llm) return;
+    console.log(`✅ Proveedor de IA configurado: ${llm.name} (${llm.model})`);
 
-      // Eliminar todas las páginas y user stories existentes antes de la sincronización
-      console.log('🗑️ Eliminando páginas y user stories existentes...');
-      project.pages = [];
-      await project.save(); // Guardar el proyecto después de limpiar las páginas
-      console.log('✅ Páginas y user stories eliminadas.');
+    // Las páginas analizadas sin cambios en su código se saltan salvo que se pida reanalizarlas
+    const forceAnalysis = req.body?.force === true;
 
-      // Crear directorio temporal para clonar el repositorio
-    const tempDir = path.join(__dirname, '..', 'temp', `repo_${project._id}`);
-    console.log(`📁 Directorio temporal: ${tempDir}`);
+    // Obtener un snapshot del repositorio desde el workspace en caché del proyecto
+    let workspace = null;
     
     try {
-      // Limpiar directorio temporal si existe
-      console.log('🧹 Preparando directorio temporal...');
-      await cleanupTempDir(tempDir);
-      await fs.ensureDir(tempDir);
-      console.log('✅ Directorio temporal preparado');
-
-      // Clonar repositorio
-      console.log(`📥 Clonando repositorio: ${project.githubUrl}`);
-      const git = simpleGit();
-      await git.clone(project.githubUrl, tempDir);
-      console.log('✅ Repositorio clonado exitosamente');
-
-      // Buscar carpeta de páginas (pages o Pages)
-      console.log('🔍 Buscando carpeta de páginas...');
-      const pagesDir = await findPagesDirectory(tempDir);
-      
-      if (!pagesDir) {
-        console.log('❌ Carpeta de páginas no encontrada');
-        return res.status(404).json({
-          error: 'Carpeta de páginas no encontrada',
-          message: 'No se encontró una carpeta "pages" o "Pages" en el repositorio'
-        });
-      }
-      console.log(`✅ Carpeta de páginas encontrada: ${pagesDir}`);
-
-      // Obtener todas las páginas
-      console.log('🔍 Buscando archivos de páginas en:', pagesDir);
-      const pageFiles = await getPageFiles(pagesDir);
-      console.log('📄 Páginas encontradas:', pageFiles.length);
+      console.log(`📥 Preparando workspace del repositorio: ${project.githubUrl}`);
+      workspace = await acquireWorkspace(project, { label: 'sync' });
+      const repoDir = workspace.dir;
+      console.log(`✅ Snapshot del repositorio listo (${project.repository?.ref || 'rama por defecto'} @ ${workspace.headCommit.slice(0, 7)}${workspace.reused ? ', desde caché' : ''})`);
+
+      // Descubrir las páginas según el framework (Next.js, Remix, React Router, carpeta pages...)
+      console.log('🔍 Descubriendo páginas del repositorio...');
+      const discovery = await discoverPages(repoDir);
+      const pageFiles = discovery.pages;
       
       if (pageFiles.length === 0) {
-        console.log('❌ No se encontraron páginas en el directorio');
+        console.log('❌ No se encontraron páginas en el repositorio');
         return res.status(404).json({
           error: 'No se encontraron páginas',
-          message: 'No se encontraron archivos de páginas en el repositorio'
+          message: 'No se encontraron páginas con ninguna estrategia de descubrimiento (Next.js, Remix, React Router/Vue Router, carpeta pages o carpetas por funcionalidad)',
+          strategiesTried: discovery.strategiesTried
         });
       }
-
-      // Inicializar Google Gemini
-      console.log('🤖 Inicializando Google Gemini...');
-      console.log('🔑 API Key presente:', !!process.env.GEMINI_API_KEY);
-      const client = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
-      console.log('✅ Cliente Gemini inicializado correctamente');
+      console.log(`📄 Páginas encontradas: ${pageFiles.length} (estrategia: ${discovery.strategy})`);
+      const resolveImport = await createImportResolver(repoDir);
 
       const syncResults = [];
+      const changes = { added: [], updated: [], unchanged: [], removed: [] };
+      const llmRepairs = createRepairStats();
+      const seenPages = new Set();
       
       // Procesar cada página
       for (const pageFile of pageFiles) {
         try {
           console.log(`\n🔄 Procesando página: ${pageFile.name}`);
-          console.log(`📁 Ruta del archivo: ${pageFile.path}`);
+          console.log(`📁 Ruta del archivo: ${pageFile.sourcePath}`);
+
+          // Emparejar con la página existente por archivo o ruta antes de leer nada,
+          // para que un error al procesarla no la marque como eliminada
+          const { sourcePath } = pageFile;
+          let page = findSyncedPage(project.pages, pageFile, seenPages);
+          const isNewPage = !page;
+          if (isNewPage) {
+            project.pages.push({
+              id: uuidv4(),
+              name: pageFile.name,
+              description: placeholderDescription(pageFile.name),
+              descriptionSource: 'sync',
+              route: pageFile.route || toPageRoute(pageFile.name),
+              userStories: []
+            });
+            page = project.pages[project.pages.length - 1];
+            console.log(`🆕 Nueva página "${page.name}" con ruta ${page.route}`);
+          } else if (pageFile.route && page.sourcePath && page.route !== pageFile.route) {
+            // La ruta de las páginas sincronizadas sigue al router del código
+            console.log(`🔀 Ruta actualizada: ${page.route} -> ${pageFile.route}`);
+            page.route = pageFile.route;
+          }
+          seenPages.add(page);
+
+          const wasRemoved = page.syncStatus === 'removed';
+          page.sourcePath = sourcePath;
+          page.syncStatus = 'synced';
+          page.lastSyncedAt = new Date();
+          if (wasRemoved) {
+            page.userStories.forEach(story => {
+              story.orphaned = false;
+            });
+          }
           
           // Leer contenido de la página
           console.log('📖 Leyendo contenido del archivo...');
           const pageContent = await fs.readFile(pageFile.path, 'utf8');
           console.log(`📝 Contenido leído: ${pageContent.length} caracteres`);
+          const sourceHash = hashPageSource(pageContent);
+
+          if (!isNewPage && !wasRemoved && !forceAnalysis && page.sourceHash === sourceHash) {
+            console.log(`⏭️ Sin cambios en ${sourcePath}: se conservan sus ${page.userStories.length} user stories`);
+            changes.unchanged.push(describePageChange(page));
+            syncResults.push({
+              pageName: pageFile.name,
+              unchanged: true,
+              userStories: [],
+              componentsAnalyzed: 0
+            });
+            continue;
+          }
           
           // Obtener componentes importados
           console.log('🔍 Analizando componentes importados...');
-          const importedComponents = await getImportedComponents(pageFile.path, tempDir);
+          const importedComponents = await getImportedComponents(pageFile.path, repoDir, resolveImport);
           console.log(`🧩 Componentes encontrados: ${importedComponents.length}`);
           
           // Crear prompt para Gemini
@@ -598,33 +1673,51 @@ const syncProject = async (req, res) => {
           console.log(`📋 Prompt creado: ${prompt.length} caracteres`);
           
           // Obtener user stories usando Gemini
-          console.log('🤖 Enviando solicitud a Gemini...');
-          const response = await client.models.generateContent({
-            model: 'gemini-2.5-pro-preview-06-05',
-            contents: prompt
+          console.log(`🤖 Enviando solicitud a ${llm.name}...`);
+          const userStories = await generateUserStoriesWithSchema(llm, prompt, {
+            stats: llmRepairs
           });
-          console.log('✅ Respuesta recibida de Gemini');
-          console.log('📄 Procesando respuesta...');
-          
-          // Escribir respuesta de Gemini en archivo
-          await writeGeminiResponseToFile(response.text, `sync_${pageFile.name}`, project._id);
-          
-          const userStories = parseGeminiResponse(response.text);
+          console.log(`✅ Respuesta recibida de ${llm.name}`);
           console.log('[DEBUG] User stories recibidas de Gemini:', JSON.stringify(userStories, null, 2)); // Log para depuración
           console.log(`📚 User stories generadas: ${userStories.length}`);
           
+          // Fusionar con las historias existentes (conservan estado y estimación); el proyecto se guarda al final
+          console.log('💾 Fusionando user stories con las existentes...');
+          const storyChanges = mergeSyncedUserStories(page, userStories);
+          console.log(`✅ Página ${pageFile.name}: ${storyChanges.added} user stories nuevas, ${storyChanges.updated} actualizadas`);
+
+          // El código cambió: regenerar la descripción salvo que se haya escrito a mano
+          let descriptionUpdated = false;
+          if (canRegenerateDescription(page)) {
+            try {
+              const response = await llm.generate(createPageDescriptionPrompt(page));
+              const description = response.text.trim().slice(0, 500);
+              if (description && description !== page.description) {
+                page.description = description;
+                page.descriptionSource = 'sync';
+                descriptionUpdated = true;
+              }
+            } catch (descriptionError) {
+              // Sin descripción nueva la página se sincroniza igual y conserva la anterior
+              console.warn(`⚠️ No se pudo regenerar la descripción de ${pageFile.name}:`, descriptionError.message);
+            }
+          }
+          page.sourceHash = sourceHash;
+
+          const pageChange = describePageChange(page, {
+            storiesAdded: storyChanges.added,
+            storiesUpdated: storyChanges.updated,
+            descriptionUpdated,
+            ...(wasRemoved ? { restored: true } : {})
+          });
+          changes[isNewPage ? 'added' : 'updated'].push(pageChange);
           syncResults.push({
             pageName: pageFile.name,
             userStories: userStories,
-            componentsAnalyzed: importedComponents.length
+            componentsAnalyzed: importedComponents.length,
+            ...storyChanges
           });
           
-          // Agregar user stories al proyecto
-          console.log('💾 Guardando user stories en el proyecto...');
-          await addUserStoriesToProject(project, pageFile.name, userStories);
-          // project.save() se llama dentro de addUserStoriesToProject, por lo que se guarda por cada página.
-          console.log('✅ User stories guardadas correctamente para la página:', pageFile.name);
-          
         } catch (error) {
           console.error(`❌ Error procesando página ${pageFile.name}:`, error.message);
           console.error('📋 Stack trace:', error.stack);
@@ -636,19 +1729,34 @@ const syncProject = async (req, res) => {
         }
       }
 
-      console.log('\n🧹 Limpiando directorio temporal...');
-      // Limpiar directorio temporal con reintentos para Windows
-      try {
-        await cleanupTempDir(tempDir);
-        console.log('✅ Directorio temporal eliminado');
-      } catch (cleanupError) {
-        console.log('⚠️ Error limpiando directorio temporal:', cleanupError.message);
+      // Las páginas sincronizadas que ya no están en el repositorio se marcan, no se borran
+      const removedPages = markRemovedPages(project.pages, seenPages);
+      if (removedPages.length > 0) {
+        console.log(`🚩 Páginas eliminadas del repositorio: ${removedPages.map(page => page.name).join(', ')}`);
       }
+      changes.removed = removedPages.map(page => describePageChange(page, { orphanedStories: page.userStories.length }));
+
+      // Un solo guardado: si falla, ninguna página queda con el hash nuevo y la próxima sincronización la reanaliza
+      await project.save();
 
       const totalUserStories = syncResults.reduce((total, result) => total + (result.userStories?.length || 0), 0);
       console.log(`\n🎉 Sincronización completada:`);
       console.log(`📄 Páginas procesadas: ${pageFiles.length}`);
       console.log(`📚 Total user stories generadas: ${totalUserStories}`);
+      console.log(`🔀 Cambios: ${changes.added.length} nuevas, ${changes.updated.length} actualizadas, ${changes.unchanged.length} sin cambios, ${changes.removed.length} eliminadas`);
+      await recordRevisions(req, project, before, { source: 'sync' });
+      await recordActivity(req, project, {
+        action: 'project.synced',
+        targetType: 'project',
+        targetId: project._id,
+        targetName: project.name,
+        details: {
+          commit: workspace.headCommit,
+          added: changes.added.map(page => page.name),
+          updated: changes.updated.map(page => page.name),
+          removed: changes.removed.map(page => page.name)
+        }
+      });
 
       res.json({
         message: 'Sincronización completada exitosamente',
@@ -658,22 +1766,22 @@ const syncProject = async (req, res) => {
           githubUrl: project.githubUrl
         },
         results: {
+          discoveryStrategy: discovery.strategy,
+          framework: discovery.framework,
           pagesProcessed: pageFiles.length,
           totalUserStories: totalUserStories,
+          changes,
+          llmRepairs,
           details: syncResults
         }
       });
 
     } catch (error) {
       console.error('❌ Error en el bloque interno de sincronización:', error.message);
-      console.error('📋 Stack trace interno:', error.stack);
-      // Limpiar directorio temporal en caso de error
-      try {
-        await cleanupTempDir(tempDir);
-      } catch (cleanupError) {
-        console.error('❌ Error limpiando directorio temporal:', cleanupError.message);
-      }
-      throw error;
+      console.error('📋 Stack trace interno:', error.stack);      throw error;
+    } finally {
+      // Liberar el snapshot (el clon en caché se conserva para la próxima operación)
+      if (workspace) await workspace.release();
     }
 
   } catch (error) {
@@ -687,87 +1795,29 @@ const syncProject = async (req, res) => {
   }
 };
 
-// Función auxiliar para encontrar el directorio de páginas
-const findPagesDirectory = async (repoDir) => {
-  const possiblePaths = [
-    path.join(repoDir, 'pages'),
-    path.join(repoDir, 'Pages'),
-    path.join(repoDir, 'src', 'pages'),
-    path.join(repoDir, 'src', 'Pages'),
-    path.join(repoDir, 'app', 'pages'),
-    path.join(repoDir, 'app', 'Pages')
-  ];
+// Función auxiliar para crear el prompt de la descripción de una página a partir de su nombre, ruta e historias
+const createPageDescriptionPrompt = (page) => {
+  const userStoriesText = page.userStories.map(story => 
+    `- ${story.title}: ${story.description} (Prioridad: ${story.priority})`
+  ).join('\n');
 
-  for (const dirPath of possiblePaths) {
-    if (await fs.pathExists(dirPath)) {
-      return dirPath;
-    }
-  }
-  
-  return null;
-};
+  return `
+Actúa como un analista de producto experto. Basándote en el nombre de la página y las historias de usuario proporcionadas, genera una descripción clara y concisa de la página.
 
-// Función auxiliar para obtener archivos de páginas
-const getPageFiles = async (pagesDir) => {
-  const files = [];
-  const items = await fs.readdir(pagesDir);
-  
-  for (const item of items) {
-    const itemPath = path.join(pagesDir, item);
-    const stat = await fs.stat(itemPath);
-    
-    if (stat.isFile()) {
-      const ext = path.extname(item).toLowerCase();
-      if (['.js', '.jsx', '.ts', '.tsx', '.vue'].includes(ext)) {
-        files.push({
-          name: path.basename(item, ext),
-          path: itemPath,
-          extension: ext
-        });
-      }
-    }
-  }
-  
-  return files;
-};
+Nombre de la página: "${page.name}"
+Ruta de la página: "${page.route || 'No especificada'}"
 
-// Función auxiliar para obtener componentes importados
-const getImportedComponents = async (pageFilePath, repoDir) => {
-  try {
-    const pageContent = await fs.readFile(pageFilePath, 'utf8');
-    const importRegex = /import\s+.*?from\s+['"]([^'"]+)['"]/g;
-    const imports = [];
-    let match;
-    
-    while ((match = importRegex.exec(pageContent)) !== null) {
-      const importPath = match[1];
-      
-      // Solo procesar imports relativos (componentes locales)
-      if (importPath.startsWith('./') || importPath.startsWith('../')) {
-        const componentPath = path.resolve(path.dirname(pageFilePath), importPath);
-        
-        // Buscar el archivo con diferentes extensiones
-        const possibleExtensions = ['.js', '.jsx', '.ts', '.tsx', '.vue'];
-        for (const ext of possibleExtensions) {
-          const fullPath = componentPath + ext;
-          if (await fs.pathExists(fullPath)) {
-            const componentContent = await fs.readFile(fullPath, 'utf8');
-            imports.push({
-              name: path.basename(importPath),
-              path: fullPath,
-              content: componentContent.substring(0, 2000) // Limitar contenido
-            });
-            break;
-          }
-        }
-      }
-    }
-    
-    return imports;
-  } catch (error) {
-    console.error('Error obteniendo componentes importados:', error);
-    return [];
-  }
+Historias de usuario asociadas:
+${userStoriesText || 'No hay historias de usuario definidas aún.'}
+
+Instrucciones:
+1. Genera una descripción de 2-4 oraciones que explique claramente el propósito y funcionalidad de esta página
+2. La descripción debe ser técnica pero comprensible
+3. Incluye las funcionalidades principales basándote en las historias de usuario
+4. Mantén un tono profesional y directo
+5. Si no hay historias de usuario, basa la descripción únicamente en el nombre y ruta de la página
+
+Responde únicamente con la descripción, sin explicaciones adicionales.`;
 };
 
 // Función auxiliar para crear prompt de Gemini
@@ -818,96 +1868,20 @@ Concentrate en las acciones que el usuario puede realizar, no en detalles técni
   return prompt;
 };
 
-// Función auxiliar para parsear respuesta de Gemini
-const parseGeminiResponse = (responseText) => {
-  try {
-    // Buscar JSON en la respuesta
-    const jsonMatch = responseText.match(/```json\s*([\s\S]*?)\s*```/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[1]);
-    }
-    
-    // Si no hay formato JSON, intentar parsear directamente
-    const cleanResponse = responseText.replace(/```json|```/g, '').trim();
-    return JSON.parse(cleanResponse);
-  } catch (error) {
-    console.error('Error parseando respuesta de Gemini:', error);
-    // Retornar estructura básica en caso de error
-    return [{
-      title: 'Funcionalidad detectada',
-      description: 'Se detectó funcionalidad pero no se pudo parsear correctamente',
-      acceptanceCriteria: ['Revisar manualmente el análisis'],
-      priority: 'Media'
-    }];
-  }
-};
-
-// Función auxiliar para agregar user stories al proyecto
-const addUserStoriesToProject = async (project, pageName, userStoriesFromGemini) => {
-  console.log(`[Sync] Agregando/actualizando user stories para la página: ${pageName}`);
-  let page = project.pages.find(p => p.name === pageName);
-
-  if (!page) {
-    console.warn(`[Sync] Página "${pageName}" no encontrada en el proyecto. Creando nueva página...`);
-    const generatedRoute = pageName
-      .toLowerCase()
-      .replace(/\s+/g, '-') // Reemplazar espacios con guiones
-      .replace(/[^a-z0-9-\/]/g, ''); // Permitir solo alfanuméricos, guiones y barras
-
-    const newPageData = {
-      id: uuidv4(),
-      name: pageName,
-      description: `Página ${pageName} generada durante la sincronización.`,
-      route: generatedRoute || pageName.toLowerCase().replace(/\s+/g, '-'), // Asegurar una ruta válida
-      userStories: [] // Inicializar con array vacío
-    };
-    project.pages.push(newPageData);
-    page = project.pages[project.pages.length - 1]; // Obtener la referencia a la página recién agregada
-    console.log(`[Sync] Nueva página "${pageName}" creada con ID ${page.id} y ruta ${page.route}`);
-  } else {
-    console.log(`[Sync] Página "${pageName}" encontrada. ID: ${page.id}`);
-  }
-
-  // Limpiar historias de usuario existentes generadas por IA para esta página si es necesario,
-  // o fusionar de forma inteligente. Por ahora, las reemplazaremos.
-  // page.userStories = []; // Opción 1: Reemplazar todas
-  
-  console.log(`[Sync] Agregando ${userStoriesFromGemini.length} nuevas user stories a la página "${pageName}"`);
-
-  const priorityMap = {
-    'alta': 'high',
-    'media': 'medium',
-    'baja': 'low'
-  };
-
-  userStoriesFromGemini.forEach(storyData => {
-    const mappedPriority = priorityMap[(storyData.priority || '').toLowerCase()] || 'medium';
-    const newUserStory = {
-      id: uuidv4(),
-      title: storyData.title,
-      description: storyData.description,
-      priority: mappedPriority,
-      status: 'completed', // Set status to completed for synced stories
-      estimatedHours: storyData.estimatedHours || 0,
-      // createdAt y updatedAt serán manejados por Mongoose si se definen en el schema
-    };
-    page.userStories.push(newUserStory);
+// Función auxiliar para obtener historias de usuario validadas contra su schema (con prompts de reparación)
+// Si ninguna historia es válida lanza un error para no tocar las historias existentes de la página
+const generateUserStoriesWithSchema = async (llm, prompt, { count, stats }) => {
+  const { data, valid, errors } = await generateStructured(prompt => llm.generate(prompt), prompt, {
+    step: 'userStories',
+    schema: count ? createUserStoriesSchema({ count }) : undefined,
+    stats
   });
-  
-  console.log(`[Sync] Total user stories en página "${pageName}" después de agregar: ${page.userStories.length}`);
-
-  try {
-    await project.save(); // Guardar el proyecto para persistir las nuevas historias y/o páginas
-    console.log(`[Sync] ✅ User stories para "${pageName}" guardadas/actualizadas exitosamente en el proyecto.`);
-  } catch (error) {
-    // Loguear el error completo, incluyendo el objeto de error si es una ValidationError
-    console.error(`❌ Error agregando user stories al proyecto para la página "${pageName}":`, error.message);
-    if (error.errors) {
-        console.error('Detalles de validación:', JSON.stringify(error.errors, null, 2));
-    }
-    console.error('Stack trace del error en addUserStoriesToProject:', error.stack);
-    throw error; // Re-lanzar para que syncProject lo maneje
+  if (!valid && data.length === 0) {
+    const error = new Error(`La respuesta del modelo no cumple el formato de historias de usuario: ${errors.slice(0, 3).join('; ')}`);
+    error.code = 'INVALID_LLM_OUTPUT';
+    throw error;
   }
+  return data;
 };
 
 // @desc    Generate page description using AI
@@ -919,31 +1893,14 @@ const generatePageDescription = async (req, res) => {
     console.log('🔍 generatePageDescription - Parámetros recibidos:', { projectId, pageId });
     console.log('👤 Usuario autenticado:', req.user?.userId);
 
-    // Verificar que la API key de Gemini esté configurada
-    if (!process.env.GEMINI_API_KEY) {
-      console.log('❌ API key de Gemini no configurada');
-      return res.status(500).json({
-        error: 'Configuración faltante',
-        message: 'La API key de Google Gemini no está configurada'
-      });
-    }
+    const project = req.project;
 
-    console.log('🔍 Buscando proyecto con ID:', projectId);
-    const project = await Project.findOne({
-      _id: projectId,
-      userId: req.user.userId,
-      isActive: true
-    });
+    console.log('✅ Proyecto encontrado:', project.name);
 
-    if (!project) {
-      console.log('❌ Proyecto no encontrado para:', { projectId, userId: req.user.userId });
-      return res.status(404).json({
-        error: 'Proyecto no encontrado',
-        message: 'El proyecto no existe o no tienes permisos para modificarlo'
-      });
-    }
+    // Verificar que el proveedor de IA del proyecto esté configurado
+    const llm = getConfiguredLLMProvider(project, res, req.body?.llmMode);
+    if (!llm) return;
 
-    console.log('✅ Proyecto encontrado:', project.name);
     console.log('📄 Páginas en el proyecto:', project.pages.length);
     console.log('🔍 Buscando página con ID:', pageId);
     
@@ -966,42 +1923,13 @@ const generatePageDescription = async (req, res) => {
     console.log(`🤖 Generando descripción para la página: ${page.name}`);
     console.log(`📚 User stories disponibles: ${page.userStories.length}`);
 
-    // Inicializar Google Gemini
-    const client = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
-
     // Crear el prompt para generar la descripción
-    const userStoriesText = page.userStories.map(story => 
-      `- ${story.title}: ${story.description} (Prioridad: ${story.priority})`
-    ).join('\n');
-
-    const prompt = `
-Actúa como un analista de producto experto. Basándote en el nombre de la página y las historias de usuario proporcionadas, genera una descripción clara y concisa de la página.
-
-Nombre de la página: "${page.name}"
-Ruta de la página: "${page.route || 'No especificada'}"
-
-Historias de usuario asociadas:
-${userStoriesText || 'No hay historias de usuario definidas aún.'}
-
-Instrucciones:
-1. Genera una descripción de 2-4 oraciones que explique claramente el propósito y funcionalidad de esta página
-2. La descripción debe ser técnica pero comprensible
-3. Incluye las funcionalidades principales basándote en las historias de usuario
-4. Mantén un tono profesional y directo
-5. Si no hay historias de usuario, basa la descripción únicamente en el nombre y ruta de la página
-
-Responde únicamente con la descripción, sin explicaciones adicionales.`;
+    const prompt = createPageDescriptionPrompt(page);
 
-    console.log('📝 Enviando solicitud a Gemini para generar descripción...');
+    console.log(`📝 Enviando solicitud a ${llm.name} para generar descripción...`);
     
     try {
-      const response = await client.models.generateContent({
-        model: 'gemini-1.5-pro',
-        contents: prompt
-      });
-      
-      // Escribir respuesta de Gemini en archivo
-      await writeGeminiResponseToFile(response.text, `description_${page.name}`, projectId);
+      const response = await llm.generate(prompt);
       
       const generatedDescription = response.text.trim();
 
@@ -1058,19 +1986,8 @@ const updatePage = async (req, res) => {
     console.log('👤 Usuario autenticado:', req.user?.userId);
     console.log('📝 Datos a actualizar:', { name, description, route });
 
-    const project = await Project.findOne({
-      _id: projectId,
-      userId: req.user.userId,
-      isActive: true
-    });
-
-    if (!project) {
-      console.log('❌ Proyecto no encontrado para:', { projectId, userId: req.user.userId });
-      return res.status(404).json({
-        error: 'Proyecto no encontrado',
-        message: 'El proyecto no existe o no tienes permisos para modificarlo'
-      });
-    }
+    const project = req.project;
+    const before = captureProjectState(project);
 
     console.log('✅ Proyecto encontrado:', project.name);
     console.log('📄 Páginas en el proyecto:', project.pages.length);
@@ -1089,12 +2006,25 @@ const updatePage = async (req, res) => {
 
     // Update page fields
     if (name !== undefined) project.pages[pageIndex].name = name;
-    if (description !== undefined) project.pages[pageIndex].description = description;
+    if (description !== undefined) {
+      project.pages[pageIndex].description = description;
+      project.pages[pageIndex].descriptionSource = req.body.source === 'llm' ? 'llm' : 'manual';
+    }
     if (route !== undefined) project.pages[pageIndex].route = route;
     
     project.pages[pageIndex].updatedAt = new Date();
 
     await project.save();
+    // El frontend indica source: 'llm' cuando guarda sin editar la descripción generada con IA
+    await recordRevisions(req, project, before, { source: req.body.source || 'manual' });
+    await recordActivity(req, project, {
+      action: 'page.updated',
+      targetType: 'page',
+      targetId: pageId,
+      targetName: project.pages[pageIndex].name,
+      pageId,
+      details: { fields: ['name', 'description', 'route'].filter(field => req.body[field] !== undefined) }
+    });
 
     console.log('✅ Página actualizada exitosamente');
 
@@ -1116,35 +2046,25 @@ const updatePage = async (req, res) => {
 const generateBackendFromAPI = async (req, res) => {
   try {
     const projectId = req.params.id;
-    const { outputPath = './generated-backend', includeDatabase = true, framework = 'express' } = req.body;
+    const { includeDatabase = true, framework = 'express', verify = true } = req.body;
+    const project = req.project;
+
+    // La salida siempre queda dentro del directorio de generación del proyecto (después se ejecuta al verificarla)
+    let outputPath;
+    try {
+      outputPath = resolveGenerationOutputPath(project, req.body.outputPath);
+    } catch (error) {
+      if (error.code !== 'INVALID_OUTPUT_PATH') throw error;
+      return res.status(400).json({
+        error: 'Ruta de salida no válida',
+        message: error.message
+      });
+    }
     
     console.log('🚀 generateBackendFromAPI - Iniciando generación de backend');
     console.log('📋 Parámetros:', { projectId, outputPath, includeDatabase, framework });
     console.log('👤 Usuario:', req.user?.userId);
 
-    // Verificar que la API key de Gemini esté configurada
-    if (!process.env.GEMINI_API_KEY) {
-      console.log('❌ API key de Gemini no configurada');
-      return res.status(500).json({
-        error: 'Configuración faltante',
-        message: 'La API key de Google Gemini no está configurada'
-      });
-    }
-
-    const project = await Project.findOne({
-      _id: projectId,
-      userId: req.user.userId,
-      isActive: true
-    });
-
-    if (!project) {
-      console.log('❌ Proyecto no encontrado');
-      return res.status(404).json({
-        error: 'Proyecto no encontrado',
-        message: 'El proyecto no existe o no tienes permisos para modificarlo'
-      });
-    }
-
     if (!project.githubUrl) {
       console.log('❌ URL de GitHub no configurada');
       return res.status(400).json({
@@ -1153,29 +2073,25 @@ const generateBackendFromAPI = async (req, res) => {
       });
     }
 
+    // Verificar que el proveedor de IA del proyecto esté configurado
+    const llm = getConfiguredLLMProvider(project, res, req.body?.llmMode);
+    if (!llm) return;
+
     console.log(`✅ Proyecto encontrado: ${project.name}`);
     console.log(`🔗 GitHub URL: ${project.githubUrl}`);
 
-    // Crear directorio temporal para clonar el repositorio
-    const tempDir = path.join(__dirname, '..', 'temp', `backend_gen_${project._id}_${Date.now()}`);
-    console.log(`📁 Directorio temporal: ${tempDir}`);
+    // Obtener un snapshot del repositorio desde el workspace en caché del proyecto
+    let workspace = null;
     
     try {
-      // Preparar directorio temporal
-      console.log('🧹 Preparando directorio temporal...');
-      await cleanupTempDir(tempDir);
-      await fs.ensureDir(tempDir);
-      console.log('✅ Directorio temporal preparado');
-
-      // Clonar repositorio
-      console.log(`📥 Clonando repositorio: ${project.githubUrl}`);
-      const git = simpleGit();
-      await git.clone(project.githubUrl, tempDir);
-      console.log('✅ Repositorio clonado exitosamente');
+      console.log(`📥 Preparando workspace del repositorio: ${project.githubUrl}`);
+      workspace = await acquireWorkspace(project, { label: 'backend' });
+      const repoDir = workspace.dir;
+      console.log(`✅ Snapshot del repositorio listo (${project.repository?.ref || 'rama por defecto'} @ ${workspace.headCommit.slice(0, 7)}${workspace.reused ? ', desde caché' : ''})`);
 
       // Buscar carpeta API
       console.log('🔍 Buscando carpeta API...');
-      const apiDir = await findAPIDirectory(tempDir);
+      const apiDir = await findAPIDirectory(repoDir);
       
       if (!apiDir) {
         console.log('❌ Carpeta API no encontrada');
@@ -1199,11 +2115,8 @@ const generateBackendFromAPI = async (req, res) => {
         });
       }
 
-      // Inicializar Google Gemini
-      console.log('🤖 Inicializando Google Gemini...');
-      const client = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
-      console.log('✅ Cliente Gemini inicializado correctamente');
-
+      // Reparaciones de respuestas que no cumplían el schema, por paso
+      const llmRepairs = createRepairStats();
       const backendStructure = {
         models: [],
         controllers: [],
@@ -1222,21 +2135,26 @@ const generateBackendFromAPI = async (req, res) => {
           const apiContent = await fs.readFile(apiFile.path, 'utf8');
           console.log(`📝 Contenido leído: ${apiContent.length} caracteres`);
 
+          // Los archivos grandes se envían por partes con funciones completas y las respuestas se fusionan
+          const chunks = chunkApiSource(apiContent, { fileName: path.basename(apiFile.path) });
+          if (chunks.length > 1) console.log(`✂️ Archivo dividido en ${chunks.length} partes`);
+          const analyzeChunks = async (analysisType, responseName) => {
+            const analyses = [];
+            for (const chunk of chunks) {
+              const { data } = await generateStructured(prompt => llm.generate(prompt), createTargetedBackendAnalysisPrompt(apiFile.name, chunk.content, framework, includeDatabase, analysisType), {
+                step: analysisType,
+                stats: llmRepairs
+              });
+              console.log(`✅ Respuesta recibida de Gemini (${responseName}, parte ${chunk.index}/${chunk.total})`);
+              analyses.push(data);
+            }
+            return mergeChunkAnalyses(analyses);
+          };
+
           // --- Generar Modelos ---
           console.log('📝 Creando prompt para Modelos...');
-          const modelsPrompt = createTargetedBackendAnalysisPrompt(apiFile.name, apiContent, framework, includeDatabase, 'models');
-          console.log(`🤖 Enviando solicitud a Gemini para Modelos...`);
-          let response = await client.models.generateContent({
-            model: 'gemini-2.5-pro-preview-06-05',
-            contents: modelsPrompt
-          });
-          console.log('✅ Respuesta recibida de Gemini para Modelos');
-          console.log('🤖 Respuesta cruda de Gemini (Modelos):', response.text);
-          
-          // Escribir respuesta de Gemini en archivo
-          await writeGeminiResponseToFile(response.text, 'modelos', projectId);
-          
-          let analysis = parseBackendAnalysisResponse(response.text);
+          console.log(`🤖 Enviando solicitud a ${llm.name} para Modelos...`);
+          let analysis = await analyzeChunks('models', 'modelos');
           console.log(`📚 Análisis de Modelos completado para: ${apiFile.name}`);
           console.log('🔍 Análisis parseado de Gemini (Modelos):', JSON.stringify(analysis, null, 2));
           if (analysis.models) backendStructure.models.push(...analysis.models);
@@ -1246,19 +2164,8 @@ const generateBackendFromAPI = async (req, res) => {
 
           // --- Generar Controladores ---
           console.log('📝 Creando prompt para Controladores...');
-          const controllersPrompt = createTargetedBackendAnalysisPrompt(apiFile.name, apiContent, framework, includeDatabase, 'controllers');
-          console.log(`🤖 Enviando solicitud a Gemini para Controladores...`);
-          response = await client.models.generateContent({
-            model: 'gemini-2.5-pro-preview-06-05',
-            contents: controllersPrompt
-          });
-          console.log('✅ Respuesta recibida de Gemini para Controladores');
-          console.log('🤖 Respuesta cruda de Gemini (Controladores):', response.text);
-          
-          // Escribir respuesta de Gemini en archivo
-          await writeGeminiResponseToFile(response.text, 'controladores', projectId);
-          
-          analysis = parseBackendAnalysisResponse(response.text);
+          console.log(`🤖 Enviando solicitud a ${llm.name} para Controladores...`);
+          analysis = await analyzeChunks('controllers', 'controladores');
           console.log(`📚 Análisis de Controladores completado para: ${apiFile.name}`);
           console.log('🔍 Análisis parseado de Gemini (Controladores):', JSON.stringify(analysis, null, 2));
           if (analysis.controllers) backendStructure.controllers.push(...analysis.controllers);
@@ -1268,19 +2175,8 @@ const generateBackendFromAPI = async (req, res) => {
 
           // --- Generar Rutas ---
           console.log('📝 Creando prompt para Rutas...');
-          const routesPrompt = createTargetedBackendAnalysisPrompt(apiFile.name, apiContent, framework, includeDatabase, 'routes');
-          console.log(`🤖 Enviando solicitud a Gemini para Rutas...`);
-          response = await client.models.generateContent({
-            model: 'gemini-2.5-pro-preview-06-05',
-            contents: routesPrompt
-          });
-          console.log('✅ Respuesta recibida de Gemini para Rutas');
-          console.log('🤖 Respuesta cruda de Gemini (Rutas):', response.text);
-          
-          // Escribir respuesta de Gemini en archivo
-          await writeGeminiResponseToFile(response.text, 'rutas', projectId);
-          
-          analysis = parseBackendAnalysisResponse(response.text);
+          console.log(`🤖 Enviando solicitud a ${llm.name} para Rutas...`);
+          analysis = await analyzeChunks('routes', 'rutas');
           console.log(`📚 Análisis de Rutas completado para: ${apiFile.name}`);
           console.log('🔍 Análisis parseado de Gemini (Rutas):', JSON.stringify(analysis, null, 2));
           if (analysis.routes) backendStructure.routes.push(...analysis.routes);
@@ -1295,19 +2191,15 @@ const generateBackendFromAPI = async (req, res) => {
 
       // Generar archivos del backend
       console.log('\n🏗️ Generando estructura del backend...');
-      const generatedFiles = await generateBackendFiles(backendStructure, outputPath, framework, includeDatabase, client);
+      const generatedFiles = await generateBackendFiles(backendStructure, outputPath, framework, includeDatabase, llm);
       
-      console.log('\n🧹 Limpiando directorio temporal...');
-      try {
-        await cleanupTempDir(tempDir);
-        console.log('✅ Directorio temporal eliminado');
-      } catch (cleanupError) {
-        console.log('⚠️ Error limpiando directorio temporal:', cleanupError.message);
-      }
+      // Compilar y arrancar el backend generado contra un MongoDB en memoria
+      const verification = verify ? await verifyGeneratedBackend(outputPath, { framework }) : null;
 
       console.log(`\n🎉 Generación de backend completada:`);
       console.log(`📄 Archivos API analizados: ${apiFiles.length}`);
       console.log(`🏗️ Archivos generados: ${generatedFiles.length}`);
+      console.log(`🧪 Verificación: ${summarizeVerification(verification)}`);
 
       res.json({
         message: 'Backend generado exitosamente',
@@ -1322,6 +2214,7 @@ const generateBackendFromAPI = async (req, res) => {
           outputPath: outputPath,
           framework: framework,
           includeDatabase: includeDatabase,
+          llmRepairs,
           structure: {
             models: backendStructure.models.length,
             controllers: backendStructure.controllers.length,
@@ -1329,21 +2222,17 @@ const generateBackendFromAPI = async (req, res) => {
             middleware: backendStructure.middleware.length,
             config: backendStructure.config.length
           },
+          verification,
           files: generatedFiles
         }
       });
 
     } catch (error) {
       console.error('❌ Error en el proceso de generación:', error);
-      
-      // Limpiar directorio temporal en caso de error
-      try {
-        await cleanupTempDir(tempDir);
-      } catch (cleanupError) {
-        console.log('⚠️ Error limpiando directorio temporal después del error:', cleanupError.message);
-      }
-      
-      throw error;
+            throw error;
+    } finally {
+      // Liberar el snapshot (el clon en caché se conserva para la próxima operación)
+      if (workspace) await workspace.release();
     }
 
   } catch (error) {
@@ -1366,30 +2255,14 @@ const generateUserStoriesForPage = async (req, res) => {
     console.log('🔍 generateUserStoriesForPage - Parámetros recibidos:', { projectId, pageId, numUserStories, userStoryType });
     console.log('👤 Usuario autenticado:', req.user?.userId);
 
-    // Verificar que la API key de Gemini esté configurada
-    if (!process.env.GEMINI_API_KEY) {
-      console.log('❌ API key de Gemini no configurada');
-      return res.status(500).json({
-        error: 'Configuración faltante',
-        message: 'La API key de Google Gemini no está configurada'
-      });
-    }
-
-    const project = await Project.findOne({
-      _id: projectId,
-      userId: req.user.userId,
-      isActive: true
-    });
-
-    if (!project) {
-      console.log('❌ Proyecto no encontrado para:', { projectId, userId: req.user.userId });
-      return res.status(404).json({
-        error: 'Proyecto no encontrado',
-        message: 'El proyecto no existe o no tienes permisos para modificarlo'
-      });
-    }
+    const project = req.project;
+    const before = captureProjectState(project);
 
     console.log('✅ Proyecto encontrado:', project.name);
+
+    // Verificar que el proveedor de IA del proyecto esté configurado
+    const llm = getConfiguredLLMProvider(project, res, req.body?.llmMode);
+    if (!llm) return;
     
     const page = project.pages.find(p => p.id === pageId);
     if (!page) {
@@ -1411,43 +2284,37 @@ const generateUserStoriesForPage = async (req, res) => {
       });
     }
 
-    // Crear directorio temporal para clonar el repositorio
-    const tempDir = path.join(__dirname, '..', 'temp', `repo_${project._id}_${Date.now()}`);
-    console.log(`📁 Directorio temporal: ${tempDir}`);
+    // Obtener un snapshot del repositorio desde el workspace en caché del proyecto
+    let workspace = null;
     
     try {
-      // Limpiar directorio temporal si existe
-      console.log('🧹 Preparando directorio temporal...');
-      await cleanupTempDir(tempDir);
-      await fs.ensureDir(tempDir);
-      console.log('✅ Directorio temporal preparado');
-
-      // Clonar repositorio
-      console.log(`📥 Clonando repositorio: ${project.githubUrl}`);
-      const git = simpleGit();
-      await git.clone(project.githubUrl, tempDir);
-      console.log('✅ Repositorio clonado exitosamente');
-
-      // Buscar carpeta de páginas
-      console.log('🔍 Buscando carpeta de páginas...');
-      const pagesDir = await findPagesDirectory(tempDir);
+      console.log(`📥 Preparando workspace del repositorio: ${project.githubUrl}`);
+      workspace = await acquireWorkspace(project, { label: 'user-stories' });
+      const repoDir = workspace.dir;
+      console.log(`✅ Snapshot del repositorio listo (${project.repository?.ref || 'rama por defecto'} @ ${workspace.headCommit.slice(0, 7)}${workspace.reused ? ', desde caché' : ''})`);
+
+      // Descubrir las páginas según el framework (Next.js, Remix, React Router, carpeta pages...)
+      console.log('🔍 Descubriendo páginas del repositorio...');
+      const discovery = await discoverPages(repoDir);
       
-      if (!pagesDir) {
-        console.log('❌ Carpeta de páginas no encontrada');
+      if (discovery.pages.length === 0) {
+        console.log('❌ No se encontraron páginas en el repositorio');
         return res.status(404).json({
-          error: 'Carpeta de páginas no encontrada',
-          message: 'No se encontró una carpeta "pages" o "Pages" en el repositorio'
+          error: 'No se encontraron páginas',
+          message: 'No se encontraron páginas con ninguna estrategia de descubrimiento (Next.js, Remix, React Router/Vue Router, carpeta pages o carpetas por funcionalidad)',
+          strategiesTried: discovery.strategiesTried
         });
       }
-      console.log(`✅ Carpeta de páginas encontrada: ${pagesDir}`);
+      console.log(`📄 Páginas encontradas: ${discovery.pages.length} (estrategia: ${discovery.strategy})`);
 
-      // Buscar el archivo específico de la página
+      // Buscar el archivo específico de la página: por el archivo sincronizado, por ruta o por nombre
       console.log(`🔍 Buscando archivo para la página: ${page.name}`);
-      const pageFiles = await getPageFiles(pagesDir);
-      const targetPageFile = pageFiles.find(file => 
-        file.name.toLowerCase().includes(page.name.toLowerCase()) ||
-        page.name.toLowerCase().includes(file.name.toLowerCase())
-      );
+      const targetPageFile = discovery.pages.find(file => page.sourcePath && file.sourcePath === page.sourcePath) ||
+        discovery.pages.find(file => file.route && file.route === page.route) ||
+        discovery.pages.find(file => 
+          file.name.toLowerCase().includes(page.name.toLowerCase()) ||
+          page.name.toLowerCase().includes(file.name.toLowerCase())
+        );
 
       if (!targetPageFile) {
         console.log('❌ Archivo de página no encontrado');
@@ -1466,7 +2333,7 @@ const generateUserStoriesForPage = async (req, res) => {
       
       // Obtener componentes importados
       console.log('🔍 Analizando componentes importados...');
-      const importedComponents = await getImportedComponents(targetPageFile.path, tempDir);
+      const importedComponents = await getImportedComponents(targetPageFile.path, repoDir);
       console.log(`🧩 Componentes encontrados: ${importedComponents.length}`);
       
       // Crear prompt personalizado para Gemini
@@ -1476,23 +2343,14 @@ const generateUserStoriesForPage = async (req, res) => {
        console.log(`📄 Descripción de página: ${page.description || 'Sin descripción'}`);
        console.log(`📚 Historias existentes: ${page.userStories ? page.userStories.length : 0}`);
       
-      // Inicializar Google Gemini
-      console.log('🤖 Inicializando Google Gemini...');
-      const client = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
-      console.log('✅ Cliente Gemini inicializado correctamente');
-      
-      // Obtener user stories usando Gemini
-      console.log('🤖 Enviando solicitud a Gemini...');
-      const response = await client.models.generateContent({
-        model: 'gemini-2.5-pro-preview-06-05',
-        contents: prompt
+      // Obtener user stories usando el proveedor de IA del proyecto
+      console.log(`🤖 Enviando solicitud a ${llm.name}...`);
+      const llmRepairs = createRepairStats();
+      const userStories = await generateUserStoriesWithSchema(llm, prompt, {
+        count: parseInt(numUserStories, 10) || undefined,
+        stats: llmRepairs
       });
-      console.log('✅ Respuesta recibida de Gemini');
-      
-      // Escribir respuesta de Gemini en archivo
-      await writeGeminiResponseToFile(response.text, `generate_stories_${page.name}`, projectId);
-      
-      const userStories = parseGeminiResponse(response.text);
+      console.log(`✅ Respuesta recibida de ${llm.name}`);
       console.log(`📚 User stories generadas: ${userStories.length}`);
       
       // Agregar las nuevas user stories a la página
@@ -1511,44 +2369,47 @@ const generateUserStoriesForPage = async (req, res) => {
           description: storyData.description,
           priority: mappedPriority,
           status: 'pending',
-          estimatedHours: storyData.estimatedHours || 0
+          estimatedHours: storyData.estimatedHours || 0,
+          acceptanceCriteria: toAcceptanceCriteria(storyData.acceptanceCriteria)
         };
         page.userStories.push(newUserStory);
       });
 
       await project.save();
+      await recordRevisions(req, project, before, { source: 'llm' });
+      await recordActivity(req, project, {
+        action: 'userStory.generated',
+        targetType: 'page',
+        targetId: page.id,
+        targetName: page.name,
+        pageId: page.id,
+        details: { userStories: userStories.length, provider: llm.name, repairs: llmRepairs.userStories?.repairs || 0 }
+      });
       console.log('✅ User stories agregadas exitosamente');
 
-      // Limpiar directorio temporal
-      console.log('🧹 Limpiando directorio temporal...');
-      try {
-        await cleanupTempDir(tempDir);
-        console.log('✅ Directorio temporal eliminado');
-      } catch (cleanupError) {
-        console.log('⚠️ Error limpiando directorio temporal:', cleanupError.message);
-      }
-
       res.json({
         message: 'Historias de usuario generadas exitosamente',
         userStoriesCount: userStories.length,
-        userStories: userStories
+        userStories: userStories,
+        llmRepairs
       });
 
     } catch (error) {
       console.error('❌ Error en el proceso de generación:', error);
-      
-      // Limpiar directorio temporal en caso de error
-      try {
-        await cleanupTempDir(tempDir);
-      } catch (cleanupError) {
-        console.log('⚠️ Error limpiando directorio temporal después del error:', cleanupError.message);
-      }
-      
-      throw error;
+            throw error;
+    } finally {
+      // Liberar el snapshot (el clon en caché se conserva para la próxima operación)
+      if (workspace) await workspace.release();
     }
 
   } catch (error) {
     console.error('Error al generar historias de usuario:', error);
+    if (error.code === 'INVALID_LLM_OUTPUT') {
+      return res.status(502).json({
+        error: 'Respuesta de IA inválida',
+        message: error.message
+      });
+    }
     res.status(500).json({
       error: 'Error interno del servidor',
       message: 'Error al generar historias de usuario con IA'
@@ -1671,7 +2532,7 @@ const createTargetedBackendAnalysisPrompt = (fileName, fileContent, framework, i
 
 Contenido del archivo:
 \`\`\`
-${fileContent.substring(0, 4000)}
+${fileContent}
 \`\`\`
 
 Instrucciones Específicas para ${targetType.toUpperCase()}:
@@ -1703,7 +2564,7 @@ const createBackendAnalysisPrompt = (fileName, fileContent, framework, includeDa
 
 Contenido del archivo:
 \`\`\`
-${fileContent.substring(0, 4000)}
+${fileContent}
 \`\`\`
 
 Instrucciones:
@@ -1774,33 +2635,8 @@ ${includeDatabase ? '- Usar Mongoose para modelos de MongoDB' : '- Usar estructu
   return prompt;
 };
 
-// Función auxiliar para parsear respuesta de análisis de backend
-const parseBackendAnalysisResponse = (responseText) => {
-  try {
-    // Buscar JSON en la respuesta
-    const jsonMatch = responseText.match(/```json\s*([\s\S]*?)\s*```/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[1]);
-    }
-    
-    // Si no hay formato JSON, intentar parsear directamente
-    const cleanResponse = responseText.replace(/```json|```/g, '').trim();
-    return JSON.parse(cleanResponse);
-  } catch (error) {
-    console.error('Error parseando respuesta de análisis de backend:', error);
-    // Retornar estructura básica en caso de error
-    return {
-      models: [],
-      controllers: [],
-      routes: [],
-      middleware: [],
-      config: []
-    };
-  }
-};
-
 // Función auxiliar para generar archivos del backend
-const generateBackendFiles = async (backendStructure, outputPath, framework, includeDatabase, geminiClient) => {
+const generateBackendFiles = async (backendStructure, outputPath, framework, includeDatabase, llmProvider) => {
   const generatedFiles = [];
   
   try {
@@ -1880,7 +2716,7 @@ const generateBackendFiles = async (backendStructure, outputPath, framework, inc
     }
     
     // Generar package.json
-    const packageJsonContent = await generatePackageJson(framework, includeDatabase, geminiClient);
+    const packageJsonContent = await generatePackageJson(framework, includeDatabase, llmProvider);
     const packageJsonPath = path.join(fullOutputPath, 'package.json');
     await fs.writeFile(packageJsonPath, packageJsonContent, 'utf8');
     generatedFiles.push({
@@ -1892,7 +2728,7 @@ const generateBackendFiles = async (backendStructure, outputPath, framework, inc
     });
     
     // Generar server.js principal
-    const serverContent = await generateMainServer(framework, includeDatabase, geminiClient);
+    const serverContent = await generateMainServer(framework, includeDatabase, llmProvider);
     const serverPath = path.join(fullOutputPath, 'server.js');
     await fs.writeFile(serverPath, serverContent, 'utf8');
     generatedFiles.push({
@@ -1925,7 +2761,7 @@ const generateBackendFiles = async (backendStructure, outputPath, framework, inc
 };
 
 // Función auxiliar para generar package.json
-const generatePackageJson = async (framework, includeDatabase, geminiClient) => {
+const generatePackageJson = async (framework, includeDatabase, llmProvider) => {
   const basePackage = {
     "name": "generated-backend",
     "version": "1.0.0",
@@ -1957,7 +2793,7 @@ const generatePackageJson = async (framework, includeDatabase, geminiClient) =>
 };
 
 // Función auxiliar para generar servidor principal
-const generateMainServer = async (framework, includeDatabase, geminiClient) => {
+const generateMainServer = async (framework, includeDatabase, llmProvider) => {
   let serverContent = `const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -2175,7 +3011,7 @@ ${comp.content.substring(0, 1000)}
 
 1. **Título**: Un título descriptivo y conciso
 2. **Descripción**: Una descripción detallada siguiendo el formato "Como [tipo de usuario], quiero [funcionalidad] para [beneficio]"
-3. **Criterios de Aceptación**: Lista de 2-4 criterios específicos que deben cumplirse
+3. **Criterios de Aceptación**: Lista de 2-4 criterios verificables con un test, cada uno en formato Given/When/Then: "Dado que [contexto], cuando [acción del usuario], entonces [resultado observable]"
 4. **Prioridad**: Alta, Media o Baja
 5. **Horas Estimadas**: Estimación en horas (número entero entre 1 y 40)
 
@@ -2185,7 +3021,10 @@ Formato de respuesta (JSON):
   {
     "title": "Título de la historia de usuario",
     "description": "Como [usuario], quiero [funcionalidad] para [beneficio]",
-    "acceptanceCriteria": ["Criterio 1", "Criterio 2", "Criterio 3"],
+    "acceptanceCriteria": [
+      "Dado que [contexto], cuando [acción], entonces [resultado]",
+      "Dado que [contexto], cuando [acción], entonces [resultado]"
+    ],
     "priority": "Alta|Media|Baja",
     "estimatedHours": 8
   }
@@ -2203,10 +3042,34 @@ module.exports = {
   createProject,
   updateProject,
   updateGithubUrl,
+  updateRepositorySettings,
+  removeRepositoryCredentials,
   deleteProject,
   addPage,
   updatePage,
   addUserStory,
+  updateAcceptanceCriteria,
+  updateAcceptanceCriterion,
+  createCiToken,
+  revokeCiToken,
+  reportCiResults,
+  linkUserStoryTestFiles,
+  getProjectTestCoverage,
+  ingestTestResults,
+  exportUserStories,
+  importUserStories,
+  getProjectMembers,
+  inviteProjectMember,
+  revokeProjectInvitation,
+  updateProjectMember,
+  removeProjectMember,
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+  getActivityFeed,
+  getRevisions,
+  getRevision,
+  restoreProjectRevision,
   syncProject,
   generatePageDescription,
   generateUserStoriesForPage,
@@ -1,5 +1,9 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Project = require('../models/Project');
+const { hashCiToken } = require('../utils/acceptanceCriteria');
+const { getProjectRole, hasProjectRole } = require('../utils/projectAccess');
 
 // Middleware para verificar JWT token
 const authenticateToken = async (req, res, next) => {
@@ -77,7 +81,97 @@ const optionalAuth = async (req, res, next) => {
   next();
 };
 
+// Middleware para verificar el token de CI de un proyecto (Bearer TOKEN, generado en POST /api/projects/:id/ci-token)
+const authenticateCiToken = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({
+      error: 'Acceso denegado',
+      message: 'No token provided'
+    });
+  }
+
+  // Un ID mal formado no puede tener token: se responde igual que a un token que no corresponde
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(401).json({
+      error: 'Token de CI no válido',
+      message: 'El token no corresponde a este proyecto o fue revocado'
+    });
+  }
+
+  try {
+    const project = await Project.findOne({
+      _id: req.params.id,
+      isActive: true,
+      'ci.tokenHash': hashCiToken(token)
+    });
+
+    if (!project) {
+      return res.status(401).json({
+        error: 'Token de CI no válido',
+        message: 'El token no corresponde a este proyecto o fue revocado'
+      });
+    }
+
+    req.ciProject = project;
+    next();
+  } catch (error) {
+    console.error('CI token verification error:', error.message);
+    return res.status(500).json({
+      error: 'Token verification failed',
+      message: 'Error al verificar el token de CI'
+    });
+  }
+};
+
+// Middleware para exigir un rol mínimo en el proyecto de la ruta (:id o :projectId): viewer, editor u owner.
+// Deja el proyecto en req.project y el rol del usuario en req.projectRole
+const requireProjectRole = (minRole) => async (req, res, next) => {
+  const projectId = req.params.id || req.params.projectId;
+
+  try {
+    const project = await Project.findOne({ _id: projectId, isActive: true });
+    const role = getProjectRole(project, req.user.userId);
+
+    // Quien no es miembro no debe saber si el proyecto existe
+    if (!role) {
+      return res.status(404).json({
+        error: 'Proyecto no encontrado',
+        message: 'El proyecto no existe o no tienes acceso a él'
+      });
+    }
+
+    if (!hasProjectRole(role, minRole)) {
+      return res.status(403).json({
+        error: 'Permisos insuficientes',
+        message: `Esta acción requiere el rol ${minRole} en el proyecto (tu rol es ${role})`
+      });
+    }
+
+    req.project = project;
+    req.projectRole = role;
+    next();
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        error: 'Proyecto no encontrado',
+        message: 'El proyecto no existe o no tienes acceso a él'
+      });
+    }
+
+    console.error('Project access verification error:', error.message);
+    return res.status(500).json({
+      error: 'Error interno del servidor',
+      message: 'Error al verificar el acceso al proyecto'
+    });
+  }
+};
+
 module.exports = {
   authenticateToken,
-  optionalAuth
+  optionalAuth,
+  authenticateCiToken,
+  requireProjectRole
 };
\ No newline at end of file
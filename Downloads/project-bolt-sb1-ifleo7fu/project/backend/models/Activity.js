@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const activitySchema = new mongoose.Schema({
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'El ID del proyecto es requerido']
+  },
+  // null cuando el cambio lo hace CI con el token del proyecto
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  userName: {
+    type: String,
+    trim: true
+  },
+  // Acción con el formato <objeto>.<verbo>: page.created, userStory.updated, member.removed...
+  action: {
+    type: String,
+    required: [true, 'La acción es requerida'],
+    trim: true
+  },
+  targetType: {
+    type: String,
+    enum: ['project', 'page', 'userStory', 'member', 'invitation', 'repository', 'ci'],
+    required: true
+  },
+  targetId: String,
+  targetName: String,
+  // Página a la que pertenece la historia (para filtrar el feed por página)
+  pageId: String,
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better performance
+activitySchema.index({ projectId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Activity', activitySchema);
@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+
+const generatedFileSchema = new mongoose.Schema({
+  type: String,
+  name: String,
+  fileName: String,
+  path: String,
+  description: String,
+  source: String
+}, {
+  _id: false
+});
+
+// Cambio de un archivo en una generación en modo dryRun (el diff se calcula bajo demanda)
+const previewFileSchema = new mongoose.Schema({
+  path: String,
+  status: {
+    type: String,
+    enum: ['added', 'modified', 'deleted']
+  },
+  additions: Number,
+  deletions: Number,
+  binary: Boolean
+}, {
+  _id: false
+});
+
+const dryRunSchema = new mongoose.Schema({
+  // Salida real a la que se aplican los cambios y directorio con la previsualización
+  targetPath: String,
+  previewPath: String,
+  // Estado de la generación (commit analizado y manifiesto) que se guarda en el proyecto al aplicar todos los cambios
+  generationState: mongoose.Schema.Types.Mixed,
+  summary: {
+    added: { type: Number, default: 0 },
+    modified: { type: Number, default: 0 },
+    deleted: { type: Number, default: 0 },
+    unchanged: { type: Number, default: 0 }
+  },
+  files: [previewFileSchema],
+  appliedFiles: [String],
+  appliedAt: Date
+}, {
+  _id: false
+});
+
+// Commit del backend generado en una rama nueva del repositorio del proyecto (opción commitToBranch)
+const repositoryCommitSchema = new mongoose.Schema({
+  branch: String,
+  commit: String,
+  baseCommit: String,
+  directory: String,
+  files: Number,
+  pushed: { type: Boolean, default: false },
+  pushError: String,
+  // Motivo por el que no se pudo crear el commit (la generación en sí terminó bien)
+  error: String
+}, {
+  _id: false
+});
+
+const generationRunSchema = new mongoose.Schema({
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'El ID del proyecto es requerido'],
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El ID del usuario es requerido']
+  },
+  jobId: {
+    type: String,
+    required: [true, 'El ID del trabajo es requerido'],
+    unique: true
+  },
+  type: {
+    type: String,
+    default: 'advanced-backend'
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  options: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  framework: String,
+  language: {
+    type: String,
+    enum: ['javascript', 'typescript'],
+    default: 'javascript'
+  },
+  includeDatabase: Boolean,
+  database: String,
+  provider: String,
+  model: String,
+  outputPath: String,
+  commit: String,
+  files: [generatedFileSchema],
+  coherence: {
+    issues: [String],
+    warnings: [String]
+  },
+  typecheck: mongoose.Schema.Types.Mixed,
+  verification: mongoose.Schema.Types.Mixed,
+  openApi: {
+    paths: Number,
+    operations: Number,
+    warnings: [String]
+  },
+  openApiSpec: mongoose.Schema.Types.Mixed,
+  // Datos de ejemplo generados desde los mocks del frontend (fixtures por modelo, mocks sin modelo y avisos)
+  seed: mongoose.Schema.Types.Mixed,
+  // Previsualización de una generación con dryRun: la salida real no cambia hasta aplicar los archivos
+  dryRun: {
+    type: dryRunSchema,
+    default: undefined
+  },
+  repositoryCommit: {
+    type: repositoryCommitSchema,
+    default: undefined
+  },
+  // Prompts de reparación que necesitó cada paso porque la respuesta no cumplía su schema ({ paso: { calls, repairs, failed } })
+  llmRepairs: mongoose.Schema.Types.Mixed,
+  tokenUsage: {
+    promptTokens: { type: Number, default: 0 },
+    completionTokens: { type: Number, default: 0 },
+    totalTokens: { type: Number, default: 0 },
+    calls: { type: Number, default: 0 }
+  },
+  durationMs: {
+    type: Number,
+    min: [0, 'La duración no puede ser negativa']
+  },
+  artifactPath: String,
+  error: String,
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+generationRunSchema.index({ projectId: 1, createdAt: -1 });
+
+// Virtual to know if the run has a downloadable artifact
+generationRunSchema.virtual('hasArtifact').get(function() {
+  return this.status === 'completed' && !!this.artifactPath;
+});
+
+// Virtual to know if the run has an OpenAPI specification
+generationRunSchema.virtual('hasOpenApiSpec').get(function() {
+  return this.status === 'completed' && !!this.openApi && typeof this.openApi.operations === 'number';
+});
+
+// Virtual to know if the run has dry-run changes not yet applied
+generationRunSchema.virtual('hasPendingPreview').get(function() {
+  return this.status === 'completed' && !!this.dryRun && !this.dryRun.appliedAt &&
+    this.dryRun.files.some(file => !this.dryRun.appliedFiles.includes(file.path));
+});
+
+// Remove internal fields from JSON output
+generationRunSchema.methods.toJSON = function() {
+  const run = this.toObject({ virtuals: true });
+  delete run.artifactPath;
+  delete run.openApiSpec;
+  if (run.dryRun) {
+    delete run.dryRun.previewPath;
+    delete run.dryRun.generationState;
+  }
+  delete run.__v;
+  return run;
+};
+
+module.exports = mongoose.model('GenerationRun', generationRunSchema);
@@ -1,4 +1,33 @@
 const mongoose = require('mongoose');
+const { SUPPORTED_LLM_PROVIDERS } = require('../utils/llmProvider');
+const { REPOSITORY_PROVIDERS, CREDENTIAL_TYPES, isRepositoryUrl } = require('../utils/repositoryAccess');
+const { toAcceptanceCriteria } = require('../utils/acceptanceCriteria');
+const { MEMBER_ROLES } = require('../utils/projectAccess');
+
+const acceptanceCriterionSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    required: [true, 'El texto del criterio de aceptación es requerido'],
+    trim: true,
+    maxlength: [500, 'Cada criterio de aceptación no puede exceder 500 caracteres']
+  },
+  completed: {
+    type: Boolean,
+    default: false
+  },
+  // Resultado del último test de CI que cubre el criterio (null: todavía sin resultado)
+  ciTestPassed: {
+    type: Boolean,
+    default: null
+  },
+  lastChecked: Date
+}, {
+  _id: false
+});
 
 const userStorySchema = new mongoose.Schema({
   id: {
@@ -31,6 +60,48 @@ const userStorySchema = new mongoose.Schema({
     type: Number,
     min: [0, 'Las horas estimadas no pueden ser negativas'],
     default: 0
+  },
+  acceptanceCriteria: [acceptanceCriterionSchema],
+  // Archivos de test generados para la historia (los resultados de Jest de estos archivos cuentan para ella)
+  testFiles: [{
+    _id: false,
+    path: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    type: {
+      type: String,
+      trim: true
+    },
+    generatedBy: {
+      type: String,
+      trim: true
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Resumen del último informe de Jest que incluyó tests de la historia
+  testResults: {
+    passed: Number,
+    failed: Number,
+    skipped: Number,
+    lastRunAt: Date,
+    commit: String,
+    failingTests: [String]
+  },
+  // Origen de la historia: creada a mano, detectada al sincronizar con el repositorio o importada de un archivo
+  source: {
+    type: String,
+    enum: ['manual', 'sync', 'import'],
+    default: 'manual'
+  },
+  // La página de la que salió la historia ya no existe en el repositorio
+  orphaned: {
+    type: Boolean,
+    default: false
   }
 }, {
   timestamps: true
@@ -57,11 +128,99 @@ const pageSchema = new mongoose.Schema({
     required: [true, 'La ruta es requerida'],
     trim: true
   },
+  // Archivo de la página en el repositorio (relativo a la raíz) y hash de su código en la última sincronización
+  sourcePath: String,
+  sourceHash: String,
+  syncStatus: {
+    type: String,
+    enum: ['synced', 'removed'],
+    default: 'synced'
+  },
+  lastSyncedAt: Date,
+  // Origen de la descripción: la sincronización solo reescribe las que no se editaron a mano
+  descriptionSource: {
+    type: String,
+    enum: ['manual', 'llm', 'sync']
+  },
   userStories: [userStorySchema]
 }, {
   timestamps: true
 });
 
+const generatedFileSchema = new mongoose.Schema({
+  type: String,
+  name: String,
+  fileName: String,
+  path: String,
+  description: String,
+  source: String
+}, {
+  _id: false
+});
+
+// Colaborador del proyecto (el propietario es userId y no aparece en members)
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: {
+      values: MEMBER_ROLES,
+      message: 'El rol debe ser: ' + MEMBER_ROLES.join(', ')
+    },
+    default: 'viewer'
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+// Invitación por email; la acepta el usuario registrado con ese email
+const invitationSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true
+  },
+  email: {
+    type: String,
+    required: [true, 'El email es requerido'],
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: {
+      values: MEMBER_ROLES,
+      message: 'El rol debe ser: ' + MEMBER_ROLES.join(', ')
+    },
+    default: 'viewer'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked'],
+    default: 'pending'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: Date,
+  respondedAt: Date
+}, {
+  _id: false,
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
 const projectSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -97,17 +256,90 @@ const projectSchema = new mongoose.Schema({
     validate: {
       validator: function(v) {
         if (!v) return true; // Optional field
-        return /^https?:\/\/.+/.test(v);
+        return isRepositoryUrl(v);
       },
-      message: 'La URL de GitHub debe ser una URL válida'
+      message: 'La URL del repositorio debe ser una URL HTTP(S) o SSH válida (file:// solo con ALLOW_LOCAL_REPOSITORIES=true)'
     }
   },
+  // Acceso al repositorio: rama/tag/commit a analizar, clonado superficial y credenciales cifradas
+  repository: {
+    provider: {
+      type: String,
+      enum: {
+        values: REPOSITORY_PROVIDERS,
+        message: 'El proveedor del repositorio debe ser: ' + REPOSITORY_PROVIDERS.join(', ')
+      }
+    },
+    ref: {
+      type: String,
+      trim: true
+    },
+    shallow: {
+      type: Boolean,
+      default: true
+    },
+    credentials: {
+      type: {
+        type: String,
+        enum: CREDENTIAL_TYPES
+      },
+      username: {
+        type: String,
+        trim: true
+      },
+      encryptedSecret: String,
+      configuredAt: Date
+    }
+  },
+  // Token con el que CI envía los resultados de los tests (solo se guarda su hash)
+  ci: {
+    tokenHash: String,
+    tokenCreatedAt: Date,
+    lastReportAt: Date
+  },
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: [true, 'El ID del usuario es requerido']
   },
+  members: [memberSchema],
+  invitations: [invitationSchema],
   pages: [pageSchema],
+  llmProvider: {
+    name: {
+      type: String,
+      enum: {
+        values: SUPPORTED_LLM_PROVIDERS,
+        message: 'El proveedor de IA debe ser: ' + SUPPORTED_LLM_PROVIDERS.join(', ')
+      }
+    },
+    model: {
+      type: String,
+      trim: true
+    }
+  },
+  backendGeneration: {
+    lastAnalyzedCommit: String,
+    apiDirectory: String,
+    outputPath: String,
+    language: {
+      type: String,
+      enum: ['javascript', 'typescript'],
+      default: 'javascript'
+    },
+    framework: {
+      type: String,
+      enum: ['express', 'fastify', 'koa'],
+      default: 'express'
+    },
+    database: {
+      type: String,
+      enum: ['mongodb', 'postgres', 'sqlite'],
+      default: 'mongodb'
+    },
+    analyzedAt: Date,
+    files: [generatedFileSchema]
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -118,8 +350,18 @@ const projectSchema = new mongoose.Schema({
 
 // Indexes for better performance
 projectSchema.index({ userId: 1, createdAt: -1 });
+projectSchema.index({ 'members.userId': 1 });
+projectSchema.index({ 'invitations.email': 1, 'invitations.status': 1 });
 projectSchema.index({ name: 'text', description: 'text' });
 
+// Criteria saved as plain strings before they had their own state are loaded as criterion objects
+projectSchema.pre('init', function(rawDoc) {
+  (rawDoc.pages || []).forEach(page => (page.userStories || []).forEach(story => {
+    if (!Array.isArray(story.acceptanceCriteria) || !story.acceptanceCriteria.some(item => typeof item === 'string')) return;
+    story.acceptanceCriteria = story.acceptanceCriteria.flatMap(item => (typeof item === 'string' ? toAcceptanceCriteria([item]) : [item]));
+  }));
+});
+
 // Virtual for total user stories count
 projectSchema.virtual('totalUserStories').get(function() {
   return this.pages.reduce((total, page) => total + page.userStories.length, 0);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const fieldChangeSchema = new mongoose.Schema({
+  field: String,
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, {
+  _id: false
+});
+
+const revisionSchema = new mongoose.Schema({
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'El ID del proyecto es requerido']
+  },
+  targetType: {
+    type: String,
+    enum: ['project', 'page', 'userStory'],
+    required: true
+  },
+  // ID del proyecto, de la página o de la historia
+  targetId: {
+    type: String,
+    required: true
+  },
+  // Página de la historia (para poder recrearla al restaurar)
+  pageId: String,
+  // Versión del elemento: 1, 2, 3... por cada cambio
+  version: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['baseline', 'created', 'updated', 'deleted', 'restored'],
+    required: true
+  },
+  // Origen del cambio; 'unknown' es el estado previo a la primera revisión registrada
+  source: {
+    type: String,
+    enum: ['manual', 'sync', 'llm', 'import', 'restore', 'unknown'],
+    default: 'manual'
+  },
+  // null cuando el cambio no lo hace un usuario (estado previo desconocido)
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  userName: String,
+  changes: [fieldChangeSchema],
+  // Estado completo de los campos versionados después del cambio
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  restoredFrom: {
+    revisionId: mongoose.Schema.Types.ObjectId,
+    version: Number
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better performance
+revisionSchema.index({ projectId: 1, createdAt: -1 });
+revisionSchema.index({ projectId: 1, targetType: 1, targetId: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('Revision', revisionSchema);
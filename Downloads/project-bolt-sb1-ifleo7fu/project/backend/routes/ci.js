@@ -0,0 +1,50 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { authenticateCiToken } = require('../middleware/auth');
+const { reportCiResults, ingestTestResults } = require('../controllers/projectController');
+
+const router = express.Router();
+
+// Validation rules
+const ciResultsValidation = [
+  body('results')
+    .isArray({ min: 1, max: 5000 })
+    .withMessage('results debe ser una lista con al menos un resultado'),
+  body('results.*.passed')
+    .isBoolean()
+    .withMessage('Cada resultado debe indicar passed (true o false)')
+    .toBoolean(),
+  body('results.*')
+    .custom(result => Boolean(result.criterionId || (result.storyId && result.text)))
+    .withMessage('Cada resultado debe identificar el criterio con criterionId o con storyId y text'),
+  body('commit')
+    .optional()
+    .isString()
+    .isLength({ max: 64 })
+    .withMessage('commit debe ser un hash de commit válido'),
+  body('checkedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('checkedAt debe ser una fecha ISO 8601')
+];
+
+const testResultsValidation = [
+  body('commit')
+    .optional()
+    .isString()
+    .isLength({ max: 64 })
+    .withMessage('commit debe ser un hash de commit válido'),
+  body()
+    .custom(payload => Array.isArray((payload.report || payload).testResults))
+    .withMessage('El cuerpo debe ser el informe JSON de Jest (jest --json) o { report, commit }')
+];
+
+// Routes (autenticadas con el token de CI del proyecto, no con el de usuario)
+
+// POST /api/ci/projects/:id/acceptance-results - Registrar resultados de tests de criterios de aceptación
+router.post('/projects/:id/acceptance-results', authenticateCiToken, ciResultsValidation, reportCiResults);
+
+// POST /api/ci/projects/:id/test-results - Registrar un informe de Jest (jest --json) y enlazarlo con las historias
+router.post('/projects/:id/test-results', authenticateCiToken, testResultsValidation, ingestTestResults);
+
+module.exports = router;
@@ -1,24 +1,62 @@
 const express = require('express');
-const { body } = require('express-validator');
-const { authenticateToken } = require('../middleware/auth');
+const fs = require('fs-extra');
+const { body, query, validationResult } = require('express-validator');
+const { authenticateToken, requireProjectRole } = require('../middleware/auth');
 const {
   getProjects,
   getProject,
   createProject,
   updateProject,
   updateGithubUrl,
+  updateRepositorySettings,
+  removeRepositoryCredentials,
   deleteProject,
   addPage,
   updatePage,
   addUserStory,
+  updateAcceptanceCriteria,
+  updateAcceptanceCriterion,
+  createCiToken,
+  revokeCiToken,
+  linkUserStoryTestFiles,
+  getProjectTestCoverage,
+  exportUserStories,
+  importUserStories,
+  getProjectMembers,
+  inviteProjectMember,
+  revokeProjectInvitation,
+  updateProjectMember,
+  removeProjectMember,
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+  getActivityFeed,
+  getRevisions,
+  getRevision,
+  restoreProjectRevision,
   syncProject,
   generatePageDescription,
   generateUserStoriesForPage,
   generateBackendFromAPI
 } = require('../controllers/projectController');
+const { STORY_FORMATS, DUPLICATE_MODES } = require('../utils/storyExchange');
+const { MEMBER_ROLES } = require('../utils/projectAccess');
+const { REVISION_TARGETS, REVISION_SOURCES } = require('../utils/revisionHistory');
 
-// Importar la función del backend generator
-const { generateBackendFromAPI: generateAdvancedBackend } = require('../backendGenerator');
+const {
+  enqueueGenerationJob,
+  getGenerationJob,
+  serializeGenerationJob,
+  subscribeToGenerationJob,
+  isTerminalStatus
+} = require('../utils/generationJobs');
+const { runRecordedGeneration, applyGenerationPreview, resolveGenerationOutputPath, isManagedOutputPath } = require('../utils/generationHistory');
+const { diffGeneratedOutput } = require('../utils/generationPreview');
+const { generateFrontendClient } = require('../utils/frontendClientGenerator');
+const GenerationRun = require('../models/GenerationRun');
+const { getProjectLLMProvider, SUPPORTED_LLM_PROVIDERS, LLM_MODES } = require('../utils/llmProvider');
+const { SUPPORTED_LANGUAGES, SUPPORTED_FRAMEWORKS, SUPPORTED_DATABASES } = require('../backendGenerator');
+const { REPOSITORY_PROVIDERS, CREDENTIAL_TYPES, isRepositoryUrl, serializeRepository } = require('../utils/repositoryAccess');
 
 const router = express.Router();
 
@@ -48,9 +86,17 @@ const projectValidation = [
     .isArray()
     .withMessage('El stack tecnológico debe ser un array'),
   body('githubUrl')
+    .optional({ checkFalsy: true })
+    .custom(isRepositoryUrl)
+    .withMessage('La URL del repositorio debe ser una URL HTTP(S) o SSH válida (file:// solo con ALLOW_LOCAL_REPOSITORIES=true)'),
+  body('llmProvider.name')
+    .optional()
+    .isIn(SUPPORTED_LLM_PROVIDERS)
+    .withMessage(`El proveedor de IA debe ser: ${SUPPORTED_LLM_PROVIDERS.join(', ')}`),
+  body('llmProvider.model')
     .optional()
-    .isURL()
-    .withMessage('La URL de GitHub debe ser una URL válida')
+    .isString()
+    .withMessage('El modelo debe ser una cadena válida')
 ];
 
 const pageValidation = [
@@ -84,7 +130,11 @@ const pageUpdateValidation = [
     .optional()
     .trim()
     .notEmpty()
-    .withMessage('La ruta no puede estar vacía si se proporciona')
+    .withMessage('La ruta no puede estar vacía si se proporciona'),
+  body('source')
+    .optional()
+    .isIn(['manual', 'llm'])
+    .withMessage('source debe ser: manual, llm')
 ];
 
 const userStoryValidation = [
@@ -103,74 +153,361 @@ const userStoryValidation = [
   body('estimatedHours')
     .optional()
     .isInt({ min: 1, max: 1000 })
-    .withMessage('Las horas estimadas deben ser un número entero entre 1 y 1000')
+    .withMessage('Las horas estimadas deben ser un número entero entre 1 y 1000'),
+  body('acceptanceCriteria')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Los criterios de aceptación deben ser una lista'),
+  body('acceptanceCriteria.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Cada criterio de aceptación debe tener entre 1 y 500 caracteres')
+];
+
+const acceptanceCriteriaValidation = [
+  body('acceptanceCriteria')
+    .isArray({ max: 50 })
+    .withMessage('Los criterios de aceptación deben ser una lista'),
+  body('acceptanceCriteria.*')
+    .custom(criterion => (typeof criterion === 'string' && criterion.trim().length > 0) ||
+      (criterion !== null && typeof criterion === 'object' && typeof criterion.text === 'string' && criterion.text.trim().length > 0))
+    .withMessage('Cada criterio debe ser un texto o un objeto { id?, text, completed? }'),
+  body('acceptanceCriteria.*.completed')
+    .optional()
+    .isBoolean()
+    .withMessage('completed debe ser un valor booleano')
+    .toBoolean()
+];
+
+const acceptanceCriterionValidation = [
+  body('text')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('El criterio debe tener entre 1 y 500 caracteres'),
+  body('completed')
+    .optional()
+    .isBoolean()
+    .withMessage('completed debe ser un valor booleano')
+    .toBoolean()
+];
+
+const testFilesValidation = [
+  body('testFiles')
+    .isArray({ max: 200 })
+    .withMessage('testFiles debe ser una lista'),
+  body('testFiles.*.path')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Cada archivo de test debe tener una ruta (path)'),
+  body('testFiles.*.type')
+    .optional()
+    .isString()
+    .isLength({ max: 50 })
+    .withMessage('El tipo de test debe ser una cadena válida'),
+  body('testFiles.*.generatedBy')
+    .optional()
+    .isString()
+    .isLength({ max: 50 })
+    .withMessage('generatedBy debe ser una cadena válida')
+];
+
+const storyExportValidation = [
+  query('format')
+    .optional()
+    .isIn(STORY_FORMATS)
+    .withMessage(`El formato debe ser: ${STORY_FORMATS.join(', ')}`),
+  query('jiraProjectKey')
+    .optional()
+    .matches(/^[A-Z][A-Z0-9_]{0,9}$/)
+    .withMessage('La clave del proyecto de Jira debe estar en mayúsculas (por ejemplo, PROJ)')
+];
+
+const storyImportValidation = [
+  body('format')
+    .isIn(STORY_FORMATS)
+    .withMessage(`El formato debe ser: ${STORY_FORMATS.join(', ')}`),
+  body('content')
+    .custom(value => (typeof value === 'string' && value.trim().length > 0) || (value !== null && typeof value === 'object'))
+    .withMessage('El contenido del archivo es requerido'),
+  body('pageId')
+    .optional()
+    .isString()
+    .withMessage('pageId debe ser una cadena válida'),
+  body('onDuplicate')
+    .optional()
+    .isIn(DUPLICATE_MODES)
+    .withMessage(`onDuplicate debe ser: ${DUPLICATE_MODES.join(', ')}`),
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun debe ser un valor booleano')
+    .toBoolean()
 ];
 
 const githubUrlValidation = [
   body('githubUrl')
     .optional({ checkFalsy: true })
-    .isURL()
-    .withMessage('La URL de GitHub debe ser una URL válida')
-    .custom((value) => {
-      if (value && !value.includes('github.com')) {
-        throw new Error('La URL debe ser de GitHub');
-      }
-      return true;
-    })
+    .custom(isRepositoryUrl)
+    .withMessage('La URL del repositorio debe ser una URL HTTP(S) (GitHub, GitLab, Gitea, Bitbucket...) o SSH válida (file:// solo con ALLOW_LOCAL_REPOSITORIES=true)')
+];
+
+const repositorySettingsValidation = [
+  body('provider')
+    .optional({ nullable: true })
+    .isIn(REPOSITORY_PROVIDERS)
+    .withMessage(`El proveedor del repositorio debe ser: ${REPOSITORY_PROVIDERS.join(', ')}`),
+  body('ref')
+    .optional({ nullable: true, checkFalsy: true })
+    .isString()
+    .matches(/^(?!-)[\w./-]{1,255}$/)
+    .withMessage('El ref debe ser un nombre de rama, tag o commit válido'),
+  body('shallow')
+    .optional()
+    .isBoolean()
+    .withMessage('shallow debe ser un valor booleano')
+    .toBoolean(),
+  body('credentials')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('Las credenciales deben ser un objeto'),
+  body('credentials.type')
+    .if(body('credentials').exists({ checkNull: true }))
+    .isIn(CREDENTIAL_TYPES)
+    .withMessage(`El tipo de credencial debe ser: ${CREDENTIAL_TYPES.join(', ')}`),
+  body('credentials.secret')
+    .if(body('credentials').exists({ checkNull: true }))
+    .isString()
+    .isLength({ min: 1, max: 16384 })
+    .withMessage('El token o la clave privada son requeridos'),
+  body('credentials.username')
+    .optional()
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage('El usuario debe ser una cadena válida')
+];
+
+const invitationValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Debe ser un email válido'),
+  body('role')
+    .optional()
+    .isIn(MEMBER_ROLES)
+    .withMessage(`El rol debe ser: ${MEMBER_ROLES.join(', ')}`)
+];
+
+const memberRoleValidation = [
+  body('role')
+    .isIn(MEMBER_ROLES)
+    .withMessage(`El rol debe ser: ${MEMBER_ROLES.join(', ')}`)
+];
+
+const activityQueryValidation = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('limit debe ser un número entre 1 y 200'),
+  query('before')
+    .optional()
+    .isISO8601()
+    .withMessage('before debe ser una fecha ISO 8601'),
+  query('targetType')
+    .optional()
+    .isIn(['project', 'page', 'userStory', 'member', 'invitation', 'repository', 'ci'])
+    .withMessage('targetType debe ser: project, page, userStory, member, invitation, repository o ci')
+];
+
+const revisionQueryValidation = [
+  query('targetType')
+    .optional()
+    .isIn(REVISION_TARGETS)
+    .withMessage(`targetType debe ser: ${REVISION_TARGETS.join(', ')}`),
+  query('source')
+    .optional()
+    .isIn(REVISION_SOURCES)
+    .withMessage(`source debe ser: ${REVISION_SOURCES.join(', ')}`),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('limit debe ser un número entre 1 y 200'),
+  query('before')
+    .optional()
+    .isISO8601()
+    .withMessage('before debe ser una fecha ISO 8601')
 ];
 
 // Routes
 
-// GET /api/projects - Obtener todos los proyectos del usuario
+// GET /api/projects - Obtener los proyectos propios y aquellos en los que el usuario es miembro
 router.get('/', getProjects);
 
+// GET /api/projects/invitations - Invitaciones pendientes para el email del usuario
+router.get('/invitations', getMyInvitations);
+
+// POST /api/projects/invitations/:invitationId/accept - Aceptar una invitación a un proyecto
+router.post('/invitations/:invitationId/accept', acceptInvitation);
+
+// POST /api/projects/invitations/:invitationId/decline - Rechazar una invitación a un proyecto
+router.post('/invitations/:invitationId/decline', declineInvitation);
+
 // GET /api/projects/:id - Obtener un proyecto específico
-router.get('/:id', getProject);
+router.get('/:id', requireProjectRole('viewer'), getProject);
 
 // POST /api/projects - Crear nuevo proyecto
 router.post('/', projectValidation, createProject);
 
 // PUT /api/projects/:id - Actualizar proyecto
-router.put('/:id', projectValidation, updateProject);
+router.put('/:id', requireProjectRole('editor'), projectValidation, updateProject);
+
+// PUT /api/projects/:id/github - Actualizar URL de GitHub del proyecto (solo el propietario: las credenciales van a ese host)
+router.put('/:id/github', requireProjectRole('owner'), githubUrlValidation, updateGithubUrl);
+
+// PUT /api/projects/:id/repository - Configurar ref, clonado superficial y credenciales del repositorio
+router.put('/:id/repository', requireProjectRole('owner'), repositorySettingsValidation, updateRepositorySettings);
+
+// DELETE /api/projects/:id/repository/credentials - Eliminar las credenciales del repositorio
+router.delete('/:id/repository/credentials', requireProjectRole('owner'), removeRepositoryCredentials);
+
+// PUT /api/projects/:projectId/pages/:pageId/user-stories/:storyId/acceptance-criteria - Reemplazar criterios de aceptación
+router.put('/:projectId/pages/:pageId/user-stories/:storyId/acceptance-criteria', requireProjectRole('editor'), acceptanceCriteriaValidation, updateAcceptanceCriteria);
+
+// PATCH /api/projects/:projectId/pages/:pageId/user-stories/:storyId/acceptance-criteria/:criterionId - Editar o completar un criterio
+router.patch('/:projectId/pages/:pageId/user-stories/:storyId/acceptance-criteria/:criterionId', requireProjectRole('editor'), acceptanceCriterionValidation, updateAcceptanceCriterion);
+
+// PUT /api/projects/:projectId/pages/:pageId/user-stories/:storyId/test-files - Enlazar archivos de test generados a la historia
+router.put('/:projectId/pages/:pageId/user-stories/:storyId/test-files', requireProjectRole('editor'), testFilesValidation, linkUserStoryTestFiles);
+
+// GET /api/projects/:id/test-coverage - Cobertura de tests por página (historias con tests que pasan, fallan o sin tests)
+router.get('/:id/test-coverage', requireProjectRole('viewer'), getProjectTestCoverage);
+
+// POST /api/projects/:id/ci-token - Generar (o rotar) el token con el que CI envía resultados de tests
+router.post('/:id/ci-token', requireProjectRole('owner'), createCiToken);
+
+// DELETE /api/projects/:id/ci-token - Revocar el token de CI
+router.delete('/:id/ci-token', requireProjectRole('owner'), revokeCiToken);
+
+// GET /api/projects/:id/user-stories/export - Exportar historias de usuario (CSV, Markdown o JSON de Jira)
+router.get('/:id/user-stories/export', requireProjectRole('viewer'), storyExportValidation, exportUserStories);
+
+// POST /api/projects/:id/user-stories/import - Importar historias de usuario sin duplicar títulos
+router.post('/:id/user-stories/import', requireProjectRole('editor'), storyImportValidation, importUserStories);
 
-// PUT /api/projects/:id/github - Actualizar URL de GitHub del proyecto
-router.put('/:id/github', githubUrlValidation, updateGithubUrl);
+// GET /api/projects/:id/members - Propietario, miembros e invitaciones pendientes
+router.get('/:id/members', requireProjectRole('viewer'), getProjectMembers);
+
+// POST /api/projects/:id/invitations - Invitar por email como editor o viewer
+router.post('/:id/invitations', requireProjectRole('owner'), invitationValidation, inviteProjectMember);
+
+// DELETE /api/projects/:id/invitations/:invitationId - Revocar una invitación pendiente
+router.delete('/:id/invitations/:invitationId', requireProjectRole('owner'), revokeProjectInvitation);
+
+// PUT /api/projects/:id/members/:userId - Cambiar el rol de un miembro
+router.put('/:id/members/:userId', requireProjectRole('owner'), memberRoleValidation, updateProjectMember);
+
+// DELETE /api/projects/:id/members/:userId - Quitar un miembro (o abandonar el proyecto)
+router.delete('/:id/members/:userId', requireProjectRole('viewer'), removeProjectMember);
+
+// GET /api/projects/:id/activity - Actividad del proyecto: quién cambió qué página o historia
+router.get('/:id/activity', requireProjectRole('viewer'), activityQueryValidation, getActivityFeed);
+
+// GET /api/projects/:id/revisions - Historial de versiones del proyecto, sus páginas e historias
+router.get('/:id/revisions', requireProjectRole('viewer'), revisionQueryValidation, getRevisions);
+
+// GET /api/projects/:id/revisions/:revisionId - Detalle de una versión con el estado actual para compararlo
+router.get('/:id/revisions/:revisionId', requireProjectRole('viewer'), getRevision);
+
+// POST /api/projects/:id/revisions/:revisionId/restore - Volver a una versión anterior
+router.post('/:id/revisions/:revisionId/restore', requireProjectRole('editor'), restoreProjectRevision);
 
 // DELETE /api/projects/:id - Eliminar proyecto
-router.delete('/:id', deleteProject);
+router.delete('/:id', requireProjectRole('owner'), deleteProject);
 
 // POST /api/projects/:id/pages - Agregar página a proyecto
-router.post('/:id/pages', pageValidation, addPage);
+router.post('/:id/pages', requireProjectRole('editor'), pageValidation, addPage);
 
 // PUT /api/projects/:projectId/pages/:pageId - Actualizar página específica
-router.put('/:projectId/pages/:pageId', pageUpdateValidation, updatePage);
+router.put('/:projectId/pages/:pageId', requireProjectRole('editor'), pageUpdateValidation, updatePage);
 
 // POST /api/projects/:projectId/pages/:pageId/generate-user-stories - Generar historias de usuario para página con IA
-router.post('/:projectId/pages/:pageId/generate-user-stories', generateUserStoriesForPage);
+router.post('/:projectId/pages/:pageId/generate-user-stories', requireProjectRole('editor'), generateUserStoriesForPage);
 
 // POST /api/projects/:projectId/pages/:pageId/user-stories - Agregar historia de usuario a página
-router.post('/:projectId/pages/:pageId/user-stories', userStoryValidation, addUserStory);
+router.post('/:projectId/pages/:pageId/user-stories', requireProjectRole('editor'), userStoryValidation, addUserStory);
 
 // POST /api/projects/:id/sync - Sincronizar proyecto con repositorio GitHub
-router.post('/:id/sync', syncProject);
+router.post('/:id/sync', requireProjectRole('editor'), syncProject);
 
 // POST /api/projects/:projectId/pages/:pageId/generate-description - Generar descripción de página con IA
-router.post('/:projectId/pages/:pageId/generate-description', generatePageDescription);
+router.post('/:projectId/pages/:pageId/generate-description', requireProjectRole('editor'), generatePageDescription);
 
 // Validación para el backend generator avanzado
 const backendGeneratorValidation = [
   body('outputPath')
     .optional()
     .isString()
-    .withMessage('La ruta de salida debe ser una cadena válida'),
+    .withMessage('La ruta de salida debe ser una ruta relativa al directorio de generación del proyecto'),
   body('includeDatabase')
     .optional()
     .isBoolean()
-    .withMessage('includeDatabase debe ser un valor booleano'),
+    .withMessage('includeDatabase debe ser un valor booleano')
+    .toBoolean(),
+  body('llmMode')
+    .optional()
+    .isIn(LLM_MODES)
+    .withMessage(`El modo de IA debe ser: ${LLM_MODES.join(', ')}`),
+  body('incremental')
+    .optional()
+    .isBoolean()
+    .withMessage('incremental debe ser un valor booleano')
+    .toBoolean(),
+  body('verify')
+    .optional()
+    .isBoolean()
+    .withMessage('verify debe ser un valor booleano')
+    .toBoolean(),
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun debe ser un valor booleano')
+    .toBoolean(),
+  body('commitToBranch')
+    .optional()
+    .custom(value => typeof value === 'boolean' || (value !== null && typeof value === 'object' && !Array.isArray(value)))
+    .withMessage('commitToBranch debe ser un valor booleano o un objeto { branch, directory, push }'),
+  body('commitToBranch.branch')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('commitToBranch.branch debe ser el nombre de la rama'),
+  body('commitToBranch.directory')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('commitToBranch.directory debe ser un directorio relativo del repositorio'),
+  body('commitToBranch.push')
+    .optional()
+    .isBoolean()
+    .withMessage('commitToBranch.push debe ser un valor booleano')
+    .toBoolean(),
   body('framework')
     .optional()
-    .isIn(['express', 'fastify', 'koa'])
-    .withMessage('El framework debe ser: express, fastify, o koa'),
+    .isIn(SUPPORTED_FRAMEWORKS)
+    .withMessage(`El framework debe ser: ${SUPPORTED_FRAMEWORKS.join(', ')}`),
+  body('language')
+    .optional()
+    .isIn(SUPPORTED_LANGUAGES)
+    .withMessage(`El lenguaje debe ser: ${SUPPORTED_LANGUAGES.join(', ')}`),
+  body('database')
+    .optional()
+    .isIn(SUPPORTED_DATABASES)
+    .withMessage(`La base de datos debe ser: ${SUPPORTED_DATABASES.join(', ')}`),
   body('features')
     .optional()
     .isObject()
@@ -178,76 +515,125 @@ const backendGeneratorValidation = [
   body('features.authentication')
     .optional()
     .isBoolean()
-    .withMessage('authentication debe ser un valor booleano'),
+    .withMessage('authentication debe ser un valor booleano')
+    .toBoolean(),
   body('features.validation')
     .optional()
     .isBoolean()
-    .withMessage('validation debe ser un valor booleano'),
+    .withMessage('validation debe ser un valor booleano')
+    .toBoolean(),
   body('features.swagger')
     .optional()
     .isBoolean()
-    .withMessage('swagger debe ser un valor booleano'),
+    .withMessage('swagger debe ser un valor booleano')
+    .toBoolean(),
   body('features.testing')
     .optional()
     .isBoolean()
-    .withMessage('testing debe ser un valor booleano'),
+    .withMessage('testing debe ser un valor booleano')
+    .toBoolean(),
   body('features.docker')
     .optional()
     .isBoolean()
     .withMessage('docker debe ser un valor booleano')
+    .toBoolean(),
+  body('features.seed')
+    .optional()
+    .isBoolean()
+    .withMessage('seed debe ser un valor booleano')
+    .toBoolean()
 ];
 
 // POST /api/projects/:id/generate-backend - Generar backend completo desde archivos API del repositorio
-router.post('/:id/generate-backend', generateBackendFromAPI);
+router.post('/:id/generate-backend', requireProjectRole('editor'), generateBackendFromAPI);
 
-// POST /api/projects/:id/generate-advanced-backend - Generar backend avanzado con opciones personalizadas
-router.post('/:id/generate-advanced-backend', backendGeneratorValidation, async (req, res) => {
+// POST /api/projects/:id/generate-advanced-backend - Encolar generación de backend avanzado con opciones personalizadas
+router.post('/:id/generate-advanced-backend', requireProjectRole('editor'), backendGeneratorValidation, async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+    if (req.body.dryRun === true && req.body.commitToBranch) {
+      return res.status(400).json({
+        success: false,
+        message: 'commitToBranch no se puede usar en modo dryRun: aplica antes la previsualización'
+      });
+    }
+
     const projectId = req.params.id;
     const userId = req.user.userId; // Cambiado de req.user.id a req.user.userId
     
-    // Buscar el proyecto
-    const Project = require('../models/Project');
-    const project = await Project.findOne({ _id: projectId, userId });
-    
-    if (!project) {
-      return res.status(404).json({
+    // Proyecto cargado (y permiso comprobado) por requireProjectRole
+    const project = req.project;
+
+    // La salida siempre queda dentro del directorio de generación del proyecto (después se ejecuta al verificarla)
+    let outputPath;
+    try {
+      outputPath = resolveGenerationOutputPath(project, req.body.outputPath);
+    } catch (error) {
+      if (error.code !== 'INVALID_OUTPUT_PATH') throw error;
+      return res.status(400).json({
         success: false,
-        message: 'Proyecto no encontrado'
+        message: error.message
       });
     }
 
     // Opciones del backend generator
     const options = {
-      outputPath: req.body.outputPath || `./generated-backend-${project.name.toLowerCase().replace(/\s+/g, '-')}`,
+      outputPath,
       includeDatabase: req.body.includeDatabase !== undefined ? req.body.includeDatabase : true,
       framework: req.body.framework || 'express',
+      language: req.body.language || 'javascript',
+      database: req.body.database || 'mongodb',
+      incremental: req.body.incremental !== undefined ? req.body.incremental : true,
+      verify: req.body.verify !== undefined ? req.body.verify : true,
+      dryRun: req.body.dryRun === true,
+      commitToBranch: req.body.commitToBranch ? {
+        branch: req.body.commitToBranch.branch,
+        directory: req.body.commitToBranch.directory,
+        push: req.body.commitToBranch.push
+      } : false,
+      llmMode: req.body.llmMode,
       features: {
         authentication: req.body.features?.authentication !== undefined ? req.body.features.authentication : true,
         validation: req.body.features?.validation !== undefined ? req.body.features.validation : true,
         swagger: req.body.features?.swagger !== undefined ? req.body.features.swagger : true,
         testing: req.body.features?.testing !== undefined ? req.body.features.testing : true,
         docker: req.body.features?.docker !== undefined ? req.body.features.docker : true,
+        seed: req.body.features?.seed !== undefined ? req.body.features.seed : true,
         security: req.body.features?.security !== undefined ? req.body.features.security : true,
         logging: req.body.features?.logging !== undefined ? req.body.features.logging : true,
         metrics: req.body.features?.metrics !== undefined ? req.body.features.metrics : true
       }
     };
 
-    console.log(`🚀 Iniciando generación de backend avanzado para proyecto: ${project.name}`);
+    console.log(`🚀 Encolando generación de backend avanzado para proyecto: ${project.name}`);
     console.log('📋 Opciones:', options);
 
-    // Generar el backend usando el generador avanzado
-    const result = await generateAdvancedBackend(project, options);
+    // Encolar la generación; el cliente sigue el progreso con el jobId
+    const job = enqueueGenerationJob(
+      { projectId: project._id, userId, type: 'advanced-backend', options },
+      (onProgress) => runRecordedGeneration({ project, userId, jobId: job.id, options }, onProgress)
+    );
 
-    res.json({
+    res.status(202).json({
       success: true,
-      message: 'Backend avanzado generado exitosamente',
-      data: result
+      message: 'Generación de backend encolada',
+      data: {
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/projects/${projectId}/generations/${job.id}`,
+        eventsUrl: `/api/projects/${projectId}/generations/${job.id}/events`
+      }
     });
 
   } catch (error) {
-    console.error('❌ Error generando backend avanzado:', error);
+    console.error('❌ Error encolando generación de backend avanzado:', error);
     res.status(500).json({
       success: false,
       message: 'Error interno del servidor al generar el backend',
@@ -256,26 +642,375 @@ router.post('/:id/generate-advanced-backend', backendGeneratorValidation, async
   }
 });
 
-// GET /api/projects/:id/backend-generator/status - Obtener estado del generador de backend
-router.get('/:id/backend-generator/status', async (req, res) => {
+// GET /api/projects/:id/generations - Historial de generaciones del proyecto
+router.get('/:id/generations', requireProjectRole('viewer'), async (req, res) => {
   try {
-    const projectId = req.params.id;
-    const userId = req.user.userId; // Cambiado de req.user.id a req.user.userId
-    
-    // Buscar el proyecto
-    const Project = require('../models/Project');
-    const project = await Project.findOne({ _id: projectId, userId });
-    
-    if (!project) {
+    const project = req.project;
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const runs = await GenerationRun.find({ projectId: project._id })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .select('-files -openApiSpec');
+
+    res.json({
+      success: true,
+      data: runs.map(run => ({
+        ...run.toJSON(),
+        downloadUrl: run.hasArtifact ? `/api/projects/${project._id}/generations/${run.jobId}/download` : null,
+        openApiUrl: run.hasOpenApiSpec ? `/api/projects/${project._id}/generations/${run.jobId}/openapi` : null,
+        applyUrl: run.hasPendingPreview ? `/api/projects/${project._id}/generations/${run.jobId}/apply` : null
+      }))
+    });
+
+  } catch (error) {
+    console.error('❌ Error obteniendo historial de generaciones:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Error interno'
+    });
+  }
+});
+
+// GET /api/projects/:id/generations/:jobId - Obtener estado de un trabajo de generación
+router.get('/:id/generations/:jobId', requireProjectRole('viewer'), async (req, res) => {
+  try {
+    // Cualquier miembro del proyecto puede seguir las generaciones que lanzó otro
+    const job = getGenerationJob(req.params.jobId, { projectId: req.project._id });
+
+    if (job) {
+      return res.json({
+        success: true,
+        data: serializeGenerationJob(job, { includeEvents: true })
+      });
+    }
+
+    // El trabajo ya no está en memoria: recurrir al historial persistido
+    const run = await GenerationRun.findOne({
+      jobId: req.params.jobId,
+      projectId: req.project._id
+    });
+
+    if (!run) {
       return res.status(404).json({
         success: false,
-        message: 'Proyecto no encontrado'
+        message: 'Trabajo de generación no encontrado'
       });
     }
 
+    res.json({
+      success: true,
+      data: run
+    });
+
+  } catch (error) {
+    console.error('❌ Error obteniendo trabajo de generación:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Error interno'
+    });
+  }
+});
+
+// GET /api/projects/:id/generations/:jobId/download - Descargar el zip de una generación
+router.get('/:id/generations/:jobId/download', requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const project = req.project;
+
+    const run = await GenerationRun.findOne({ jobId: req.params.jobId, projectId: project._id });
+
+    if (!run || !run.hasArtifact || !(await fs.pathExists(run.artifactPath))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Artefacto de generación no disponible'
+      });
+    }
+
+    const slug = project.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const date = run.createdAt.toISOString().slice(0, 10);
+    res.download(run.artifactPath, `${slug || 'backend'}-${date}-${run.jobId.slice(0, 8)}.zip`);
+
+  } catch (error) {
+    console.error('❌ Error descargando artefacto de generación:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Error interno'
+    });
+  }
+});
+
+// GET /api/projects/:id/generations/:jobId/openapi - Especificación OpenAPI 3.1 del backend generado
+router.get('/:id/generations/:jobId/openapi', requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const project = req.project;
+
+    const run = await GenerationRun.findOne({ jobId: req.params.jobId, projectId: project._id });
+
+    if (!run || !run.hasOpenApiSpec || !run.openApiSpec) {
+      return res.status(404).json({
+        success: false,
+        message: 'Especificación OpenAPI no disponible para esta generación'
+      });
+    }
+
+    // Se devuelve el documento tal cual para que los generadores de clientes lo consuman directamente
+    res.json(run.openApiSpec);
+
+  } catch (error) {
+    console.error('❌ Error obteniendo especificación OpenAPI:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Error interno'
+    });
+  }
+});
+
+// Función auxiliar para obtener una generación en modo dryRun cuya previsualización sigue disponible
+const findPreviewRun = async (project, jobId, res) => {
+  const run = await GenerationRun.findOne({ jobId, projectId: project._id });
+
+  if (!run || !run.dryRun || run.status !== 'completed') {
+    res.status(404).json({
+      success: false,
+      message: 'La generación no existe o no se lanzó en modo dryRun'
+    });
+    return null;
+  }
+
+  if (run.dryRun.appliedAt || !(await fs.pathExists(run.dryRun.previewPath))) {
+    res.status(410).json({
+      success: false,
+      message: 'La previsualización ya se aplicó por completo o ya no está disponible'
+    });
+    return null;
+  }
+
+  return run;
+};
+
+// GET /api/projects/:id/generations/:jobId/diff - Diff archivo por archivo de una generación en modo dryRun
+router.get('/:id/generations/:jobId/diff', requireProjectRole('viewer'), [
+  query('path')
+    .optional()
+    .isString()
+    .withMessage('path debe ser una ruta relativa')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const run = await findPreviewRun(req.project, req.params.jobId, res);
+    if (!run) return;
+
+    // Se recalcula contra la salida actual: refleja también los archivos ya aplicados
+    const { summary, files } = await diffGeneratedOutput(run.dryRun.targetPath, run.dryRun.previewPath);
+    const selected = req.query.path ? files.filter(file => file.path === req.query.path) : files;
+
+    res.json({
+      success: true,
+      data: {
+        summary,
+        appliedFiles: run.dryRun.appliedFiles,
+        files: selected
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error calculando el diff de la generación:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Error interno'
+    });
+  }
+});
+
+// POST /api/projects/:id/generations/:jobId/apply - Aplicar todos o parte de los archivos de una generación en modo dryRun
+router.post('/:id/generations/:jobId/apply', requireProjectRole('editor'), [
+  body('files')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('files debe ser una lista con al menos una ruta'),
+  body('files.*')
+    .isString()
+    .withMessage('Cada archivo debe ser una ruta relativa')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Datos inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const project = req.project;
+    const run = await findPreviewRun(project, req.params.jobId, res);
+    if (!run) return;
+    if (!isManagedOutputPath(project, run.dryRun.targetPath)) {
+      return res.status(409).json({
+        success: false,
+        message: 'La salida de esta generación está fuera del directorio de generación del proyecto: vuelve a generar el backend'
+      });
+    }
+
+    const selectedPaths = req.body.files;
+    if (selectedPaths) {
+      const previewPaths = new Set(run.dryRun.files.map(file => file.path));
+      const unknown = selectedPaths.filter(filePath => !previewPaths.has(filePath));
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Archivos que no cambian en esta previsualización: ${unknown.join(', ')}`
+        });
+      }
+    }
+
+    const result = await applyGenerationPreview(run, project, selectedPaths);
+
+    res.json({
+      success: true,
+      message: result.completed
+        ? 'Todos los cambios de la previsualización se han aplicado'
+        : `${result.applied.length} archivos aplicados; quedan ${result.pending.length} pendientes`,
+      data: {
+        ...result,
+        outputPath: run.dryRun.targetPath
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error aplicando la previsualización:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Error interno'
+    });
+  }
+});
+
+// POST /api/projects/:id/generations/:jobId/frontend-client - Generar cliente frontend que llama al backend generado
+router.post('/:id/generations/:jobId/frontend-client', requireProjectRole('editor'), async (req, res) => {
+  try {
+    const project = req.project;
+
+    if (!project.githubUrl) {
+      return res.status(400).json({
+        success: false,
+        message: 'El proyecto no tiene una URL de GitHub configurada'
+      });
+    }
+
+    const run = await GenerationRun.findOne({ jobId: req.params.jobId, projectId: project._id });
+
+    if (!run || !run.hasOpenApiSpec || !run.openApiSpec) {
+      return res.status(404).json({
+        success: false,
+        message: 'La generación no tiene una especificación OpenAPI con la que generar el cliente'
+      });
+    }
+    if (!isManagedOutputPath(project, run.outputPath)) {
+      return res.status(409).json({
+        success: false,
+        message: 'La salida de esta generación está fuera del directorio de generación del proyecto: vuelve a generar el backend'
+      });
+    }
+
+    const client = await generateFrontendClient(project, {
+      spec: run.openApiSpec,
+      outputPath: run.outputPath,
+      commit: run.commit
+    });
+    const unmatched = client.files.reduce((total, file) => total + file.unmatched.length, 0);
+
+    res.json({
+      success: true,
+      message: unmatched > 0
+        ? `Cliente frontend generado; ${unmatched} funciones no tienen endpoint equivalente`
+        : 'Cliente frontend generado exitosamente',
+      data: client
+    });
+
+  } catch (error) {
+    console.error('❌ Error generando cliente frontend:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Error interno'
+    });
+  }
+});
+
+// GET /api/projects/:id/generations/:jobId/events - Stream (SSE) del progreso de un trabajo de generación
+router.get('/:id/generations/:jobId/events', requireProjectRole('viewer'), (req, res) => {
+  const job = getGenerationJob(req.params.jobId, { projectId: req.project._id });
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: 'Trabajo de generación no encontrado'
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const sendEvent = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  // Reenviar los eventos que el cliente aún no ha visto (soporta reconexión con Last-Event-ID)
+  const lastEventId = parseInt(req.headers['last-event-id'] || '0', 10) || 0;
+  job.events.filter(event => event.id > lastEventId).forEach(sendEvent);
+
+  if (isTerminalStatus(job.status)) {
+    sendEvent({ id: job.events.length + 1, type: 'result', data: serializeGenerationJob(job) });
+    return res.end();
+  }
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  const unsubscribe = subscribeToGenerationJob(job, (event) => {
+    sendEvent(event);
+    if (event.type === 'status' && isTerminalStatus(event.status)) {
+      sendEvent({ id: event.id + 1, type: 'result', data: serializeGenerationJob(job) });
+      cleanup();
+      res.end();
+    }
+  });
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  req.on('close', cleanup);
+});
+
+// GET /api/projects/:id/backend-generator/status - Obtener estado del generador de backend
+router.get('/:id/backend-generator/status', requireProjectRole('viewer'), async (req, res) => {
+  try {
+    const project = req.project;
+
     // Verificar si el proyecto tiene URL de GitHub
     const hasGithubUrl = !!project.githubUrl;
-    const hasApiKey = !!process.env.GEMINI_API_KEY;
+    const llm = getProjectLLMProvider(project);
+    const hasLLMProvider = llm.isConfigured();
 
     res.json({
       success: true,
@@ -283,12 +1018,20 @@ router.get('/:id/backend-generator/status', async (req, res) => {
         projectId: project._id,
         projectName: project.name,
         githubUrl: project.githubUrl,
-        canGenerate: hasGithubUrl && hasApiKey,
+        repository: serializeRepository(project),
+        canGenerate: hasGithubUrl && hasLLMProvider,
         requirements: {
           githubUrl: hasGithubUrl,
-          geminiApiKey: hasApiKey
+          llmProvider: hasLLMProvider
+        },
+        llmProvider: {
+          name: llm.name,
+          model: llm.model,
+          supported: SUPPORTED_LLM_PROVIDERS
         },
-        supportedFrameworks: ['express', 'fastify', 'koa'],
+        supportedFrameworks: SUPPORTED_FRAMEWORKS,
+        supportedLanguages: SUPPORTED_LANGUAGES,
+        supportedDatabases: SUPPORTED_DATABASES,
         availableFeatures: {
           authentication: 'JWT + RBAC authentication system',
           validation: 'Zod/Celebrate input validation',
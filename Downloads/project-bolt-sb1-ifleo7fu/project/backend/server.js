@@ -5,11 +5,13 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const path = require('path');
 const connectDB = require('./config/database');
+const { scheduleWorkspaceGC } = require('./utils/workspaceManager');
 
 // Importar rutas
 const authRoutes = require('./routes/auth');
 const projectRoutes = require('./routes/projects');
 const userRoutes = require('./routes/users');
+const ciRoutes = require('./routes/ci');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -31,6 +33,7 @@ app.use(express.urlencoded({ extended: true }));
 app.use('/api/auth', authRoutes);
 app.use('/api/projects', projectRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/ci', ciRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -74,6 +77,9 @@ app.listen(PORT, () => {
   console.log(`📱 Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:5173'}`);
   console.log(`🔗 API Health: http://localhost:${PORT}/api/health`);
   console.log(`📝 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Limpiar los workspaces de repositorios sin usar y los snapshots huérfanos
+  scheduleWorkspaceGC();
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,80 @@
+/**
+ * Story-to-test traceability tags.
+ *
+ * Generated tests carry the id of the user story they cover in the root `describe` title
+ * (`[story:<id>]`) and, for tests that verify one acceptance criterion, its id in the test
+ * title (`[ac:<id>]`). Jest keeps those titles in its JSON report (`--json`), which is what the
+ * backend ingests in POST /api/ci/projects/:id/test-results to link results back to stories.
+ * Keep the tag format in sync with backend/utils/testTraceability.js.
+ */
+
+export interface TraceableCriterion {
+  id: string;
+  text: string;
+  tag: string;
+}
+
+export interface TraceableStory {
+  id: string;
+  acceptanceCriteria?: Array<string | { id: string; text: string }>;
+}
+
+export interface TraceabilityInfo {
+  storyId: string;
+  storyTag: string;
+  criteria: TraceableCriterion[];
+  files: string[];
+}
+
+export const storyTag = (storyId: string): string => `[story:${storyId}]`;
+
+export const criterionTag = (criterionId: string): string => `[ac:${criterionId}]`;
+
+/**
+ * Criteria sent as plain strings (older jobs) have no id, so they can be listed but not tagged
+ */
+export function getTraceableCriteria(story: TraceableStory): TraceableCriterion[] {
+  return (story.acceptanceCriteria || [])
+    .filter((criterion): criterion is { id: string; text: string } =>
+      typeof criterion === 'object' && criterion !== null && Boolean(criterion.id))
+    .map(criterion => ({ id: criterion.id, text: criterion.text, tag: criterionTag(criterion.id) }));
+}
+
+export function getCriterionTexts(story: TraceableStory): string[] {
+  return (story.acceptanceCriteria || []).map(criterion =>
+    typeof criterion === 'string' ? criterion : criterion.text);
+}
+
+/**
+ * Adds the traceability header comment and tags the first root `describe` of a test file with the story.
+ * Idempotent: files that already carry the story tag are returned unchanged.
+ */
+export function tagTestFile(code: string, story: TraceableStory): string {
+  const tag = storyTag(story.id);
+  if (code.includes(tag)) {
+    return code;
+  }
+
+  const criteria = getTraceableCriteria(story);
+  const header = [
+    '/**',
+    ` * @story ${story.id}`,
+    ...(criteria.length > 0 ? [` * @criteria ${criteria.map(criterion => criterion.id).join(', ')}`] : []),
+    ' */',
+    ''
+  ].join('\n');
+
+  const tagged = code.replace(/^(\s*(?:test\.)?describe\(\s*)(['"`])((?:\\.|(?!\2).)*)\2/m,
+    (match, prefix, quote, title) => `${prefix}${quote}${title} ${tag}${quote}`);
+
+  return header + tagged;
+}
+
+export function buildTraceabilityInfo(story: TraceableStory, files: string[]): TraceabilityInfo {
+  return {
+    storyId: story.id,
+    storyTag: storyTag(story.id),
+    criteria: getTraceableCriteria(story),
+    files
+  };
+}
@@ -5,7 +5,11 @@ const userStorySchema = z.object({
   id: z.string().min(1, 'User story ID is required'),
   title: z.string().min(1, 'User story title is required'),
   description: z.string().min(1, 'User story description is required'),
-  acceptanceCriteria: z.array(z.string()).min(1, 'At least one acceptance criteria is required'),
+  // Criteria with id come from the backend (they can be traced back from test results)
+  acceptanceCriteria: z.array(z.union([
+    z.string(),
+    z.object({ id: z.string().min(1), text: z.string().min(1) })
+  ])).min(1, 'At least one acceptance criteria is required'),
   priority: z.number().min(1).max(10, 'Priority must be between 1 and 10'),
   complexity: z.number().min(1).max(10, 'Complexity must be between 1 and 10')
 });
@@ -0,0 +1,172 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ts } = require('ts-morph');
+const { chunkApiSource, mergeModuleSources, mergeChunkAnalyses } = require('../utils/apiChunker');
+
+// Archivo API con imports, una constante usada solo por una función, tipos y exports
+const API_SOURCE = `import axios from 'axios';
+import { API_URL } from './config';
+
+const PRODUCT_FIELDS = ['id', 'name', 'price'];
+
+export interface Product {
+  id: string;
+  name: string;
+}
+
+export async function listProducts(): Promise<Product[]> {
+  const { data } = await axios.get(\`\${API_URL}/products\`, { params: { fields: PRODUCT_FIELDS.join(',') } });
+  return data;
+}
+
+export const getProduct = async (id: string): Promise<Product> => {
+  const { data } = await axios.get(\`\${API_URL}/products/\${id}\`);
+  return data;
+};
+
+export async function deleteProduct(id: string): Promise<void> {
+  // Borrado definitivo: no hay papelera
+  await axios.delete(\`\${API_URL}/products/\${id}\`);
+}
+
+export default { listProducts, getProduct, deleteProduct };
+`;
+
+// Función auxiliar para comprobar que el código de una parte es TypeScript sin errores de sintaxis
+const assertParses = (content, fileName) => {
+  const sourceFile = ts.createSourceFile(fileName, content, ts.ScriptTarget.Latest, true, ts.ScriptKind.TS);
+  assert.deepEqual(sourceFile.parseDiagnostics.map(diagnostic => diagnostic.messageText), [], content);
+};
+
+test('un archivo que cabe en el límite se devuelve entero en una sola parte', () => {
+  const chunks = chunkApiSource(API_SOURCE, { fileName: 'products.ts' });
+
+  assert.equal(chunks.length, 1);
+  assert.equal(chunks[0].content, API_SOURCE);
+  assert.deepEqual(chunks[0].functions, ['listProducts', 'getProduct', 'deleteProduct']);
+});
+
+test('las partes tienen funciones completas, los imports, lo que usan y los exports', () => {
+  const chunks = chunkApiSource(API_SOURCE, { fileName: 'products.ts', maxChars: 500 });
+
+  assert.ok(chunks.length > 1);
+  assert.deepEqual(chunks.flatMap(chunk => chunk.functions), ['listProducts', 'getProduct', 'deleteProduct']);
+  chunks.forEach(chunk => {
+    assert.equal(chunk.total, chunks.length);
+    assertParses(chunk.content, 'products.ts');
+    assert.match(chunk.content, /^import axios from 'axios';\nimport \{ API_URL \} from '.\/config';/);
+    assert.match(chunk.content, /export default \{ listProducts, getProduct, deleteProduct \};$/);
+  });
+
+  const listChunk = chunks.find(chunk => chunk.functions.includes('listProducts'));
+  const deleteChunk = chunks.find(chunk => chunk.functions.includes('deleteProduct'));
+  assert.match(listChunk.content, /const PRODUCT_FIELDS/);
+  assert.match(listChunk.content, /Promise<Product\[\]>/);
+  assert.match(listChunk.content, /export interface Product/);
+  // La constante solo va en la parte que la usa; los comentarios viajan con su función
+  assert.doesNotMatch(deleteChunk.content, /PRODUCT_FIELDS/);
+  assert.match(deleteChunk.content, /\/\/ Borrado definitivo/);
+});
+
+test('only limita las partes a las funciones pedidas', () => {
+  const chunks = chunkApiSource(API_SOURCE, { fileName: 'products.ts', only: ['deleteProduct'] });
+
+  assert.equal(chunks.length, 1);
+  assert.deepEqual(chunks[0].functions, ['deleteProduct']);
+  assert.doesNotMatch(chunks[0].content, /function listProducts/);
+  assert.deepEqual(chunkApiSource(API_SOURCE, { fileName: 'products.ts', only: ['noExiste'] }), []);
+});
+
+test('los métodos de un objeto o una clase se agrupan dentro de su contenedor', () => {
+  const source = `const client = require('./client');
+
+class OrdersApi {
+  baseUrl = '/orders';
+
+  list() {
+    return client.get(this.baseUrl);
+  }
+
+  cancel(id) {
+    return client.post(\`\${this.baseUrl}/\${id}/cancel\`);
+  }
+}
+
+module.exports = new OrdersApi();
+`;
+  const chunks = chunkApiSource(source, { fileName: 'orders.js', maxChars: 200 });
+
+  assert.deepEqual(chunks.map(chunk => chunk.functions), [['list'], ['cancel']]);
+  chunks.forEach(chunk => {
+    assertParses(chunk.content, 'orders.js');
+    assert.match(chunk.content, /class OrdersApi \{\n {2}baseUrl = '\/orders';/);
+    assert.match(chunk.content, /module\.exports = new OrdersApi\(\);$/);
+  });
+});
+
+test('los archivos que no son código se parten por líneas', () => {
+  const spec = JSON.stringify({ paths: Object.fromEntries(Array.from({ length: 20 }, (_, index) => [`/items/${index}`, { get: {} }])) }, null, 2);
+  const chunks = chunkApiSource(spec, { fileName: 'openapi.json', maxChars: 200 });
+
+  assert.ok(chunks.length > 1);
+  assert.equal(chunks.map(chunk => chunk.content).join('\n'), spec);
+  chunks.forEach(chunk => assert.deepEqual(chunk.functions, []));
+  assert.deepEqual(chunkApiSource(spec, { fileName: 'openapi.json', only: ['getItem'] }), []);
+});
+
+test('mergeModuleSources une imports, métodos de clase y module.exports sin repetir sentencias', () => {
+  const first = `const express = require('express');
+import { Router } from 'express';
+const service = require('../services/product.service');
+
+class ProductController {
+  list(req, res) { res.json(service.list()); }
+}
+
+router.get('/', controller.list);
+module.exports = { list: controller.list };
+`;
+  const second = `const express = require('express');
+import { Request, Router } from 'express';
+const service = require('../services/product.service');
+
+class ProductController {
+  list(req, res) { res.json(service.list()); }
+  remove(req, res) { res.status(204).end(); }
+}
+
+router.get('/', controller.list);
+router.delete('/:id', controller.remove);
+module.exports = { remove: controller.remove };
+`;
+
+  const merged = mergeModuleSources([first, second], 'product.controller.js');
+
+  assert.equal(merged.match(/require\('express'\)/g).length, 1);
+  assert.match(merged, /import \{ Router, Request \} from 'express';/);
+  assert.equal(merged.match(/class ProductController/g).length, 1);
+  assert.match(merged, /remove\(req, res\)/);
+  assert.equal(merged.match(/router\.get\('\/'/g).length, 1);
+  assert.match(merged, /router\.delete/);
+  assert.match(merged, /module\.exports = \{\n {2}list: controller\.list,\n {2}remove: controller\.remove\n\};\n$/);
+});
+
+test('mergeChunkAnalyses fusiona los archivos repetidos salvo en las secciones que se reemplazan', () => {
+  const merged = mergeChunkAnalyses([
+    {
+      controllers: [{ name: 'A', fileName: 'a.controller.js', content: 'exports.one = () => 1;\n' }],
+      models: [{ name: 'User', fileName: 'User.js', content: 'module.exports = 1;\n' }]
+    },
+    {
+      controllers: [{ name: 'A', fileName: 'a.controller.js', content: 'exports.two = () => 2;\n' }],
+      models: [{ name: 'User', fileName: 'User.js', content: 'module.exports = 2;\n' }],
+      routes: [{ name: 'B', fileName: 'b.route.js', content: 'module.exports = router;\n' }, { name: 'Sin archivo' }]
+    }
+  ], { replace: ['models'] });
+
+  assert.deepEqual(Object.keys(merged).sort(), ['controllers', 'models', 'routes']);
+  assert.match(merged.controllers[0].content, /exports\.one[\s\S]*exports\.two/);
+  assert.equal(merged.controllers[0].name, 'A');
+  assert.equal(merged.models[0].content, 'module.exports = 2;\n');
+  assert.deepEqual(merged.routes.map(file => file.fileName), ['b.route.js']);
+});
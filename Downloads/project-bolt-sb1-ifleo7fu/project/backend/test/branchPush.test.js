@@ -0,0 +1,92 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs-extra');
+const simpleGit = require('simple-git');
+const { createTempDir, createBareRepository, SAMPLE_API_SOURCE, SAMPLE_FIXTURE_RESPONSE } = require('./helpers');
+
+// El remoto es un repositorio bare local: la generación lo clona y sube las ramas por file://
+const tempDir = createTempDir('branch-push');
+process.env.ALLOW_LOCAL_REPOSITORIES = 'true';
+process.env.WORKSPACE_CACHE_DIR = path.join(tempDir, 'workspaces');
+process.env.LLM_FIXTURES_DIR = path.join(tempDir, 'fixtures');
+process.env.GENERATION_ARTIFACTS_DIR = path.join(tempDir, 'artifacts');
+
+const mongoose = require('mongoose');
+const { installMemoryMongo } = require('../utils/memoryMongo');
+const Project = require('../models/Project');
+const { generateBackendFromAPI } = require('../backendGenerator');
+
+let project;
+let remote;
+let mainCommit;
+let pushedCommit;
+
+// Función auxiliar para generar con el proveedor fixture y guardar el resultado en una rama
+const generateToBranch = (commitToBranch) => generateBackendFromAPI(project, {
+  outputPath: path.join(tempDir, 'output', 'backend'),
+  incremental: false,
+  verify: false,
+  llmProvider: { name: 'fixture' },
+  commitToBranch
+});
+
+// Función auxiliar para listar las ramas del remoto
+const listRemoteBranches = async () => (await remote.branchLocal()).all;
+
+before(async () => {
+  installMemoryMongo(mongoose);
+  await fs.outputFile(path.join(process.env.LLM_FIXTURES_DIR, 'default.txt'), SAMPLE_FIXTURE_RESPONSE);
+  const { bareDir, url } = await createBareRepository(tempDir, { 'api/users.js': SAMPLE_API_SOURCE });
+  remote = simpleGit(bareDir);
+  mainCommit = (await remote.revparse(['main'])).trim();
+  project = await Project.create({
+    name: 'Push',
+    description: 'Proyecto para probar la subida de ramas generadas',
+    userId: new mongoose.Types.ObjectId(),
+    githubUrl: url
+  });
+});
+
+after(async () => {
+  await fs.remove(tempDir);
+});
+
+test('sube al remoto una rama nueva con el backend generado sobre el commit analizado', async () => {
+  const { results } = await generateToBranch({ branch: 'generated-backend/push', directory: 'server' });
+  const { repositoryCommit } = results;
+
+  assert.equal(repositoryCommit.pushed, true);
+  assert.equal(repositoryCommit.pushError, undefined);
+  assert.equal(repositoryCommit.baseCommit, mainCommit);
+  assert.ok((await listRemoteBranches()).includes('generated-backend/push'));
+
+  pushedCommit = (await remote.revparse(['generated-backend/push'])).trim();
+  assert.equal(pushedCommit, repositoryCommit.commit);
+  assert.equal((await remote.raw(['rev-parse', `${pushedCommit}^`])).trim(), mainCommit);
+
+  const files = (await remote.raw(['ls-tree', '-r', '--name-only', pushedCommit])).split('\n').filter(Boolean);
+  assert.ok(files.includes('api/users.js'), 'el resto del repositorio se conserva');
+  assert.ok(files.includes('server/controllers/user.controller.js'));
+  assert.ok(files.includes('server/routes/user.route.js'));
+  assert.ok(files.every(file => !file.includes('node_modules')));
+
+  // main no se toca
+  assert.equal((await remote.revparse(['main'])).trim(), mainCommit);
+});
+
+test('con push: false la rama solo se crea en el clon en caché', async () => {
+  const { results } = await generateToBranch({ branch: 'generated-backend/local', push: false });
+
+  assert.equal(results.repositoryCommit.pushed, false);
+  assert.ok(results.repositoryCommit.commit);
+  assert.ok(!(await listRemoteBranches()).includes('generated-backend/local'));
+});
+
+test('no sobrescribe una rama que ya existe', async () => {
+  const { results } = await generateToBranch({ branch: 'generated-backend/push', directory: 'server' });
+
+  assert.match(results.repositoryCommit.error, /ya existe/);
+  assert.equal(results.repositoryCommit.pushed, undefined);
+  assert.equal((await remote.revparse(['generated-backend/push'])).trim(), pushedCommit);
+});
@@ -0,0 +1,174 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { installMemoryMongo } = require('../utils/memoryMongo');
+const Project = require('../models/Project');
+const { toAcceptanceCriteria, hashCiToken, generateCiToken, applyCiResults } = require('../utils/acceptanceCriteria');
+const { startTestServer, createTestUser } = require('./helpers');
+
+let server;
+let project;
+let ownerToken;
+
+// Función auxiliar para crear un proyecto (sin guardar) con una historia y dos criterios
+const createProject = (userId = new mongoose.Types.ObjectId()) => new Project({
+  name: 'Integración continua',
+  description: 'Proyecto para probar los resultados de CI',
+  userId,
+  pages: [{
+    id: 'page-login',
+    name: 'Login',
+    route: '/login',
+    userStories: [{
+      id: 'story-login',
+      title: 'Iniciar sesión',
+      description: 'Como usuario quiero iniciar sesión',
+      acceptanceCriteria: [
+        { id: 'ac-password', text: 'Valida la contraseña' },
+        { id: 'ac-lock', text: 'Bloquea tras tres intentos' }
+      ]
+    }]
+  }]
+});
+
+// Función auxiliar para enviar una petición autenticada con un token (de usuario o de CI)
+const post = (url, token, body) => fetch(url, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+  body: JSON.stringify(body)
+});
+
+before(async () => {
+  installMemoryMongo(mongoose);
+  const express = require('express');
+  const router = express.Router();
+  router.use('/projects', require('../routes/projects'));
+  router.use('/ci', require('../routes/ci'));
+  server = await startTestServer('/api', router);
+
+  const { user, token } = await createTestUser('Propietario');
+  ownerToken = token;
+  project = createProject(user._id);
+  await project.save();
+});
+
+after(async () => {
+  await server.close();
+});
+
+test('el token de CI se guarda como hash y es distinto cada vez', () => {
+  const token = generateCiToken();
+  assert.match(token, /^ci_[0-9a-f]{48}$/);
+  assert.notEqual(generateCiToken(), token);
+  assert.equal(hashCiToken(token), hashCiToken(token));
+  assert.match(hashCiToken(token), /^[0-9a-f]{64}$/);
+});
+
+test('applyCiResults identifica los criterios por id o por historia y texto normalizado', () => {
+  const local = createProject();
+  const checkedAt = new Date('2026-01-02T03:04:05Z');
+
+  const report = applyCiResults(local, [
+    { criterionId: 'ac-password', passed: true },
+    { storyId: 'story-login', text: '  BLOQUEA tras tres   intentos', passed: false },
+    { criterionId: 'ac-no-existe', passed: true }
+  ], checkedAt);
+
+  assert.deepEqual(report.updated.map(item => [item.criterionId, item.ciTestPassed]), [['ac-password', true], ['ac-lock', false]]);
+  assert.deepEqual(report.notFound, [{ criterionId: 'ac-no-existe', storyId: null, text: null }]);
+  const [password, lock] = local.pages[0].userStories[0].acceptanceCriteria;
+  assert.equal(password.lastChecked.getTime(), checkedAt.getTime());
+  assert.equal(lock.ciTestPassed, false);
+});
+
+test('un criterio que cambia de texto pierde su resultado de CI; si no cambia lo conserva', () => {
+  const existing = [{ id: 'ac-1', text: 'Valida la contraseña', completed: true, ciTestPassed: true, lastChecked: new Date() }];
+
+  const [kept] = toAcceptanceCriteria([{ id: 'ac-1', text: 'valida la contraseña' }], existing);
+  assert.equal(kept.id, 'ac-1');
+  assert.equal(kept.completed, true);
+  assert.equal(kept.ciTestPassed, true);
+
+  const [changed] = toAcceptanceCriteria([{ id: 'ac-1', text: 'Valida la contraseña y el usuario' }], existing);
+  assert.equal(changed.id, 'ac-1');
+  assert.equal(changed.ciTestPassed, null);
+  assert.equal(changed.lastChecked, null);
+});
+
+test('las rutas de CI rechazan con 401 tokens ausentes, ajenos, revocados o ids mal formados', async () => {
+  const created = await post(`${server.url}/projects/${project._id}/ci-token`, ownerToken, {});
+  assert.equal(created.status, 201);
+  const { token } = await created.json();
+  const results = { results: [{ criterionId: 'ac-password', passed: true }] };
+
+  assert.equal((await post(`${server.url}/ci/projects/${project._id}/acceptance-results`, null, results)).status, 401);
+  assert.equal((await post(`${server.url}/ci/projects/${project._id}/acceptance-results`, generateCiToken(), results)).status, 401);
+  assert.equal((await post(`${server.url}/ci/projects/no-es-un-id/acceptance-results`, token, results)).status, 401);
+  // El token de un usuario no sirve como token de CI
+  assert.equal((await post(`${server.url}/ci/projects/${project._id}/acceptance-results`, ownerToken, results)).status, 401);
+
+  const stored = await Project.findById(project._id);
+  assert.equal(stored.ci.tokenHash, hashCiToken(token));
+  assert.doesNotMatch(JSON.stringify(stored.toObject()), new RegExp(token));
+
+  const rotated = await (await post(`${server.url}/projects/${project._id}/ci-token`, ownerToken, {})).json();
+  assert.equal((await post(`${server.url}/ci/projects/${project._id}/acceptance-results`, token, results)).status, 401);
+  assert.equal((await post(`${server.url}/ci/projects/${project._id}/acceptance-results`, rotated.token, results)).status, 200);
+});
+
+test('POST /acceptance-results guarda passed como booleano aunque llegue como texto', async () => {
+  const { token } = await (await post(`${server.url}/projects/${project._id}/ci-token`, ownerToken, {})).json();
+  const url = `${server.url}/ci/projects/${project._id}/acceptance-results`;
+
+  const response = await post(url, token, {
+    commit: 'abc1234',
+    results: [
+      { criterionId: 'ac-password', passed: 'false' },
+      { storyId: 'story-login', text: 'Bloquea tras tres intentos', passed: true }
+    ]
+  });
+  assert.equal(response.status, 200);
+  const body = await response.json();
+  assert.deepEqual(body.updated.map(item => item.ciTestPassed), [false, true]);
+  assert.equal(body.commit, 'abc1234');
+
+  const [password, lock] = (await Project.findById(project._id)).pages[0].userStories[0].acceptanceCriteria;
+  assert.equal(password.ciTestPassed, false);
+  assert.equal(lock.ciTestPassed, true);
+
+  assert.equal((await post(url, token, { results: [{ criterionId: 'ac-password', passed: 'quizás' }] })).status, 400);
+  assert.equal((await post(url, token, { results: [{ passed: true }] })).status, 400);
+  assert.equal((await post(url, token, { results: [] })).status, 400);
+});
+
+test('POST /test-results enlaza los tests de Jest con historias y criterios por sus etiquetas', async () => {
+  const { token } = await (await post(`${server.url}/projects/${project._id}/ci-token`, ownerToken, {})).json();
+  const report = {
+    testResults: [{
+      name: '/repo/tests/login.test.js',
+      status: 'failed',
+      assertionResults: [
+        { ancestorTitles: ['login [story:story-login]'], title: 'acepta la contraseña correcta [ac:ac-password]', status: 'passed' },
+        { ancestorTitles: ['login [story:story-login]'], title: 'bloquea tras tres intentos [ac:ac-lock]', status: 'failed' },
+        { ancestorTitles: ['[story:story-borrada]'], title: 'historia que ya no existe', status: 'passed' },
+        { ancestorTitles: [], title: 'sin etiquetas', status: 'passed' }
+      ]
+    }]
+  };
+
+  const response = await post(`${server.url}/ci/projects/${project._id}/test-results`, token, { report, commit: 'def5678' });
+  assert.equal(response.status, 200);
+  const body = await response.json();
+  assert.equal(body.totalTests, 4);
+  assert.equal(body.untaggedTests, 1);
+  assert.deepEqual(body.unknownStoryIds, ['story-borrada']);
+  assert.deepEqual(body.stories.map(story => [story.storyId, story.passed, story.failed]), [['story-login', 1, 1]]);
+  assert.deepEqual(body.criteria.updated.map(item => [item.criterionId, item.ciTestPassed]), [['ac-password', true], ['ac-lock', false]]);
+
+  const story = (await Project.findById(project._id)).pages[0].userStories[0];
+  assert.equal(story.testResults.commit, 'def5678');
+  assert.equal(story.acceptanceCriteria[1].ciTestPassed, false);
+
+  const invalid = await post(`${server.url}/ci/projects/${project._id}/test-results`, token, { report: { suites: [] } });
+  assert.equal(invalid.status, 400);
+});
@@ -0,0 +1,102 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs-extra');
+const { createTempDir, createBareRepository, SAMPLE_API_SOURCE, SAMPLE_FIXTURE_RESPONSE } = require('./helpers');
+
+// Todo lo que escribe el pipeline (workspaces, grabaciones, fixtures y salida) queda en un directorio temporal
+const tempDir = createTempDir('generation-pipeline');
+process.env.ALLOW_LOCAL_REPOSITORIES = 'true';
+process.env.WORKSPACE_CACHE_DIR = path.join(tempDir, 'workspaces');
+process.env.LLM_FIXTURES_DIR = path.join(tempDir, 'fixtures');
+process.env.LLM_RECORDINGS_DIR = path.join(tempDir, 'recordings');
+process.env.GENERATION_ARTIFACTS_DIR = path.join(tempDir, 'artifacts');
+
+const mongoose = require('mongoose');
+const { installMemoryMongo } = require('../utils/memoryMongo');
+const Project = require('../models/Project');
+const { generateBackendFromAPI } = require('../backendGenerator');
+
+let project;
+
+// Función auxiliar para listar los archivos generados (rutas relativas, ordenadas)
+const listFiles = async (dir, base = dir) => {
+  const files = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...await listFiles(entryPath, base));
+    else files.push(path.relative(base, entryPath));
+  }
+  return files.sort();
+};
+
+// Función auxiliar para generar con el proveedor fixture en el modo indicado
+const generate = (mode, outputName) => generateBackendFromAPI(project, {
+  outputPath: path.join(tempDir, 'output', outputName),
+  incremental: false,
+  verify: false,
+  llmProvider: { name: 'fixture' },
+  llmMode: mode
+});
+
+before(async () => {
+  installMemoryMongo(mongoose);
+  await fs.outputFile(path.join(process.env.LLM_FIXTURES_DIR, 'default.txt'), SAMPLE_FIXTURE_RESPONSE);
+  const { url } = await createBareRepository(tempDir, { 'api/users.js': SAMPLE_API_SOURCE });
+  project = await Project.create({
+    name: 'Pipeline',
+    description: 'Proyecto para probar el pipeline de generación',
+    userId: new mongoose.Types.ObjectId(),
+    githubUrl: url
+  });
+});
+
+after(async () => {
+  await fs.remove(tempDir);
+});
+
+test('el modo record graba cada respuesta y el modo replay genera el mismo backend sin llamar al modelo', async () => {
+  const recorded = await generate('record', 'recorded');
+  const recordings = await fs.readdir(process.env.LLM_RECORDINGS_DIR);
+  assert.ok(recordings.length > 0, 'deberían haberse grabado respuestas');
+  assert.ok(recordings.every(name => /^[0-9a-f]{64}\.json$/.test(name)));
+  for (const name of recordings) {
+    const recordingPath = path.join(process.env.LLM_RECORDINGS_DIR, name);
+    const recording = await fs.readJson(recordingPath);
+    // Del prompt (con el código del repositorio) solo se guarda el hash
+    assert.equal(recording.prompt, undefined);
+    assert.ok(!JSON.stringify(recording).includes('export async function listUsers'));
+    assert.equal((await fs.stat(recordingPath)).mode & 0o777, 0o600);
+  }
+
+  // Sin fixtures, el proveedor devolvería una respuesta vacía: replay solo puede usar las grabaciones
+  await fs.remove(process.env.LLM_FIXTURES_DIR);
+  const replayed = await generate('replay', 'replayed');
+
+  const recordedFiles = await listFiles(path.join(tempDir, 'output', 'recorded'));
+  const replayedFiles = await listFiles(path.join(tempDir, 'output', 'replayed'));
+  assert.deepEqual(replayedFiles, recordedFiles);
+  for (const file of ['models/User.js', 'controllers/user.controller.js', 'services/user.service.js', 'routes/user.route.js']) {
+    assert.ok(replayedFiles.includes(file), `falta ${file}`);
+    assert.equal(
+      await fs.readFile(path.join(tempDir, 'output', 'replayed', file), 'utf8'),
+      await fs.readFile(path.join(tempDir, 'output', 'recorded', file), 'utf8')
+    );
+  }
+  // Por defecto no se copia nada en los directorios de este servidor
+  assert.equal(await fs.pathExists(path.join(__dirname, '..', 'services', 'user.service.js')), false);
+  assert.equal(await fs.pathExists(path.join(__dirname, '..', 'controllers', 'user.controller.js')), false);
+
+  // Las respuestas grabadas cumplen los schemas: ni al grabar ni al reproducir hace falta repararlas
+  assert.deepEqual(replayed.results.llmRepairs, recorded.results.llmRepairs);
+  assert.ok(Object.values(replayed.results.llmRepairs).every(step => step.repairs === 0 && step.failed === 0));
+  assert.equal(replayed.results.generatedFiles, recorded.results.generatedFiles);
+});
+
+test('el modo replay falla si falta la grabación de algún prompt', async () => {
+  await fs.emptyDir(process.env.LLM_RECORDINGS_DIR);
+  // Sin reintentos: el fallo es inmediato y lleva su propio código
+  const startedAt = Date.now();
+  await assert.rejects(generate('replay', 'missing'), error => error.code === 'LLM_RECORDING_MISSING' && /No hay respuesta grabada/.test(error.message));
+  assert.ok(Date.now() - startedAt < 2000, 'un prompt sin grabar no se reintenta');
+});
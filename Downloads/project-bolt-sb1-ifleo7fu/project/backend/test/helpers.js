@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const simpleGit = require('simple-git');
+
+// Archivo API de ejemplo del repositorio de los tests
+const SAMPLE_API_SOURCE = `
+export async function listUsers() {
+  return fetch('/api/users');
+}
+
+export async function createUser(user) {
+  return fetch('/api/users', { method: 'POST', body: JSON.stringify(user) });
+}
+`;
+
+// Respuesta del proveedor fixture para todos los pasos: cumple los schemas de modelos, controladores,
+// rutas e infraestructura e implementa las funciones declaradas en la API
+const SAMPLE_FIXTURE_RESPONSE = JSON.stringify({
+  models: [{ name: 'User', fileName: 'User.js', content: "const mongoose = require('mongoose');\nmodule.exports = mongoose.model('User', new mongoose.Schema({ name: String }));\n" }],
+  controllers: [{ name: 'UserController', fileName: 'user.controller.js', content: "const userService = require('../services/user.service');\nexports.listUsers = (req, res) => res.json(userService.listUsers());\nexports.createUser = (req, res) => res.status(201).json(userService.createUser(req.body));\n" }],
+  services: [{ name: 'UserService', fileName: 'user.service.js', content: "const User = require('../models/User');\nexports.listUsers = () => [];\nexports.createUser = (user) => user;\n" }],
+  routes: [{ name: 'UserRoute', fileName: 'user.route.js', content: "const router = require('express').Router();\nconst userController = require('../controllers/user.controller');\nrouter.get('/', userController.listUsers);\nrouter.post('/', userController.createUser);\nmodule.exports = router;\n" }]
+});
+
+// Directorio temporal propio de cada archivo de tests (síncrono: las variables de entorno
+// que apuntan a él deben definirse antes de cargar los módulos que las leen)
+const createTempDir = (prefix) => fs.mkdtempSync(path.join(os.tmpdir(), `${prefix}-`));
+
+/**
+ * Crea un repositorio bare local con un commit inicial en main, para usarlo como
+ * remoto file:// de un proyecto (requiere ALLOW_LOCAL_REPOSITORIES=true).
+ *
+ * @param {string} root - Directorio donde crear el repositorio
+ * @param {Object<string, string>} files - Ruta relativa → contenido del commit inicial
+ * @returns {Promise<{ bareDir: string, url: string }>}
+ */
+const createBareRepository = async (root, files) => {
+  const bareDir = path.join(root, 'remote.git');
+  const seedDir = path.join(root, 'seed');
+  await fs.ensureDir(bareDir);
+  await simpleGit(bareDir).init(true, ['--initial-branch=main']);
+
+  await fs.ensureDir(seedDir);
+  const git = simpleGit(seedDir);
+  await git.init(['--initial-branch=main']);
+  await git.addConfig('user.name', 'Tests');
+  await git.addConfig('user.email', 'tests@localhost');
+  for (const [filePath, content] of Object.entries(files)) {
+    await fs.outputFile(path.join(seedDir, filePath), content);
+  }
+  await git.add('.');
+  await git.commit('Commit inicial');
+  await git.push(bareDir, 'main');
+  await fs.remove(seedDir);
+
+  return { bareDir, url: `file://${bareDir}` };
+};
+
+// Respuesta de Express mínima para llamar a middlewares y controladores sin servidor HTTP
+const createResponse = () => {
+  const res = { statusCode: 200, body: undefined };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+/**
+ * Arranca una app de Express con un router montado, en un puerto libre de localhost.
+ *
+ * @param {string} mountPath - Ruta donde se monta el router (por ejemplo /api/projects)
+ * @param {Object} router - Router de Express
+ * @returns {Promise<{ url: string, close: Function }>}
+ */
+const startTestServer = async (mountPath, router) => {
+  const express = require('express');
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+  app.use(mountPath, router);
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  return {
+    url: `http://127.0.0.1:${server.address().port}${mountPath}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+// Crea un usuario activo y su token JWT (requiere la base de datos en memoria instalada)
+const createTestUser = async (name = 'Usuario de pruebas') => {
+  const jwt = require('jsonwebtoken');
+  const User = require('../models/User');
+  const user = await User.create({ name, email: `${crypto.randomBytes(6).toString('hex')}@example.com`, password: 'secreto123' });
+  const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET || 'your-secret-key', { expiresIn: '1h' });
+  return { user, token };
+};
+
+module.exports = {
+  SAMPLE_API_SOURCE,
+  SAMPLE_FIXTURE_RESPONSE,
+  createTempDir,
+  createBareRepository,
+  createResponse,
+  startTestServer,
+  createTestUser
+};
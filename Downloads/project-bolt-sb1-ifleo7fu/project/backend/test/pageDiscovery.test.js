@@ -0,0 +1,200 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs-extra');
+const { createTempDir } = require('./helpers');
+const { discoverPages, createImportResolver, getImportedComponents } = require('../utils/pageDiscovery');
+
+const tempDir = createTempDir('page-discovery');
+
+// Función auxiliar para crear un repositorio de prueba con sus archivos (ruta relativa → contenido)
+const createRepository = async (name, files) => {
+  const repoDir = path.join(tempDir, name);
+  for (const [filePath, content] of Object.entries(files)) {
+    await fs.outputFile(path.join(repoDir, filePath), content);
+  }
+  return repoDir;
+};
+
+// Función auxiliar para resumir las páginas descubiertas como "ruta -> archivo (nombre)", ordenadas
+const summarize = (pages) => pages.map(page => `${page.route} -> ${page.sourcePath} (${page.name})`).sort();
+
+after(async () => {
+  await fs.remove(tempDir);
+});
+
+test('Next.js: app router y pages router con segmentos dinámicos, grupos y carpetas privadas', async () => {
+  const repoDir = await createRepository('nextjs', {
+    'package.json': JSON.stringify({ dependencies: { next: '14.0.0' } }),
+    'app/page.tsx': 'export default function Page() { return null; }',
+    'app/(shop)/products/[id]/page.tsx': 'export default function ProductDetail() { return null; }',
+    'app/docs/[[...slug]]/page.tsx': 'export default function Docs() { return null; }',
+    'app/_components/page.tsx': 'export default function Hidden() { return null; }',
+    'pages/about.jsx': 'export default function About() { return null; }',
+    'pages/api/users.js': 'export default function handler() {}',
+    'pages/_app.jsx': 'export default function App() { return null; }',
+    'pages/about.test.jsx': 'test("about", () => {});'
+  });
+
+  const discovery = await discoverPages(repoDir);
+
+  assert.equal(discovery.strategy, 'nextjs');
+  assert.equal(discovery.framework, 'Next.js');
+  assert.deepEqual(summarize(discovery.pages), [
+    '/ -> app/page.tsx (Home)',
+    '/about -> pages/about.jsx (About)',
+    '/docs/* -> app/docs/[[...slug]]/page.tsx (Docs)',
+    '/products/:id -> app/(shop)/products/[id]/page.tsx (ProductDetail)'
+  ]);
+});
+
+test('Remix: rutas planas sin módulos .server ni layouts con guion bajo en la URL', async () => {
+  const repoDir = await createRepository('remix', {
+    'package.json': JSON.stringify({ dependencies: { '@remix-run/react': '2.0.0' } }),
+    'app/routes/_index.tsx': 'export default function Index() { return null; }',
+    'app/routes/posts.$postId.tsx': 'export default function Post() { return null; }',
+    'app/routes/_auth.login/route.tsx': 'export default function Login() { return null; }',
+    'app/routes/posts.server.ts': 'export const loader = () => null;'
+  });
+
+  const discovery = await discoverPages(repoDir);
+
+  assert.equal(discovery.strategy, 'remix');
+  assert.deepEqual(summarize(discovery.pages), [
+    '/ -> app/routes/_index.tsx (Index)',
+    '/login -> app/routes/_auth.login/route.tsx (Login)',
+    '/posts/:postId -> app/routes/posts.$postId.tsx (Post)'
+  ]);
+});
+
+test('React Router: rutas JSX anidadas, objetos de createBrowserRouter, lazy y archivos barril', async () => {
+  const repoDir = await createRepository('react-router', {
+    'package.json': JSON.stringify({ dependencies: { 'react-router-dom': '6.0.0' } }),
+    'src/App.jsx': `
+import { Routes, Route } from 'react-router-dom';
+import Layout from './Layout';
+import Home from './screens/Home';
+import { Settings } from './screens';
+import Protected from './Protected';
+
+export default function App() {
+  return (
+    <Routes>
+      <Route path="/" element={<Layout />}>
+        <Route index element={<Home />} />
+        <Route path="settings" element={<Protected><Settings /></Protected>} />
+      </Route>
+    </Routes>
+  );
+}`,
+    'src/router.js': `
+import { createBrowserRouter } from 'react-router-dom';
+import Reports from '@/screens/Reports';
+
+export const router = createBrowserRouter([
+  { path: '/admin', children: [
+    { path: 'reports', element: <Reports /> },
+    { path: 'audit', lazy: () => import('./screens/Audit') }
+  ] }
+]);`,
+    'src/Layout.jsx': 'export default function Layout() { return null; }',
+    'src/Protected.jsx': 'export default function Protected({ children }) { return children; }',
+    'src/screens/Home.jsx': 'export default function Home() { return null; }',
+    'src/screens/index.js': "export { Settings } from './Settings';",
+    'src/screens/Settings.jsx': 'export function Settings() { return null; }',
+    'src/screens/Reports.jsx': 'export default function Reports() { return null; }',
+    'src/screens/Audit.jsx': 'export default function Audit() { return null; }'
+  });
+
+  const discovery = await discoverPages(repoDir);
+
+  assert.equal(discovery.strategy, 'router-config');
+  assert.deepEqual(summarize(discovery.pages), [
+    '/ -> src/Layout.jsx (Layout)',
+    '/ -> src/screens/Home.jsx (Home)',
+    '/admin/audit -> src/screens/Audit.jsx (Audit)',
+    '/admin/reports -> src/screens/Reports.jsx (Reports)',
+    '/settings -> src/screens/Settings.jsx (Settings)'
+  ]);
+});
+
+test('carpeta pages sin framework: solo los archivos de primer nivel y sin ruta', async () => {
+  const repoDir = await createRepository('pages-directory', {
+    'src/pages/Dashboard.jsx': 'export default function Dashboard() { return null; }',
+    'src/pages/Profile.vue': '<template><div /></template>',
+    'src/pages/Dashboard.stories.jsx': 'export default {};',
+    'src/pages/widgets/Chart.jsx': 'export default function Chart() { return null; }'
+  });
+
+  const discovery = await discoverPages(repoDir);
+
+  assert.equal(discovery.strategy, 'pages-directory');
+  assert.equal(discovery.framework, null);
+  assert.deepEqual(discovery.pages.map(page => [page.name, page.sourcePath, page.route]).sort(), [
+    ['Dashboard', 'src/pages/Dashboard.jsx', null],
+    ['Profile', 'src/pages/Profile.vue', null]
+  ]);
+});
+
+test('carpetas por funcionalidad: componentes *Page con ruta derivada del nombre', async () => {
+  const repoDir = await createRepository('feature-folders', {
+    'src/features/catalog/ProductDetailPage.tsx': 'export default function ProductDetailPage() { return null; }',
+    'src/features/cart/CartPage.tsx': 'export default function CartPage() { return null; }',
+    'src/features/cart/CartPage.test.tsx': 'test("cart", () => {});',
+    'node_modules/lib/VendorPage.js': 'module.exports = {};'
+  });
+
+  const discovery = await discoverPages(repoDir);
+
+  assert.equal(discovery.strategy, 'feature-folders');
+  assert.deepEqual(summarize(discovery.pages), [
+    '/cart -> src/features/cart/CartPage.tsx (CartPage)',
+    '/product-detail -> src/features/catalog/ProductDetailPage.tsx (ProductDetailPage)'
+  ]);
+});
+
+test('sin páginas se informan las estrategias probadas', async () => {
+  const repoDir = await createRepository('empty', {
+    'package.json': JSON.stringify({ dependencies: { 'react-router-dom': '6.0.0' } }),
+    'src/index.js': 'console.log("sin rutas");'
+  });
+
+  const discovery = await discoverPages(repoDir);
+
+  assert.equal(discovery.strategy, null);
+  assert.deepEqual(discovery.pages, []);
+  assert.deepEqual(discovery.strategiesTried, ['router-config']);
+});
+
+test('los imports se resuelven con los alias de tsconfig.json (con comentarios) y archivos index', async () => {
+  const repoDir = await createRepository('aliases', {
+    'tsconfig.json': `{
+  // Alias del proyecto
+  "compilerOptions": {
+    "baseUrl": "src",
+    "paths": { "@ui/*": ["components/ui/*"], },
+  },
+}`,
+    'src/pages/Checkout.tsx': [
+      "import Button from '@ui/Button';",
+      "import { formatPrice } from 'lib/format';",
+      "import Summary from './Summary';",
+      "import React from 'react';",
+      'export default function Checkout() { return null; }'
+    ].join('\n'),
+    'src/pages/Summary/index.tsx': 'export default function Summary() { return null; }',
+    'src/components/ui/Button.tsx': 'export default function Button() { return null; }',
+    'src/lib/format.ts': 'export const formatPrice = (value) => `${value} €`;'
+  });
+
+  const resolve = await createImportResolver(repoDir);
+  const pagePath = path.join(repoDir, 'src/pages/Checkout.tsx');
+  assert.equal(resolve(pagePath, '@ui/Button'), path.join(repoDir, 'src/components/ui/Button.tsx'));
+  assert.equal(resolve(pagePath, 'lib/format'), path.join(repoDir, 'src/lib/format.ts'));
+  assert.equal(resolve(pagePath, './Summary'), path.join(repoDir, 'src/pages/Summary/index.tsx'));
+  assert.equal(resolve(pagePath, 'react'), null);
+
+  const components = await getImportedComponents(pagePath, repoDir, resolve);
+  assert.deepEqual(components.map(component => component.name), ['Button', 'format', 'Summary']);
+  assert.match(components[0].content, /function Button/);
+});
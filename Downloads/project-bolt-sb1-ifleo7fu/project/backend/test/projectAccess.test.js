@@ -0,0 +1,104 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const mongoose = require('mongoose');
+const { installMemoryMongo } = require('../utils/memoryMongo');
+const Project = require('../models/Project');
+const { getProjectRole, hasProjectRole } = require('../utils/projectAccess');
+const { requireProjectRole } = require('../middleware/auth');
+const { updateProject } = require('../controllers/projectController');
+const { resolveGenerationOutputPath, isManagedOutputPath, GENERATED_BACKENDS_DIR } = require('../utils/generationHistory');
+const { createResponse } = require('./helpers');
+
+const ownerId = new mongoose.Types.ObjectId();
+const editorId = new mongoose.Types.ObjectId();
+const viewerId = new mongoose.Types.ObjectId();
+const strangerId = new mongoose.Types.ObjectId();
+let project;
+
+// Función auxiliar para pasar una petición por requireProjectRole; devuelve la respuesta y si se llamó a next()
+const runMiddleware = async (minRole, userId, projectId = project._id) => {
+  const req = { params: { id: String(projectId) }, user: { userId: String(userId) } };
+  const res = createResponse();
+  let nextCalled = false;
+  await requireProjectRole(minRole)(req, res, () => { nextCalled = true; });
+  return { req, res, nextCalled };
+};
+
+before(async () => {
+  installMemoryMongo(mongoose);
+  project = await Project.create({
+    name: 'Roles',
+    description: 'Proyecto para probar los roles de acceso',
+    userId: ownerId,
+    githubUrl: 'https://github.com/acme/roles.git',
+    members: [{ userId: editorId, role: 'editor' }, { userId: viewerId, role: 'viewer' }]
+  });
+});
+
+test('getProjectRole distingue propietario, miembros y usuarios sin acceso', () => {
+  assert.equal(getProjectRole(project, String(ownerId)), 'owner');
+  assert.equal(getProjectRole(project, editorId), 'editor');
+  assert.equal(getProjectRole(project, viewerId), 'viewer');
+  assert.equal(getProjectRole(project, strangerId), null);
+  assert.equal(getProjectRole(null, ownerId), null);
+});
+
+test('hasProjectRole respeta el orden viewer < editor < owner', () => {
+  assert.equal(hasProjectRole('owner', 'editor'), true);
+  assert.equal(hasProjectRole('editor', 'editor'), true);
+  assert.equal(hasProjectRole('viewer', 'editor'), false);
+  assert.equal(hasProjectRole('editor', 'owner'), false);
+  assert.equal(hasProjectRole(null, 'viewer'), false);
+});
+
+test('requireProjectRole responde 404 a quien no es miembro y ante un id mal formado', async () => {
+  const stranger = await runMiddleware('viewer', strangerId);
+  assert.equal(stranger.nextCalled, false);
+  assert.equal(stranger.res.statusCode, 404);
+
+  const malformed = await runMiddleware('viewer', ownerId, 'no-es-un-id');
+  assert.equal(malformed.nextCalled, false);
+  assert.equal(malformed.res.statusCode, 404);
+});
+
+test('requireProjectRole responde 403 por debajo del rol mínimo y deja pasar a partir de él', async () => {
+  const viewer = await runMiddleware('editor', viewerId);
+  assert.equal(viewer.nextCalled, false);
+  assert.equal(viewer.res.statusCode, 403);
+
+  const editor = await runMiddleware('editor', editorId);
+  assert.equal(editor.nextCalled, true);
+  assert.equal(editor.req.projectRole, 'editor');
+  assert.equal(String(editor.req.project._id), String(project._id));
+
+  const owner = await runMiddleware('owner', ownerId);
+  assert.equal(owner.nextCalled, true);
+});
+
+test('solo el propietario puede cambiar la URL del repositorio', async () => {
+  const { req } = await runMiddleware('editor', editorId);
+  req.body = { githubUrl: 'https://github.com/otro/repo.git' };
+  const res = createResponse();
+  await updateProject(req, res);
+  assert.equal(res.statusCode, 403);
+  assert.equal((await Project.findById(project._id)).githubUrl, 'https://github.com/acme/roles.git');
+
+  const { req: ownerReq } = await runMiddleware('editor', ownerId);
+  ownerReq.body = { githubUrl: 'https://github.com/acme/nuevo.git' };
+  const ownerRes = createResponse();
+  await updateProject(ownerReq, ownerRes);
+  assert.equal(ownerRes.statusCode, 200);
+  assert.equal((await Project.findById(project._id)).githubUrl, 'https://github.com/acme/nuevo.git');
+});
+
+test('la salida de una generación no puede salir del directorio gestionado del proyecto', () => {
+  const root = path.join(GENERATED_BACKENDS_DIR, String(project._id));
+
+  assert.equal(resolveGenerationOutputPath(project), path.join(root, 'backend'));
+  assert.equal(resolveGenerationOutputPath(project, 'api/v2'), path.join(root, 'api', 'v2'));
+  for (const requested of ['../otro-proyecto', '/etc', '.', 'a/../../..']) {
+    assert.throws(() => resolveGenerationOutputPath(project, requested), error => error.code === 'INVALID_OUTPUT_PATH');
+  }
+  assert.equal(isManagedOutputPath(project, path.join(__dirname, '..', 'models')), false);
+});
@@ -0,0 +1,189 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs-extra');
+const simpleGit = require('simple-git');
+const { createTempDir, createBareRepository, startTestServer, createTestUser } = require('./helpers');
+
+// El repositorio del proyecto es un bare local con una carpeta src/pages; el proveedor fixture responde a todo
+const tempDir = createTempDir('project-sync');
+process.env.ALLOW_LOCAL_REPOSITORIES = 'true';
+process.env.WORKSPACE_CACHE_DIR = path.join(tempDir, 'workspaces');
+process.env.LLM_FIXTURES_DIR = path.join(tempDir, 'fixtures');
+
+const mongoose = require('mongoose');
+const { installMemoryMongo } = require('../utils/memoryMongo');
+const Project = require('../models/Project');
+const {
+  normalizeTitle,
+  mergeSyncedUserStories,
+  markRemovedPages,
+  placeholderDescription,
+  canRegenerateDescription
+} = require('../utils/projectSync');
+
+// Función auxiliar para crear una página (sin guardar) con una historia ya trabajada
+const createPage = (overrides = {}) => new Project({
+  name: 'Tienda',
+  description: 'Proyecto para probar la sincronización',
+  userId: new mongoose.Types.ObjectId(),
+  pages: [{
+    id: 'page-cart',
+    name: 'Carrito',
+    route: '/carrito',
+    sourcePath: 'src/pages/Carrito.jsx',
+    userStories: [{
+      id: 'story-pay',
+      title: 'Pagar el pedido',
+      description: 'Como cliente quiero pagar',
+      priority: 'high',
+      status: 'in-progress',
+      estimatedHours: 8,
+      acceptanceCriteria: [{ id: 'ac-1', text: 'Acepta tarjeta', completed: true }]
+    }],
+    ...overrides
+  }]
+}).pages[0];
+
+// Función auxiliar para escribir la respuesta del proveedor fixture (historias de usuario en JSON)
+const writeFixture = (stories) => fs.outputFile(path.join(process.env.LLM_FIXTURES_DIR, 'default.txt'), JSON.stringify(stories));
+
+test('normalizeTitle ignora mayúsculas, acentos y puntuación', () => {
+  assert.equal(normalizeTitle('  Pagar el PEDIDO! '), 'pagar el pedido');
+  assert.equal(normalizeTitle('Añadir artículo al carrito'), normalizeTitle('anadir articulo, al carrito'));
+});
+
+test('las historias que coinciden por título normalizado conservan id, estado y estimación', () => {
+  const page = createPage();
+  const result = mergeSyncedUserStories(page, [
+    { title: 'pagar el pedido.', description: 'Como cliente quiero pagar con tarjeta', acceptanceCriteria: ['Acepta tarjeta', 'Muestra el total'] },
+    { title: 'Vaciar el carrito', description: 'Quitar todos los productos', priority: 'Baja', acceptanceCriteria: ['Pide confirmación'] }
+  ]);
+
+  assert.deepEqual(result, { added: 1, updated: 1 });
+  const [paid, emptied] = page.userStories;
+  assert.equal(paid.id, 'story-pay');
+  assert.equal(paid.title, 'Pagar el pedido');
+  assert.equal(paid.status, 'in-progress');
+  assert.equal(paid.estimatedHours, 8);
+  assert.equal(paid.description, 'Como cliente quiero pagar con tarjeta');
+  // El criterio que no cambia conserva su id y si está completado
+  assert.equal(paid.acceptanceCriteria[0].id, 'ac-1');
+  assert.equal(paid.acceptanceCriteria[0].completed, true);
+  assert.equal(paid.acceptanceCriteria[1].text, 'Muestra el total');
+
+  assert.equal(emptied.source, 'sync');
+  assert.equal(emptied.status, 'completed');
+  assert.equal(emptied.priority, 'low');
+});
+
+test('las páginas sincronizadas que desaparecen se marcan eliminadas y sus historias huérfanas', () => {
+  const removedPage = createPage();
+  const manualPage = createPage({ id: 'page-manual', sourcePath: undefined });
+  const seenPage = createPage({ id: 'page-seen', sourcePath: 'src/pages/Inicio.jsx' });
+
+  const removed = markRemovedPages([removedPage, manualPage, seenPage], new Set([seenPage]));
+
+  assert.deepEqual(removed.map(page => page.id), ['page-cart']);
+  assert.equal(removedPage.syncStatus, 'removed');
+  assert.equal(removedPage.userStories[0].orphaned, true);
+  assert.equal(removedPage.userStories[0].status, 'in-progress');
+  assert.equal(manualPage.syncStatus, 'synced');
+  assert.equal(seenPage.userStories[0].orphaned, false);
+  // Marcarla otra vez no la vuelve a informar
+  assert.deepEqual(markRemovedPages([removedPage], new Set()), []);
+});
+
+test('solo se regeneran las descripciones que no se escribieron a mano', () => {
+  assert.equal(canRegenerateDescription(createPage({ description: 'Escrita a mano', descriptionSource: 'manual' })), false);
+  assert.equal(canRegenerateDescription(createPage({ description: 'Generada', descriptionSource: 'llm' })), true);
+  assert.equal(canRegenerateDescription(createPage({ description: 'Generada', descriptionSource: 'sync' })), true);
+  // Páginas guardadas antes de registrar el origen de la descripción
+  assert.equal(canRegenerateDescription(createPage({ description: placeholderDescription('Carrito') })), true);
+  assert.equal(canRegenerateDescription(createPage({ description: '' })), true);
+  assert.equal(canRegenerateDescription(createPage({ description: 'Escrita antes del cambio' })), false);
+});
+
+test('POST /sync regenera la descripción de las páginas que cambiaron y guarda una sola vez', async (t) => {
+  installMemoryMongo(mongoose);
+  const { bareDir, url } = await createBareRepository(tempDir, {
+    'src/pages/Inicio.jsx': 'export default function Inicio() { return <h1>Inicio</h1>; }\n',
+    'src/pages/Carrito.jsx': 'export default function Carrito() { return <button>Pagar</button>; }\n'
+  });
+  const router = require('../routes/projects');
+  const { user, token } = await createTestUser();
+  const project = await Project.create({
+    name: 'Tienda',
+    description: 'Proyecto para probar la sincronización',
+    userId: user._id,
+    githubUrl: url,
+    llmProvider: { name: 'fixture' }
+  });
+  const server = await startTestServer('/api/projects', router);
+  t.after(() => server.close());
+
+  const sync = async () => {
+    const response = await fetch(`${server.url}/${project._id}/sync`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify({})
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  const findPage = async (name) => (await Project.findById(project._id)).pages.find(page => page.name === name);
+
+  // Primera sincronización: páginas nuevas con la descripción generada en lugar de la provisional
+  await writeFixture([{ title: 'Ver la portada', description: 'Como visitante quiero ver la portada', acceptanceCriteria: ['Muestra el título'] }]);
+  const first = await sync();
+  assert.equal(first.status, 200);
+  assert.deepEqual(first.body.results.changes.added.map(page => page.name).sort(), ['Carrito', 'Inicio']);
+  assert.ok(first.body.results.changes.added.every(page => page.descriptionUpdated));
+  const home = await findPage('Inicio');
+  assert.equal(home.descriptionSource, 'sync');
+  assert.notEqual(home.description, placeholderDescription('Inicio'));
+  const homeHash = home.sourceHash;
+
+  // La descripción del carrito se escribe a mano y cambia el código de las dos páginas
+  const stored = await Project.findById(project._id);
+  const cart = stored.pages.find(page => page.name === 'Carrito');
+  cart.description = 'Descripción escrita a mano';
+  cart.descriptionSource = 'manual';
+  await stored.save();
+
+  const seedDir = path.join(tempDir, 'seed');
+  const git = simpleGit();
+  await git.clone(bareDir, seedDir, ['--branch', 'main']);
+  const seed = simpleGit(seedDir);
+  await seed.addConfig('user.name', 'Tests');
+  await seed.addConfig('user.email', 'tests@localhost');
+  await fs.appendFile(path.join(seedDir, 'src/pages/Inicio.jsx'), 'export const banner = true;\n');
+  await fs.appendFile(path.join(seedDir, 'src/pages/Carrito.jsx'), 'export const coupons = true;\n');
+  await seed.add('.');
+  await seed.commit('Cambiar las páginas');
+  await seed.push('origin', 'main');
+
+  // Si el guardado final falla, ninguna página queda con el hash nuevo
+  await writeFixture([{ title: 'Ver la promoción', description: 'Como visitante quiero ver la promoción', acceptanceCriteria: ['Muestra el banner'] }]);
+  const save = t.mock.method(Project.prototype, 'save', async () => {
+    throw new Error('Fallo de la base de datos');
+  });
+  const failed = await sync();
+  save.mock.restore();
+  assert.equal(failed.status, 500);
+  assert.equal((await findPage('Inicio')).sourceHash, homeHash);
+  assert.equal((await findPage('Inicio')).userStories.length, 1);
+
+  // Al reintentar se reanalizan las dos páginas: la descripción manual se respeta
+  const second = await sync();
+  assert.equal(second.status, 200);
+  const updated = Object.fromEntries(second.body.results.changes.updated.map(page => [page.name, page]));
+  assert.equal(updated.Inicio.descriptionUpdated, true);
+  assert.equal(updated.Carrito.descriptionUpdated, false);
+  assert.notEqual((await findPage('Inicio')).sourceHash, homeHash);
+  assert.equal((await findPage('Inicio')).userStories.length, 2);
+  assert.equal((await findPage('Carrito')).description, 'Descripción escrita a mano');
+});
+
+after(async () => {
+  await fs.remove(tempDir);
+});
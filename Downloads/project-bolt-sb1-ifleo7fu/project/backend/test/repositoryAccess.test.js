@@ -0,0 +1,32 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { isRepositoryUrl, canPushToRepository } = require('../utils/repositoryAccess');
+
+afterEach(() => {
+  delete process.env.ALLOW_LOCAL_REPOSITORIES;
+});
+
+test('acepta URLs HTTPS y SSH de repositorios', () => {
+  assert.equal(isRepositoryUrl('https://github.com/acme/app.git'), true);
+  assert.equal(isRepositoryUrl('git@gitlab.com:acme/app.git'), true);
+  assert.equal(isRepositoryUrl('https://github.com/'), false);
+  assert.equal(isRepositoryUrl('ftp://example.com/app.git'), false);
+});
+
+test('solo acepta repositorios file:// con ALLOW_LOCAL_REPOSITORIES=true', () => {
+  assert.equal(isRepositoryUrl('file:///srv/git/app.git'), false);
+  assert.equal(canPushToRepository({ githubUrl: 'file:///srv/git/app.git' }), false);
+
+  process.env.ALLOW_LOCAL_REPOSITORIES = 'true';
+  assert.equal(isRepositoryUrl('file:///srv/git/app.git'), true);
+  assert.equal(canPushToRepository({ githubUrl: 'file:///srv/git/app.git' }), true);
+});
+
+test('sin credenciales no se sube a un remoto HTTPS', () => {
+  process.env.ALLOW_LOCAL_REPOSITORIES = 'true';
+  assert.equal(canPushToRepository({ githubUrl: 'https://github.com/acme/app.git' }), false);
+  assert.equal(canPushToRepository({
+    githubUrl: 'https://github.com/acme/app.git',
+    repository: { credentials: { type: 'token', encryptedSecret: 'cifrado' } }
+  }), true);
+});
@@ -0,0 +1,162 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { installMemoryMongo } = require('../utils/memoryMongo');
+const Project = require('../models/Project');
+const Revision = require('../models/Revision');
+const { toAcceptanceCriteria } = require('../utils/acceptanceCriteria');
+const {
+  captureProjectState,
+  recordRevisions,
+  listRevisions,
+  getCurrentSnapshot,
+  restoreRevision
+} = require('../utils/revisionHistory');
+const { startTestServer, createTestUser } = require('./helpers');
+
+// Función auxiliar para crear y guardar un proyecto con una página y una historia
+const createProject = (overrides = {}) => Project.create({
+  name: 'Historial',
+  description: 'Proyecto para probar el historial de versiones',
+  userId: new mongoose.Types.ObjectId(),
+  githubUrl: 'https://github.com/acme/historial.git',
+  pages: [{
+    id: 'page-home',
+    name: 'Inicio',
+    route: '/',
+    userStories: [{
+      id: 'story-login',
+      title: 'Iniciar sesión',
+      description: 'Como usuario quiero iniciar sesión',
+      status: 'pending',
+      estimatedHours: 3,
+      acceptanceCriteria: [{ id: 'ac-1', text: 'Valida la contraseña' }]
+    }]
+  }],
+  ...overrides
+});
+
+// Función auxiliar para aplicar un cambio al proyecto, guardarlo y registrar sus revisiones
+const change = async (project, apply, { source = 'manual', user = { userId: new mongoose.Types.ObjectId() } } = {}) => {
+  const snapshot = captureProjectState(project);
+  apply(project);
+  await project.save();
+  return recordRevisions({ user }, project, snapshot, { source });
+};
+
+before(() => {
+  installMemoryMongo(mongoose);
+});
+
+test('el primer cambio de un elemento guarda también su estado anterior como versión base', async () => {
+  const project = await createProject();
+
+  const revisions = await change(project, () => {
+    project.pages[0].userStories[0].status = 'in-progress';
+    project.pages[0].userStories[0].estimatedHours = 5;
+  });
+
+  assert.equal(revisions.length, 1);
+  assert.equal(revisions[0].version, 2);
+  assert.equal(revisions[0].action, 'updated');
+  assert.deepEqual(revisions[0].changes.map(item => item.field), ['status', 'estimatedHours']);
+
+  const history = await listRevisions(project._id, { targetId: 'story-login' });
+  assert.deepEqual(history.map(revision => [revision.version, revision.action, revision.source]), [
+    [2, 'updated', 'manual'],
+    [1, 'baseline', 'unknown']
+  ]);
+  assert.equal(history[1].snapshot.status, 'pending');
+});
+
+test('restaurar una historia vuelve a sus valores y conserva el id de los criterios borrados', async () => {
+  const project = await createProject();
+  await change(project, () => {
+    project.pages[0].userStories[0].acceptanceCriteria = toAcceptanceCriteria(['Bloquea tras tres intentos']);
+    project.pages[0].userStories[0].title = 'Entrar';
+  });
+
+  const baseline = await Revision.findOne({ projectId: project._id, targetId: 'story-login', version: 1 });
+  const story = restoreRevision(project, baseline);
+
+  assert.equal(story.title, 'Iniciar sesión');
+  assert.deepEqual(story.acceptanceCriteria.map(criterion => [criterion.id, criterion.text]), [['ac-1', 'Valida la contraseña']]);
+  assert.deepEqual(getCurrentSnapshot(project, baseline).title, 'Iniciar sesión');
+});
+
+test('una página borrada se vuelve a crear con su id al restaurarla', async () => {
+  const project = await createProject();
+  await change(project, () => {
+    project.pages[0].name = 'Portada';
+  });
+  await change(project, () => {
+    project.pages = [];
+  });
+
+  const deleted = await Revision.findOne({ projectId: project._id, targetId: 'page-home', action: 'deleted' });
+  assert.equal(deleted.snapshot.name, 'Portada');
+  assert.equal(getCurrentSnapshot(project, deleted), null);
+
+  const page = restoreRevision(project, deleted);
+  assert.equal(page.id, 'page-home');
+  assert.equal(page.name, 'Portada');
+  assert.equal(page.route, '/');
+});
+
+test('el historial del repositorio no guarda el secreto de las credenciales', async () => {
+  const project = await createProject();
+  const revisions = await change(project, () => {
+    project.repository = {
+      ref: 'develop',
+      credentials: { type: 'token', encryptedSecret: 'cifrado', configuredAt: new Date() }
+    };
+  });
+
+  const [revision] = revisions;
+  assert.equal(revision.snapshot.repository.ref, 'develop');
+  assert.equal(revision.snapshot.repository.credentials.type, 'token');
+  assert.doesNotMatch(JSON.stringify(revision.snapshot), /cifrado/);
+});
+
+test('POST /revisions/:id/restore: un editor no puede restaurar la URL del repositorio, el propietario sí', async (t) => {
+  const router = require('../routes/projects');
+  const { user: owner, token: ownerToken } = await createTestUser('Propietario');
+  const { user: editor, token: editorToken } = await createTestUser('Editor');
+  const project = await createProject({ userId: owner._id, members: [{ userId: editor._id, role: 'editor' }] });
+  await change(project, () => {
+    project.githubUrl = 'https://github.com/acme/otro.git';
+    project.name = 'Historial renombrado';
+  }, { user: { userId: owner._id } });
+  const baseline = await Revision.findOne({ projectId: project._id, targetType: 'project', version: 1 });
+
+  const server = await startTestServer('/api/projects', router);
+  t.after(() => server.close());
+  const restore = (revision, token) => fetch(`${server.url}/${project._id}/revisions/${revision._id}/restore`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}` }
+  });
+
+  const forbidden = await restore(baseline, editorToken);
+  assert.equal(forbidden.status, 403);
+  const unchanged = await Project.findById(project._id);
+  assert.equal(unchanged.githubUrl, 'https://github.com/acme/otro.git');
+  assert.equal(unchanged.name, 'Historial renombrado');
+
+  // Una revisión que no toca el repositorio sí la puede restaurar un editor
+  const renamed = await Project.findById(project._id);
+  await change(renamed, () => {
+    renamed.name = 'Nombre temporal';
+  }, { user: { userId: editor._id } });
+  const beforeRename = await Revision.findOne({ projectId: project._id, targetType: 'project', version: 2 });
+  const allowed = await restore(beforeRename, editorToken);
+  assert.equal(allowed.status, 200);
+  assert.equal((await Project.findById(project._id)).name, 'Historial renombrado');
+
+  const restored = await restore(baseline, ownerToken);
+  assert.equal(restored.status, 200);
+  const body = await restored.json();
+  assert.equal(body.revision.action, 'restored');
+  assert.equal(body.revision.source, 'restore');
+  assert.equal(body.target.githubUrl, 'https://github.com/acme/historial.git');
+  assert.equal((await Project.findById(project._id)).name, 'Historial');
+});
@@ -0,0 +1,155 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { installMemoryMongo } = require('../utils/memoryMongo');
+const Project = require('../models/Project');
+const { exportUserStories, parseUserStories, importUserStories } = require('../utils/storyExchange');
+const { startTestServer, createTestUser } = require('./helpers');
+
+// Función auxiliar para crear un proyecto (sin guardar) con una página y dos historias
+const createProject = () => new Project({
+  name: 'Tienda',
+  description: 'Proyecto para probar la importación de historias',
+  userId: new mongoose.Types.ObjectId(),
+  pages: [{
+    id: 'page-catalog',
+    name: 'Catálogo',
+    route: '/catalogo',
+    userStories: [
+      {
+        id: 'story-search',
+        title: 'Buscar productos',
+        description: 'Como cliente quiero buscar productos por nombre',
+        priority: 'high',
+        status: 'in-progress',
+        estimatedHours: 5,
+        acceptanceCriteria: [{ id: 'ac-1', text: 'Muestra resultados al escribir' }, { id: 'ac-2', text: 'Indica cuando no hay resultados' }]
+      },
+      {
+        id: 'story-filter',
+        title: 'Filtrar por categoría',
+        description: 'Como cliente quiero filtrar el catálogo, con "comillas" y, comas',
+        priority: 'low',
+        status: 'pending',
+        estimatedHours: 2,
+        acceptanceCriteria: [{ id: 'ac-3', text: 'Las categorías se pueden combinar' }]
+      }
+    ]
+  }]
+});
+
+for (const format of ['csv', 'markdown', 'jira']) {
+  test(`lo exportado en ${format} se vuelve a leer con los mismos datos`, () => {
+    const project = createProject();
+    const { content, storyCount } = exportUserStories(project, format);
+    assert.equal(storyCount, 2);
+
+    const stories = parseUserStories(format, content);
+    assert.deepEqual(stories.map(story => story.title), ['Buscar productos', 'Filtrar por categoría']);
+    assert.deepEqual(stories[0].acceptanceCriteria, ['Muestra resultados al escribir', 'Indica cuando no hay resultados']);
+    assert.equal(stories[1].description, 'Como cliente quiero filtrar el catálogo, con "comillas" y, comas');
+    assert.equal(stories[0].estimatedHours, 5);
+
+    // Reimportar lo exportado en el mismo proyecto no duplica nada
+    const report = importUserStories(project, stories);
+    assert.equal(report.created.length, 0);
+    assert.equal(report.skipped.length, 2);
+  });
+}
+
+test('los duplicados se detectan por título normalizado en todo el proyecto y se saltan por defecto', () => {
+  const project = createProject();
+  const report = importUserStories(project, [
+    { title: '  buscar PRODUCTOS. ', description: 'Otra descripción', acceptanceCriteria: ['Nuevo criterio'] },
+    { title: 'Ver detalle del producto', description: 'Como cliente quiero ver el detalle', acceptanceCriteria: ['Muestra el precio'], priority: 'Alta' }
+  ]);
+
+  assert.deepEqual(report.skipped.map(story => story.id), ['story-search']);
+  assert.equal(report.created.length, 1);
+  // Sin página en el archivo, va a la página por defecto de importación
+  assert.deepEqual(report.pagesCreated.map(page => page.name), ['Historias importadas']);
+  const created = project.pages[1].userStories[0];
+  assert.equal(created.priority, 'high');
+  assert.equal(created.source, 'import');
+  assert.equal(project.pages[0].userStories[0].description, 'Como cliente quiero buscar productos por nombre');
+});
+
+test('con onDuplicate update se actualiza la historia y se conservan su estado y los ids de los criterios', () => {
+  const project = createProject();
+  const report = importUserStories(project, [{
+    title: 'Buscar productos',
+    description: 'Descripción nueva',
+    acceptanceCriteria: ['Muestra resultados al escribir', 'Permite buscar por código'],
+    priority: 'baja',
+    status: 'completada',
+    estimatedHours: 8
+  }], { onDuplicate: 'update' });
+
+  assert.deepEqual(report.updated.map(story => story.id), ['story-search']);
+  const story = project.pages[0].userStories[0];
+  assert.equal(story.description, 'Descripción nueva');
+  assert.equal(story.priority, 'low');
+  assert.equal(story.estimatedHours, 8);
+  assert.equal(story.status, 'in-progress');
+  assert.equal(story.acceptanceCriteria.find(criterion => criterion.text === 'Muestra resultados al escribir').id, 'ac-1');
+  assert.equal(story.acceptanceCriteria.length, 2);
+});
+
+test('las historias van a la página del archivo (por ruta o nombre) y la crean si no existe', () => {
+  const project = createProject();
+  const report = importUserStories(project, [
+    { pageRoute: '/catalogo', title: 'Ordenar por precio', description: 'Ordenar el catálogo' },
+    { pageName: 'Carrito', title: 'Vaciar el carrito', description: 'Quitar todos los productos' }
+  ]);
+
+  assert.deepEqual(report.created.map(story => story.page), ['Catálogo', 'Carrito']);
+  assert.deepEqual(report.pagesCreated.map(page => page.name), ['Carrito']);
+  assert.equal(project.pages[1].route, 'carrito');
+});
+
+test('una página de destino inexistente es un error', () => {
+  assert.throws(() => importUserStories(createProject(), [], { pageId: 'no-existe' }), /no existe/);
+});
+
+test('POST /user-stories/import interpreta dryRun "true" y "false" como booleanos', async () => {
+  installMemoryMongo(mongoose);
+  const router = require('../routes/projects');
+  const { user, token } = await createTestUser();
+  const project = createProject();
+  project.userId = user._id;
+  await project.save();
+  const server = await startTestServer('/api/projects', router);
+
+  const importStories = (dryRun) => fetch(`${server.url}/${project._id}/user-stories/import`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify({ format: 'markdown', content: '## Catálogo\n\n### Comparar productos\n\nComparar dos productos', dryRun })
+  });
+
+  try {
+    const simulated = await importStories('true');
+    assert.equal(simulated.status, 200);
+    assert.equal((await simulated.json()).dryRun, true);
+    assert.equal((await Project.findById(project._id)).pages[0].userStories.length, 2);
+
+    const imported = await importStories('false');
+    assert.equal(imported.status, 201);
+    assert.equal((await imported.json()).dryRun, false);
+    const stories = (await Project.findById(project._id)).pages[0].userStories;
+    assert.deepEqual(stories.map(story => story.title), ['Buscar productos', 'Filtrar por categoría', 'Comparar productos']);
+
+    const invalid = await importStories('quizás');
+    assert.equal(invalid.status, 400);
+
+    // Lo mismo en la generación de backend: dryRun "true" sigue siendo incompatible con commitToBranch
+    const generation = await fetch(`${server.url}/${project._id}/generate-advanced-backend`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify({ dryRun: 'true', commitToBranch: true })
+    });
+    assert.equal(generation.status, 400);
+    assert.match((await generation.json()).message, /dryRun/);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,127 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  extractJson,
+  validateStructuredOutput,
+  salvageStructuredOutput,
+  generateStructured,
+  createRepairStats,
+  createUserStoriesSchema
+} = require('../utils/structuredOutput');
+
+const VALID_CONTROLLERS = { controllers: [{ name: 'User', fileName: 'user.controller.js', content: 'module.exports = {};' }] };
+
+// Función auxiliar para simular un proveedor que devuelve las respuestas en orden y guarda los prompts recibidos
+const createScriptedGenerate = (responses) => {
+  const prompts = [];
+  const generate = async (prompt) => {
+    prompts.push(prompt);
+    return { text: responses[Math.min(prompts.length - 1, responses.length - 1)] };
+  };
+  return { generate, prompts };
+};
+
+test('extractJson lee bloques ```json, JSON5 y el primer valor JSON rodeado de texto', () => {
+  assert.deepEqual(extractJson('Aquí tienes:\n```json\n{ "a": 1 }\n```\nSaludos'), { a: 1 });
+  assert.deepEqual(extractJson("{ a: 'uno', b: [1, 2,], }"), { a: 'uno', b: [1, 2] });
+  assert.deepEqual(extractJson('Resultado: [{"title": "con } llave"}] y nada más'), [{ title: 'con } llave' }]);
+  assert.throws(() => extractJson('sin datos'), /JSON inválido/);
+  assert.throws(() => extractJson(''), /JSON inválido|no contiene JSON/);
+});
+
+test('validateStructuredOutput rechaza archivos vacíos y rutas que salen del proyecto con errores legibles', () => {
+  const result = validateStructuredOutput(JSON.stringify({
+    controllers: [
+      { name: 'User', fileName: '../server.js', content: 'x' },
+      { name: 'Empty', fileName: 'empty.controller.js', content: '   ' }
+    ]
+  }), 'controllers');
+
+  assert.equal(result.success, false);
+  assert.deepEqual(result.errors, [
+    'controllers[0].fileName: debe ser una ruta relativa sin ".."',
+    'controllers[1].content: el contenido del archivo no puede estar vacío'
+  ]);
+  assert.equal(result.value.controllers.length, 2);
+
+  assert.equal(validateStructuredOutput(JSON.stringify({ controllers: [] }), 'controllers').success, false);
+  assert.equal(validateStructuredOutput(JSON.stringify(VALID_CONTROLLERS), 'controllers').success, true);
+  assert.throws(() => validateStructuredOutput('{}', 'pasoDesconocido'), /No hay schema/);
+});
+
+test('el schema de historias admite un número exacto y criterios como texto u objeto', () => {
+  const stories = [
+    { title: 'Buscar', description: 'Buscar productos', acceptanceCriteria: ['Muestra resultados'], priority: 'Alta' },
+    { title: 'Filtrar', description: 'Filtrar productos', acceptanceCriteria: [{ text: 'Por categoría' }] }
+  ];
+
+  assert.equal(validateStructuredOutput(JSON.stringify(stories), 'userStories').success, true);
+  const exact = validateStructuredOutput(JSON.stringify(stories), 'userStories', createUserStoriesSchema({ count: 3 }));
+  assert.equal(exact.success, false);
+  assert.match(exact.errors[0], /exactamente 3/);
+});
+
+test('salvageStructuredOutput conserva solo los elementos válidos', () => {
+  assert.deepEqual(salvageStructuredOutput([
+    { title: 'Válida', description: 'Con criterio', acceptanceCriteria: ['Uno'] },
+    { title: 'Sin criterios', description: 'Nada', acceptanceCriteria: [] },
+    'texto suelto'
+  ], 'userStories').map(story => story.title), ['Válida']);
+
+  const analysis = salvageStructuredOutput({
+    controllers: [...VALID_CONTROLLERS.controllers, { name: 'Empty', fileName: 'empty.js', content: '' }],
+    routes: 'no es una lista'
+  }, 'controllers');
+  assert.deepEqual(analysis.controllers.map(file => file.fileName), ['user.controller.js']);
+  assert.deepEqual(analysis.routes, []);
+});
+
+test('generateStructured envía un prompt de reparación con los errores y el schema', async () => {
+  const { generate, prompts } = createScriptedGenerate([
+    '{ "controllers": [{ "name": "User", "fileName": "user.controller.js", "content": "" }] }',
+    JSON.stringify(VALID_CONTROLLERS)
+  ]);
+  const stats = createRepairStats();
+  const responses = [];
+
+  const result = await generateStructured(generate, 'Genera los controladores', {
+    step: 'controllers',
+    stats,
+    onResponse: (text, repairIndex) => responses.push(repairIndex)
+  });
+
+  assert.equal(result.valid, true);
+  assert.equal(result.repairs, 1);
+  assert.deepEqual(result.data, VALID_CONTROLLERS);
+  assert.deepEqual(responses, [0, 1]);
+  assert.equal(prompts[0], 'Genera los controladores');
+  assert.match(prompts[1], /paso "controllers"/);
+  assert.match(prompts[1], /controllers\[0\]\.content: el contenido del archivo no puede estar vacío/);
+  assert.match(prompts[1], /"\$schema"/);
+  assert.deepEqual(stats, { controllers: { calls: 1, repairs: 1, failed: 0 } });
+});
+
+test('generateStructured se queda con lo recuperable al agotar las reparaciones', async () => {
+  const { generate, prompts } = createScriptedGenerate([
+    JSON.stringify([
+      { title: 'Válida', description: 'Con criterio', acceptanceCriteria: ['Uno'] },
+      { title: '', description: 'Sin título', acceptanceCriteria: ['Dos'] }
+    ])
+  ]);
+  const stats = createRepairStats();
+
+  const result = await generateStructured(generate, 'Genera historias', { step: 'userStories', maxRepairs: 2, stats });
+
+  assert.equal(result.valid, false);
+  assert.equal(result.repairs, 2);
+  assert.equal(prompts.length, 3);
+  assert.deepEqual(result.data.map(story => story.title), ['Válida']);
+  assert.match(result.errors[0], /^\[1\]\.title: el título no puede estar vacío$/);
+  assert.deepEqual(stats, { userStories: { calls: 1, repairs: 2, failed: 1 } });
+
+  // Con maxRepairs 0 no se envía ningún prompt de reparación
+  const single = createScriptedGenerate(['no es JSON']);
+  const unrepaired = await generateStructured(single.generate, 'Genera historias', { step: 'userStories', maxRepairs: 0 });
+  assert.equal(single.prompts.length, 1);
+  assert.deepEqual(unrepaired.data, []);
+});
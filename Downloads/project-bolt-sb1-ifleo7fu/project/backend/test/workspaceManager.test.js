@@ -0,0 +1,73 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs-extra');
+const { createTempDir, createBareRepository, SAMPLE_API_SOURCE } = require('./helpers');
+
+const tempDir = createTempDir('workspace-manager');
+process.env.ALLOW_LOCAL_REPOSITORIES = 'true';
+process.env.WORKSPACE_CACHE_DIR = path.join(tempDir, 'workspaces');
+
+const { acquireWorkspace, WORKSPACE_ROOT } = require('../utils/workspaceManager');
+
+let project;
+
+before(async () => {
+  const { url } = await createBareRepository(tempDir, { 'api/users.js': SAMPLE_API_SOURCE });
+  project = { _id: 'workspace-test', githubUrl: url, repository: {} };
+});
+
+after(async () => {
+  await fs.remove(tempDir);
+});
+
+test('si el fetch del clon en caché falla, se vuelve a clonar sin tocar los snapshots en uso', async () => {
+  const first = await acquireWorkspace(project, { label: 'sync' });
+  assert.equal(await fs.readFile(path.join(first.dir, 'api', 'users.js'), 'utf8'), SAMPLE_API_SOURCE);
+
+  // Clon en caché corrupto: el siguiente fetch falla
+  const [key] = (await fs.readdir(WORKSPACE_ROOT, { withFileTypes: true })).filter(entry => entry.isDirectory()).map(entry => entry.name);
+  await fs.writeFile(path.join(WORKSPACE_ROOT, key, 'repo', '.git', 'HEAD'), 'corrupto\n');
+
+  // Dos operaciones a la vez: la primera en tomar el lock vuelve a clonar, la segunda reutiliza ese clon
+  const [second, third] = await Promise.all([
+    acquireWorkspace(project, { label: 'backend' }),
+    acquireWorkspace(project, { label: 'stories' })
+  ]);
+  assert.deepEqual([second.reused, third.reused].sort(), [false, true]);
+  assert.equal(second.headCommit, first.headCommit);
+  assert.equal(third.headCommit, first.headCommit);
+
+  // El snapshot de la primera operación sigue intacto mientras no se libera
+  assert.equal(await fs.readFile(path.join(first.dir, 'api', 'users.js'), 'utf8'), SAMPLE_API_SOURCE);
+  assert.equal(await fs.readFile(path.join(second.dir, 'api', 'users.js'), 'utf8'), SAMPLE_API_SOURCE);
+
+  await Promise.all([first.release(), second.release(), third.release()]);
+  for (const workspace of [first, second, third]) {
+    assert.equal(await fs.pathExists(workspace.dir), false);
+  }
+});
+
+test('si además falla el clonado, la operación falla y los snapshots en uso se conservan', async () => {
+  const first = await acquireWorkspace(project, { label: 'sync' });
+  const [key] = (await fs.readdir(WORKSPACE_ROOT, { withFileTypes: true })).filter(entry => entry.isDirectory()).map(entry => entry.name);
+  await fs.writeFile(path.join(WORKSPACE_ROOT, key, 'repo', '.git', 'HEAD'), 'corrupto\n');
+
+  // Remoto inaccesible: tampoco se puede volver a clonar
+  const bareDir = project.githubUrl.replace(/^file:\/\//, '');
+  await fs.move(bareDir, `${bareDir}.moved`);
+  try {
+    await assert.rejects(acquireWorkspace(project, { label: 'backend' }));
+  } finally {
+    await fs.move(`${bareDir}.moved`, bareDir);
+  }
+
+  assert.equal(await fs.readFile(path.join(first.dir, 'api', 'users.js'), 'utf8'), SAMPLE_API_SOURCE);
+  await first.release();
+  assert.equal(await fs.pathExists(first.dir), false);
+
+  // Con el remoto de nuevo disponible el workspace se recupera
+  const next = await acquireWorkspace(project, { label: 'sync' });
+  assert.equal(next.headCommit, first.headCommit);
+  await next.release();
+});
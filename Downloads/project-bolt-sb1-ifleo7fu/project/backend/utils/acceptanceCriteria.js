@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const CRITERION_MAX_LENGTH = 500;
+
+// Función auxiliar para comparar criterios sin mayúsculas, acentos ni espacios repetidos
+const normalizeCriterionText = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Función auxiliar para escribir un criterio Given/When/Then devuelto como objeto por la IA
+const formatGivenWhenThen = ({ given, when, then }) => [
+  given && `Dado que ${given}`,
+  when && `cuando ${when}`,
+  then && `entonces ${then}`
+].filter(Boolean).join(', ');
+
+// Función auxiliar para obtener el texto de un criterio (texto, objeto con text o Given/When/Then)
+const getCriterionText = (criterion) => {
+  if (criterion === null || criterion === undefined) return '';
+  if (typeof criterion !== 'object') return String(criterion).replace(/\s*\n\s*/g, ' ').trim();
+  if (criterion.text || criterion.description) return getCriterionText(criterion.text || criterion.description);
+  if (criterion.given || criterion.when || criterion.then) return formatGivenWhenThen(criterion);
+  return '';
+};
+
+/**
+ * Convierte una lista de criterios de aceptación (textos, objetos { id, text, completed } o
+ * { given, when, then } de la IA) en subdocumentos del modelo. Los criterios que ya existían
+ * (mismo id o mismo texto) conservan su id, si están completados y el último resultado de CI.
+ *
+ * @param {Array} criteria - Criterios recibidos
+ * @param {Array} [existing] - Criterios actuales de la historia
+ * @returns {Array<{id: string, text: string, completed: boolean, ciTestPassed: boolean|null, lastChecked: Date|null}>}
+ */
+const toAcceptanceCriteria = (criteria, existing = []) => {
+  if (!Array.isArray(criteria)) return [];
+  const current = (existing || []).map(criterion => (typeof criterion === 'string' ? { text: criterion } : criterion));
+  const seen = new Set();
+
+  return criteria.reduce((result, criterion) => {
+    const text = getCriterionText(criterion).slice(0, CRITERION_MAX_LENGTH);
+    const key = normalizeCriterionText(text);
+    if (!key || seen.has(key)) return result;
+    seen.add(key);
+
+    const requestedId = criterion && typeof criterion === 'object' ? criterion.id : null;
+    const previous = (requestedId && current.find(item => item.id === requestedId)) ||
+      current.find(item => normalizeCriterionText(item.text) === key);
+    // Si cambia el texto, el resultado de CI anterior ya no demuestra nada
+    const sameText = previous && normalizeCriterionText(previous.text) === key;
+    const completed = criterion && typeof criterion.completed === 'boolean' ? criterion.completed : previous?.completed;
+
+    result.push({
+      id: previous?.id || uuidv4(),
+      text,
+      completed: completed || false,
+      ciTestPassed: sameText ? (previous.ciTestPassed ?? null) : null,
+      lastChecked: sameText ? (previous.lastChecked || null) : null
+    });
+    return result;
+  }, []);
+};
+
+// Función auxiliar para obtener solo el texto de los criterios (exportaciones y prompts)
+const getCriteriaTexts = (criteria) => (criteria || []).map(getCriterionText).filter(Boolean);
+
+// Función auxiliar para calcular el hash con el que se guarda el token de CI de un proyecto
+const hashCiToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Función auxiliar para generar un token de CI nuevo (solo se muestra una vez)
+const generateCiToken = () => `ci_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Aplica los resultados de tests enviados por CI a los criterios de aceptación del proyecto.
+ * Cada resultado identifica el criterio por criterionId o por storyId + text y trae passed.
+ *
+ * @param {Object} project - Proyecto (documento de Mongoose, no se guarda aquí)
+ * @param {Array<{criterionId?: string, storyId?: string, text?: string, passed: boolean}>} results
+ * @param {Date} [checkedAt] - Momento de la ejecución de los tests
+ * @returns {{updated: Array, notFound: Array}}
+ */
+const applyCiResults = (project, results, checkedAt = new Date()) => {
+  const report = { updated: [], notFound: [] };
+  const stories = project.pages.flatMap(page => page.userStories);
+
+  results.forEach(result => {
+    let story = null;
+    let criterion = null;
+
+    if (result.criterionId) {
+      story = stories.find(item => (item.acceptanceCriteria || []).some(ac => ac.id === result.criterionId));
+      criterion = story ? story.acceptanceCriteria.find(ac => ac.id === result.criterionId) : null;
+    } else if (result.storyId && result.text) {
+      story = stories.find(item => item.id === result.storyId);
+      const key = normalizeCriterionText(result.text);
+      criterion = story ? (story.acceptanceCriteria || []).find(ac => normalizeCriterionText(ac.text) === key) : null;
+    }
+
+    if (!criterion) {
+      report.notFound.push({ criterionId: result.criterionId || null, storyId: result.storyId || null, text: result.text || null });
+      return;
+    }
+
+    criterion.ciTestPassed = result.passed;
+    criterion.lastChecked = checkedAt;
+    report.updated.push({ criterionId: criterion.id, storyId: story.id, text: criterion.text, ciTestPassed: result.passed });
+  });
+
+  return report;
+};
+
+module.exports = {
+  toAcceptanceCriteria,
+  getCriteriaTexts,
+  hashCiToken,
+  generateCiToken,
+  applyCiResults
+};
@@ -0,0 +1,74 @@
+const Activity = require('../models/Activity');
+
+const DEFAULT_ACTIVITY_LIMIT = 50;
+const MAX_ACTIVITY_LIMIT = 200;
+
+// Función auxiliar para obtener quién hace el cambio: el usuario autenticado o CI si llega con el token del proyecto
+const getActor = (req) => {
+  if (req && req.user && req.user.userId) {
+    return { userId: req.user.userId, userName: req.user.user?.name || req.user.user?.email };
+  }
+  return { userId: null, userName: 'CI' };
+};
+
+/**
+ * Registra un cambio en el feed de actividad del proyecto. Si falla solo se avisa por consola:
+ * el feed nunca debe hacer fallar la petición que lo origina.
+ *
+ * @param {Object} req - Petición (se usa req.user como autor; sin usuario el autor es CI)
+ * @param {Object} project - Proyecto modificado
+ * @param {Object} activity
+ * @param {string} activity.action - Acción, p. ej. page.created, userStory.updated, member.removed
+ * @param {string} activity.targetType - project, page, userStory, member, invitation, repository o ci
+ * @param {string} [activity.targetId] - ID del elemento modificado
+ * @param {string} [activity.targetName] - Nombre legible del elemento (título, nombre de página, email...)
+ * @param {string} [activity.pageId] - Página a la que pertenece el elemento
+ * @param {Object} [activity.details] - Datos adicionales (campos cambiados, recuentos...)
+ * @returns {Promise<Object|null>} Actividad creada o null si no se pudo guardar
+ */
+const recordActivity = async (req, project, { action, targetType, targetId, targetName, pageId, details }) => {
+  try {
+    return await Activity.create({
+      projectId: project._id,
+      ...getActor(req),
+      action,
+      targetType,
+      targetId: targetId !== undefined && targetId !== null ? String(targetId) : undefined,
+      targetName,
+      pageId,
+      details
+    });
+  } catch (error) {
+    console.warn(`⚠️ No se pudo registrar la actividad ${action}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Feed de actividad de un proyecto, del cambio más reciente al más antiguo.
+ *
+ * @param {string} projectId - Proyecto
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Número máximo de entradas (50 por defecto, 200 como máximo)
+ * @param {string|Date} [options.before] - Solo entradas anteriores a esta fecha (paginación)
+ * @param {string} [options.targetType] - Filtrar por tipo de elemento
+ * @param {string} [options.targetId] - Filtrar por elemento
+ * @param {string} [options.pageId] - Filtrar por página (la página y sus historias)
+ * @returns {Promise<Array>}
+ */
+const getProjectActivity = async (projectId, { limit, before, targetType, targetId, pageId } = {}) => {
+  const filter = { projectId };
+  if (before) filter.createdAt = { $lt: new Date(before) };
+  if (targetType) filter.targetType = targetType;
+  if (targetId) filter.targetId = String(targetId);
+  if (pageId) filter.$or = [{ pageId }, { targetType: 'page', targetId: pageId }];
+
+  const max = Math.min(parseInt(limit, 10) || DEFAULT_ACTIVITY_LIMIT, MAX_ACTIVITY_LIMIT);
+  return Activity.find(filter).sort({ createdAt: -1 }).limit(max);
+};
+
+module.exports = {
+  getActor,
+  recordActivity,
+  getProjectActivity
+};
@@ -0,0 +1,453 @@
+const path = require('path');
+const { ts } = require('ts-morph');
+
+// Tamaño máximo de cada parte del archivo API que se envía en un prompt
+const MAX_CHUNK_CHARS = parseInt(process.env.API_CHUNK_MAX_CHARS, 10) || 4000;
+// Las constantes compartidas más largas (p. ej. datos mock) se recortan en cada parte
+const MAX_SHARED_CHARS = 1500;
+const IDENTIFIER_PATTERN = /[A-Za-z_$][\w$]*/g;
+
+const SCRIPT_KINDS = {
+  '.js': ts.ScriptKind.JS,
+  '.jsx': ts.ScriptKind.JSX,
+  '.ts': ts.ScriptKind.TS,
+  '.tsx': ts.ScriptKind.TSX
+};
+
+// Función auxiliar para parsear código JavaScript/TypeScript (null si tiene errores de sintaxis o no es código)
+const parseSource = (source, fileName) => {
+  const scriptKind = SCRIPT_KINDS[path.extname(fileName).toLowerCase()];
+  if (scriptKind === undefined) return null;
+  const sourceFile = ts.createSourceFile(fileName, source, ts.ScriptTarget.Latest, true, scriptKind);
+  return sourceFile.parseDiagnostics && sourceFile.parseDiagnostics.length > 0 ? null : sourceFile;
+};
+
+// Función auxiliar para obtener el texto de un nodo con sus comentarios previos, sin líneas en blanco al inicio
+const nodeText = (node, sourceFile) => sourceFile.text.slice(node.getFullStart(), node.getEnd()).replace(/^\s*\n/, '');
+
+// Función auxiliar para saber si una expresión es una función (flecha, function o envuelta en una llamada)
+const isFunctionLike = (node) => !!node && (ts.isArrowFunction(node) || ts.isFunctionExpression(node) ||
+  (ts.isCallExpression(node) && node.arguments.some(argument => ts.isArrowFunction(argument) || ts.isFunctionExpression(argument))));
+
+// Función auxiliar para saber si una expresión es require('...') (o un acceso a su resultado)
+const isRequireCall = (node) => {
+  let target = node;
+  while (target && (ts.isPropertyAccessExpression(target) || ts.isAwaitExpression(target))) target = target.expression;
+  return !!target && ts.isCallExpression(target) && ts.isIdentifier(target.expression) && target.expression.text === 'require';
+};
+
+// Función auxiliar para saber si una propiedad de un objeto literal es una función
+const isFunctionProperty = (property) => ts.isMethodDeclaration(property) ||
+  (ts.isPropertyAssignment(property) && isFunctionLike(property.initializer));
+
+// Función auxiliar para obtener los nombres que declara una sentencia
+const declaredNames = (statement) => {
+  if (ts.isVariableStatement(statement)) {
+    return statement.declarationList.declarations.flatMap(declaration => {
+      if (ts.isIdentifier(declaration.name)) return [declaration.name.text];
+      return declaration.name.elements.map(element => element.name && ts.isIdentifier(element.name) ? element.name.text : null).filter(Boolean);
+    });
+  }
+  return statement.name && ts.isIdentifier(statement.name) ? [statement.name.text] : [];
+};
+
+// Función auxiliar para saber si una sentencia exporta algo (module.exports, exports.x, export default, export { })
+const isExportStatement = (statement) => ts.isExportAssignment(statement) || ts.isExportDeclaration(statement) ||
+  (ts.isExpressionStatement(statement) && ts.isBinaryExpression(statement.expression) &&
+    /^(module\.)?exports\b/.test(statement.expression.left.getText()));
+
+/**
+ * Divide el código de un archivo API en sus piezas: imports, declaraciones compartidas (tipos y
+ * constantes), exports y unidades de función. Las funciones de un objeto o una clase (const api = {...},
+ * class Api {...}) son unidades separadas que comparten el contenedor.
+ *
+ * @param {string} source - Código del archivo
+ * @param {string} fileName - Nombre del archivo (la extensión decide cómo se parsea)
+ * @returns {{imports: Array<string>, shared: Array, exports: Array<string>, units: Array}|null} null si no se puede parsear
+ */
+const analyzeApiSource = (source, fileName) => {
+  const sourceFile = parseSource(source, fileName);
+  if (!sourceFile) return null;
+
+  const imports = [];
+  const shared = [];
+  const exports = [];
+  const units = [];
+
+  // Las funciones de un objeto o clase se emiten dentro de su contenedor (cabecera + miembros + cierre)
+  const addContainerUnits = (statement, container, members, separator) => {
+    const functions = members.filter(member => isFunctionProperty(member) || ts.isMethodDeclaration(member));
+    const others = members.filter(member => !functions.includes(member));
+    const opening = sourceFile.text.slice(statement.getStart(), members.pos);
+    const wrapper = {
+      header: [opening, ...others.map(member => `${nodeText(member, sourceFile)}${separator}`)].join('\n'),
+      footer: sourceFile.text.slice(container.getEnd() - 1, statement.getEnd()),
+      separator
+    };
+    functions.forEach(member => units.push({
+      name: member.name.getText(sourceFile),
+      text: nodeText(member, sourceFile),
+      container: wrapper
+    }));
+  };
+
+  sourceFile.statements.forEach(statement => {
+    const text = nodeText(statement, sourceFile);
+
+    if (ts.isImportDeclaration(statement) || ts.isImportEqualsDeclaration(statement)) {
+      imports.push(text);
+      return;
+    }
+
+    if (ts.isVariableStatement(statement)) {
+      const declarations = statement.declarationList.declarations;
+      if (declarations.every(declaration => isRequireCall(declaration.initializer))) {
+        imports.push(text);
+        return;
+      }
+      const [declaration] = declarations;
+      if (declarations.length === 1 && isFunctionLike(declaration.initializer)) {
+        units.push({ name: declaration.name.getText(sourceFile), text });
+        return;
+      }
+      if (declarations.length === 1 && declaration.initializer && ts.isObjectLiteralExpression(declaration.initializer) &&
+        declaration.initializer.properties.some(isFunctionProperty)) {
+        addContainerUnits(statement, declaration.initializer, declaration.initializer.properties, ',');
+        return;
+      }
+    }
+
+    if (ts.isFunctionDeclaration(statement) && statement.name) {
+      units.push({ name: statement.name.text, text });
+      return;
+    }
+
+    if (ts.isClassDeclaration(statement) && statement.members.some(ts.isMethodDeclaration)) {
+      addContainerUnits(statement, statement, statement.members, '');
+      return;
+    }
+
+    if (ts.isExportAssignment(statement) && ts.isObjectLiteralExpression(statement.expression) &&
+      statement.expression.properties.some(isFunctionProperty)) {
+      addContainerUnits(statement, statement.expression, statement.expression.properties, ',');
+      return;
+    }
+
+    if (isExportStatement(statement)) {
+      exports.push(text);
+      return;
+    }
+
+    shared.push({ names: declaredNames(statement), text });
+  });
+
+  return { imports, shared, exports, units };
+};
+
+// Función auxiliar para recortar una declaración compartida demasiado larga
+const abbreviate = (text) => (text.length > MAX_SHARED_CHARS
+  ? `${text.slice(0, MAX_SHARED_CHARS)}\n/* … ${text.length - MAX_SHARED_CHARS} caracteres omitidos */`
+  : text);
+
+// Función auxiliar para elegir las declaraciones compartidas que usan las funciones de una parte (y las que usan estas)
+const selectShared = (shared, texts) => {
+  const used = new Set(texts.join('\n').match(IDENTIFIER_PATTERN) || []);
+  const selected = new Set(shared.filter(declaration => declaration.names.length === 0 && declaration.text.length <= MAX_SHARED_CHARS));
+  let added = true;
+  while (added) {
+    added = false;
+    shared.forEach(declaration => {
+      if (selected.has(declaration) || !declaration.names.some(name => used.has(name))) return;
+      selected.add(declaration);
+      (declaration.text.match(IDENTIFIER_PATTERN) || []).forEach(identifier => used.add(identifier));
+      added = true;
+    });
+  }
+  return shared.filter(declaration => selected.has(declaration));
+};
+
+// Función auxiliar para componer el código de una parte: imports, declaraciones usadas, funciones y exports
+const renderChunk = (analysis, units) => {
+  const body = [];
+  units.forEach((unit, index) => {
+    if (!unit.container) {
+      body.push(unit.text);
+      return;
+    }
+    // Las funciones consecutivas del mismo contenedor se agrupan en una sola cabecera
+    if (index > 0 && units[index - 1].container === unit.container) return;
+    const members = [];
+    for (let next = index; next < units.length && units[next].container === unit.container; next++) members.push(units[next].text);
+    body.push(`${unit.container.header}\n${members.join(`${unit.container.separator}\n`)}\n${unit.container.footer}`);
+  });
+
+  const texts = [...units.map(unit => unit.text), ...units.filter(unit => unit.container).map(unit => unit.container.header), ...analysis.exports];
+  return [
+    analysis.imports.join('\n'),
+    selectShared(analysis.shared, texts).map(declaration => abbreviate(declaration.text)).join('\n\n'),
+    body.join('\n\n'),
+    analysis.exports.join('\n')
+  ].filter(Boolean).join('\n\n');
+};
+
+// Función auxiliar para partir por líneas un archivo que no se puede analizar (JSON, YAML o código con errores)
+const splitByLines = (source, maxChars) => {
+  const chunks = [];
+  let current = '';
+  source.split('\n').forEach(line => {
+    if (current && current.length + line.length + 1 > maxChars) {
+      chunks.push(current);
+      current = '';
+    }
+    current += `${current ? '\n' : ''}${line}`;
+  });
+  if (current) chunks.push(current);
+  return chunks;
+};
+
+/**
+ * Divide un archivo API en partes que caben en un prompt. Cada parte contiene funciones completas
+ * (nunca se corta una función) más los imports, los tipos y las constantes que usan, y los exports.
+ * Si el archivo cabe entero se devuelve tal cual en una sola parte. Los archivos que no son código
+ * o no se pueden parsear se parten por líneas.
+ *
+ * @param {string} source - Código del archivo API
+ * @param {Object} options
+ * @param {string} options.fileName - Nombre del archivo con extensión
+ * @param {number} [options.maxChars] - Tamaño objetivo de cada parte
+ * @param {Array<string>} [options.only] - Incluir solo estas funciones (p. ej. las que faltan por implementar)
+ * @returns {Array<{index: number, total: number, content: string, functions: Array<string>}>}
+ */
+const chunkApiSource = (source, { fileName, maxChars = MAX_CHUNK_CHARS, only } = {}) => {
+  const analysis = analyzeApiSource(source, fileName);
+  const withTotals = (chunks) => chunks.map((chunk, index) => ({ index: index + 1, total: chunks.length, ...chunk }));
+
+  if (!analysis || analysis.units.length === 0) {
+    if (only) return [];
+    return withTotals(splitByLines(source, maxChars).map(content => ({ content, functions: [] })));
+  }
+
+  const units = only ? analysis.units.filter(unit => only.includes(unit.name)) : analysis.units;
+  if (units.length === 0) return [];
+  if (!only && source.length <= maxChars) {
+    return withTotals([{ content: source, functions: units.map(unit => unit.name) }]);
+  }
+
+  // Se llenan las partes en el orden del archivo; una función más grande que el límite va sola
+  const groups = [];
+  let current = [];
+  units.forEach(unit => {
+    if (current.length > 0 && renderChunk(analysis, [...current, unit]).length > maxChars) {
+      groups.push(current);
+      current = [];
+    }
+    current.push(unit);
+  });
+  if (current.length > 0) groups.push(current);
+
+  return withTotals(groups.map(group => ({
+    content: renderChunk(analysis, group),
+    functions: group.map(unit => unit.name)
+  })));
+};
+
+// Función auxiliar para describir un import (módulo, import por defecto, namespace y nombres importados)
+const describeImport = (statement, sourceFile) => {
+  const clause = statement.importClause;
+  const module = statement.moduleSpecifier.text;
+  if (!clause) return { key: `side:${module}`, module, sideEffect: true };
+  const bindings = clause.namedBindings;
+  return {
+    key: `${clause.isTypeOnly ? 'type' : 'value'}:${module}`,
+    module,
+    typeOnly: clause.isTypeOnly,
+    defaultName: clause.name ? clause.name.text : null,
+    namespace: bindings && ts.isNamespaceImport(bindings) ? bindings.name.text : null,
+    named: bindings && ts.isNamedImports(bindings) ? bindings.elements.map(element => element.getText(sourceFile)) : []
+  };
+};
+
+// Función auxiliar para componer un import a partir de su descripción fusionada
+const renderImport = (entry) => {
+  if (entry.sideEffect) return `import '${entry.module}';`;
+  // Un import con namespace no admite nombres en la misma sentencia
+  if (entry.namespace) {
+    return `import ${entry.typeOnly ? 'type ' : ''}${entry.defaultName ? `${entry.defaultName}, ` : ''}* as ${entry.namespace} from '${entry.module}';` +
+      (entry.named.length > 0 ? `\nimport ${entry.typeOnly ? 'type ' : ''}{ ${entry.named.join(', ')} } from '${entry.module}';` : '');
+  }
+  const parts = [entry.defaultName, entry.named.length > 0 ? `{ ${entry.named.join(', ')} }` : null].filter(Boolean);
+  return `import ${entry.typeOnly ? 'type ' : ''}${parts.join(', ')} from '${entry.module}';`;
+};
+
+// Función auxiliar para obtener el objeto literal que inicializa una declaración (const x = {...})
+const objectInitializer = (statement) => {
+  if (!ts.isVariableStatement(statement) || statement.declarationList.declarations.length !== 1) return null;
+  const { initializer } = statement.declarationList.declarations[0];
+  return initializer && ts.isObjectLiteralExpression(initializer) ? initializer : null;
+};
+
+// Función auxiliar para obtener el nombre de un miembro de clase o propiedad de objeto
+const memberName = (member, sourceFile) => (member.name ? member.name.getText(sourceFile) : member.getText(sourceFile));
+
+// Función auxiliar para añadir miembros nuevos antes del cierre de un objeto literal o una clase
+const insertMembers = (text, members, separator) => {
+  if (members.length === 0) return text;
+  const closing = text.lastIndexOf('}');
+  const before = text.slice(0, closing).replace(/[\s,]*$/, '');
+  const joiner = before.endsWith('{') ? '\n' : `${separator}\n`;
+  return `${before}${joiner}${members.join(`${separator}\n`)}\n${text.slice(closing)}`;
+};
+
+/**
+ * Fusiona varias versiones de un mismo módulo generado (una por parte del archivo API):
+ * une los imports por módulo, conserva la primera declaración de cada nombre añadiéndole los
+ * métodos o propiedades nuevos de las demás (clases y objetos literales), no repite sentencias
+ * idénticas (router.get(...)) y une module.exports = {...}. El resultado termina con los exports.
+ *
+ * @param {Array<string>} sources - Código de cada versión, en orden
+ * @param {string} fileName - Nombre del archivo (la extensión decide cómo se parsea)
+ * @returns {string} Código fusionado
+ */
+const mergeModuleSources = (sources, fileName) => {
+  const parsed = sources.map(source => ({ source, sourceFile: parseSource(source, fileName) }));
+  const valid = parsed.filter(entry => entry.sourceFile);
+  if (valid.length === 0) return sources[sources.length - 1];
+  if (valid.length < parsed.length) console.warn(`⚠️ ${parsed.length - valid.length} versiones de ${fileName} no se pudieron parsear y no se fusionan`);
+  if (valid.length === 1) return valid[0].source;
+
+  const imports = new Map();
+  const requires = new Map();
+  const body = [];
+  const declarations = new Map();
+  const seenStatements = new Set();
+  const exportProperties = new Map();
+  let exportObject = null;
+  const otherExports = [];
+
+  valid.forEach(({ sourceFile }) => sourceFile.statements.forEach(statement => {
+    const text = nodeText(statement, sourceFile).trim();
+
+    if (ts.isImportDeclaration(statement)) {
+      const entry = describeImport(statement, sourceFile);
+      const existing = imports.get(entry.key);
+      if (!existing) {
+        imports.set(entry.key, entry);
+      } else if (!entry.sideEffect) {
+        existing.defaultName = existing.defaultName || entry.defaultName;
+        existing.namespace = existing.namespace || entry.namespace;
+        entry.named.filter(name => !existing.named.includes(name)).forEach(name => existing.named.push(name));
+      }
+      return;
+    }
+
+    if (ts.isVariableStatement(statement) && statement.declarationList.declarations.every(declaration => isRequireCall(declaration.initializer))) {
+      const names = declaredNames(statement);
+      const key = names.join(',') || text;
+      if (!names.some(name => requires.has(name)) && !requires.has(key)) {
+        requires.set(key, text);
+        names.forEach(name => requires.set(name, text));
+      }
+      return;
+    }
+
+    if (ts.isExpressionStatement(statement) && ts.isBinaryExpression(statement.expression) &&
+      statement.expression.left.getText(sourceFile) === 'module.exports') {
+      const value = statement.expression.right;
+      if (ts.isObjectLiteralExpression(value)) {
+        exportObject = exportObject || 'object';
+        value.properties.forEach(property => {
+          const name = memberName(property, sourceFile);
+          if (!exportProperties.has(name)) exportProperties.set(name, property.getText(sourceFile));
+        });
+      } else if (!exportObject) {
+        exportObject = text;
+      }
+      return;
+    }
+
+    if (isExportStatement(statement)) {
+      if (!otherExports.includes(text) && !(ts.isExportAssignment(statement) && otherExports.some(other => other.startsWith('export default')))) {
+        otherExports.push(text);
+      }
+      return;
+    }
+
+    const names = declaredNames(statement);
+    if (names.length > 0) {
+      const existing = declarations.get(names[0]);
+      if (!existing) {
+        const entry = { statement, sourceFile, text, extraMembers: [], memberNames: new Set() };
+        const container = ts.isClassDeclaration(statement) ? statement.members : (objectInitializer(statement) || {}).properties;
+        (container || []).forEach(member => entry.memberNames.add(memberName(member, sourceFile)));
+        entry.separator = ts.isClassDeclaration(statement) ? '' : ',';
+        entry.mergeable = !!container;
+        names.forEach(name => declarations.set(name, entry));
+        body.push(entry);
+      } else if (existing.mergeable) {
+        // Misma clase u objeto en otra parte: se añaden los miembros que aún no tiene
+        const container = ts.isClassDeclaration(statement) ? statement.members : (objectInitializer(statement) || {}).properties;
+        (container || []).forEach(member => {
+          const name = memberName(member, sourceFile);
+          if (existing.memberNames.has(name)) return;
+          existing.memberNames.add(name);
+          existing.extraMembers.push(`  ${member.getText(sourceFile)}`);
+        });
+      }
+      return;
+    }
+
+    // Las sentencias repetidas (router.get(...) en dos partes) se comparan sin sus comentarios
+    const key = statement.getText(sourceFile);
+    if (!seenStatements.has(key)) {
+      seenStatements.add(key);
+      body.push({ text, extraMembers: [] });
+    }
+  }));
+
+  const exportsText = [
+    exportObject === 'object' ? `module.exports = {\n${[...exportProperties.values()].map(property => `  ${property}`).join(',\n')}\n};` : exportObject,
+    ...otherExports
+  ].filter(Boolean);
+
+  return [
+    [...imports.values()].map(renderImport).concat([...new Set(requires.values())]).join('\n'),
+    body.map(entry => insertMembers(entry.text, entry.extraMembers, entry.separator)).join('\n\n'),
+    exportsText.join('\n')
+  ].filter(Boolean).join('\n\n') + '\n';
+};
+
+// Secciones de la respuesta de la IA que contienen archivos
+const ANALYSIS_SECTIONS = ['models', 'migrations', 'controllers', 'services', 'routes', 'middleware', 'config', 'utils', 'tests'];
+
+/**
+ * Fusiona las respuestas de la IA de varias partes de un mismo archivo API: los archivos con el
+ * mismo fileName en la misma sección se combinan con mergeModuleSources; el resto se conserva.
+ *
+ * @param {Array<Object>} analyses - Respuestas parseadas ({ models: [...], controllers: [...], ... })
+ * @param {Object} [options]
+ * @param {Array<string>} [options.replace=[]] - Secciones en las que la última versión de un archivo sustituye a las anteriores
+ * @returns {Object} Respuesta combinada con la misma forma
+ */
+const mergeChunkAnalyses = (analyses, { replace = [] } = {}) => {
+  const merged = {};
+  ANALYSIS_SECTIONS.forEach(section => {
+    const byFileName = new Map();
+    analyses.forEach(analysis => ((analysis && analysis[section]) || []).forEach(file => {
+      if (!file || !file.fileName) return;
+      byFileName.set(file.fileName, [...(byFileName.get(file.fileName) || []), file]);
+    }));
+    if (byFileName.size === 0) return;
+    merged[section] = [...byFileName.values()].map(files => (files.length === 1 || replace.includes(section) ? files[files.length - 1] : {
+      ...files[0],
+      content: mergeModuleSources(files.map(file => file.content || ''), files[0].fileName)
+    }));
+  });
+  return merged;
+};
+
+module.exports = {
+  MAX_CHUNK_CHARS,
+  chunkApiSource,
+  mergeModuleSources,
+  mergeChunkAnalyses
+};
@@ -0,0 +1,131 @@
+const path = require('path');
+const { fork } = require('child_process');
+
+const HARNESS_PATH = path.join(__dirname, 'backendVerifierHarness.js');
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.BACKEND_VERIFY_TIMEOUT_MS, 10) || 60000;
+
+// Función auxiliar para decidir si el informe indica un backend que arranca sin errores
+const hasPassed = (report) => !report.bootError &&
+  report.syntaxErrors.length === 0 &&
+  report.missingModules.length === 0 &&
+  report.requireErrors.length === 0 &&
+  !(report.migrations && report.migrations.error) &&
+  report.serverErrors.length === 0;
+
+// Función auxiliar para ejecutar el arnés en un proceso aislado y esperar su informe
+const runHarness = (outputPath, { framework, mode, timeoutMs }) => new Promise((resolve) => {
+  let settled = false;
+  let stderr = '';
+
+  const child = fork(HARNESS_PATH, [outputPath, framework, mode], {
+    cwd: outputPath,
+    silent: true,
+    env: {
+      ...process.env,
+      NODE_ENV: 'test',
+      PORT: '0',
+      MONGODB_URI: 'mongodb://memory/generated-backend',
+      NODE_PATH: path.join(__dirname, '..', 'node_modules')
+    }
+  });
+
+  const finish = (report) => {
+    if (settled) return;
+    settled = true;
+    clearTimeout(timer);
+    resolve(report);
+  };
+
+  const failedReport = (message) => ({
+    framework,
+    syntaxErrors: [],
+    missingModules: [],
+    requireErrors: [],
+    bootError: message,
+    processExitCalls: [],
+    uncaughtErrors: [],
+    migrations: null,
+    routes: [],
+    serverErrors: []
+  });
+
+  const timer = setTimeout(() => {
+    child.kill('SIGKILL');
+    finish(failedReport(`La verificación superó el tiempo máximo de ${timeoutMs}ms`));
+  }, timeoutMs);
+
+  child.stdout.resume();
+  child.stderr.on('data', (chunk) => {
+    stderr = (stderr + chunk.toString()).slice(-2000);
+  });
+
+  child.on('message', finish);
+  child.on('error', (error) => finish(failedReport(error.message)));
+  child.on('exit', (code) => {
+    finish(failedReport(`El proceso de verificación terminó sin informe (código ${code})${stderr ? `: ${stderr.trim()}` : ''}`));
+  });
+});
+
+/**
+ * Compila y arranca el backend generado en un proceso aislado contra un MongoDB en memoria
+ * (o, si tiene knexfile, contra SQLite en memoria tras aplicar sus migraciones),
+ * sin instalar nada desde la red (las dependencias se resuelven desde node_modules de este backend).
+ * Comprueba la sintaxis de todos los archivos, los require rotos, el arranque de server.js
+ * y llama una vez a cada ruta registrada para detectar respuestas 5xx.
+ * Los backends en TypeScript se transpilan al vuelo; sus tipos se comprueban en typeChecker.js.
+ *
+ * @param {string} outputPath - Directorio del backend generado
+ * @param {Object} [options]
+ * @param {string} [options.framework='express'] - Framework del backend (las rutas solo se prueban en express)
+ * @param {number} [options.timeoutMs] - Tiempo máximo de la verificación
+ * @returns {Promise<Object>} Informe con passed, syntaxErrors, missingModules, requireErrors,
+ *   bootError, processExitCalls, uncaughtErrors, migrations, routes, serverErrors y durationMs
+ */
+const verifyGeneratedBackend = async (outputPath, { framework = 'express', timeoutMs = DEFAULT_TIMEOUT_MS } = {}) => {
+  const startTime = Date.now();
+  const report = await runHarness(path.resolve(outputPath), { framework, mode: 'verify', timeoutMs });
+  return { ...report, passed: hasPassed(report), durationMs: Date.now() - startTime };
+};
+
+/**
+ * Carga el backend generado (sin llamar a sus rutas) y describe las rutas que registra,
+ * con su prefijo real, middleware y código del controlador, y los esquemas de sus modelos.
+ *
+ * @param {string} outputPath - Directorio del backend generado
+ * @param {Object} [options]
+ * @param {string} [options.framework='express'] - Framework del backend
+ * @param {number} [options.timeoutMs] - Tiempo máximo de la inspección
+ * @returns {Promise<{routes: Array, models: Array, errors: Array<string>}>}
+ */
+const inspectGeneratedBackend = async (outputPath, { framework = 'express', timeoutMs = DEFAULT_TIMEOUT_MS } = {}) => {
+  const report = await runHarness(path.resolve(outputPath), { framework, mode: 'inspect', timeoutMs });
+  const { routes = [], models = [] } = report.inspection || {};
+  const errors = [
+    report.bootError,
+    ...report.syntaxErrors.map(error => `${error.file}: ${error.message}`),
+    ...report.requireErrors.map(error => `${error.file}: ${error.message}`)
+  ].filter(Boolean);
+
+  return { routes, models, errors };
+};
+
+// Función auxiliar para resumir el informe en una línea de log
+const summarizeVerification = (verification) => {
+  if (!verification) return 'no ejecutada';
+  if (verification.passed) return `OK (${verification.routes.length} rutas probadas)`;
+
+  return [
+    verification.bootError && `arranque: ${verification.bootError}`,
+    verification.syntaxErrors.length && `${verification.syntaxErrors.length} errores de sintaxis`,
+    verification.missingModules.length && `${verification.missingModules.length} require sin resolver`,
+    verification.requireErrors.length && `${verification.requireErrors.length} archivos que fallan al cargar`,
+    verification.migrations && verification.migrations.error && `migraciones: ${verification.migrations.error}`,
+    verification.serverErrors.length && `${verification.serverErrors.length} rutas con error 5xx`
+  ].filter(Boolean).join(', ');
+};
+
+module.exports = {
+  verifyGeneratedBackend,
+  inspectGeneratedBackend,
+  summarizeVerification
+};
@@ -0,0 +1,397 @@
+/**
+ * Proceso hijo que arranca un backend generado para verificarlo o inspeccionarlo.
+ * Se ejecuta con fork() desde backendVerifier.js y devuelve el informe por IPC.
+ * En modo "verify" llama a cada ruta; en modo "inspect" solo describe rutas y modelos.
+ *
+ * Uso: node backendVerifierHarness.js <outputPath> [framework] [verify|inspect]
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const http = require('http');
+const Module = require('module');
+const { installMemoryMongo } = require('./memoryMongo');
+const { mongooseSchemaToJsonSchema } = require('./openApiGenerator');
+
+const outputPath = path.resolve(process.argv[2] || '.');
+const framework = process.argv[3] || 'express';
+const mode = process.argv[4] || 'verify';
+const REQUEST_TIMEOUT_MS = 5000;
+const SAMPLE_ID = '000000000000000000000001';
+
+const report = {
+  framework,
+  syntaxErrors: [],
+  missingModules: [],
+  requireErrors: [],
+  bootError: null,
+  processExitCalls: [],
+  uncaughtErrors: [],
+  migrations: null,
+  routes: [],
+  serverErrors: []
+};
+
+const relative = (file) => path.relative(outputPath, file);
+const isGeneratedFile = (file) => !!file &&
+  file.startsWith(outputPath + path.sep) &&
+  !file.split(path.sep).includes('node_modules');
+
+// Función auxiliar para listar los .js y .ts del backend generado (sin node_modules ni dist)
+const listSourceFiles = (dir) => fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+  if (['node_modules', '.git', 'dist'].includes(entry.name)) return [];
+  const fullPath = path.join(dir, entry.name);
+  if (entry.isDirectory()) return listSourceFiles(fullPath);
+  const isSource = entry.name.endsWith('.js') || (entry.name.endsWith('.ts') && !entry.name.endsWith('.d.ts'));
+  return isSource ? [fullPath] : [];
+});
+
+// Los backends en TypeScript se transpilan al vuelo (sin comprobar tipos, de eso se encarga typeChecker.js)
+let ts = null;
+let transpileOptions = null;
+const registerTypeScript = () => {
+  if (ts) return;
+  ({ ts } = require('ts-morph'));
+  transpileOptions = { module: ts.ModuleKind.CommonJS, target: ts.ScriptTarget.ES2022, esModuleInterop: true };
+  Module._extensions['.ts'] = (module, filename) => {
+    const { outputText } = ts.transpileModule(fs.readFileSync(filename, 'utf8'), {
+      fileName: filename,
+      compilerOptions: transpileOptions
+    });
+    module._compile(outputText, filename);
+  };
+};
+
+// Función auxiliar para obtener lo que exporta un módulo transpilado desde TypeScript (export default)
+const unwrapDefault = (exported) => exported && exported.__esModule && exported.default ? exported.default : exported;
+
+// Función auxiliar para comprobar la sintaxis sin ejecutar el archivo
+const checkSyntax = (file) => {
+  if (file.endsWith('.ts')) {
+    const { diagnostics } = ts.transpileModule(fs.readFileSync(file, 'utf8'), {
+      fileName: file,
+      reportDiagnostics: true,
+      compilerOptions: transpileOptions
+    });
+    diagnostics.forEach(diagnostic => report.syntaxErrors.push({
+      file: relative(file),
+      line: diagnostic.file ? diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start).line + 1 : null,
+      message: ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n')
+    }));
+    return diagnostics.length === 0;
+  }
+
+  try {
+    new vm.Script(Module.wrap(fs.readFileSync(file, 'utf8')), { filename: file });
+    return true;
+  } catch (error) {
+    const location = (error.stack || '').split('\n')[0].match(/:(\d+)$/);
+    report.syntaxErrors.push({
+      file: relative(file),
+      line: location ? Number(location[1]) : null,
+      message: error.message
+    });
+    return false;
+  }
+};
+
+// Registrar los require que no se pueden resolver desde archivos generados
+const originalResolveFilename = Module._resolveFilename;
+Module._resolveFilename = function(request, parent, ...rest) {
+  try {
+    return originalResolveFilename.call(this, request, parent, ...rest);
+  } catch (error) {
+    if (error.code === 'MODULE_NOT_FOUND' && parent && isGeneratedFile(parent.filename)) {
+      const kind = request.startsWith('.') || path.isAbsolute(request) ? 'relative' : 'dependency';
+      const alreadyReported = report.missingModules.some(m => m.request === request && m.file === relative(parent.filename));
+      if (!alreadyReported) {
+        report.missingModules.push({ file: relative(parent.filename), request, kind });
+      }
+    }
+    throw error;
+  }
+};
+
+// El backend generado no debe poder terminar el proceso de verificación
+const exitProcess = process.exit.bind(process);
+process.exit = (code) => {
+  report.processExitCalls.push({ code: code === undefined ? 0 : code });
+};
+
+process.on('uncaughtException', (error) => {
+  report.uncaughtErrors.push(error.message);
+});
+process.on('unhandledRejection', (reason) => {
+  report.uncaughtErrors.push(reason && reason.message ? reason.message : String(reason));
+});
+
+// Forzar que cualquier listen() use un puerto libre en localhost
+const originalListen = http.Server.prototype.listen;
+const servers = [];
+http.Server.prototype.listen = function(...args) {
+  const callback = args.find(arg => typeof arg === 'function');
+  servers.push(this);
+  return originalListen.call(this, 0, '127.0.0.1', callback);
+};
+
+const listenOnFreePort = (server) => new Promise((resolve, reject) => {
+  server.once('error', reject);
+  originalListen.call(server, 0, '127.0.0.1', () => resolve(server.address().port));
+});
+
+const waitFor = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Función auxiliar para obtener la ruta de montaje a partir de la regexp de Express 4
+const getMountPath = (layer) => {
+  if (layer.regexp && layer.regexp.fast_slash) return '';
+  let keyIndex = 0;
+  return layer.regexp.source
+    .replace(/^\^/, '')
+    .replace(/\\\/\?\(\?=\\\/\|\$\)$/, '')
+    .replace(/\(\?:\(\[\^\\\/\]\+\?\)\)/g, () => `:${(layer.keys[keyIndex++] || {}).name || 'param'}`)
+    .replace(/\\(.)/g, '$1');
+};
+
+// Función auxiliar para listar recursivamente las rutas de un router de Express,
+// con el router que las declara, los middleware previos y el código del controlador
+const collectRoutes = (router, prefix = '', inheritedMiddleware = []) => {
+  if (!router || !Array.isArray(router.stack)) return [];
+  const middleware = [...inheritedMiddleware];
+
+  return router.stack.flatMap(layer => {
+    if (layer.route) {
+      const handlers = layer.route.stack.map(routeLayer => routeLayer.handle);
+      const controller = handlers[handlers.length - 1];
+      const routeMiddleware = [...middleware, ...handlers.slice(0, -1).map(handler => handler.name || 'anonymous')];
+      const routePaths = Array.isArray(layer.route.path) ? layer.route.path : [layer.route.path];
+      return routePaths
+        .filter(routePath => typeof routePath === 'string')
+        .flatMap(routePath => Object.keys(layer.route.methods)
+          .filter(method => method !== '_all')
+          .map(method => ({
+            method: method.toUpperCase(),
+            path: `${prefix}${routePath}`.replace(/\/{2,}/g, '/'),
+            router,
+            middleware: routeMiddleware,
+            handlerSource: String(controller).substring(0, 20000)
+          })));
+    }
+    if (layer.handle && Array.isArray(layer.handle.stack)) {
+      return collectRoutes(layer.handle, `${prefix}${getMountPath(layer)}`, middleware);
+    }
+    // Middleware a nivel de router (router.use(auth)) que afecta a las rutas siguientes
+    middleware.push(layer.name);
+    return [];
+  });
+};
+
+// Función auxiliar para llamar una vez a cada ruta y registrar los errores 5xx
+const hitRoutes = async (port, routes, source) => {
+  for (const route of routes) {
+    const url = `http://127.0.0.1:${port}${route.path.replace(/:(\w+)\??/g, SAMPLE_ID)}`;
+    const hasBody = ['POST', 'PUT', 'PATCH'].includes(route.method);
+    const startTime = Date.now();
+    const entry = { source, method: route.method, path: route.path, status: null };
+
+    try {
+      const response = await fetch(url, {
+        method: route.method,
+        headers: hasBody ? { 'Content-Type': 'application/json' } : undefined,
+        body: hasBody ? '{}' : undefined,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+      entry.status = response.status;
+      const body = await response.text();
+
+      if (response.status >= 500) {
+        // La página de error por defecto de Express incluye el mensaje dentro de <pre>
+        const errorPage = body.match(/<pre>([\s\S]*?)(<br>|<\/pre>)/);
+        let message = errorPage ? errorPage[1] : body.substring(0, 300);
+        try {
+          const json = JSON.parse(body);
+          message = json.verificationError || json.message || json.error || message;
+        } catch (parseError) {
+          // Respuesta no JSON: se guarda el texto tal cual
+        }
+        report.serverErrors.push({ source, method: route.method, path: route.path, status: response.status, message });
+      }
+    } catch (error) {
+      const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+      entry.error = timedOut ? `Sin respuesta tras ${REQUEST_TIMEOUT_MS}ms` : error.message;
+      report.serverErrors.push({ source, method: route.method, path: route.path, status: null, message: entry.error });
+    }
+
+    entry.durationMs = Date.now() - startTime;
+    report.routes.push(entry);
+  }
+};
+
+// Función auxiliar para montar un archivo de rutas en una app de Express aislada
+const createRouteApp = (express, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(router);
+  app.use((err, req, res, next) => { // eslint-disable-line no-unused-vars
+    res.status(err.status || err.statusCode || 500).json({ verificationError: err.message });
+  });
+  return app;
+};
+
+const requireGenerated = (file) => {
+  try {
+    return { exported: require(file) };
+  } catch (error) {
+    report.requireErrors.push({ file: relative(file), message: error.message.split('\n')[0] });
+    return { error };
+  }
+};
+
+// Función auxiliar para describir rutas (con su archivo y prefijo real) y modelos del backend
+const inspectBackend = (mongoose, app, routers, serverName) => {
+  const routerFiles = new Map(routers.map(({ file, router }) => [router, file]));
+  const covered = new Set();
+
+  const describe = (route, mounted) => {
+    covered.add(route.router);
+    return {
+      method: route.method,
+      path: route.path,
+      file: routerFiles.get(route.router) || serverName,
+      mounted,
+      middleware: route.middleware,
+      handlerSource: route.handlerSource
+    };
+  };
+
+  const routes = app && app._router ? collectRoutes(app._router).map(route => describe(route, true)) : [];
+
+  // Los archivos de rutas que el servidor no monta se documentan bajo /<nombre del archivo>
+  const baseName = (file) => path.basename(file, path.extname(file));
+  const ordered = [...routers].sort((a, b) => (baseName(b.file) === 'index') - (baseName(a.file) === 'index'));
+  for (const { file, router } of ordered) {
+    if (covered.has(router)) continue;
+    const name = baseName(file).replace(/\.?routes?$/i, '');
+    const prefix = name && name !== 'index' ? `/${name}` : '';
+    routes.push(...collectRoutes(router, prefix).map(route => describe(route, false)));
+  }
+
+  const models = Object.values(mongoose.models).map(model => ({
+    name: model.modelName,
+    schema: mongooseSchemaToJsonSchema(model.schema),
+    inputSchema: mongooseSchemaToJsonSchema(model.schema, { input: true })
+  }));
+
+  return { routes, models };
+};
+
+// Función auxiliar para aplicar las migraciones de un backend SQL (con knexfile) sobre la misma instancia
+// de knex que usarán sus modelos; con NODE_ENV=test el knexfile generado apunta a SQLite en memoria
+const runMigrations = async (validFiles) => {
+  const hasKnexfile = ['knexfile.js', 'knexfile.ts'].some(name => fs.existsSync(path.join(outputPath, name)));
+  const databaseFile = ['database.js', 'database.ts']
+    .map(name => path.join(outputPath, 'config', name))
+    .find(file => validFiles.has(file));
+  if (!hasKnexfile || !databaseFile) return;
+
+  const db = unwrapDefault(requireGenerated(databaseFile).exported);
+  if (!db || !db.migrate) return;
+  try {
+    const [, applied] = await db.migrate.latest();
+    report.migrations = { applied: applied.map(file => path.basename(file)), error: null };
+  } catch (error) {
+    report.migrations = { applied: [], error: error.message };
+  }
+};
+
+const run = async () => {
+  const files = listSourceFiles(outputPath);
+  if (files.some(file => file.endsWith('.ts'))) registerTypeScript();
+  const validFiles = new Set(files.filter(checkSyntax));
+
+  // Instalar el MongoDB en memoria sobre la misma instancia de mongoose que usará el backend
+  let mongoose;
+  try {
+    mongoose = require(require.resolve('mongoose', { paths: [outputPath] }));
+  } catch (error) {
+    mongoose = require('mongoose');
+  }
+  installMemoryMongo(mongoose);
+  await runMigrations(validFiles);
+
+  let express = null;
+  try {
+    express = require(require.resolve('express', { paths: [outputPath] }));
+  } catch (error) {
+    express = framework === 'express' ? require('express') : null;
+  }
+
+  const serverFile = ['server.js', 'server.ts']
+    .map(name => path.join(outputPath, name))
+    .find(file => fs.existsSync(file));
+  let serverExport = null;
+  if (serverFile) {
+    if (!validFiles.has(serverFile)) {
+      report.bootError = `${relative(serverFile)} contiene errores de sintaxis`;
+    } else {
+      try {
+        serverExport = unwrapDefault(require(serverFile));
+      } catch (error) {
+        report.bootError = error.message;
+      }
+      // Dar tiempo a que se conecte la base de datos y se abra el puerto
+      await waitFor(200);
+    }
+  } else {
+    report.bootError = 'No se encontró server.js ni server.ts';
+  }
+
+  const routesDir = path.join(outputPath, 'routes');
+  const routeFiles = fs.existsSync(routesDir)
+    ? files.filter(file => path.dirname(file) === routesDir && validFiles.has(file))
+    : [];
+
+  const routers = [];
+  for (const file of routeFiles) {
+    const exported = unwrapDefault(requireGenerated(file).exported);
+    const isRouter = typeof exported === 'function' && Array.isArray(exported.stack);
+    if (framework !== 'express' || !express || !isRouter) continue;
+    routers.push({ file: relative(file), router: exported });
+    if (mode === 'inspect') continue;
+
+    const server = http.createServer(createRouteApp(express, exported));
+    const port = await listenOnFreePort(server);
+    await hitRoutes(port, collectRoutes(exported), relative(file));
+    server.close();
+  }
+
+  const listener = servers.map(server => server.listeners('request')[0]).find(Boolean);
+  const app = serverExport && serverExport._router ? serverExport : listener;
+  const serverName = serverFile ? relative(serverFile) : 'server.js';
+
+  if (mode === 'inspect') {
+    // Cargar también los modelos que ninguna ruta importa
+    const modelsDir = path.join(outputPath, 'models');
+    files
+      .filter(file => path.dirname(file) === modelsDir && validFiles.has(file))
+      .forEach(requireGenerated);
+    report.inspection = inspectBackend(mongoose, report.bootError ? null : app, routers, serverName);
+  } else if (framework === 'express' && !report.bootError) {
+    // Probar también las rutas registradas directamente en el servidor
+    if (app && app._router) {
+      const server = http.createServer(app);
+      const port = await listenOnFreePort(server);
+      await hitRoutes(port, collectRoutes(app._router), serverName);
+      server.close();
+    }
+  }
+
+  servers.forEach(server => server.close());
+};
+
+run()
+  .catch(error => {
+    report.bootError = report.bootError || error.message;
+  })
+  .finally(() => {
+    process.send(report, () => exitProcess(0));
+  });
@@ -0,0 +1,374 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { acquireWorkspace } = require('./workspaceManager');
+const extractFunctions = require('./extractFunctions');
+const { findAPIDirectory, getAPIFiles } = require('../backendGenerator');
+
+const CLIENT_DIR_NAME = 'frontend-client';
+const CODE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx'];
+
+// Verbos habituales en los nombres de funciones del frontend y la operación a la que equivalen
+const VERB_ACTIONS = {
+  get: 'read', fetch: 'read', list: 'read', load: 'read', find: 'read', retrieve: 'read', search: 'read',
+  create: 'create', add: 'create', post: 'create', save: 'create', new: 'create', register: 'create',
+  update: 'update', edit: 'update', put: 'update', patch: 'update', modify: 'update', set: 'update',
+  delete: 'delete', remove: 'delete', destroy: 'delete'
+};
+const ACTION_METHODS = {
+  read: ['get'],
+  create: ['post'],
+  update: ['put', 'patch'],
+  delete: ['delete']
+};
+
+// Función auxiliar para usar separadores POSIX en las rutas devueltas
+const toPosix = (filePath) => filePath.split(path.sep).join('/');
+
+// Función auxiliar para normalizar nombres de recursos ("Workouts", "workout-plans" -> "workoutplan")
+const normalizeResource = (value) => value.toLowerCase().replace(/[^a-z0-9]/g, '').replace(/(ies)$/, 'y').replace(/s$/, '');
+
+// Función auxiliar para interpretar un nombre de función del frontend (getWorkoutById, createDiet...)
+const parseFunctionName = (name) => {
+  const words = name.replace(/([a-z0-9])([A-Z])/g, '$1 $2').split(/[\s_]+/).filter(Boolean);
+  const action = VERB_ACTIONS[(words[0] || '').toLowerCase()];
+  if (!action) return { action: null, resource: normalizeResource(name), byId: false, plural: false };
+
+  let rest = words.slice(1);
+  const byIndex = rest.findIndex(word => word === 'By');
+  const byId = byIndex !== -1;
+  if (byId) rest = rest.slice(0, byIndex);
+  rest = rest.filter(word => word !== 'All');
+
+  const lastWord = rest[rest.length - 1] || '';
+  return {
+    action,
+    resource: normalizeResource(rest.join('')),
+    byId,
+    plural: /s$/.test(lastWord) || words.includes('All') || words[0].toLowerCase() === 'list'
+  };
+};
+
+// Función auxiliar para listar las operaciones de la especificación OpenAPI
+const listOperations = (spec) => Object.entries(spec.paths || {}).flatMap(([apiPath, item]) =>
+  Object.entries(item).map(([method, operation]) => {
+    const segments = apiPath.split('/').filter(Boolean);
+    const staticSegments = segments.filter(segment => !segment.startsWith('{'));
+    return {
+      method,
+      path: apiPath,
+      operation,
+      pathParams: segments.filter(segment => segment.startsWith('{')).map(segment => segment.slice(1, -1)),
+      lastSegment: normalizeResource(staticSegments[staticSegments.length - 1] || ''),
+      previousSegment: normalizeResource(staticSegments[staticSegments.length - 2] || ''),
+      isItem: /\}$/.test(apiPath)
+    };
+  }));
+
+/**
+ * Busca la operación del backend que corresponde a una función del frontend.
+ * Se compara el verbo con el método HTTP y el recurso con el último segmento estático de la ruta;
+ * si el nombre no empieza por un verbo conocido (login, logout...) se busca un segmento con ese nombre.
+ *
+ * @param {string} functionName - Nombre de la función en el frontend
+ * @param {Array} operations - Operaciones de listOperations
+ * @param {string} fileResource - Recurso deducido del nombre del archivo API
+ * @returns {Object|null} Operación elegida
+ */
+const matchOperation = (functionName, operations, fileResource) => {
+  const parsed = parseFunctionName(functionName);
+
+  if (!parsed.action) {
+    const candidates = operations.filter(op => op.lastSegment === parsed.resource);
+    return candidates.find(op => op.method === 'post') || candidates[0] || null;
+  }
+
+  const resource = parsed.resource || fileResource;
+  const methods = ACTION_METHODS[parsed.action];
+  let best = null;
+  let bestScore = 0;
+
+  for (const op of operations) {
+    if (!methods.includes(op.method) || !op.lastSegment) continue;
+
+    let score = 0;
+    if (resource === op.lastSegment) score += 10;
+    else if (resource.endsWith(op.lastSegment) && op.lastSegment.length >= 3) {
+      score += 6;
+      if (op.previousSegment && resource.startsWith(op.previousSegment)) score += 2;
+    } else continue;
+
+    // Lecturas: plural o "All" -> colección; singular o "ById" -> elemento
+    const wantsItem = parsed.action === 'read' ? (parsed.byId || !parsed.plural) : parsed.action !== 'create';
+    if (op.isItem === wantsItem) score += 3;
+    score += methods.indexOf(op.method) === 0 ? 1 : 0;
+    score -= op.pathParams.length * 0.1;
+
+    if (score > bestScore) {
+      best = op;
+      bestScore = score;
+    }
+  }
+
+  return best;
+};
+
+// Función auxiliar para obtener los nombres que exporta un archivo API (o todas sus funciones si no exporta nada explícito)
+const getExportedNames = async (filePath) => {
+  const code = (await fs.readFile(filePath, 'utf8'))
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/\/\/.*$/gm, '');
+
+  const exported = [
+    ...[...code.matchAll(/export\s+(?:async\s+)?(?:function\s*\*?\s*|const\s+|let\s+|var\s+)([A-Za-z0-9_$]+)/g)].map(match => match[1]),
+    ...[...code.matchAll(/export\s*\{([^}]+)\}/g)].flatMap(match => match[1].split(',').map(part => part.trim().split(/\s+as\s+/).pop())),
+    ...[...code.matchAll(/(?:module\.)?exports\.([A-Za-z0-9_$]+)\s*=/g)].map(match => match[1]),
+    ...[...code.matchAll(/module\.exports\s*=\s*\{([^}]+)\}/g)].flatMap(match => match[1].split(',').map(part => part.split(':')[0].trim())),
+    ...[...code.matchAll(/export\s+default\s*\{([^}]+)\}/g)].flatMap(match => match[1].split(',').map(part => part.split(':')[0].trim()))
+  ].filter(name => /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) && name !== 'default');
+
+  const names = exported.length > 0 ? exported : await extractFunctions(filePath);
+  return {
+    names: [...new Set(names)],
+    isModule: /\bexport\b|\bimport\s[^;]*\sfrom\s/.test(code),
+    hasDefaultExport: /export\s+default\b/.test(code)
+  };
+};
+
+// Función auxiliar para convertir un JSON Schema en una expresión de tipo TypeScript/JSDoc
+// (refPrefix permite referenciar los tipos de otro módulo, p. ej. "import('./apiClient').")
+const schemaToType = (schema = {}, refPrefix = '') => {
+  if (schema.$ref) return `${refPrefix}${schema.$ref.split('/').pop()}`;
+  if (Array.isArray(schema.enum)) return schema.enum.map(value => JSON.stringify(value)).join(' | ');
+
+  switch (schema.type) {
+    case 'string': return 'string';
+    case 'number':
+    case 'integer': return 'number';
+    case 'boolean': return 'boolean';
+    case 'array': return `Array<${schemaToType(schema.items, refPrefix)}>`;
+    case 'object': {
+      if (!schema.properties || Object.keys(schema.properties).length === 0) return 'Record<string, any>';
+      const required = schema.required || [];
+      const fields = Object.entries(schema.properties).map(([key, value]) => {
+        const safeKey = /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key) ? key : JSON.stringify(key);
+        return `${safeKey}${required.includes(key) ? '' : '?'}: ${schemaToType(value, refPrefix)}`;
+      });
+      return `{ ${fields.join('; ')} }`;
+    }
+    default: return 'any';
+  }
+};
+
+// Función auxiliar para obtener el esquema de la primera respuesta 2xx de una operación
+const getSuccessSchema = (operation) => {
+  const [, response] = Object.entries(operation.responses || {}).find(([code]) => /^2/.test(code)) || [];
+  return response && response.content && response.content['application/json']
+    ? response.content['application/json'].schema
+    : null;
+};
+
+// Función auxiliar para generar el módulo compartido que hace las peticiones HTTP
+const renderClientHelper = (spec, { typescript, esm }) => {
+  const defaultBaseUrl = (spec.servers && spec.servers[0] && spec.servers[0].url) || 'http://localhost:3000';
+  const typeDeclarations = Object.entries(spec.components?.schemas || {}).map(([name, schema]) => (typescript
+    ? `export type ${name} = ${schemaToType(schema)};`
+    : `/** @typedef {${schemaToType(schema)}} ${name} */`)).join('\n');
+  const t = (annotation) => (typescript ? annotation : '');
+  const exportKeyword = esm ? 'export ' : '';
+
+  return `// Cliente HTTP generado a partir de la especificación OpenAPI del backend generado
+${typeDeclarations}
+
+let baseUrl${t(': string')} = ${JSON.stringify(defaultBaseUrl)};
+let authToken${t(': string | null')} = null;
+
+${exportKeyword}const setBaseUrl = (url${t(': string')}) => {
+  baseUrl = url.replace(/\\/$/, '');
+};
+
+${exportKeyword}const setAuthToken = (token${t(': string | null')}) => {
+  authToken = token;
+};
+
+${exportKeyword}const request = async (method${t(': string')}, path${t(': string')}, { params, body }${t(': { params?: Record<string, any>; body?: any }')} = {}) => {
+  const query = params
+    ? new URLSearchParams(Object.entries(params).filter(([, value]) => value !== undefined && value !== null).map(([key, value]) => [key, String(value)])).toString()
+    : '';
+  const headers${t(': Record<string, string>')} = {};
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  if (authToken) headers.Authorization = \`Bearer \${authToken}\`;
+
+  const response = await fetch(\`\${baseUrl}\${path}\${query ? \`?\${query}\` : ''}\`, {
+    method,
+    headers,
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+
+  const text = await response.text();
+  let data${t(': any')} = text;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch (error) {
+    // Respuesta no JSON: se devuelve el texto tal cual
+  }
+
+  if (!response.ok) {
+    const error${t(': any')} = new Error((data && data.message) || \`Error HTTP \${response.status}\`);
+    error.status = response.status;
+    error.data = data;
+    throw error;
+  }
+
+  return data;
+};
+${esm ? '' : '\nmodule.exports = {\n  setBaseUrl,\n  setAuthToken,\n  request\n};\n'}`;
+};
+
+// Función auxiliar para obtener los nombres de los esquemas referenciados
+const getSchemaRefs = (schema) => [...JSON.stringify(schema || {}).matchAll(/#\/components\/schemas\/([A-Za-z0-9_]+)/g)].map(match => match[1]);
+
+// Función auxiliar para generar la función cliente de una operación con el nombre que usa el frontend
+const renderClientFunction = (functionName, match, { typescript, esm, typesImport, usedTypes }) => {
+  const exportPrefix = esm ? 'export ' : '';
+
+  if (!match) {
+    return `/**
+ * ${functionName} no tiene un endpoint equivalente en el backend generado.
+ */
+${exportPrefix}const ${functionName} = async (..._args${typescript ? ': any[]' : ''})${typescript ? ': Promise<never>' : ''} => {
+  throw new Error('${functionName} no tiene un endpoint equivalente en el backend generado');
+};`;
+  }
+
+  const { method, path: apiPath, operation, pathParams } = match;
+  const hasBody = ['post', 'put', 'patch'].includes(method);
+  const hasQuery = method === 'get' && !match.isItem;
+  const bodySchema = hasBody && operation.requestBody ? operation.requestBody.content['application/json'].schema : null;
+  const successSchema = getSuccessSchema(operation);
+  const typeName = (schema) => {
+    if (!schema) return 'any';
+    getSchemaRefs(schema).forEach(name => usedTypes.add(name));
+    return schemaToType(schema, typescript ? '' : `${typesImport}.`);
+  };
+  const responseType = typeName(successSchema);
+  const bodyType = typeName(bodySchema);
+
+  const args = [
+    ...pathParams.map(param => ({ name: param, type: 'string', doc: `Parámetro de ruta ${param}` })),
+    ...(hasBody ? [{ name: 'data', type: bodyType, doc: 'Cuerpo de la petición' }] : []),
+    ...(hasQuery ? [{ name: 'params', type: 'Record<string, any>', doc: 'Parámetros de query', defaultValue: '{}' }] : [])
+  ];
+  const signature = args.map(arg => `${arg.name}${typescript ? `: ${arg.type}` : ''}${arg.defaultValue ? ` = ${arg.defaultValue}` : ''}`).join(', ');
+  const urlPath = pathParams.reduce((result, param) => result.replace(`{${param}}`, `\${encodeURIComponent(${param})}`), apiPath);
+  const options = [hasQuery && 'params', hasBody && 'body: data'].filter(Boolean);
+  const call = `request('${method.toUpperCase()}', \`${urlPath}\`${options.length > 0 ? `, { ${options.join(', ')} }` : ''})`;
+
+  const doc = [
+    '/**',
+    ` * ${method.toUpperCase()} ${apiPath}`,
+    ...(typescript ? [] : args.map(arg => ` * @param {${arg.type}} ${arg.defaultValue ? `[${arg.name}]` : arg.name} - ${arg.doc}`)),
+    ...(typescript ? [] : [` * @returns {Promise<${responseType}>}`]),
+    ' */'
+  ].join('\n');
+
+  return `${doc}
+${exportPrefix}const ${functionName} = (${signature})${typescript ? `: Promise<${responseType}>` : ''} => ${call};`;
+};
+
+/**
+ * Genera, para cada archivo del directorio API del frontend, un módulo cliente con las mismas
+ * funciones que el frontend ya importa (getWorkouts, createDiet...) pero llamando a los endpoints
+ * reales del backend generado según su especificación OpenAPI.
+ *
+ * @param {Object} project - Documento del proyecto (githubUrl)
+ * @param {Object} options
+ * @param {Object} options.spec - Especificación OpenAPI de la generación
+ * @param {string} options.outputPath - Directorio del backend generado (el cliente se escribe en frontend-client/)
+ * @param {string} [options.commit] - Commit analizado en la generación
+ * @returns {Promise<{outputPath: string, files: Array}>}
+ */
+const generateFrontendClient = async (project, { spec, outputPath, commit }) => {
+  const clientDir = path.join(path.resolve(outputPath), CLIENT_DIR_NAME);
+  let workspace = null;
+
+  try {
+    console.log(`📥 Preparando workspace del repositorio para el cliente frontend: ${project.githubUrl}`);
+    workspace = await acquireWorkspace(project, { label: 'client', commit });
+    const repoDir = workspace.dir;
+
+    const apiDir = await findAPIDirectory(repoDir);
+    if (!apiDir) {
+      throw new Error('No se encontró una carpeta "api", "API", "routes" o "endpoints" en el repositorio');
+    }
+
+    const apiFiles = (await getAPIFiles(apiDir)).filter(file => CODE_EXTENSIONS.includes(file.extension));
+    const operations = listOperations(spec);
+    const typescript = apiFiles.some(file => ['.ts', '.tsx'].includes(file.extension));
+    const esm = typescript || (await Promise.all(apiFiles.map(file => getExportedNames(file.path)))).some(info => info.isModule);
+
+    await fs.remove(clientDir);
+    await fs.ensureDir(clientDir);
+
+    const helperFileName = `apiClient${typescript ? '.ts' : '.js'}`;
+    await fs.writeFile(path.join(clientDir, helperFileName), renderClientHelper(spec, { typescript, esm }), 'utf8');
+
+    const files = [];
+    for (const apiFile of apiFiles) {
+      const { names, hasDefaultExport } = await getExportedNames(apiFile.path);
+      const fileResource = normalizeResource(apiFile.name.replace(/\.(api|service|client)$/i, ''));
+      const relativeHelper = path.relative(path.dirname(apiFile.relativePath), 'apiClient').split(path.sep).join('/');
+      const helperImport = relativeHelper.startsWith('.') ? relativeHelper : `./${relativeHelper}`;
+      const typesImport = `import('${helperImport}')`;
+
+      const functions = names.map(name => {
+        const match = matchOperation(name, operations, fileResource);
+        return { name, match };
+      });
+
+      const usedTypes = new Set();
+      const body = functions
+        .map(({ name, match }) => renderClientFunction(name, match, { typescript, esm, typesImport, usedTypes }))
+        .join('\n\n');
+      const header = `// Cliente generado para ${apiFile.relativePath.split(path.sep).join('/')}: mismas funciones, endpoints reales del backend generado\n`;
+      const typeImport = typescript && usedTypes.size > 0
+        ? `import type { ${[...usedTypes].sort().join(', ')} } from '${helperImport}';\n`
+        : '';
+      const importLine = esm
+        ? `import { request } from '${helperImport}';\n${typeImport}\n`
+        : `const { request } = require('${helperImport}');\n\n`;
+      const footer = esm
+        ? (hasDefaultExport ? `\n\nexport default {\n${names.map(name => `  ${name}`).join(',\n')}\n};\n` : '\n')
+        : `\n\nmodule.exports = {\n${names.map(name => `  ${name}`).join(',\n')}\n};\n`;
+
+      const extension = typescript ? '.ts' : '.js';
+      const targetRelative = apiFile.relativePath.replace(/\.(jsx?|tsx?)$/, extension);
+      const targetPath = path.join(clientDir, targetRelative);
+      await fs.ensureDir(path.dirname(targetPath));
+      await fs.writeFile(targetPath, `${header}${importLine}${body}${footer}`, 'utf8');
+
+      files.push({
+        source: toPosix(path.relative(repoDir, apiFile.path)),
+        path: toPosix(path.join(CLIENT_DIR_NAME, targetRelative)),
+        functions: functions.map(({ name, match }) => ({
+          name,
+          method: match ? match.method.toUpperCase() : null,
+          path: match ? match.path : null
+        })),
+        unmatched: functions.filter(({ match }) => !match).map(({ name }) => name)
+      });
+    }
+
+    console.log(`✅ Cliente frontend generado en ${clientDir} (${files.length} módulos)`);
+    return { outputPath: clientDir, helper: toPosix(path.join(CLIENT_DIR_NAME, helperFileName)), files };
+  } finally {
+    if (workspace) await workspace.release();
+  }
+};
+
+module.exports = {
+  generateFrontendClient,
+  matchOperation,
+  listOperations,
+  parseFunctionName,
+  schemaToType
+};
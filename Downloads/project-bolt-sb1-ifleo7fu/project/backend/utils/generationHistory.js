@@ -0,0 +1,230 @@
+const fs = require('fs-extra');
+const path = require('path');
+const archiver = require('archiver');
+const GenerationRun = require('../models/GenerationRun');
+const Project = require('../models/Project');
+const { applyPreviewFiles } = require('./generationPreview');
+const { generateBackendFromAPI } = require('../backendGenerator');
+
+// Directorio donde se guardan los zip de cada generación
+const ARTIFACTS_DIR = process.env.GENERATION_ARTIFACTS_DIR || path.join(__dirname, '..', 'generation-artifacts');
+// Directorio gestionado donde se escriben los backends generados (un subdirectorio por proyecto)
+const GENERATED_BACKENDS_DIR = path.resolve(process.env.GENERATED_BACKENDS_DIR || path.join(__dirname, '..', 'generated-backends'));
+// Salida por defecto dentro del directorio del proyecto
+const DEFAULT_OUTPUT_NAME = 'backend';
+
+// Función auxiliar para obtener el directorio gestionado de los backends generados de un proyecto
+const getProjectOutputRoot = (project) => path.join(GENERATED_BACKENDS_DIR, String(project._id));
+
+/**
+ * Indica si una ruta de salida está dentro del directorio gestionado del proyecto. Las generaciones
+ * anteriores a este directorio pueden tener rutas fuera de él: no se vuelve a escribir en ellas.
+ *
+ * @param {Object} project - Documento del proyecto
+ * @param {string} outputPath - Ruta de salida
+ * @returns {boolean}
+ */
+const isManagedOutputPath = (project, outputPath) => {
+  if (!outputPath) return false;
+  const relative = path.relative(getProjectOutputRoot(project), path.resolve(outputPath));
+  return !!relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+};
+
+/**
+ * Resuelve la ruta de salida de una generación. La ruta que pide el cliente es relativa al directorio del
+ * proyecto en GENERATED_BACKENDS_DIR; si sale de él se lanza un error con code 'INVALID_OUTPUT_PATH'.
+ *
+ * @param {Object} project - Documento del proyecto
+ * @param {string} [requestedPath] - Ruta pedida (por defecto "backend")
+ * @returns {string} Ruta absoluta de salida
+ */
+const resolveGenerationOutputPath = (project, requestedPath) => {
+  const outputPath = path.resolve(getProjectOutputRoot(project), requestedPath || DEFAULT_OUTPUT_NAME);
+  if (!isManagedOutputPath(project, outputPath)) {
+    const error = new Error(`La ruta de salida debe ser un directorio relativo dentro del directorio de generación del proyecto: ${requestedPath}`);
+    error.code = 'INVALID_OUTPUT_PATH';
+    throw error;
+  }
+  return outputPath;
+};
+
+/**
+ * Empaqueta el backend generado en un zip para poder descargarlo más tarde,
+ * aunque el directorio de salida se sobrescriba en generaciones posteriores.
+ *
+ * @param {string} outputPath - Directorio con el backend generado
+ * @param {string} zipPath - Ruta del zip a crear
+ * @returns {Promise<string>} Ruta del zip creado
+ */
+const createArtifactZip = async (outputPath, zipPath) => {
+  await fs.ensureDir(path.dirname(zipPath));
+
+  await new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(zipPath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    output.on('close', resolve);
+    archive.on('warning', (err) => console.warn('⚠️ Aviso al crear el zip:', err.message));
+    archive.on('error', reject);
+
+    archive.pipe(output);
+    archive.glob('**/*', {
+      cwd: outputPath,
+      dot: true,
+      ignore: ['node_modules/**', '.git/**']
+    });
+    archive.finalize();
+  });
+
+  return zipPath;
+};
+
+/**
+ * Ejecuta la generación avanzada de backend registrando la ejecución en el historial
+ * (opciones, archivos, coherencia, tipos, verificación, OpenAPI, commit en el repositorio, duración y consumo de tokens) junto con su zip.
+ *
+ * @param {Object} params
+ * @param {Object} params.project - Documento del proyecto
+ * @param {string} params.userId - Usuario que lanzó la generación
+ * @param {string} params.jobId - ID del trabajo en la cola de generación
+ * @param {Object} params.options - Opciones del backend generator
+ * @param {Function} [onProgress] - Callback de progreso de la cola
+ * @returns {Promise<Object>} Resultado de generateBackendFromAPI con el ID de la ejecución
+ */
+const runRecordedGeneration = async ({ project, userId, jobId, options = {} }, onProgress) => {
+  const run = await GenerationRun.create({
+    projectId: project._id,
+    userId,
+    jobId,
+    options,
+    framework: options.framework,
+    language: options.language,
+    includeDatabase: options.includeDatabase,
+    database: options.database,
+    outputPath: options.outputPath
+  });
+  const startTime = Date.now();
+
+  try {
+    const result = await generateBackendFromAPI(project, { ...options, onProgress });
+    const { results } = result;
+
+    run.status = 'completed';
+    run.provider = results.provider;
+    run.model = results.model;
+    // En modo dryRun la salida es la previsualización; el historial guarda la salida real
+    run.outputPath = results.dryRun ? results.dryRun.targetPath : results.outputPath;
+    run.database = results.database;
+    run.commit = results.commit;
+    run.files = results.files || [];
+    run.coherence = results.coherence;
+    run.typecheck = results.typecheck;
+    run.verification = results.verification;
+    run.seed = results.seed;
+    if (results.repositoryCommit) run.repositoryCommit = results.repositoryCommit;
+
+    if (results.openApi && results.openApi.path) {
+      try {
+        run.openApiSpec = await fs.readJson(results.openApi.path);
+        const { paths, operations, warnings } = results.openApi;
+        run.openApi = {
+          paths: paths ?? Object.keys(run.openApiSpec.paths || {}).length,
+          operations: operations ?? Object.values(run.openApiSpec.paths || {}).reduce((total, item) => total + Object.keys(item).length, 0),
+          warnings: warnings || []
+        };
+      } catch (specError) {
+        console.error('⚠️ No se pudo guardar la especificación OpenAPI:', specError.message);
+      }
+    }
+    run.tokenUsage = results.tokenUsage;
+    run.llmRepairs = results.llmRepairs;
+    if (results.dryRun) {
+      const { targetPath, previewPath, generationState, summary, files } = results.dryRun;
+      run.dryRun = {
+        targetPath,
+        previewPath,
+        generationState,
+        summary,
+        files: files.map(({ path: filePath, status, additions, deletions, binary }) => ({ path: filePath, status, additions, deletions, binary })),
+        appliedFiles: []
+      };
+    }
+
+    try {
+      const zipPath = path.join(ARTIFACTS_DIR, String(project._id), `${run._id}.zip`);
+      run.artifactPath = await createArtifactZip(path.resolve(results.outputPath), zipPath);
+      console.log(`📦 Artefacto de generación guardado en: ${run.artifactPath}`);
+    } catch (zipError) {
+      console.error('⚠️ No se pudo crear el zip de la generación:', zipError.message);
+    }
+
+    // Una previsualización sin cambios no tiene nada que aplicar
+    if (run.dryRun && run.dryRun.files.length === 0) {
+      run.dryRun.appliedAt = new Date();
+      await fs.remove(run.dryRun.previewPath).catch(removeError => {
+        console.error('⚠️ No se pudo borrar la previsualización:', removeError.message);
+      });
+    }
+
+    run.finishedAt = new Date();
+    run.durationMs = Date.now() - startTime;
+    await run.save();
+
+    return { ...result, generationRunId: run._id };
+  } catch (error) {
+    run.status = 'failed';
+    run.error = error.message;
+    if (error.typecheck) run.typecheck = error.typecheck;
+    run.finishedAt = new Date();
+    run.durationMs = Date.now() - startTime;
+    await run.save().catch(saveError => {
+      console.error('❌ Error guardando la ejecución fallida:', saveError.message);
+    });
+    throw error;
+  }
+};
+
+/**
+ * Aplica a la salida real todos o parte de los cambios pendientes de una generación en modo dryRun.
+ * Cuando ya no queda ninguno se guarda en el proyecto el estado de la generación (commit analizado y
+ * manifiesto, usado por la regeneración incremental) y se borra la previsualización.
+ *
+ * @param {Object} run - Ejecución del historial con dryRun
+ * @param {Object} project - Documento del proyecto
+ * @param {string[]} [selectedPaths] - Rutas relativas a aplicar (todas las pendientes si no se indican)
+ * @returns {Promise<{applied: string[], pending: string[], completed: boolean}>}
+ */
+const applyGenerationPreview = async (run, project, selectedPaths) => {
+  const preview = run.dryRun;
+  const pendingFiles = preview.files.filter(file => !preview.appliedFiles.includes(file.path));
+  const selected = selectedPaths ? pendingFiles.filter(file => selectedPaths.includes(file.path)) : pendingFiles;
+
+  const applied = await applyPreviewFiles(preview.previewPath, preview.targetPath, selected);
+  preview.appliedFiles.push(...applied);
+  const pending = pendingFiles.filter(file => !applied.includes(file.path)).map(file => file.path);
+  console.log(`📥 Previsualización ${run.jobId}: ${applied.length} archivos aplicados, ${pending.length} pendientes`);
+
+  if (pending.length === 0) {
+    preview.appliedAt = new Date();
+    if (preview.generationState) {
+      project.backendGeneration = preview.generationState;
+      await Project.updateOne({ _id: project._id }, { $set: { backendGeneration: preview.generationState } });
+    }
+    await fs.remove(preview.previewPath).catch(removeError => {
+      console.error('⚠️ No se pudo borrar la previsualización:', removeError.message);
+    });
+  }
+  await run.save();
+
+  return { applied, pending, completed: pending.length === 0 };
+};
+
+module.exports = {
+  runRecordedGeneration,
+  applyGenerationPreview,
+  createArtifactZip,
+  resolveGenerationOutputPath,
+  isManagedOutputPath,
+  ARTIFACTS_DIR,
+  GENERATED_BACKENDS_DIR
+};
@@ -0,0 +1,155 @@
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+// Número máximo de generaciones ejecutándose a la vez (cada una consume cuota de Gemini)
+const MAX_CONCURRENT_JOBS = parseInt(process.env.GENERATION_MAX_CONCURRENCY || '1', 10);
+// Tiempo que se conservan los trabajos terminados en memoria
+const FINISHED_JOB_TTL_MS = parseInt(process.env.GENERATION_JOB_TTL_MS || String(60 * 60 * 1000), 10);
+
+const TERMINAL_STATUSES = ['completed', 'failed'];
+
+const jobs = new Map();
+const pendingQueue = [];
+let runningJobs = 0;
+
+// Agrega un evento al historial del trabajo y lo emite a los suscriptores (SSE)
+const pushEvent = (job, event) => {
+  const fullEvent = {
+    id: job.events.length + 1,
+    ...event,
+    timestamp: event.timestamp || new Date().toISOString()
+  };
+  job.events.push(fullEvent);
+  job.updatedAt = new Date();
+  job.emitter.emit('event', fullEvent);
+  return fullEvent;
+};
+
+// Programa la eliminación de un trabajo terminado para no acumular memoria
+const scheduleCleanup = (job) => {
+  const timer = setTimeout(() => {
+    job.emitter.removeAllListeners();
+    jobs.delete(job.id);
+  }, FINISHED_JOB_TTL_MS);
+  if (typeof timer.unref === 'function') timer.unref();
+};
+
+// Ejecuta el siguiente trabajo pendiente si hay capacidad disponible
+const processQueue = () => {
+  while (runningJobs < MAX_CONCURRENT_JOBS && pendingQueue.length > 0) {
+    const { job, task } = pendingQueue.shift();
+    runningJobs++;
+    runJob(job, task).finally(() => {
+      runningJobs--;
+      processQueue();
+    });
+  }
+};
+
+const runJob = async (job, task) => {
+  job.status = 'running';
+  job.startedAt = new Date();
+  pushEvent(job, { type: 'status', status: 'running' });
+
+  try {
+    const result = await task((progress) => {
+      job.phase = progress.phase;
+      pushEvent(job, { type: 'progress', ...progress });
+    });
+
+    job.result = result;
+    job.status = 'completed';
+    job.finishedAt = new Date();
+    pushEvent(job, { type: 'status', status: 'completed' });
+  } catch (error) {
+    console.error(`❌ Trabajo de generación ${job.id} falló:`, error.message);
+    job.error = error.message;
+    job.status = 'failed';
+    job.finishedAt = new Date();
+    pushEvent(job, { type: 'status', status: 'failed', error: error.message });
+  } finally {
+    scheduleCleanup(job);
+  }
+};
+
+/**
+ * Encola un trabajo de generación y devuelve inmediatamente su descriptor.
+ *
+ * @param {Object} params
+ * @param {string} params.projectId - Proyecto al que pertenece el trabajo
+ * @param {string} params.userId - Usuario que lo solicitó
+ * @param {string} params.type - Tipo de trabajo (p. ej. 'advanced-backend')
+ * @param {Object} [params.options] - Opciones con las que se lanzó
+ * @param {(onProgress: Function) => Promise<any>} task - Función que realiza el trabajo
+ * @returns {Object} El trabajo creado
+ */
+const enqueueGenerationJob = ({ projectId, userId, type, options = {} }, task) => {
+  const job = {
+    id: uuidv4(),
+    projectId: String(projectId),
+    userId: String(userId),
+    type,
+    options,
+    status: 'queued',
+    phase: null,
+    events: [],
+    result: null,
+    error: null,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+    startedAt: null,
+    finishedAt: null,
+    emitter: new EventEmitter()
+  };
+  job.emitter.setMaxListeners(0);
+
+  jobs.set(job.id, job);
+  pushEvent(job, { type: 'status', status: 'queued', position: pendingQueue.length + 1 });
+  pendingQueue.push({ job, task });
+  setImmediate(processQueue);
+
+  return job;
+};
+
+// Obtiene un trabajo verificando que pertenezca al proyecto y usuario indicados
+const getGenerationJob = (jobId, { projectId, userId } = {}) => {
+  const job = jobs.get(jobId);
+  if (!job) return null;
+  if (projectId && job.projectId !== String(projectId)) return null;
+  if (userId && job.userId !== String(userId)) return null;
+  return job;
+};
+
+// Representación serializable del trabajo (sin el emisor interno)
+const serializeGenerationJob = (job, { includeEvents = false } = {}) => ({
+  id: job.id,
+  projectId: job.projectId,
+  type: job.type,
+  status: job.status,
+  phase: job.phase,
+  options: job.options,
+  result: job.result,
+  error: job.error,
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+  lastEvent: job.events[job.events.length - 1] || null,
+  ...(includeEvents && { events: job.events })
+});
+
+// Suscribe un listener a los eventos del trabajo; devuelve la función para desuscribirse
+const subscribeToGenerationJob = (job, listener) => {
+  job.emitter.on('event', listener);
+  return () => job.emitter.off('event', listener);
+};
+
+const isTerminalStatus = (status) => TERMINAL_STATUSES.includes(status);
+
+module.exports = {
+  enqueueGenerationJob,
+  getGenerationJob,
+  serializeGenerationJob,
+  subscribeToGenerationJob,
+  isTerminalStatus
+};
@@ -0,0 +1,215 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Directorios que no forman parte del backend generado
+const IGNORED_DIRECTORIES = new Set(['node_modules', '.git']);
+// Líneas de contexto alrededor de cada cambio en el diff
+const DIFF_CONTEXT_LINES = 3;
+// Por encima de este tamaño (líneas antiguas x nuevas) el bloque cambiado se muestra como reemplazo completo
+const MAX_DIFF_MATRIX = 4000000;
+
+// Función auxiliar para listar los archivos de un directorio con rutas relativas en formato POSIX
+const listFiles = async (rootDir) => {
+  const files = [];
+  const walk = async (dir) => {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+      if (IGNORED_DIRECTORIES.has(entry.name)) continue;
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) await walk(fullPath);
+      else if (entry.isFile()) files.push(path.relative(rootDir, fullPath).split(path.sep).join('/'));
+    }
+  };
+  if (await fs.pathExists(rootDir)) await walk(rootDir);
+  return files.sort();
+};
+
+// Función auxiliar para calcular las operaciones (' ', '-', '+') que transforman unas líneas en otras
+const diffOperations = (oldLines, newLines) => {
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) start++;
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const operations = oldLines.slice(0, start).map(line => [' ', line]);
+  const oldMiddle = oldLines.slice(start, oldEnd);
+  const newMiddle = newLines.slice(start, newEnd);
+  const rows = oldMiddle.length;
+  const columns = newMiddle.length;
+
+  if (rows * columns > MAX_DIFF_MATRIX) {
+    oldMiddle.forEach(line => operations.push(['-', line]));
+    newMiddle.forEach(line => operations.push(['+', line]));
+  } else {
+    // Subsecuencia común más larga sobre el bloque que cambia
+    const lengths = new Uint32Array((rows + 1) * (columns + 1));
+    for (let i = rows - 1; i >= 0; i--) {
+      for (let j = columns - 1; j >= 0; j--) {
+        lengths[i * (columns + 1) + j] = oldMiddle[i] === newMiddle[j]
+          ? lengths[(i + 1) * (columns + 1) + j + 1] + 1
+          : Math.max(lengths[(i + 1) * (columns + 1) + j], lengths[i * (columns + 1) + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < columns) {
+      if (oldMiddle[i] === newMiddle[j]) {
+        operations.push([' ', oldMiddle[i++]]);
+        j++;
+      } else if (lengths[(i + 1) * (columns + 1) + j] >= lengths[i * (columns + 1) + j + 1]) {
+        operations.push(['-', oldMiddle[i++]]);
+      } else {
+        operations.push(['+', newMiddle[j++]]);
+      }
+    }
+    while (i < rows) operations.push(['-', oldMiddle[i++]]);
+    while (j < columns) operations.push(['+', newMiddle[j++]]);
+  }
+
+  oldLines.slice(oldEnd).forEach(line => operations.push([' ', line]));
+  return operations;
+};
+
+// Función auxiliar para partir un texto en líneas (un texto vacío no tiene líneas)
+const splitLines = (text) => (text === '' ? [] : text.replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n'));
+
+/**
+ * Calcula el diff unificado entre dos versiones de un archivo.
+ * @param {string} oldText - Contenido anterior ('' si el archivo no existía)
+ * @param {string} newText - Contenido nuevo ('' si el archivo se elimina)
+ * @param {string} filePath - Ruta relativa para las cabeceras del diff
+ * @returns {{additions: number, deletions: number, diff: string}}
+ */
+const createUnifiedDiff = (oldText, newText, filePath) => {
+  const operations = diffOperations(splitLines(oldText), splitLines(newText));
+  const changed = operations.map((operation, index) => (operation[0] === ' ' ? -1 : index)).filter(index => index !== -1);
+  const additions = operations.filter(operation => operation[0] === '+').length;
+  const deletions = operations.filter(operation => operation[0] === '-').length;
+  if (changed.length === 0) return { additions, deletions, diff: '' };
+
+  // Agrupar los cambios cercanos en hunks con sus líneas de contexto
+  const ranges = [];
+  changed.forEach(index => {
+    const last = ranges[ranges.length - 1];
+    if (last && index - last.end <= DIFF_CONTEXT_LINES * 2 + 1) last.end = index;
+    else ranges.push({ start: index, end: index });
+  });
+
+  // Número de línea (antigua y nueva) en el que empieza cada operación
+  const positions = [];
+  let oldLine = 1;
+  let newLine = 1;
+  operations.forEach(([type]) => {
+    positions.push({ oldLine, newLine });
+    if (type !== '+') oldLine++;
+    if (type !== '-') newLine++;
+  });
+
+  const lines = [
+    `--- ${oldText === '' ? '/dev/null' : `a/${filePath}`}`,
+    `+++ ${newText === '' ? '/dev/null' : `b/${filePath}`}`
+  ];
+  ranges.forEach(range => {
+    const start = Math.max(0, range.start - DIFF_CONTEXT_LINES);
+    const end = Math.min(operations.length - 1, range.end + DIFF_CONTEXT_LINES);
+    const hunk = operations.slice(start, end + 1);
+    const oldCount = hunk.filter(([type]) => type !== '+').length;
+    const newCount = hunk.filter(([type]) => type !== '-').length;
+    const oldStart = oldCount === 0 ? positions[start].oldLine - 1 : positions[start].oldLine;
+    const newStart = newCount === 0 ? positions[start].newLine - 1 : positions[start].newLine;
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    hunk.forEach(([type, line]) => lines.push(`${type}${line}`));
+  });
+
+  return { additions, deletions, diff: `${lines.join('\n')}\n` };
+};
+
+/**
+ * Compara la salida anterior con la generada archivo por archivo.
+ * @param {string} previousDir - Directorio de salida actual (puede no existir: se compara con un árbol vacío)
+ * @param {string} nextDir - Directorio con la salida generada en modo dryRun
+ * @param {Object} [options]
+ * @param {boolean} [options.includeDiff=true] - Incluir el diff unificado de cada archivo
+ * @returns {Promise<{summary: Object, files: Array<{path: string, status: string, additions: number, deletions: number, binary: boolean, diff?: string}>}>}
+ */
+const diffGeneratedOutput = async (previousDir, nextDir, { includeDiff = true } = {}) => {
+  const previousFiles = new Set(await listFiles(previousDir));
+  const nextFiles = new Set(await listFiles(nextDir));
+  const allFiles = [...new Set([...previousFiles, ...nextFiles])].sort();
+  const summary = { added: 0, modified: 0, deleted: 0, unchanged: 0 };
+  const files = [];
+
+  for (const filePath of allFiles) {
+    const before = previousFiles.has(filePath) ? await fs.readFile(path.join(previousDir, filePath)) : null;
+    const after = nextFiles.has(filePath) ? await fs.readFile(path.join(nextDir, filePath)) : null;
+    if (before && after && before.equals(after)) {
+      summary.unchanged++;
+      continue;
+    }
+
+    const status = !before ? 'added' : !after ? 'deleted' : 'modified';
+    summary[status]++;
+    const binary = (before && before.includes(0)) || (after && after.includes(0));
+    const entry = { path: filePath, status, additions: 0, deletions: 0, binary: !!binary };
+    if (!binary) {
+      const changes = createUnifiedDiff(before ? before.toString('utf8') : '', after ? after.toString('utf8') : '', filePath);
+      entry.additions = changes.additions;
+      entry.deletions = changes.deletions;
+      if (includeDiff) entry.diff = changes.diff;
+    }
+    files.push(entry);
+  }
+
+  return { summary, files };
+};
+
+/**
+ * Prepara el directorio de previsualización con una copia de la salida actual,
+ * para que la generación (también la incremental) parta del mismo estado que tendría en la salida real.
+ * @param {string} targetPath - Directorio de salida real
+ * @param {string} previewPath - Directorio donde se generará la previsualización
+ */
+const createPreviewDirectory = async (targetPath, previewPath) => {
+  await fs.ensureDir(path.dirname(previewPath));
+  if (await fs.pathExists(targetPath)) {
+    await fs.copy(targetPath, previewPath, {
+      filter: source => !IGNORED_DIRECTORIES.has(path.basename(source))
+    });
+  } else {
+    await fs.ensureDir(previewPath);
+  }
+};
+
+/**
+ * Aplica a la salida real los archivos elegidos de una previsualización: copia los añadidos
+ * y modificados y borra los eliminados.
+ * @param {string} previewPath - Directorio de la previsualización
+ * @param {string} targetPath - Directorio de salida real
+ * @param {Array<{path: string, status: string}>} files - Cambios a aplicar
+ * @returns {Promise<string[]>} Rutas relativas aplicadas
+ */
+const applyPreviewFiles = async (previewPath, targetPath, files) => {
+  const applied = [];
+  for (const file of files) {
+    const destination = path.join(targetPath, file.path);
+    if (file.status === 'deleted') {
+      await fs.remove(destination);
+    } else {
+      await fs.ensureDir(path.dirname(destination));
+      await fs.copy(path.join(previewPath, file.path), destination, { overwrite: true });
+    }
+    applied.push(file.path);
+  }
+  return applied;
+};
+
+module.exports = {
+  createUnifiedDiff,
+  diffGeneratedOutput,
+  createPreviewDirectory,
+  applyPreviewFiles
+};
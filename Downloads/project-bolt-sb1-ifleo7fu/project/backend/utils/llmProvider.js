@@ -0,0 +1,351 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { GoogleGenAI } = require('@google/genai');
+
+// Proveedores soportados y su configuración por defecto (modelo y variables de entorno)
+const PROVIDER_DEFAULTS = {
+  gemini: {
+    apiKeyEnv: 'GEMINI_API_KEY',
+    model: process.env.GEMINI_MODEL || 'gemini-2.5-pro-preview-06-05'
+  },
+  openai: {
+    apiKeyEnv: 'OPENAI_API_KEY',
+    baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    model: process.env.OPENAI_MODEL || 'gpt-4o'
+  },
+  anthropic: {
+    apiKeyEnv: 'ANTHROPIC_API_KEY',
+    baseUrl: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1',
+    model: process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest'
+  },
+  ollama: {
+    baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+    model: process.env.OLLAMA_MODEL || 'codellama:13b'
+  },
+  fixture: {
+    model: 'fixture'
+  }
+};
+
+const SUPPORTED_LLM_PROVIDERS = Object.keys(PROVIDER_DEFAULTS);
+const DEFAULT_LLM_PROVIDER = process.env.LLM_PROVIDER || 'gemini';
+const DEFAULT_MAX_TOKENS = 8192;
+
+// Modos de ejecución: live llama al modelo, record además graba cada respuesta, replay solo lee grabaciones
+const LLM_MODES = ['live', 'record', 'replay'];
+const DEFAULT_LLM_MODE = process.env.LLM_MODE || 'live';
+
+// Directorio con las respuestas del proveedor fixture (<hash del prompt>.txt|.json o default.txt)
+const FIXTURES_DIR = process.env.LLM_FIXTURES_DIR || path.join(__dirname, '..', 'llm-fixtures');
+// Directorio donde el modo record guarda las respuestas y el modo replay las lee. Las respuestas pueden
+// contener código del repositorio del proyecto: no debe servirse ni subirse al repositorio
+const RECORDINGS_DIR = process.env.LLM_RECORDINGS_DIR || path.join(__dirname, '..', 'llm-recordings');
+
+// Respuesta por defecto del proveedor fixture cuando no hay ninguna grabada
+const DEFAULT_FIXTURE_RESPONSE = JSON.stringify({
+  models: [],
+  controllers: [],
+  services: [],
+  routes: [],
+  middleware: [],
+  config: [],
+  utils: [],
+  tests: []
+}, null, 2);
+
+// Función auxiliar para calcular el hash estable de un prompt
+const hashPrompt = (prompt) => crypto.createHash('sha256').update(prompt).digest('hex');
+
+// Función auxiliar para obtener la ruta de la grabación de un prompt
+const getRecordingPath = (dir, prompt) => path.join(dir, `${hashPrompt(prompt)}.json`);
+
+// Función auxiliar para lanzar un error con el cuerpo de una respuesta HTTP fallida
+const assertOk = async (response, providerName) => {
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Error de la API de ${providerName}: ${response.status} - ${errorText}`);
+  }
+};
+
+const callGemini = async ({ apiKey, model }, prompt, { temperature, maxTokens }) => {
+  const client = new GoogleGenAI({ apiKey });
+  const response = await client.models.generateContent({
+    model,
+    contents: prompt,
+    config: {
+      ...(temperature !== undefined && { temperature }),
+      ...(maxTokens !== undefined && { maxOutputTokens: maxTokens })
+    }
+  });
+  const usage = response.usageMetadata || {};
+
+  return {
+    text: response.text,
+    usage: {
+      promptTokens: usage.promptTokenCount || 0,
+      completionTokens: usage.candidatesTokenCount || 0,
+      totalTokens: usage.totalTokenCount || 0
+    }
+  };
+};
+
+const callOpenAI = async ({ apiKey, baseUrl, model }, prompt, { temperature, maxTokens }) => {
+  const response = await fetch(`${baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${apiKey}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      model,
+      messages: [{ role: 'user', content: prompt }],
+      max_tokens: maxTokens || DEFAULT_MAX_TOKENS,
+      ...(temperature !== undefined && { temperature })
+    })
+  });
+  await assertOk(response, 'OpenAI');
+
+  const data = await response.json();
+  return {
+    text: data.choices[0].message.content,
+    usage: {
+      promptTokens: data.usage?.prompt_tokens || 0,
+      completionTokens: data.usage?.completion_tokens || 0,
+      totalTokens: data.usage?.total_tokens || 0
+    }
+  };
+};
+
+const callAnthropic = async ({ apiKey, baseUrl, model }, prompt, { temperature, maxTokens }) => {
+  const response = await fetch(`${baseUrl}/messages`, {
+    method: 'POST',
+    headers: {
+      'x-api-key': apiKey,
+      'Content-Type': 'application/json',
+      'anthropic-version': '2023-06-01'
+    },
+    body: JSON.stringify({
+      model,
+      max_tokens: maxTokens || DEFAULT_MAX_TOKENS,
+      messages: [{ role: 'user', content: prompt }],
+      ...(temperature !== undefined && { temperature })
+    })
+  });
+  await assertOk(response, 'Anthropic');
+
+  const data = await response.json();
+  const inputTokens = data.usage?.input_tokens || 0;
+  const outputTokens = data.usage?.output_tokens || 0;
+  return {
+    text: data.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+    usage: {
+      promptTokens: inputTokens,
+      completionTokens: outputTokens,
+      totalTokens: inputTokens + outputTokens
+    }
+  };
+};
+
+const callOllama = async ({ baseUrl, model }, prompt, { temperature, maxTokens }) => {
+  const response = await fetch(`${baseUrl}/api/generate`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      model,
+      prompt,
+      stream: false,
+      options: {
+        ...(temperature !== undefined && { temperature }),
+        ...(maxTokens !== undefined && { num_predict: maxTokens })
+      }
+    })
+  });
+  await assertOk(response, 'Ollama');
+
+  const data = await response.json();
+  return {
+    text: data.response,
+    usage: {
+      promptTokens: data.prompt_eval_count || 0,
+      completionTokens: data.eval_count || 0,
+      totalTokens: (data.prompt_eval_count || 0) + (data.eval_count || 0)
+    }
+  };
+};
+
+// Proveedor determinista para uso offline y CI: responde con archivos grabados por hash de prompt
+const callFixture = async (config, prompt) => {
+  // Una grabación del modo record se puede copiar tal cual como fixture
+  const recordingPath = getRecordingPath(FIXTURES_DIR, prompt);
+  if (await fs.pathExists(recordingPath)) {
+    const recording = await fs.readJson(recordingPath);
+    return { text: recording.text, usage: recording.usage };
+  }
+
+  const candidates = [
+    path.join(FIXTURES_DIR, `${hashPrompt(prompt)}.txt`),
+    path.join(FIXTURES_DIR, 'default.txt')
+  ];
+
+  let text = DEFAULT_FIXTURE_RESPONSE;
+  for (const candidate of candidates) {
+    if (await fs.pathExists(candidate)) {
+      text = await fs.readFile(candidate, 'utf8');
+      break;
+    }
+  }
+
+  return {
+    text,
+    usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 }
+  };
+};
+
+const PROVIDER_CALLS = {
+  gemini: callGemini,
+  openai: callOpenAI,
+  anthropic: callAnthropic,
+  ollama: callOllama,
+  fixture: callFixture
+};
+
+/**
+ * Resuelve qué proveedor y modelo usar: opciones explícitas, luego el proyecto,
+ * luego la variable LLM_PROVIDER y por último Gemini.
+ *
+ * @param {Object} [project] - Proyecto con `llmProvider: { name, model }` opcional
+ * @param {Object} [override] - `{ name, model }` que tiene prioridad sobre el proyecto
+ * @returns {{ name: string, model: string }}
+ */
+const resolveLLMProviderConfig = (project, override = {}) => {
+  const projectConfig = project?.llmProvider || {};
+  const name = override.name || projectConfig.name || DEFAULT_LLM_PROVIDER;
+
+  if (!SUPPORTED_LLM_PROVIDERS.includes(name)) {
+    throw new Error(`Proveedor de IA no soportado: ${name}`);
+  }
+
+  // El modelo del proyecto solo aplica si pertenece al mismo proveedor
+  const model = override.model ||
+    (projectConfig.name === name ? projectConfig.model : undefined) ||
+    PROVIDER_DEFAULTS[name].model;
+
+  return { name, model };
+};
+
+/**
+ * Crea un proveedor de IA con una interfaz común para todos los backends.
+ *
+ * @param {Object} [config]
+ * @param {string} [config.name] - gemini, openai, anthropic, ollama o fixture
+ * @param {string} [config.model] - Modelo a usar (por defecto el del proveedor)
+ * @returns {{ name: string, model: string, isConfigured: () => boolean,
+ *   generate: (prompt: string, options?: Object) => Promise<{ text: string, usage: Object }> }}
+ */
+const createLLMProvider = ({ name = DEFAULT_LLM_PROVIDER, model } = {}) => {
+  const defaults = PROVIDER_DEFAULTS[name];
+  if (!defaults) {
+    throw new Error(`Proveedor de IA no soportado: ${name}`);
+  }
+
+  const config = {
+    ...defaults,
+    model: model || defaults.model,
+    apiKey: defaults.apiKeyEnv ? process.env[defaults.apiKeyEnv] : undefined
+  };
+
+  return {
+    name,
+    model: config.model,
+    // Los proveedores locales (ollama, fixture) no necesitan API key
+    isConfigured: () => !defaults.apiKeyEnv || !!config.apiKey,
+    missingConfiguration: defaults.apiKeyEnv,
+    generate: async (prompt, options = {}) => {
+      if (defaults.apiKeyEnv && !config.apiKey) {
+        throw new Error(`La API key de ${name} no está configurada (${defaults.apiKeyEnv})`);
+      }
+      return PROVIDER_CALLS[name](config, prompt, options);
+    }
+  };
+};
+
+/**
+ * Envuelve un proveedor para grabar sus respuestas (record) o servirlas desde disco (replay),
+ * usando como clave el hash del prompt. En replay no se llama nunca al modelo y, si falta la grabación
+ * de un prompt, se lanza un error con code 'LLM_RECORDING_MISSING'.
+ *
+ * @param {Object} provider - Proveedor creado con createLLMProvider
+ * @param {Object} [options]
+ * @param {string} [options.mode] - live, record o replay
+ * @param {string} [options.dir] - Directorio de grabaciones
+ * @returns {Object} Proveedor con la misma interfaz
+ */
+const withRecordReplay = (provider, { mode = DEFAULT_LLM_MODE, dir = RECORDINGS_DIR } = {}) => {
+  if (!LLM_MODES.includes(mode)) {
+    throw new Error(`Modo de IA no soportado: ${mode}`);
+  }
+  if (mode === 'live') return provider;
+
+  if (mode === 'replay') {
+    return {
+      ...provider,
+      mode,
+      isConfigured: () => true,
+      generate: async (prompt) => {
+        const recordingPath = getRecordingPath(dir, prompt);
+        if (!(await fs.pathExists(recordingPath))) {
+          // Reintentar no sirve: la grabación no va a aparecer
+          const error = new Error(`No hay respuesta grabada para el prompt ${hashPrompt(prompt)} en ${dir}`);
+          error.code = 'LLM_RECORDING_MISSING';
+          throw error;
+        }
+        const recording = await fs.readJson(recordingPath);
+        console.log(`📼 Respuesta reproducida desde ${path.basename(recordingPath)}`);
+        return { text: recording.text, usage: recording.usage };
+      }
+    };
+  }
+
+  return {
+    ...provider,
+    mode,
+    generate: async (prompt, options) => {
+      const response = await provider.generate(prompt, options);
+      const recordingPath = getRecordingPath(dir, prompt);
+      // El prompt lleva el código del repositorio del proyecto: solo se guarda su hash. La respuesta puede
+      // citar ese código, así que el archivo solo es legible por el usuario del servidor
+      await fs.ensureDir(dir, { mode: 0o700 });
+      await fs.writeJson(recordingPath, {
+        hash: hashPrompt(prompt),
+        provider: provider.name,
+        model: provider.model,
+        recordedAt: new Date().toISOString(),
+        promptLength: prompt.length,
+        text: response.text,
+        usage: response.usage
+      }, { spaces: 2, mode: 0o600 });
+      console.log(`🎙️ Respuesta grabada en ${path.basename(recordingPath)}`);
+      return response;
+    }
+  };
+};
+
+// Crea el proveedor configurado para un proyecto (aplicando el modo record/replay si corresponde)
+const getProjectLLMProvider = (project, override = {}) => withRecordReplay(
+  createLLMProvider(resolveLLMProviderConfig(project, override)),
+  { mode: override.mode || DEFAULT_LLM_MODE }
+);
+
+module.exports = {
+  createLLMProvider,
+  getProjectLLMProvider,
+  resolveLLMProviderConfig,
+  withRecordReplay,
+  hashPrompt,
+  SUPPORTED_LLM_PROVIDERS,
+  DEFAULT_LLM_PROVIDER,
+  LLM_MODES,
+  FIXTURES_DIR,
+  RECORDINGS_DIR
+};
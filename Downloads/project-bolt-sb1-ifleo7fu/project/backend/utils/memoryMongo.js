@@ -0,0 +1,363 @@
+/**
+ * Sustituto en memoria de MongoDB para verificar backends generados sin red ni servidor.
+ * Se instala a nivel de colección del driver, por lo que Mongoose sigue aplicando
+ * validaciones, hooks, hidratación y populate como con una base de datos real.
+ * Solo soporta el subconjunto de filtros y operadores de actualización más habituales.
+ */
+
+// Función auxiliar para leer un valor anidado ("a.b.c") de un documento
+const getPath = (doc, key) => key.split('.').reduce((value, part) => (value == null ? value : value[part]), doc);
+
+// Función auxiliar para escribir un valor anidado ("a.b.c") en un documento
+const setPath = (doc, key, value) => {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const target = parts.reduce((obj, part) => {
+    if (obj[part] == null || typeof obj[part] !== 'object') obj[part] = {};
+    return obj[part];
+  }, doc);
+  target[last] = value;
+};
+
+// Función auxiliar para eliminar un valor anidado de un documento
+const unsetPath = (doc, key) => {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const target = parts.reduce((obj, part) => (obj == null ? obj : obj[part]), doc);
+  if (target != null) delete target[last];
+};
+
+// Copia profunda que conserva ObjectId, Date y Buffer (structuredClone los convertiría en objetos planos)
+const cloneValue = (value) => {
+  if (Array.isArray(value)) return value.map(cloneValue);
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value != null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    const copy = {};
+    Object.keys(value).forEach(key => { copy[key] = cloneValue(value[key]); });
+    return copy;
+  }
+  return value;
+};
+
+const isOperatorObject = (value) => value != null &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  Object.keys(value).length > 0 &&
+  Object.keys(value).every(key => key.startsWith('$'));
+
+// Compara dos valores (ObjectId, fechas y primitivos) por su representación
+const sameValue = (a, b) => {
+  if (Array.isArray(a)) return a.some(item => sameValue(item, b));
+  if (a instanceof Date || b instanceof Date) return new Date(a).getTime() === new Date(b).getTime();
+  if (a == null || b == null) return a == b; // eslint-disable-line eqeqeq
+  return String(a) === String(b);
+};
+
+const compareValues = (a, b) => {
+  if (a instanceof Date || b instanceof Date) return new Date(a) - new Date(b);
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b));
+};
+
+const matchesCondition = (value, condition) => {
+  if (condition instanceof RegExp) return typeof value === 'string' && condition.test(value);
+  if (!isOperatorObject(condition)) return sameValue(value, condition);
+
+  return Object.entries(condition).every(([operator, argument]) => {
+    switch (operator) {
+      case '$eq': return sameValue(value, argument);
+      case '$ne': return !sameValue(value, argument);
+      case '$in': return argument.some(item => matchesCondition(value, item));
+      case '$nin': return !argument.some(item => matchesCondition(value, item));
+      case '$exists': return (value !== undefined) === !!argument;
+      case '$gt': return value != null && compareValues(value, argument) > 0;
+      case '$gte': return value != null && compareValues(value, argument) >= 0;
+      case '$lt': return value != null && compareValues(value, argument) < 0;
+      case '$lte': return value != null && compareValues(value, argument) <= 0;
+      case '$regex': return typeof value === 'string' && new RegExp(argument, condition.$options).test(value);
+      case '$options': return true;
+      case '$size': return Array.isArray(value) && value.length === argument;
+      case '$all': return Array.isArray(value) && argument.every(item => value.some(v => sameValue(v, item)));
+      case '$elemMatch': return Array.isArray(value) && value.some(item => matchesFilter(item, argument));
+      case '$not': return !matchesCondition(value, argument);
+      default: return true;
+    }
+  });
+};
+
+const matchesFilter = (doc, filter = {}) => Object.entries(filter || {}).every(([key, condition]) => {
+  switch (key) {
+    case '$and': return condition.every(sub => matchesFilter(doc, sub));
+    case '$or': return condition.some(sub => matchesFilter(doc, sub));
+    case '$nor': return !condition.some(sub => matchesFilter(doc, sub));
+    default:
+      // Operadores no soportados ($text, $where, ...) no filtran
+      if (key.startsWith('$')) return true;
+      return matchesCondition(getPath(doc, key), condition);
+  }
+});
+
+const applyUpdate = (doc, update = {}) => {
+  // Un documento sin operadores reemplaza los campos (manteniendo el _id)
+  if (!Object.keys(update).some(key => key.startsWith('$'))) {
+    const { _id } = doc;
+    Object.keys(doc).forEach(key => delete doc[key]);
+    Object.assign(doc, cloneValue(update), { _id });
+    return doc;
+  }
+
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [key, value] of Object.entries(fields || {})) {
+      const current = getPath(doc, key);
+      switch (operator) {
+        case '$set': setPath(doc, key, cloneValue(value)); break;
+        case '$setOnInsert': break;
+        case '$unset': unsetPath(doc, key); break;
+        case '$inc': setPath(doc, key, (current || 0) + value); break;
+        case '$mul': setPath(doc, key, (current || 0) * value); break;
+        case '$min': if (current == null || compareValues(value, current) < 0) setPath(doc, key, value); break;
+        case '$max': if (current == null || compareValues(value, current) > 0) setPath(doc, key, value); break;
+        case '$push': {
+          const items = value && value.$each ? value.$each : [value];
+          setPath(doc, key, [...(current || []), ...cloneValue(items)]);
+          break;
+        }
+        case '$addToSet': {
+          const items = value && value.$each ? value.$each : [value];
+          const next = [...(current || [])];
+          items.forEach(item => { if (!next.some(existing => sameValue(existing, item))) next.push(item); });
+          setPath(doc, key, next);
+          break;
+        }
+        case '$pull': {
+          const isPlainObject = value != null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+          const shouldPull = (item) => {
+            if (isOperatorObject(value)) return matchesCondition(item, value);
+            if (isPlainObject) return matchesFilter(item, value);
+            return sameValue(item, value);
+          };
+          setPath(doc, key, (current || []).filter(item => !shouldPull(item)));
+          break;
+        }
+        case '$pop': setPath(doc, key, value < 0 ? (current || []).slice(1) : (current || []).slice(0, -1)); break;
+        default: break;
+      }
+    }
+  }
+  return doc;
+};
+
+const sortDocuments = (docs, sort) => {
+  if (!sort) return docs;
+  const entries = Array.isArray(sort) ? sort : Object.entries(sort);
+  return [...docs].sort((a, b) => {
+    for (const [key, direction] of entries) {
+      const result = compareValues(getPath(a, key), getPath(b, key));
+      if (result !== 0) return direction === -1 || direction === 'desc' ? -result : result;
+    }
+    return 0;
+  });
+};
+
+const projectDocument = (doc, projection) => {
+  if (!projection || Object.keys(projection).length === 0) return doc;
+  const inclusive = Object.entries(projection).some(([key, value]) => key !== '_id' && value);
+  if (inclusive) {
+    const result = {};
+    if (projection._id !== 0 && projection._id !== false) result._id = doc._id;
+    Object.entries(projection).forEach(([key, value]) => {
+      if (value && key !== '_id') setPath(result, key, getPath(doc, key));
+    });
+    return result;
+  }
+  const result = cloneValue(doc);
+  Object.entries(projection).forEach(([key, value]) => { if (!value) unsetPath(result, key); });
+  return result;
+};
+
+// Cursor mínimo compatible con el uso que hace Mongoose (toArray / async iterator)
+const createCursor = (loadDocuments) => ({
+  toArray: async () => loadDocuments(),
+  close: async () => {},
+  [Symbol.asyncIterator]: async function* iterate() {
+    yield* await loadDocuments();
+  }
+});
+
+const createMemoryCollection = (name, ObjectId) => {
+  const documents = [];
+  const clone = (doc) => (doc == null ? doc : cloneValue(doc));
+  const findMatches = (filter) => documents.filter(doc => matchesFilter(doc, filter));
+
+  const insert = (doc) => {
+    const stored = clone(doc);
+    if (stored._id === undefined) stored._id = new ObjectId();
+    if (documents.some(existing => sameValue(existing._id, stored._id))) {
+      const error = new Error(`E11000 duplicate key error collection: ${name} index: _id_`);
+      error.code = 11000;
+      throw error;
+    }
+    documents.push(stored);
+    return stored;
+  };
+
+  const upsertFromFilter = (filter, update) => {
+    const base = {};
+    Object.entries(filter || {}).forEach(([key, value]) => {
+      if (!key.startsWith('$') && !isOperatorObject(value)) setPath(base, key, value);
+    });
+    Object.entries((update && update.$setOnInsert) || {}).forEach(([key, value]) => setPath(base, key, value));
+    return insert(applyUpdate(base, update));
+  };
+
+  const modifyResult = (doc, options = {}) => (options.includeResultMetadata ? { value: clone(doc), ok: 1 } : clone(doc));
+
+  return {
+    collectionName: name,
+    namespace: `memory.${name}`,
+
+    insertOne: async (doc) => ({ acknowledged: true, insertedId: insert(doc)._id }),
+    insertMany: async (docs) => {
+      const insertedIds = {};
+      docs.forEach((doc, index) => { insertedIds[index] = insert(doc)._id; });
+      return { acknowledged: true, insertedCount: docs.length, insertedIds };
+    },
+
+    find: (filter, options = {}) => createCursor(async () => {
+      let docs = sortDocuments(findMatches(filter), options.sort);
+      if (options.skip) docs = docs.slice(options.skip);
+      if (options.limit) docs = docs.slice(0, options.limit);
+      return docs.map(doc => clone(projectDocument(doc, options.projection)));
+    }),
+    findOne: async (filter, options = {}) => {
+      const [doc] = sortDocuments(findMatches(filter), options.sort);
+      return doc ? clone(projectDocument(doc, options.projection)) : null;
+    },
+    countDocuments: async (filter) => findMatches(filter).length,
+    estimatedDocumentCount: async () => documents.length,
+    distinct: async (key, filter) => {
+      const values = [];
+      findMatches(filter).forEach(doc => {
+        [].concat(getPath(doc, key) ?? []).forEach(value => {
+          if (!values.some(existing => sameValue(existing, value))) values.push(value);
+        });
+      });
+      return values;
+    },
+
+    updateOne: async (filter, update, options = {}) => {
+      const [doc] = findMatches(filter);
+      if (doc) {
+        applyUpdate(doc, update);
+        return { acknowledged: true, matchedCount: 1, modifiedCount: 1, upsertedCount: 0, upsertedId: null };
+      }
+      if (options.upsert) {
+        const inserted = upsertFromFilter(filter, update);
+        return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+      }
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+    },
+    updateMany: async (filter, update) => {
+      const docs = findMatches(filter);
+      docs.forEach(doc => applyUpdate(doc, update));
+      return { acknowledged: true, matchedCount: docs.length, modifiedCount: docs.length, upsertedCount: 0, upsertedId: null };
+    },
+    replaceOne: async (filter, replacement, options = {}) => {
+      const [doc] = findMatches(filter);
+      if (doc) applyUpdate(doc, replacement);
+      else if (options.upsert) upsertFromFilter(filter, replacement);
+      return { acknowledged: true, matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+    },
+    findOneAndUpdate: async (filter, update, options = {}) => {
+      const [doc] = sortDocuments(findMatches(filter), options.sort);
+      if (!doc) {
+        if (!options.upsert) return modifyResult(null, options);
+        const inserted = upsertFromFilter(filter, update);
+        return modifyResult(options.returnDocument === 'after' ? inserted : null, options);
+      }
+      const before = clone(doc);
+      applyUpdate(doc, update);
+      return modifyResult(options.returnDocument === 'after' ? doc : before, options);
+    },
+    findOneAndReplace: async (filter, replacement, options = {}) => {
+      const [doc] = findMatches(filter);
+      if (!doc) return modifyResult(null, options);
+      const before = clone(doc);
+      applyUpdate(doc, replacement);
+      return modifyResult(options.returnDocument === 'after' ? doc : before, options);
+    },
+    findOneAndDelete: async (filter, options = {}) => {
+      const [doc] = sortDocuments(findMatches(filter), options.sort);
+      if (doc) documents.splice(documents.indexOf(doc), 1);
+      return modifyResult(doc || null, options);
+    },
+    deleteOne: async (filter) => {
+      const [doc] = findMatches(filter);
+      if (doc) documents.splice(documents.indexOf(doc), 1);
+      return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+    },
+    deleteMany: async (filter) => {
+      const docs = findMatches(filter);
+      docs.forEach(doc => documents.splice(documents.indexOf(doc), 1));
+      return { acknowledged: true, deletedCount: docs.length };
+    },
+    bulkWrite: async () => ({ acknowledged: true, insertedCount: 0, modifiedCount: 0, deletedCount: 0 }),
+
+    // Las agregaciones no se evalúan: devuelven un resultado vacío
+    aggregate: () => createCursor(async () => []),
+
+    createIndex: async (spec) => Object.keys(spec || {}).join('_') || '_id_',
+    createIndexes: async (specs = []) => specs.map(spec => spec.name),
+    dropIndex: async () => ({ ok: 1 }),
+    dropIndexes: async () => true,
+    indexes: async () => [{ key: { _id: 1 }, name: '_id_' }],
+    listIndexes: () => createCursor(async () => [{ key: { _id: 1 }, name: '_id_' }]),
+    drop: async () => { documents.length = 0; return true; }
+  };
+};
+
+/**
+ * Sustituye la conexión de Mongoose por una base de datos en memoria:
+ * `mongoose.connect` / `createConnection` se resuelven al instante sin red.
+ *
+ * @param {Object} mongoose - Instancia de Mongoose usada por el backend generado
+ * @returns {Object} La base de datos en memoria
+ */
+const installMemoryMongo = (mongoose) => {
+  const ObjectId = mongoose.Types.ObjectId;
+  const collections = new Map();
+
+  const memoryDb = {
+    databaseName: 'memory',
+    collection: (name) => {
+      if (!collections.has(name)) collections.set(name, createMemoryCollection(name, ObjectId));
+      return collections.get(name);
+    },
+    createCollection: async (name) => memoryDb.collection(name),
+    listCollections: () => createCursor(async () => [...collections.keys()].map(name => ({ name, type: 'collection' }))),
+    dropCollection: async (name) => collections.delete(name),
+    dropDatabase: async () => { collections.clear(); return true; },
+    command: async () => ({ ok: 1 }),
+    admin: () => ({ ping: async () => ({ ok: 1 }), command: async () => ({ ok: 1 }) })
+  };
+
+  mongoose.Connection.prototype.openUri = async function openUri() {
+    this.db = memoryDb;
+    if (this.readyState !== 1) this.onOpen();
+    return this;
+  };
+  mongoose.Connection.prototype.close = async function close() {
+    return this;
+  };
+
+  // La conexión por defecto queda abierta aunque el backend no llame a connect()
+  mongoose.connection.openUri();
+
+  return memoryDb;
+};
+
+module.exports = {
+  installMemoryMongo,
+  matchesFilter,
+  applyUpdate
+};
@@ -0,0 +1,358 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { inspectGeneratedBackend } = require('./backendVerifier');
+
+const OBJECT_ID_PATTERN = '^[0-9a-fA-F]{24}$';
+const BODY_METHODS = ['post', 'put', 'patch'];
+const AUTH_MIDDLEWARE_PATTERN = /auth|protect|jwt|token|login|verify/i;
+const MODEL_METHODS = 'find|findOne|findById|create|insertMany|updateOne|updateMany|findByIdAndUpdate|findOneAndUpdate|findByIdAndDelete|findOneAndDelete|deleteOne|deleteMany|countDocuments|aggregate';
+
+const STATUS_DESCRIPTIONS = {
+  200: 'Operación exitosa',
+  201: 'Recurso creado',
+  204: 'Sin contenido',
+  400: 'Datos de entrada inválidos',
+  401: 'No autenticado',
+  403: 'Acceso denegado',
+  404: 'Recurso no encontrado',
+  409: 'Conflicto con el estado actual del recurso',
+  422: 'Entidad no procesable',
+  500: 'Error interno del servidor'
+};
+
+// Las opciones de Mongoose pueden ser valor o [valor, mensaje]
+const optionValue = (value) => (Array.isArray(value) ? value[0] : value);
+
+// Función auxiliar para convertir un SchemaType de Mongoose en JSON Schema
+const schemaTypeToJsonSchema = (schemaType, options) => {
+  const typeOptions = schemaType.options || {};
+  let json;
+
+  switch (schemaType.instance) {
+    case 'String': {
+      json = { type: 'string' };
+      if (schemaType.enumValues && schemaType.enumValues.length > 0) json.enum = schemaType.enumValues;
+      const minLength = optionValue(typeOptions.minlength ?? typeOptions.minLength);
+      const maxLength = optionValue(typeOptions.maxlength ?? typeOptions.maxLength);
+      const match = optionValue(typeOptions.match);
+      if (minLength !== undefined) json.minLength = minLength;
+      if (maxLength !== undefined) json.maxLength = maxLength;
+      if (match instanceof RegExp) json.pattern = match.source;
+      break;
+    }
+    case 'Number': {
+      json = { type: 'number' };
+      const min = optionValue(typeOptions.min);
+      const max = optionValue(typeOptions.max);
+      if (min !== undefined) json.minimum = min;
+      if (max !== undefined) json.maximum = max;
+      break;
+    }
+    case 'Boolean':
+      json = { type: 'boolean' };
+      break;
+    case 'Date':
+      json = { type: 'string', format: 'date-time' };
+      break;
+    case 'ObjectId':
+    case 'ObjectID':
+      json = { type: 'string', pattern: OBJECT_ID_PATTERN };
+      if (typeOptions.ref) json.description = `ID de ${typeof typeOptions.ref === 'string' ? typeOptions.ref : 'documento relacionado'}`;
+      break;
+    case 'Decimal128':
+      json = { type: 'string', format: 'decimal' };
+      break;
+    case 'UUID':
+      json = { type: 'string', format: 'uuid' };
+      break;
+    case 'Buffer':
+      json = { type: 'string', contentEncoding: 'base64' };
+      break;
+    case 'Map':
+      json = { type: 'object', additionalProperties: true };
+      break;
+    case 'Array': {
+      const itemType = schemaType.embeddedSchemaType || schemaType.caster;
+      let items = {};
+      if (schemaType.schema) items = mongooseSchemaToJsonSchema(schemaType.schema, options);
+      else if (itemType) items = schemaTypeToJsonSchema(itemType, options);
+      json = { type: 'array', items };
+      break;
+    }
+    default:
+      // Subdocumentos (Embedded) y tipos mixtos
+      json = schemaType.schema ? mongooseSchemaToJsonSchema(schemaType.schema, options) : {};
+  }
+
+  if (typeOptions.default !== undefined && typeof typeOptions.default !== 'function') {
+    json.default = typeOptions.default;
+  }
+
+  return json;
+};
+
+// Función auxiliar para quitar las listas "required" vacías de un esquema anidado
+const pruneRequired = (json) => {
+  if (json.properties) Object.values(json.properties).forEach(pruneRequired);
+  if (json.items) pruneRequired(json.items);
+  if (Array.isArray(json.required) && json.required.length === 0) delete json.required;
+  return json;
+};
+
+/**
+ * Convierte un esquema de Mongoose en JSON Schema (compatible con OpenAPI 3.1).
+ * Con input=true describe el cuerpo de creación: sin _id, __v ni timestamps;
+ * sin input se omiten los campos con select: false (p. ej. contraseñas).
+ *
+ * @param {mongoose.Schema} schema - Esquema de Mongoose
+ * @param {Object} [options]
+ * @param {boolean} [options.input=false] - Generar el esquema de entrada en lugar del de respuesta
+ * @returns {Object} JSON Schema del documento
+ */
+const mongooseSchemaToJsonSchema = (schema, { input = false } = {}) => {
+  const root = { type: 'object', properties: {}, required: [] };
+  const versionKey = schema.options.versionKey === false ? null : (schema.options.versionKey || '__v');
+  const timestamps = schema.options.timestamps;
+  const timestampFields = !timestamps ? [] : [
+    typeof timestamps === 'object' && typeof timestamps.createdAt === 'string' ? timestamps.createdAt : 'createdAt',
+    typeof timestamps === 'object' && typeof timestamps.updatedAt === 'string' ? timestamps.updatedAt : 'updatedAt'
+  ];
+
+  schema.eachPath((pathName, schemaType) => {
+    if (pathName === versionKey) return;
+    if (input && (pathName === '_id' || timestampFields.includes(pathName))) return;
+    if (!input && schemaType.options && schemaType.options.select === false) return;
+
+    const parts = pathName.split('.');
+    const field = parts.pop();
+    const parent = parts.reduce((target, part) => {
+      target.properties[part] = target.properties[part] || { type: 'object', properties: {}, required: [] };
+      return target.properties[part];
+    }, root);
+
+    parent.properties[field] = schemaTypeToJsonSchema(schemaType, { input });
+    if (schemaType.isRequired || (!input && pathName === '_id')) parent.required.push(field);
+  });
+
+  return pruneRequired(root);
+};
+
+/**
+ * Extrae del código de un controlador los datos que afectan al contrato HTTP:
+ * códigos de estado, parámetros de query, campos del body, modelos usados y si envuelve en { data }.
+ *
+ * @param {string} source - Código fuente del controlador
+ * @param {Array<string>} modelNames - Nombres de los modelos disponibles
+ * @returns {{statusCodes: Array<number>, queryParams: Array<string>, bodyFields: Array<string>, models: Array<string>, wrapsData: boolean}}
+ */
+const analyzeHandler = (source = '', modelNames = []) => {
+  const destructured = (target) => [...source.matchAll(new RegExp(`\\{([^{}]+)\\}\\s*=\\s*req\\.${target}\\b`, 'g'))]
+    .flatMap(match => match[1].split(','))
+    .map(part => part.split(/[:=]/)[0].trim())
+    .filter(name => /^\w+$/.test(name));
+  const accessed = (target) => [...source.matchAll(new RegExp(`req\\.${target}\\.(\\w+)`, 'g'))].map(match => match[1]);
+
+  return {
+    statusCodes: [...new Set([...source.matchAll(/\.status\((\d{3})\)/g)].map(match => Number(match[1])))],
+    queryParams: [...new Set([...destructured('query'), ...accessed('query')])],
+    bodyFields: [...new Set([...destructured('body'), ...accessed('body')])],
+    models: modelNames.filter(name => new RegExp(`\\b${name}\\.(${MODEL_METHODS})\\b|new ${name}\\(`).test(source)),
+    wrapsData: /\bdata\s*:/.test(source)
+  };
+};
+
+// Función auxiliar para normalizar nombres ("userRoutes.js", "users" -> "user")
+const normalizeName = (name) => name.toLowerCase().replace(/\.[jt]s$/, '').replace(/[._-]?routes?$/, '').replace(/s$/, '');
+
+// Función auxiliar para generar un operationId legible y único
+const createOperationId = (method, openApiPath, usedIds) => {
+  const words = openApiPath.split('/').filter(Boolean).map(segment => {
+    const param = segment.match(/^\{(\w+)\}$/);
+    return param ? `By${param[1].charAt(0).toUpperCase()}${param[1].slice(1)}` : segment;
+  });
+  const base = [method, ...words]
+    .map(word => word.replace(/[^a-zA-Z0-9]+(.)?/g, (_, char) => (char ? char.toUpperCase() : '')))
+    .map((word, index) => (index === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1)))
+    .join('');
+
+  let operationId = base;
+  for (let suffix = 2; usedIds.has(operationId); suffix++) operationId = `${base}${suffix}`;
+  usedIds.add(operationId);
+  return operationId;
+};
+
+/**
+ * Construye un documento OpenAPI 3.1 a partir de las rutas y modelos reales de un backend generado.
+ *
+ * @param {Object} params
+ * @param {Object} params.project - Proyecto (para título y descripción)
+ * @param {Array} params.routes - Rutas de inspectGeneratedBackend
+ * @param {Array} params.models - Modelos de inspectGeneratedBackend
+ * @returns {Object} Documento OpenAPI
+ */
+const buildOpenApiSpec = ({ project, routes = [], models = [] }) => {
+  const spec = {
+    openapi: '3.1.0',
+    info: {
+      title: `${project.name} API`,
+      version: '1.0.0',
+      description: `Especificación derivada de las rutas, controladores y modelos del backend generado para ${project.name}`
+    },
+    servers: [
+      {
+        url: 'http://localhost:3000',
+        description: 'Servidor de desarrollo'
+      }
+    ],
+    tags: [],
+    paths: {},
+    components: {
+      schemas: {},
+      responses: {
+        Error: {
+          description: 'Respuesta de error',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  success: { type: 'boolean' },
+                  message: { type: 'string' },
+                  error: { type: 'string' }
+                }
+              }
+            }
+          }
+        }
+      },
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT'
+        }
+      }
+    }
+  };
+
+  const modelNames = models.map(model => model.name);
+  models.forEach(model => {
+    const { required, ...updateSchema } = model.inputSchema; // eslint-disable-line no-unused-vars
+    spec.components.schemas[model.name] = model.schema;
+    spec.components.schemas[`${model.name}Input`] = model.inputSchema;
+    spec.components.schemas[`${model.name}Update`] = updateSchema;
+  });
+
+  const usedIds = new Set();
+  const tags = new Set();
+
+  routes.forEach(route => {
+    const method = route.method.toLowerCase();
+    const openApiPath = (route.path.replace(/:(\w+)\??/g, '{$1}').replace(/(.)\/$/, '$1')) || '/';
+    spec.paths[openApiPath] = spec.paths[openApiPath] || {};
+    if (spec.paths[openApiPath][method]) return;
+
+    const analysis = analyzeHandler(route.handlerSource, modelNames);
+    const fileName = path.basename(route.file, path.extname(route.file));
+    const fileModel = modelNames.find(name => normalizeName(name) === normalizeName(fileName));
+    // Si el controlador no usa ningún modelo pero lee campos sueltos del body (login, acciones...)
+    // no se asume el modelo del archivo de rutas
+    const model = analysis.models[0] || (analysis.bodyFields.length === 0 ? fileModel : null);
+    const tag = analysis.models[0] || fileModel || fileName;
+    tags.add(tag);
+
+    const pathParams = [...openApiPath.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+    const isItemRoute = /\}$/.test(openApiPath) || method === 'post';
+    const modelRef = model ? { $ref: `#/components/schemas/${model}` } : { type: 'object' };
+    let payload = isItemRoute || !model ? modelRef : { type: 'array', items: modelRef };
+    if (method === 'delete') payload = { type: 'object', properties: { message: { type: 'string' } } };
+    if (analysis.wrapsData) {
+      payload = { type: 'object', properties: { success: { type: 'boolean' }, data: payload } };
+    }
+
+    const statusCodes = analysis.statusCodes.length > 0 ? analysis.statusCodes : [200];
+    if (!statusCodes.some(code => code < 300)) statusCodes.unshift(200);
+
+    const operation = {
+      tags: [tag],
+      operationId: createOperationId(method, openApiPath, usedIds),
+      summary: `${route.method} ${openApiPath}`,
+      parameters: [
+        ...pathParams.map(name => ({
+          name,
+          in: 'path',
+          required: true,
+          schema: /id$/i.test(name) ? { type: 'string', pattern: OBJECT_ID_PATTERN } : { type: 'string' }
+        })),
+        ...analysis.queryParams.map(name => ({ name, in: 'query', required: false, schema: { type: 'string' } }))
+      ],
+      responses: Object.fromEntries(statusCodes.sort((a, b) => a - b).map(code => {
+        if (code >= 400) return [String(code), { $ref: '#/components/responses/Error' }];
+        const response = { description: STATUS_DESCRIPTIONS[code] || 'Respuesta' };
+        if (code !== 204) response.content = { 'application/json': { schema: payload } };
+        return [String(code), response];
+      })),
+      'x-source-file': route.file
+    };
+
+    if (!route.mounted) operation['x-mounted'] = false;
+    if (operation.parameters.length === 0) delete operation.parameters;
+    if ((route.middleware || []).some(name => AUTH_MIDDLEWARE_PATTERN.test(name))) {
+      operation.security = [{ bearerAuth: [] }];
+    }
+
+    if (BODY_METHODS.includes(method)) {
+      let bodySchema = { type: 'object' };
+      if (model) {
+        bodySchema = { $ref: `#/components/schemas/${model}${method === 'post' ? 'Input' : 'Update'}` };
+      } else if (analysis.bodyFields.length > 0) {
+        bodySchema = { type: 'object', properties: Object.fromEntries(analysis.bodyFields.map(field => [field, {}])) };
+      }
+      operation.requestBody = {
+        required: method !== 'patch',
+        content: { 'application/json': { schema: bodySchema } }
+      };
+    }
+
+    spec.paths[openApiPath][method] = operation;
+  });
+
+  spec.tags = [...tags].sort().map(name => ({ name }));
+  return spec;
+};
+
+/**
+ * Genera openapi.json en el directorio del backend a partir de sus rutas, controladores y modelos.
+ *
+ * @param {string} outputPath - Directorio del backend generado
+ * @param {Object} options
+ * @param {Object} options.project - Proyecto del que se generó el backend
+ * @param {string} [options.framework='express'] - Framework del backend generado
+ * @returns {Promise<{spec: Object, filePath: string, paths: number, operations: number, warnings: Array<string>}>}
+ */
+const generateOpenApiSpec = async (outputPath, { project, framework = 'express' }) => {
+  const { routes, models, errors } = await inspectGeneratedBackend(outputPath, { framework });
+  const warnings = [...errors];
+  if (framework !== 'express') {
+    warnings.push(`Las rutas solo se extraen de backends Express; ${framework} documenta únicamente los modelos`);
+  }
+
+  const spec = buildOpenApiSpec({ project, routes, models });
+  const filePath = path.join(path.resolve(outputPath), 'openapi.json');
+  await fs.writeJson(filePath, spec, { spaces: 2 });
+
+  return {
+    spec,
+    filePath,
+    paths: Object.keys(spec.paths).length,
+    operations: Object.values(spec.paths).reduce((total, item) => total + Object.keys(item).length, 0),
+    warnings
+  };
+};
+
+module.exports = {
+  generateOpenApiSpec,
+  buildOpenApiSpec,
+  analyzeHandler,
+  mongooseSchemaToJsonSchema
+};
@@ -0,0 +1,570 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const SOURCE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.vue'];
+// Directorios que nunca contienen páginas del proyecto
+const IGNORED_DIRECTORIES = new Set(['node_modules', '.git', 'dist', 'build', 'out', '.next', '.cache', 'coverage', 'public', 'vendor']);
+// Archivos de tests, stories y declaraciones que no son páginas
+const NON_PAGE_FILE = /\.(test|spec|stories|story|d)\.[jt]sx?$/;
+
+// Función auxiliar para convertir una ruta absoluta en relativa al repositorio con separadores POSIX
+const toRepoPath = (repoDir, filePath) => path.relative(repoDir, filePath).split(path.sep).join('/');
+
+// Función auxiliar para listar recursivamente los archivos de código del repositorio (rutas relativas POSIX)
+const listSourceFiles = async (repoDir, dir = repoDir) => {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    if (entry.isDirectory()) {
+      if (!IGNORED_DIRECTORIES.has(entry.name)) files.push(...await listSourceFiles(repoDir, path.join(dir, entry.name)));
+    } else if (entry.isFile() && SOURCE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+      files.push(toRepoPath(repoDir, path.join(dir, entry.name)));
+    }
+  }
+
+  return files;
+};
+
+// Función auxiliar para leer un JSON con comentarios y comas finales (tsconfig.json, jsconfig.json)
+const readJsonWithComments = async (filePath) => {
+  try {
+    const content = await fs.readFile(filePath, 'utf8');
+    return JSON.parse(content
+      .replace(/\/\*[\s\S]*?\*\//g, '')
+      .replace(/(^|[^:"'])\/\/.*$/gm, '$1')
+      .replace(/,(\s*[}\]])/g, '$1'));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Función auxiliar para obtener las dependencias declaradas en el package.json raíz
+const readDependencies = async (repoDir) => {
+  try {
+    const packageJson = await fs.readJson(path.join(repoDir, 'package.json'));
+    return new Set([
+      ...Object.keys(packageJson.dependencies || {}),
+      ...Object.keys(packageJson.devDependencies || {})
+    ]);
+  } catch (error) {
+    return new Set();
+  }
+};
+
+/**
+ * Crea una función que resuelve el specifier de un import a un archivo de código del repositorio.
+ * Admite imports relativos, los alias de `compilerOptions.paths` de tsconfig.json/jsconfig.json,
+ * imports relativos a `baseUrl`, los alias habituales `@/` y `~/` y los archivos index.
+ *
+ * @param {string} repoDir - Raíz del repositorio
+ * @returns {Promise<Function>} (fromFile, specifier) => ruta absoluta o null
+ */
+const createImportResolver = async (repoDir) => {
+  const config = await readJsonWithComments(path.join(repoDir, 'tsconfig.json')) ||
+    await readJsonWithComments(path.join(repoDir, 'jsconfig.json')) || {};
+  const compilerOptions = config.compilerOptions || {};
+  const baseUrl = path.resolve(repoDir, compilerOptions.baseUrl || '.');
+  const aliases = Object.entries(compilerOptions.paths || {}).map(([pattern, targets]) => ({
+    prefix: pattern.replace(/\*$/, ''),
+    wildcard: pattern.endsWith('*'),
+    targets: targets.map(target => path.resolve(baseUrl, target.replace(/\*$/, '')))
+  }));
+
+  // Alias por convención cuando el proyecto no declara ninguno
+  if (aliases.length === 0) {
+    const srcDir = path.join(repoDir, 'src');
+    const appDir = path.join(repoDir, 'app');
+    aliases.push(
+      { prefix: '@/', wildcard: true, targets: [srcDir, repoDir] },
+      { prefix: '~/', wildcard: true, targets: [appDir, srcDir] }
+    );
+  }
+
+  const tryFile = (basePath) => {
+    const candidates = [
+      basePath,
+      ...SOURCE_EXTENSIONS.map(ext => basePath + ext),
+      ...SOURCE_EXTENSIONS.map(ext => path.join(basePath, `index${ext}`))
+    ];
+    return candidates.find(candidate =>
+      SOURCE_EXTENSIONS.includes(path.extname(candidate).toLowerCase()) &&
+      fs.existsSync(candidate) &&
+      fs.statSync(candidate).isFile()
+    ) || null;
+  };
+
+  return (fromFile, specifier) => {
+    if (specifier.startsWith('./') || specifier.startsWith('../')) {
+      return tryFile(path.resolve(path.dirname(fromFile), specifier));
+    }
+
+    for (const alias of aliases) {
+      const matches = alias.wildcard ? specifier.startsWith(alias.prefix) : specifier === alias.prefix;
+      if (!matches) continue;
+      const rest = alias.wildcard ? specifier.slice(alias.prefix.length) : '';
+      for (const target of alias.targets) {
+        const resolved = tryFile(path.join(target, rest));
+        if (resolved) return resolved;
+      }
+    }
+
+    // Imports "absolutos" respecto a baseUrl (p. ej. components/Button con baseUrl src)
+    if (compilerOptions.baseUrl) {
+      const resolved = tryFile(path.join(baseUrl, specifier));
+      if (resolved && !resolved.split(path.sep).includes('node_modules')) return resolved;
+    }
+
+    return null;
+  };
+};
+
+// Función auxiliar para obtener los identificadores importados de un archivo con su specifier
+// (import por defecto, import con nombre, alias "as" y componentes lazy de React)
+const parseImports = (content) => {
+  const imports = new Map();
+  let match;
+
+  const defaultImport = /import\s+([A-Za-z_$][\w$]*)\s*(?:,\s*\{[^}]*\})?\s*from\s*['"]([^'"]+)['"]/g;
+  while ((match = defaultImport.exec(content)) !== null) imports.set(match[1], match[2]);
+
+  const namedImport = /import\s+(?:[A-Za-z_$][\w$]*\s*,\s*)?\{([^}]*)\}\s*from\s*['"]([^'"]+)['"]/g;
+  while ((match = namedImport.exec(content)) !== null) {
+    const specifier = match[2];
+    match[1].split(',').forEach(part => {
+      const name = part.trim().split(/\s+as\s+/).pop();
+      if (name) imports.set(name, specifier);
+    });
+  }
+
+  const lazyImport = /(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*(?:React\.)?lazy\(\s*(?:async\s*)?\(\)\s*=>\s*import\(\s*['"]([^'"]+)['"]\s*\)/g;
+  while ((match = lazyImport.exec(content)) !== null) imports.set(match[1], match[2]);
+
+  return imports;
+};
+
+// Función auxiliar para seguir un re-export de un archivo barril (index) hasta el archivo del componente
+const followReExport = (resolve, indexFile, componentName) => {
+  if (!/^index\.[jt]sx?$/.test(path.basename(indexFile))) return indexFile;
+  const content = fs.readFileSync(indexFile, 'utf8');
+  const exportPattern = /export\s*\{([^}]*)\}\s*from\s*['"]([^'"]+)['"]/g;
+  let match;
+  while ((match = exportPattern.exec(content)) !== null) {
+    const names = match[1].split(',').map(part => part.trim().split(/\s+as\s+/).pop());
+    if (names.includes(componentName)) return resolve(indexFile, match[2]) || indexFile;
+  }
+  return indexFile;
+};
+
+// Función auxiliar para leer una expresión entre llaves balanceadas a partir de la llave de apertura
+const readBalanced = (content, openIndex) => {
+  let depth = 0;
+  for (let i = openIndex; i < content.length; i++) {
+    if (content[i] === '{') depth++;
+    else if (content[i] === '}' && --depth === 0) return content.slice(openIndex, i + 1);
+  }
+  return content.slice(openIndex);
+};
+
+// Función auxiliar para leer una etiqueta JSX completa desde su "<" (los atributos pueden contener ">" dentro de llaves)
+const readJsxTag = (content, start) => {
+  let depth = 0;
+  let quote = null;
+  for (let i = start + 1; i < content.length; i++) {
+    const char = content[i];
+    if (quote) {
+      if (char === quote && content[i - 1] !== '\\') quote = null;
+    } else if (depth === 0 && (char === '"' || char === "'")) {
+      quote = char;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+    } else if (char === '>' && depth === 0) {
+      return { attrs: content.slice(start, i + 1), selfClosing: content[i - 1] === '/', end: i + 1 };
+    }
+  }
+  return null;
+};
+
+// Función auxiliar para unir la ruta de un padre con la de una ruta anidada (las absolutas no se anidan)
+const joinRoutePaths = (parent, child) => {
+  if (child.startsWith('/')) return child.replace(/\/+$/, '') || '/';
+  const joined = `${parent.replace(/\/+$/, '')}/${child}`.replace(/\/{2,}/g, '/').replace(/\/+$/, '');
+  return joined.startsWith('/') ? joined || '/' : `/${joined}`;
+};
+
+// Función auxiliar para obtener los componentes candidatos de una expresión element={...},
+// del más interno al más externo (<Protected><Dashboard /></Protected> devuelve Dashboard primero)
+const getElementComponents = (expression) =>
+  [...expression.matchAll(/<\s*([A-Z][\w.]*)/g)].map(match => match[1]).reverse();
+
+// Función auxiliar para extraer las rutas declaradas con <Route> (React Router v5/v6), incluidas las anidadas
+const collectJsxRoutes = (content) => {
+  const routes = [];
+  const stack = [];
+  const pattern = /<Route\b|<\/Route\s*>/g;
+  let match;
+
+  while ((match = pattern.exec(content)) !== null) {
+    if (match[0].startsWith('</')) {
+      stack.pop();
+      continue;
+    }
+
+    const tag = readJsxTag(content, match.index);
+    if (!tag) break;
+    pattern.lastIndex = tag.end;
+
+    const parent = stack.length > 0 ? stack[stack.length - 1] : '';
+    const pathMatch = tag.attrs.match(/\bpath\s*=\s*\{?\s*(['"`])([^'"`]*)\1/);
+    const isIndex = /\sindex(?=[\s/>=])/.test(tag.attrs);
+    const fullPath = pathMatch ? joinRoutePaths(parent, pathMatch[2]) : (parent || '/');
+
+    const elementStart = tag.attrs.search(/\belement\s*=\s*\{/);
+    const components = elementStart >= 0
+      ? getElementComponents(readBalanced(tag.attrs, tag.attrs.indexOf('{', elementStart)))
+      : [(tag.attrs.match(/\b[cC]omponent\s*=\s*\{\s*([A-Z][\w.]*)\s*\}/) || [])[1]].filter(Boolean);
+
+    if (components.length > 0 && (pathMatch || isIndex)) {
+      routes.push({ route: fullPath, components });
+    }
+    if (!tag.selfClosing) stack.push(fullPath);
+  }
+
+  return routes;
+};
+
+// Función auxiliar para encontrar la llave que abre el objeto que contiene una posición
+const findEnclosingBrace = (content, index) => {
+  let depth = 0;
+  for (let i = index - 1; i >= 0; i--) {
+    if (content[i] === '}') depth++;
+    else if (content[i] === '{' && depth-- === 0) return i;
+  }
+  return -1;
+};
+
+// Función auxiliar para extraer las rutas declaradas como objetos ({ path, element | Component | component, children }),
+// el formato de createBrowserRouter/useRoutes de React Router y de Vue Router
+const collectObjectRoutes = (content) => {
+  const objects = [];
+  const pattern = /\bpath\s*:\s*(['"`])([^'"`]*)\1/g;
+  let match;
+
+  while ((match = pattern.exec(content)) !== null) {
+    const start = findEnclosingBrace(content, match.index);
+    if (start < 0) continue;
+    const text = readBalanced(content, start);
+    objects.push({ start, end: start + text.length, path: match[2], text });
+  }
+
+  return objects.flatMap(object => {
+    const ancestors = objects
+      .filter(other => other !== object && other.start < object.start && other.end >= object.end)
+      .sort((a, b) => a.start - b.start);
+    const route = [...ancestors, object].reduce((parent, current) => joinRoutePaths(parent, current.path), '');
+
+    // Quitar los objetos hijos para no tomar su componente como el de este objeto
+    let ownText = object.text;
+    objects
+      .filter(other => other !== object && other.start > object.start && other.end <= object.end)
+      .forEach(child => {
+        ownText = ownText.replace(child.text, '');
+      });
+
+    const elementStart = ownText.search(/\belement\s*:\s*</);
+    const components = [
+      ...(elementStart >= 0 ? getElementComponents(ownText.slice(elementStart).split(/,\s*\w+\s*:/)[0]) : []),
+      ...[(ownText.match(/\b[cC]omponent\s*:\s*([A-Z][\w.]*)/) || [])[1]].filter(Boolean)
+    ];
+    const lazyImport = ownText.match(/\b(?:[cC]omponent|lazy)\s*:\s*(?:async\s*)?\(\)\s*=>\s*import\(\s*['"]([^'"]+)['"]/);
+
+    if (components.length === 0 && !lazyImport) return [];
+    return [{ route, components, specifier: lazyImport ? lazyImport[1] : null }];
+  });
+};
+
+// Función auxiliar para obtener el nombre del componente exportado por defecto de una página
+const getDefaultExportName = (content) => {
+  const match = content.match(/export\s+default\s+(?:async\s+)?(?:function|class)\s+([A-Z][\w$]*)/) ||
+    content.match(/export\s+default\s+([A-Z][\w$]*)\s*;?\s*$/m);
+  return match ? match[1] : null;
+};
+
+// Función auxiliar para crear la entrada de una página descubierta
+const createPage = (context, relativePath, route, name) => {
+  const filePath = path.join(context.repoDir, relativePath);
+  const extension = path.extname(relativePath);
+  return {
+    name: name || path.basename(relativePath, extension),
+    path: filePath,
+    extension,
+    sourcePath: relativePath,
+    route
+  };
+};
+
+// Función auxiliar para nombrar una página de enrutado por archivos (Next.js, Remix) por su componente o su ruta
+const nameFileRoute = async (context, relativePath, route) => {
+  const content = await fs.readFile(path.join(context.repoDir, relativePath), 'utf8');
+  const exported = getDefaultExportName(content);
+  if (exported && !['Page', 'Route', 'Component'].includes(exported)) return exported;
+  return route === '/' ? 'Home' : route;
+};
+
+// Función auxiliar para convertir los segmentos dinámicos de Next.js ([id], [...slug], [[...slug]]) al formato :param
+const toNextSegment = (segment) => segment
+  .replace(/^\[\[\.\.\.(\w+)\]\]$/, '*')
+  .replace(/^\[\.\.\.(\w+)\]$/, '*')
+  .replace(/^\[(\w+)\]$/, ':$1');
+
+// Next.js: app router (app/**/page.tsx) y pages router (pages/**) en el mismo proyecto
+const nextjsStrategy = {
+  name: 'nextjs',
+  framework: 'Next.js',
+  detect: async (context) => context.dependencies.has('next') ||
+    context.files.some(file => /^(src\/)?app\/(.+\/)?page\.[jt]sx?$/.test(file)),
+  discover: async (context) => {
+    const pages = [];
+
+    for (const file of context.files) {
+      const appMatch = file.match(/^(?:src\/)?app\/(?:(.+)\/)?page\.[jt]sx?$/);
+      if (appMatch) {
+        const segments = (appMatch[1] || '').split('/').filter(Boolean);
+        // Carpetas privadas (_components) no generan rutas; los grupos (x) y slots @x no aparecen en la URL
+        if (segments.some(segment => segment.startsWith('_'))) continue;
+        const route = '/' + segments
+          .filter(segment => !/^\(.*\)$/.test(segment) && !segment.startsWith('@'))
+          .map(toNextSegment)
+          .join('/');
+        pages.push(createPage(context, file, route, await nameFileRoute(context, file, route)));
+        continue;
+      }
+
+      const pagesMatch = file.match(/^(?:src\/)?pages\/(.+)\.[jt]sx?$/);
+      if (pagesMatch && !pagesMatch[1].startsWith('api/') && !/(^|\/)_/.test(pagesMatch[1]) && !NON_PAGE_FILE.test(file)) {
+        const segments = pagesMatch[1].split('/').filter(segment => segment !== 'index');
+        const route = '/' + segments.map(toNextSegment).join('/');
+        pages.push(createPage(context, file, route, await nameFileRoute(context, file, route)));
+      }
+    }
+
+    return pages;
+  }
+};
+
+// Función auxiliar para convertir el nombre de un archivo de rutas de Remix (flat routes) en su ruta
+const toRemixRoute = (routeName) => {
+  const segments = routeName
+    .split('.')
+    .filter(segment => segment !== '_index' && segment !== 'route' && !segment.startsWith('_'))
+    .map(segment => segment
+      .replace(/_$/, '')
+      .replace(/^\(\$(\w+)\)$/, ':$1?')
+      .replace(/^\$$/, '*')
+      .replace(/^\$(\w+)$/, ':$1'));
+  return '/' + segments.join('/');
+};
+
+// Remix: app/routes con la convención de rutas planas (posts.$id.tsx o posts.$id/route.tsx)
+const remixStrategy = {
+  name: 'remix',
+  framework: 'Remix',
+  detect: async (context) => [...context.dependencies].some(dependency => dependency.startsWith('@remix-run/')) &&
+    context.files.some(file => file.startsWith('app/routes/')),
+  discover: async (context) => {
+    const pages = [];
+
+    for (const file of context.files) {
+      const match = file.match(/^app\/routes\/(?:([^/]+)\/route|([^/]+))\.[jt]sx?$/);
+      if (!match || NON_PAGE_FILE.test(file)) continue;
+      const routeName = match[1] || match[2];
+      // Los módulos .server/.client son código auxiliar, no rutas
+      if (/\.(server|client)$/.test(routeName)) continue;
+      const route = toRemixRoute(routeName);
+      pages.push(createPage(context, file, route, await nameFileRoute(context, file, route)));
+    }
+
+    return pages;
+  }
+};
+
+// React Router / Vue Router: rutas declaradas en código (<Route>, createBrowserRouter, useRoutes, routes: [...])
+const routerConfigStrategy = {
+  name: 'router-config',
+  framework: 'React Router / Vue Router',
+  detect: async (context) => ['react-router', 'react-router-dom', 'vue-router', '@tanstack/react-router']
+    .some(dependency => context.dependencies.has(dependency)) ||
+    context.files.some(file => /(^|\/)(router|routes)\.[jt]sx?$/i.test(file)),
+  discover: async (context) => {
+    const pages = [];
+    const seenFiles = new Set();
+
+    for (const file of context.files) {
+      if (NON_PAGE_FILE.test(file) || file.endsWith('.vue')) continue;
+      const filePath = path.join(context.repoDir, file);
+      const content = await fs.readFile(filePath, 'utf8');
+      if (!/<Route\b|\bpath\s*:/.test(content)) continue;
+
+      const imports = parseImports(content);
+      const routes = [...collectJsxRoutes(content), ...collectObjectRoutes(content)];
+
+      for (const route of routes) {
+        let componentFile = route.specifier ? context.resolveImport(filePath, route.specifier) : null;
+        let componentName = componentFile ? path.basename(componentFile, path.extname(componentFile)) : null;
+
+        for (const component of route.components) {
+          if (componentFile) break;
+          const specifier = imports.get(component.split('.')[0]);
+          const resolved = specifier ? context.resolveImport(filePath, specifier) : null;
+          if (resolved) {
+            componentFile = followReExport(context.resolveImport, resolved, component);
+            componentName = component;
+          }
+        }
+
+        if (!componentFile || seenFiles.has(componentFile)) continue;
+        seenFiles.add(componentFile);
+        pages.push(createPage(context, toRepoPath(context.repoDir, componentFile), route.route, componentName));
+      }
+    }
+
+    return pages;
+  }
+};
+
+// Carpeta pages/Pages sin enrutado por archivos (el comportamiento original: solo archivos de primer nivel)
+const PAGES_DIRECTORY_CANDIDATES = ['pages', 'Pages', 'src/pages', 'src/Pages', 'app/pages', 'app/Pages'];
+
+const pagesDirectoryStrategy = {
+  name: 'pages-directory',
+  framework: null,
+  detect: async (context) => PAGES_DIRECTORY_CANDIDATES.some(dir => fs.existsSync(path.join(context.repoDir, dir))),
+  discover: async (context) => {
+    const pagesDir = PAGES_DIRECTORY_CANDIDATES.find(dir => fs.existsSync(path.join(context.repoDir, dir)));
+    return context.files
+      .filter(file => path.posix.dirname(file) === pagesDir && !NON_PAGE_FILE.test(file))
+      .map(file => createPage(context, file, null));
+  }
+};
+
+// Función auxiliar para convertir un nombre de componente en segmento de URL (ProductDetailPage -> product-detail)
+const toKebabCase = (name) => name
+  .replace(/Page$/, '')
+  .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+  .toLowerCase();
+
+// Carpetas por funcionalidad: componentes *Page en cualquier carpeta (p. ej. src/features/*/XPage.tsx)
+const featureFoldersStrategy = {
+  name: 'feature-folders',
+  framework: null,
+  detect: async (context) => context.files.some(file => /(^|\/)[A-Z]\w*Page\.(jsx?|tsx?|vue)$/.test(file)),
+  discover: async (context) => context.files
+    .filter(file => /(^|\/)[A-Z]\w*Page\.(jsx?|tsx?|vue)$/.test(file) && !NON_PAGE_FILE.test(file))
+    .map(file => {
+      const name = path.basename(file, path.extname(file));
+      return createPage(context, file, `/${toKebabCase(name)}`, name);
+    })
+};
+
+// Estrategias en orden de prioridad: se usa la primera que detecta el proyecto y encuentra páginas
+const PAGE_DISCOVERY_STRATEGIES = [
+  nextjsStrategy,
+  remixStrategy,
+  routerConfigStrategy,
+  pagesDirectoryStrategy,
+  featureFoldersStrategy
+];
+
+/**
+ * Registra una estrategia de descubrimiento de páginas adicional.
+ *
+ * @param {Object} strategy - { name, framework, detect(context), discover(context) }
+ * @param {Object} [options]
+ * @param {string} [options.before] - Nombre de la estrategia delante de la que se inserta (por defecto, al final)
+ */
+const registerPageDiscoveryStrategy = (strategy, { before } = {}) => {
+  if (!strategy || !strategy.name || typeof strategy.detect !== 'function' || typeof strategy.discover !== 'function') {
+    throw new Error('La estrategia debe tener name, detect() y discover()');
+  }
+  const existingIndex = PAGE_DISCOVERY_STRATEGIES.findIndex(other => other.name === strategy.name);
+  if (existingIndex >= 0) PAGE_DISCOVERY_STRATEGIES.splice(existingIndex, 1);
+  const index = before ? PAGE_DISCOVERY_STRATEGIES.findIndex(other => other.name === before) : -1;
+  PAGE_DISCOVERY_STRATEGIES.splice(index >= 0 ? index : PAGE_DISCOVERY_STRATEGIES.length, 0, strategy);
+};
+
+/**
+ * Descubre las páginas de un repositorio clonado con la primera estrategia que detecta su estructura
+ * (Next.js, Remix, configuración de React Router/Vue Router, carpeta pages o carpetas por funcionalidad).
+ * Cada página incluye su archivo, la ruta real cuando el framework la define (null si no) y el nombre
+ * de su componente.
+ *
+ * @param {string} repoDir - Raíz del repositorio clonado
+ * @returns {Promise<{strategy: string|null, framework: string|null, pages: Array, strategiesTried: Array<string>}>}
+ */
+const discoverPages = async (repoDir) => {
+  const context = {
+    repoDir,
+    files: await listSourceFiles(repoDir),
+    dependencies: await readDependencies(repoDir),
+    resolveImport: await createImportResolver(repoDir)
+  };
+  const strategiesTried = [];
+
+  for (const strategy of PAGE_DISCOVERY_STRATEGIES) {
+    if (!await strategy.detect(context)) continue;
+    strategiesTried.push(strategy.name);
+    const pages = await strategy.discover(context);
+    if (pages.length > 0) {
+      return { strategy: strategy.name, framework: strategy.framework || null, pages, strategiesTried };
+    }
+  }
+
+  return { strategy: null, framework: null, pages: [], strategiesTried };
+};
+
+/**
+ * Obtiene los componentes locales que importa una página (imports relativos, alias y archivos index),
+ * con su contenido recortado para incluirlo en el prompt.
+ *
+ * @param {string} pageFilePath - Ruta absoluta de la página
+ * @param {string} repoDir - Raíz del repositorio
+ * @param {Function} [resolveImport] - Resolutor creado con createImportResolver (se crea si no se pasa)
+ * @returns {Promise<Array<{name: string, path: string, content: string}>>}
+ */
+const getImportedComponents = async (pageFilePath, repoDir, resolveImport) => {
+  try {
+    const resolve = resolveImport || await createImportResolver(repoDir);
+    const pageContent = await fs.readFile(pageFilePath, 'utf8');
+    const importRegex = /import\s+.*?from\s+['"]([^'"]+)['"]/g;
+    const imports = [];
+    let match;
+
+    while ((match = importRegex.exec(pageContent)) !== null) {
+      const importPath = match[1];
+      const fullPath = resolve(pageFilePath, importPath);
+      if (!fullPath || imports.some(component => component.path === fullPath)) continue;
+
+      const componentContent = await fs.readFile(fullPath, 'utf8');
+      imports.push({
+        name: path.basename(importPath),
+        path: fullPath,
+        content: componentContent.substring(0, 2000) // Limitar contenido
+      });
+    }
+
+    return imports;
+  } catch (error) {
+    console.error('Error obteniendo componentes importados:', error);
+    return [];
+  }
+};
+
+module.exports = {
+  PAGE_DISCOVERY_STRATEGIES,
+  registerPageDiscoveryStrategy,
+  discoverPages,
+  createImportResolver,
+  getImportedComponents
+};
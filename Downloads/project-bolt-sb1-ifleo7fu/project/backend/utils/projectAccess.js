@@ -0,0 +1,54 @@
+// Roles de un proyecto de menor a mayor permiso (el propietario es el userId del proyecto)
+const PROJECT_ROLES = ['viewer', 'editor', 'owner'];
+// Roles que se pueden asignar a un miembro o a una invitación
+const MEMBER_ROLES = ['editor', 'viewer'];
+const INVITATION_TTL_MS = 14 * 24 * 60 * 60 * 1000;
+
+// Función auxiliar para comparar ids de Mongo o strings
+const sameId = (a, b) => a != null && b != null && String(a) === String(b);
+
+/**
+ * Rol de un usuario en un proyecto: owner si es su propietario, el rol del miembro si lo es, o null.
+ *
+ * @param {Object} project - Proyecto
+ * @param {string} userId - Usuario
+ * @returns {string|null} owner, editor, viewer o null si no tiene acceso
+ */
+const getProjectRole = (project, userId) => {
+  if (!project || !userId) return null;
+  if (sameId(project.userId, userId)) return 'owner';
+  const member = (project.members || []).find(item => sameId(item.userId, userId));
+  return member ? member.role : null;
+};
+
+// Función auxiliar para saber si un rol alcanza el rol mínimo requerido
+const hasProjectRole = (role, minRole) =>
+  PROJECT_ROLES.indexOf(role) >= 0 && PROJECT_ROLES.indexOf(role) >= PROJECT_ROLES.indexOf(minRole);
+
+// Filtro de Mongo para los proyectos activos a los que un usuario tiene acceso (propios o como miembro)
+const accessibleProjectsFilter = (userId) => ({
+  isActive: true,
+  $or: [
+    { userId },
+    { members: { $elemMatch: { userId } } }
+  ]
+});
+
+// Función auxiliar para normalizar emails de invitaciones
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// Función auxiliar para saber si una invitación sigue pendiente (no aceptada, rechazada, revocada ni caducada)
+const isInvitationPending = (invitation, now = new Date()) =>
+  invitation.status === 'pending' && (!invitation.expiresAt || invitation.expiresAt > now);
+
+module.exports = {
+  PROJECT_ROLES,
+  MEMBER_ROLES,
+  INVITATION_TTL_MS,
+  sameId,
+  getProjectRole,
+  hasProjectRole,
+  accessibleProjectsFilter,
+  normalizeEmail,
+  isInvitationPending
+};
@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { toAcceptanceCriteria, getCriteriaTexts } = require('./acceptanceCriteria');
+
+const PRIORITY_MAP = {
+  'alta': 'high',
+  'media': 'medium',
+  'baja': 'low'
+};
+
+// Función auxiliar para calcular el hash del código de una página (detecta si cambió desde la última sincronización)
+const hashPageSource = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+// Función auxiliar para generar la ruta de una página a partir de su nombre
+const toPageRoute = (pageName) => {
+  const generatedRoute = pageName
+    .toLowerCase()
+    .replace(/\s+/g, '-') // Reemplazar espacios con guiones
+    .replace(/[^a-z0-9-\/]/g, ''); // Permitir solo alfanuméricos, guiones y barras
+  return generatedRoute || pageName.toLowerCase().replace(/\s+/g, '-');
+};
+
+// Función auxiliar para comparar títulos de historias sin mayúsculas, acentos ni puntuación
+const normalizeTitle = (title) => String(title || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+/**
+ * Busca la página del proyecto que corresponde a un archivo de páginas descubierto en el repositorio:
+ * primero por ruta del archivo y, para páginas sincronizadas antes de guardar la ruta, por ruta de la
+ * página o por nombre. Las páginas creadas a mano (sin sourcePath) también se emparejan por ruta o nombre.
+ *
+ * @param {Array} pages - Páginas del proyecto
+ * @param {{name: string, sourcePath: string, route: string|null}} pageFile - Archivo descubierto (sourcePath
+ *   relativo al repositorio; route es la ruta real del framework o null si no la define)
+ * @param {Set} [claimed] - Páginas ya emparejadas con otro archivo en esta sincronización
+ * @returns {Object|null} Página existente o null si es nueva
+ */
+const findSyncedPage = (pages, pageFile, claimed = new Set()) => {
+  const available = pages.filter(page => !claimed.has(page));
+  const routes = [pageFile.route, toPageRoute(pageFile.name)].filter(Boolean);
+
+  return available.find(page => page.sourcePath === pageFile.sourcePath) ||
+    available.find(page => !page.sourcePath && routes.includes(page.route)) ||
+    available.find(page => !page.sourcePath && page.name === pageFile.name) ||
+    null;
+};
+
+/**
+ * Fusiona las historias detectadas por la IA con las existentes de la página sin perder el trabajo hecho:
+ * las que coinciden por título conservan id, estado, estimación y prioridad y solo actualizan la
+ * descripción y los criterios de aceptación; las nuevas se agregan. Las que la IA ya no detecta se mantienen tal cual.
+ *
+ * @param {Object} page - Página del proyecto (subdocumento de Mongoose)
+ * @param {Array} storiesFromLLM - Historias devueltas por la IA ({ title, description, priority, estimatedHours, acceptanceCriteria })
+ * @returns {{added: number, updated: number}} Historias agregadas y actualizadas
+ */
+const mergeSyncedUserStories = (page, storiesFromLLM) => {
+  const result = { added: 0, updated: 0 };
+  const existingByTitle = new Map(page.userStories.map(story => [normalizeTitle(story.title), story]));
+
+  storiesFromLLM.forEach(storyData => {
+    if (!storyData || !storyData.title) return;
+    const existing = existingByTitle.get(normalizeTitle(storyData.title));
+
+    if (existing) {
+      existing.orphaned = false;
+      const criteria = getCriteriaTexts(storyData.acceptanceCriteria);
+      const criteriaChanged = criteria.length > 0 && criteria.join('\n') !== getCriteriaTexts(existing.acceptanceCriteria).join('\n');
+      if ((storyData.description && existing.description !== storyData.description) || criteriaChanged) {
+        if (storyData.description) existing.description = storyData.description;
+        // Los criterios que no cambian conservan si están completados y su resultado de CI
+        if (criteriaChanged) existing.acceptanceCriteria = toAcceptanceCriteria(criteria, existing.acceptanceCriteria);
+        result.updated++;
+      }
+      return;
+    }
+
+    const newUserStory = {
+      id: uuidv4(),
+      title: storyData.title,
+      description: storyData.description,
+      priority: PRIORITY_MAP[(storyData.priority || '').toLowerCase()] || 'medium',
+      status: 'completed', // Las historias sincronizadas describen funcionalidad ya implementada
+      estimatedHours: storyData.estimatedHours || 0,
+      acceptanceCriteria: toAcceptanceCriteria(storyData.acceptanceCriteria),
+      source: 'sync'
+    };
+    page.userStories.push(newUserStory);
+    existingByTitle.set(normalizeTitle(storyData.title), page.userStories[page.userStories.length - 1]);
+    result.added++;
+  });
+
+  return result;
+};
+
+/**
+ * Marca como eliminadas las páginas sincronizadas cuyo archivo ya no existe en el repositorio y
+ * señala sus historias como huérfanas (no se borran: conservan estado y estimación).
+ * Las páginas creadas a mano (sin sourcePath) no se tocan.
+ *
+ * @param {Array} pages - Páginas del proyecto
+ * @param {Set} seenPages - Páginas emparejadas con algún archivo en esta sincronización
+ * @returns {Array} Páginas marcadas como eliminadas en esta sincronización
+ */
+const markRemovedPages = (pages, seenPages) => {
+  const removed = [];
+
+  pages.forEach(page => {
+    if (seenPages.has(page) || !page.sourcePath || page.syncStatus === 'removed') return;
+    page.syncStatus = 'removed';
+    page.userStories.forEach(story => {
+      story.orphaned = true;
+    });
+    removed.push(page);
+  });
+
+  return removed;
+};
+
+// Función auxiliar para generar la descripción provisional de una página creada por la sincronización
+const placeholderDescription = (pageName) => `Página ${pageName} generada durante la sincronización.`;
+
+/**
+ * Indica si la sincronización puede reescribir la descripción de una página cuyo código cambió.
+ * Las descripciones escritas a mano se respetan. Las páginas guardadas antes de registrar el origen
+ * de la descripción solo se reescriben si la tienen vacía o conservan la provisional de la sincronización.
+ *
+ * @param {Object} page - Página del proyecto
+ * @returns {boolean} true si la descripción se puede regenerar
+ */
+const canRegenerateDescription = (page) => {
+  if (page.descriptionSource) return page.descriptionSource !== 'manual';
+  return !page.description || page.description === placeholderDescription(page.name);
+};
+
+// Función auxiliar para describir una página en el informe de cambios de la sincronización
+const describePageChange = (page, details = {}) => ({
+  id: page.id,
+  name: page.name,
+  route: page.route,
+  sourcePath: page.sourcePath,
+  ...details
+});
+
+module.exports = {
+  hashPageSource,
+  toPageRoute,
+  normalizeTitle,
+  findSyncedPage,
+  mergeSyncedUserStories,
+  markRemovedPages,
+  placeholderDescription,
+  canRegenerateDescription,
+  describePageChange
+};
@@ -0,0 +1,357 @@
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const simpleGit = require('simple-git');
+
+const REPOSITORY_PROVIDERS = ['github', 'gitlab', 'gitea', 'bitbucket', 'generic'];
+const CREDENTIAL_TYPES = ['token', 'deploy-key'];
+const CREDENTIALS_KEY_ENV = 'REPOSITORY_CREDENTIALS_KEY';
+const ENCRYPTION_VERSION = 'v1';
+
+// Usuario con el que cada proveedor acepta un token por HTTPS (null: el token va como usuario)
+const TOKEN_USERNAMES = {
+  github: 'x-access-token',
+  gitlab: 'oauth2',
+  bitbucket: 'x-token-auth',
+  gitea: null,
+  generic: null
+};
+
+// Commit completo o abreviado (un ref con solo hexadecimales de 7 a 40 caracteres se trata como commit)
+const COMMIT_SHA = /^[0-9a-f]{7,40}$/i;
+const SSH_URL = /^(ssh:\/\/[^\s]+|[\w.-]+@[\w.-]+:[^\s]+)$/;
+const LOCAL_URL = /^file:\/\//i;
+
+// Función auxiliar para saber si se aceptan repositorios file:// del propio servidor (solo pruebas y desarrollo)
+const areLocalRepositoriesAllowed = () => process.env.ALLOW_LOCAL_REPOSITORIES === 'true';
+
+/**
+ * Indica si una URL es un repositorio Git clonable: HTTP(S) de cualquier host (GitHub, GitLab,
+ * Gitea, Bitbucket...), SSH (ssh://host/repo o git@host:repo) o, solo con ALLOW_LOCAL_REPOSITORIES=true,
+ * file:// para pruebas locales.
+ *
+ * @param {string} value - URL del repositorio
+ * @returns {boolean}
+ */
+const isRepositoryUrl = (value) => {
+  if (typeof value !== 'string' || !value.trim()) return false;
+  const url = value.trim();
+  if (SSH_URL.test(url)) return true;
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol === 'file:') return areLocalRepositoriesAllowed() && parsed.pathname.length > 1;
+    return ['http:', 'https:'].includes(parsed.protocol) && !!parsed.hostname && parsed.pathname.length > 1;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Función auxiliar para indicar si la URL se clona por HTTP(S) (donde se usan tokens)
+const isHttpUrl = (url) => /^https?:\/\//i.test(url);
+
+// Función auxiliar para obtener el host de una URL HTTP(S) o SSH
+const getRepositoryHost = (url) => {
+  const scpLike = url.match(/^[\w.-]+@([\w.-]+):/);
+  if (scpLike) return scpLike[1].toLowerCase();
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return '';
+  }
+};
+
+/**
+ * Deduce el proveedor del repositorio a partir del host de su URL.
+ *
+ * @param {string} url - URL del repositorio
+ * @returns {string} github, gitlab, gitea, bitbucket o generic
+ */
+const detectRepositoryProvider = (url) => {
+  const host = getRepositoryHost(String(url || ''));
+  if (host.includes('github')) return 'github';
+  if (host.includes('gitlab')) return 'gitlab';
+  if (host.includes('bitbucket')) return 'bitbucket';
+  if (host.includes('gitea') || host.includes('codeberg') || host.includes('forgejo')) return 'gitea';
+  return 'generic';
+};
+
+// Función auxiliar para obtener la clave de cifrado de las credenciales (derivada de REPOSITORY_CREDENTIALS_KEY)
+const getEncryptionKey = () => {
+  const secret = process.env[CREDENTIALS_KEY_ENV];
+  if (!secret) {
+    throw new Error(`${CREDENTIALS_KEY_ENV} no está configurada: es necesaria para guardar y usar credenciales de repositorios`);
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * Cifra un secreto (token o clave privada) con AES-256-GCM.
+ *
+ * @param {string} plainText - Secreto en claro
+ * @returns {string} "v1:<iv>:<tag>:<datos>" en base64
+ */
+const encryptSecret = (plainText) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(String(plainText), 'utf8'), cipher.final()]);
+  return [ENCRYPTION_VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), encrypted.toString('base64')].join(':');
+};
+
+/**
+ * Descifra un secreto guardado con encryptSecret.
+ *
+ * @param {string} stored - Secreto cifrado
+ * @returns {string} Secreto en claro
+ */
+const decryptSecret = (stored) => {
+  const [version, iv, tag, data] = String(stored || '').split(':');
+  if (version !== ENCRYPTION_VERSION || !iv || !tag || !data) {
+    throw new Error('Formato de credencial cifrada no válido');
+  }
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new Error(`No se pudo descifrar la credencial del repositorio (¿cambió ${CREDENTIALS_KEY_ENV}?)`);
+  }
+};
+
+/**
+ * Devuelve la configuración pública del repositorio de un proyecto, sin secretos.
+ *
+ * @param {Object} project - Proyecto
+ * @returns {Object} url, provider, ref, shallow y credentials ({ type, username, configuredAt } o null)
+ */
+const serializeRepository = (project) => {
+  const repository = project.repository || {};
+  const credentials = repository.credentials;
+  return {
+    url: project.githubUrl || '',
+    provider: repository.provider || detectRepositoryProvider(project.githubUrl),
+    ref: repository.ref || null,
+    shallow: repository.shallow !== false,
+    credentials: credentials && credentials.encryptedSecret
+      ? { type: credentials.type, username: credentials.username || null, configuredAt: credentials.configuredAt || null }
+      : null
+  };
+};
+
+// Función auxiliar para crear el cliente Git con las credenciales del proyecto. Los secretos no van en la URL
+// ni en los argumentos: el token se pasa como cabecera HTTP por variables GIT_CONFIG_* y la deploy key se
+// escribe en un archivo temporal con permisos 0600 que se borra en cleanup()
+const createAuthenticatedGit = async (project, baseDir) => {
+  const url = project.githubUrl;
+  const repository = project.repository || {};
+  const credentials = repository.credentials;
+  const env = { ...process.env, GIT_TERMINAL_PROMPT: '0' };
+  // También cubre los clones en caché de un repositorio file:// creados antes de desactivar la opción
+  if (LOCAL_URL.test(url || '') && !areLocalRepositoriesAllowed()) {
+    throw new Error('Los repositorios file:// solo se permiten con ALLOW_LOCAL_REPOSITORIES=true (pruebas y desarrollo)');
+  }
+  let keyDir = null;
+
+  if (credentials && credentials.encryptedSecret) {
+    const secret = decryptSecret(credentials.encryptedSecret);
+
+    if (credentials.type === 'deploy-key') {
+      if (isHttpUrl(url)) {
+        throw new Error('Las deploy keys requieren una URL SSH del repositorio (git@host:org/repo.git)');
+      }
+      keyDir = await fs.mkdtemp(path.join(os.tmpdir(), 'repo-key-'));
+      const keyPath = path.join(keyDir, 'id_deploy');
+      await fs.writeFile(keyPath, secret.endsWith('\n') ? secret : `${secret}\n`, { mode: 0o600 });
+      env.GIT_SSH_COMMAND = `ssh -i "${keyPath}" -o IdentitiesOnly=yes -o StrictHostKeyChecking=accept-new`;
+    } else if (isHttpUrl(url)) {
+      const provider = repository.provider || detectRepositoryProvider(url);
+      const username = credentials.username || TOKEN_USERNAMES[provider];
+      const basic = Buffer.from(username ? `${username}:${secret}` : `${secret}:`).toString('base64');
+      env.GIT_CONFIG_COUNT = '1';
+      env.GIT_CONFIG_KEY_0 = 'http.extraHeader';
+      env.GIT_CONFIG_VALUE_0 = `Authorization: Basic ${basic}`;
+    }
+  }
+
+  const git = (baseDir ? simpleGit(baseDir) : simpleGit()).env(env);
+  const cleanup = async () => {
+    if (keyDir) await fs.remove(keyDir);
+  };
+  return { git, cleanup };
+};
+
+// Función auxiliar para quitar credenciales embebidas en la URL de los mensajes de error de Git
+const sanitizeGitError = (error) => {
+  const message = String(error && error.message || error).replace(/(\w+:\/\/)[^/@\s]+@/g, '$1***@');
+  return new Error(message);
+};
+
+/**
+ * Clona el repositorio de un proyecto en un directorio con sus credenciales, el ref configurado
+ * (rama, tag o commit) y, por defecto, con historial superficial (--depth 1).
+ *
+ * @param {Object} project - Proyecto (githubUrl y repository)
+ * @param {string} targetDir - Directorio destino (vacío o inexistente)
+ * @param {Object} [options]
+ * @param {string} [options.ref] - Rama, tag o commit (por defecto repository.ref o la rama por defecto)
+ * @param {boolean} [options.shallow] - Clonado superficial (por defecto repository.shallow, true)
+ * @param {string} [options.commit] - Commit exacto a dejar en el árbol de trabajo (p. ej. el analizado antes)
+ * @returns {Promise<{headCommit: string, ref: string|null, shallow: boolean}>}
+ */
+const cloneProjectRepository = async (project, targetDir, options = {}) => {
+  const url = project.githubUrl;
+  if (!isRepositoryUrl(url)) {
+    throw new Error(`La URL del repositorio no es válida: ${url}`);
+  }
+
+  const repository = project.repository || {};
+  const ref = options.ref !== undefined ? options.ref : (repository.ref || null);
+  const shallow = options.shallow !== undefined ? options.shallow : repository.shallow !== false;
+  const depthArgs = shallow ? ['--depth', '1'] : [];
+  await fs.ensureDir(targetDir);
+  const { git, cleanup } = await createAuthenticatedGit(project, targetDir);
+
+  try {
+    if (ref && COMMIT_SHA.test(ref) && (ref.length === 40 || !shallow)) {
+      // Un commit no se puede pedir con --branch: se inicializa el repositorio y se trae ese commit
+      await git.init();
+      await git.addRemote('origin', url);
+      await git.fetch(['origin', ...(ref.length === 40 ? [...depthArgs, ref] : [])]);
+      await git.checkout(['--detach', ref.length === 40 ? 'FETCH_HEAD' : ref]);
+    } else {
+      if (ref && COMMIT_SHA.test(ref)) {
+        throw new Error(`El commit abreviado ${ref} requiere clonado completo (shallow: false) o el hash completo de 40 caracteres`);
+      }
+      await git.clone(url, targetDir, [...depthArgs, ...(ref ? ['--branch', ref, '--single-branch'] : [])]);
+    }
+
+    if (options.commit) {
+      await fetchCommitWithGit(git, options.commit);
+      await git.checkout(['--detach', options.commit]);
+    }
+
+    const headCommit = (await git.revparse(['HEAD'])).trim();
+    return { headCommit, ref, shallow };
+  } catch (error) {
+    throw sanitizeGitError(error);
+  } finally {
+    await cleanup();
+  }
+};
+
+// Función auxiliar para traer un commit que no está en un clon superficial
+const fetchCommitWithGit = async (git, commit) => {
+  try {
+    await git.raw(['cat-file', '-e', `${commit}^{commit}`]);
+    return true;
+  } catch (error) {
+    // El commit no está en el clon: se pide al remoto solo ese commit
+  }
+  await git.fetch(['--depth', '1', 'origin', commit]);
+  return true;
+};
+
+/**
+ * Actualiza un clon existente del repositorio del proyecto trayendo solo lo nuevo del ref configurado
+ * (con --depth 1 si es superficial). No toca el árbol de trabajo del clon: devuelve el commit a usar.
+ *
+ * @param {Object} project - Proyecto (githubUrl y repository)
+ * @param {string} repoDir - Directorio del clon
+ * @param {Object} [options]
+ * @param {string} [options.commit] - Commit exacto a traer en lugar de la punta del ref
+ * @returns {Promise<{headCommit: string, ref: string|null, shallow: boolean}>}
+ */
+const fetchProjectRepository = async (project, repoDir, options = {}) => {
+  const repository = project.repository || {};
+  const ref = options.ref !== undefined ? options.ref : (repository.ref || null);
+  const shallow = options.shallow !== undefined ? options.shallow : repository.shallow !== false;
+  const { git, cleanup } = await createAuthenticatedGit(project, repoDir);
+
+  try {
+    let target = 'FETCH_HEAD';
+    if (options.commit) {
+      await fetchCommitWithGit(git, options.commit);
+      target = options.commit;
+    } else if (ref && COMMIT_SHA.test(ref)) {
+      // Un commit fijo no cambia: solo se trae si aún no está (los abreviados exigen clon completo)
+      if (ref.length === 40) await fetchCommitWithGit(git, ref);
+      target = ref;
+    } else {
+      await git.fetch(['origin', ...(shallow ? ['--depth', '1'] : []), ref || 'HEAD']);
+    }
+
+    const headCommit = (await git.revparse([`${target}^{commit}`])).trim();
+    return { headCommit, ref, shallow };
+  } catch (error) {
+    throw sanitizeGitError(error);
+  } finally {
+    await cleanup();
+  }
+};
+
+/**
+ * Asegura que un commit anterior esté disponible en un clon (superficial) del repositorio del
+ * proyecto, por ejemplo para calcular el diff de una regeneración incremental.
+ *
+ * @param {Object} project - Proyecto (para las credenciales)
+ * @param {string} repoDir - Directorio del clon
+ * @param {string} commit - Commit a traer
+ * @returns {Promise<boolean>} false si el remoto no lo sirve
+ */
+const ensureCommitAvailable = async (project, repoDir, commit) => {
+  const { git, cleanup } = await createAuthenticatedGit(project, repoDir);
+  try {
+    return await fetchCommitWithGit(git, commit);
+  } catch (error) {
+    console.warn(`⚠️ No se pudo obtener el commit ${commit}: ${sanitizeGitError(error).message}`);
+    return false;
+  } finally {
+    await cleanup();
+  }
+};
+
+/**
+ * Indica si se puede hacer push al remoto del proyecto: con credenciales configuradas o, en pruebas
+ * locales con ALLOW_LOCAL_REPOSITORIES=true, con un repositorio file:// (por ejemplo un repositorio bare).
+ *
+ * @param {Object} project - Proyecto (githubUrl y repository)
+ * @returns {boolean}
+ */
+const canPushToRepository = (project) => {
+  const credentials = project.repository && project.repository.credentials;
+  return !!(credentials && credentials.encryptedSecret) || (areLocalRepositoriesAllowed() && LOCAL_URL.test(project.githubUrl || ''));
+};
+
+/**
+ * Sube una rama de un clon al remoto del proyecto con sus credenciales. No fuerza: si la rama ya
+ * existe en el remoto con otro historial, el push falla.
+ *
+ * @param {Object} project - Proyecto (githubUrl y repository)
+ * @param {string} repoDir - Directorio del clon (o de un worktree suyo)
+ * @param {string} branch - Rama local a subir con el mismo nombre
+ */
+const pushProjectBranch = async (project, repoDir, branch) => {
+  const { git, cleanup } = await createAuthenticatedGit(project, repoDir);
+  try {
+    await git.push(['origin', `refs/heads/${branch}:refs/heads/${branch}`]);
+  } catch (error) {
+    throw sanitizeGitError(error);
+  } finally {
+    await cleanup();
+  }
+};
+
+module.exports = {
+  REPOSITORY_PROVIDERS,
+  CREDENTIAL_TYPES,
+  isRepositoryUrl,
+  detectRepositoryProvider,
+  encryptSecret,
+  decryptSecret,
+  serializeRepository,
+  cloneProjectRepository,
+  fetchProjectRepository,
+  ensureCommitAvailable,
+  canPushToRepository,
+  pushProjectBranch
+};
@@ -0,0 +1,266 @@
+const Revision = require('../models/Revision');
+const { toAcceptanceCriteria } = require('./acceptanceCriteria');
+const { getActor } = require('./activityFeed');
+
+const REVISION_TARGETS = Revision.schema.path('targetType').enumValues;
+const REVISION_SOURCES = Revision.schema.path('source').enumValues;
+const DEFAULT_REVISION_LIMIT = 50;
+const MAX_REVISION_LIMIT = 200;
+
+// Campos que se versionan (y se restauran) de cada elemento. El estado de sincronización y los
+// resultados de CI no son trabajo del equipo y no generan revisiones
+const VERSIONED_FIELDS = {
+  project: ['name', 'description', 'status', 'color', 'techStack', 'githubUrl', 'llmProvider', 'repository'],
+  page: ['name', 'description', 'route'],
+  userStory: ['title', 'description', 'priority', 'status', 'estimatedHours', 'acceptanceCriteria', 'testFiles']
+};
+// Campos de la configuración del repositorio que se restauran (las credenciales solo se registran)
+const RESTORABLE_REPOSITORY_FIELDS = ['provider', 'ref', 'shallow'];
+
+// Función auxiliar para copiar un campo versionado como dato plano (sin subdocumentos de Mongoose)
+const toSnapshotValue = (field, value) => {
+  if (field === 'acceptanceCriteria') {
+    return (value || []).map(criterion => ({ id: criterion.id, text: criterion.text, completed: Boolean(criterion.completed) }));
+  }
+  if (field === 'llmProvider') {
+    return value && value.name ? { name: value.name, ...(value.model ? { model: value.model } : {}) } : null;
+  }
+  if (field === 'repository') {
+    // El secreto nunca entra en el historial: de las credenciales solo se guarda el tipo y cuándo se configuraron
+    const { provider, ref, shallow, credentials } = value || {};
+    return {
+      provider: provider || null,
+      ref: ref || null,
+      shallow: shallow !== false,
+      credentials: credentials && credentials.encryptedSecret
+        ? { type: credentials.type, configuredAt: credentials.configuredAt || null }
+        : null
+    };
+  }
+  if (field === 'testFiles') {
+    return (value || []).map(testFile => ({ path: testFile.path, type: testFile.type || null, generatedBy: testFile.generatedBy || null }));
+  }
+  if (Array.isArray(value)) return [...value];
+  return value === undefined ? null : value;
+};
+
+// Función auxiliar para obtener los campos versionados de un proyecto, página o historia
+const takeSnapshot = (targetType, doc) => VERSIONED_FIELDS[targetType].reduce((snapshot, field) => {
+  snapshot[field] = toSnapshotValue(field, doc[field]);
+  return snapshot;
+}, {});
+
+/**
+ * Foto de los campos versionados del proyecto, sus páginas y sus historias. Se toma antes de
+ * modificar el proyecto y se pasa a recordRevisions después de guardarlo.
+ *
+ * @param {Object} project - Proyecto
+ * @returns {Map<string, {targetType: string, targetId: string, pageId?: string, snapshot: Object}>}
+ */
+const captureProjectState = (project) => {
+  const state = new Map();
+  state.set(`project:${project._id}`, { targetType: 'project', targetId: String(project._id), snapshot: takeSnapshot('project', project) });
+  project.pages.forEach(page => {
+    state.set(`page:${page.id}`, { targetType: 'page', targetId: page.id, snapshot: takeSnapshot('page', page) });
+    page.userStories.forEach(story => {
+      state.set(`userStory:${story.id}`, { targetType: 'userStory', targetId: story.id, pageId: page.id, snapshot: takeSnapshot('userStory', story) });
+    });
+  });
+  return state;
+};
+
+// Función auxiliar para listar los campos que cambiaron entre dos fotos
+const diffSnapshots = (before, after) => Object.keys(after)
+  .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+  .map(field => ({ field, from: before[field], to: after[field] }));
+
+/**
+ * Registra una revisión por cada proyecto, página o historia que cambió respecto a la foto previa.
+ * La primera vez que cambia un elemento creado antes de existir el historial se guarda también su
+ * estado anterior como versión 1 ('baseline'), para poder volver a él. Si falla solo se avisa por
+ * consola: el historial nunca debe hacer fallar la petición que lo origina.
+ *
+ * @param {Object} req - Petición (req.user es el autor del cambio)
+ * @param {Object} project - Proyecto ya guardado
+ * @param {Map} before - Resultado de captureProjectState antes del cambio
+ * @param {Object} options
+ * @param {string} options.source - manual, sync, llm, import o restore
+ * @param {{revisionId: string, version: number}} [options.restoredFrom] - Revisión restaurada
+ * @returns {Promise<Array>} Revisiones creadas
+ */
+const recordRevisions = async (req, project, before, { source, restoredFrom } = {}) => {
+  try {
+    const after = captureProjectState(project);
+    const entries = [];
+
+    after.forEach((current, key) => {
+      const previous = before.get(key);
+      if (!previous) {
+        entries.push({ ...current, action: 'created', changes: diffSnapshots({}, current.snapshot) });
+        return;
+      }
+      const changes = diffSnapshots(previous.snapshot, current.snapshot);
+      if (changes.length > 0) {
+        entries.push({ ...current, previous, action: restoredFrom ? 'restored' : 'updated', changes });
+      }
+    });
+    before.forEach((previous, key) => {
+      if (!after.has(key)) entries.push({ ...previous, previous, action: 'deleted', changes: [] });
+    });
+
+    const actor = getActor(req);
+    const revisions = [];
+    for (const entry of entries) {
+      const latest = await Revision.findOne({ projectId: project._id, targetType: entry.targetType, targetId: entry.targetId })
+        .sort({ version: -1 });
+      let version = latest ? latest.version : 0;
+
+      if (!latest && entry.previous) {
+        version = 1;
+        await Revision.create({
+          projectId: project._id,
+          targetType: entry.targetType,
+          targetId: entry.targetId,
+          pageId: entry.previous.pageId,
+          version,
+          action: 'baseline',
+          source: 'unknown',
+          userName: null,
+          changes: [],
+          snapshot: entry.previous.snapshot
+        });
+      }
+
+      revisions.push(await Revision.create({
+        projectId: project._id,
+        targetType: entry.targetType,
+        targetId: entry.targetId,
+        pageId: entry.pageId,
+        version: version + 1,
+        action: entry.action,
+        source,
+        ...actor,
+        changes: entry.changes,
+        snapshot: entry.action === 'deleted' ? entry.previous.snapshot : entry.snapshot,
+        restoredFrom
+      }));
+    }
+
+    return revisions;
+  } catch (error) {
+    console.warn('⚠️ No se pudo registrar el historial de cambios:', error.message);
+    return [];
+  }
+};
+
+/**
+ * Historial de revisiones de un proyecto, de la más reciente a la más antigua.
+ *
+ * @param {string} projectId - Proyecto
+ * @param {Object} [options]
+ * @param {string} [options.targetType] - project, page o userStory
+ * @param {string} [options.targetId] - Elemento
+ * @param {string} [options.source] - Origen del cambio
+ * @param {number} [options.limit] - Número máximo de revisiones (50 por defecto, 200 como máximo)
+ * @param {string|Date} [options.before] - Solo revisiones anteriores a esta fecha (paginación)
+ * @returns {Promise<Array>}
+ */
+const listRevisions = async (projectId, { targetType, targetId, source, limit, before } = {}) => {
+  const filter = { projectId };
+  if (targetType) filter.targetType = targetType;
+  if (targetId) filter.targetId = String(targetId);
+  if (source) filter.source = source;
+  if (before) filter.createdAt = { $lt: new Date(before) };
+
+  const max = Math.min(parseInt(limit, 10) || DEFAULT_REVISION_LIMIT, MAX_REVISION_LIMIT);
+  return Revision.find(filter).sort({ createdAt: -1, version: -1 }).limit(max);
+};
+
+// Función auxiliar para buscar el estado actual del elemento de una revisión (null si ya no existe)
+const findRevisionTarget = (project, revision) => {
+  if (revision.targetType === 'project') return project;
+  if (revision.targetType === 'page') return project.pages.find(page => page.id === revision.targetId) || null;
+  for (const page of project.pages) {
+    const story = page.userStories.find(item => item.id === revision.targetId);
+    if (story) return story;
+  }
+  return null;
+};
+
+// Función auxiliar para obtener el estado actual versionado del elemento de una revisión
+const getCurrentSnapshot = (project, revision) => {
+  const target = findRevisionTarget(project, revision);
+  return target ? takeSnapshot(revision.targetType, target) : null;
+};
+
+/**
+ * Devuelve el proyecto, la página o la historia de una revisión a los valores que tenía en esa versión.
+ * Las páginas y las historias que ya no existen se vuelven a crear con su id (una historia solo si su
+ * página sigue existiendo). Los criterios de aceptación que se mantienen conservan su resultado de CI.
+ * Las credenciales del repositorio no se restauran (el historial no guarda el secreto), y los campos que
+ * no existían cuando se creó la revisión se dejan como están.
+ *
+ * @param {Object} project - Proyecto (documento de Mongoose, no se guarda aquí)
+ * @param {Object} revision - Revisión a restaurar
+ * @returns {Object|null} Elemento restaurado o null si no se puede restaurar
+ */
+const restoreRevision = (project, revision) => {
+  const { snapshot } = revision;
+  const fields = VERSIONED_FIELDS[revision.targetType];
+  let target = findRevisionTarget(project, revision);
+
+  if (!target && revision.targetType === 'page') {
+    project.pages.push({ id: revision.targetId, name: snapshot.name, route: snapshot.route, userStories: [] });
+    target = project.pages[project.pages.length - 1];
+  }
+
+  if (!target && revision.targetType === 'userStory') {
+    const page = project.pages.find(item => item.id === revision.pageId);
+    if (!page) return null;
+    page.userStories.push({ id: revision.targetId, title: snapshot.title, description: snapshot.description });
+    target = page.userStories[page.userStories.length - 1];
+  }
+
+  fields.forEach(field => {
+    if (!Object.prototype.hasOwnProperty.call(snapshot, field)) return;
+    const value = snapshot[field];
+    if (field === 'repository') {
+      RESTORABLE_REPOSITORY_FIELDS.forEach(key => target.set(`repository.${key}`, value[key] === null ? undefined : value[key]));
+    } else if (field === 'testFiles') {
+      // Los archivos que siguen enlazados conservan su fecha de enlace
+      const linkedAt = new Map((target.testFiles || []).map(testFile => [testFile.path, testFile.linkedAt]));
+      target.testFiles = (value || []).map(testFile => ({
+        path: testFile.path,
+        type: testFile.type || undefined,
+        generatedBy: testFile.generatedBy || undefined,
+        linkedAt: linkedAt.get(testFile.path) || new Date()
+      }));
+    } else if (field === 'acceptanceCriteria') {
+      // Los criterios que se habían borrado recuperan su id, que es el que llevan las etiquetas [ac:id] de los tests
+      const criteria = toAcceptanceCriteria(value || [], target.acceptanceCriteria);
+      const usedIds = new Set(criteria.map(criterion => criterion.id));
+      criteria.forEach(criterion => {
+        const original = (value || []).find(item => item.text === criterion.text);
+        if (original && original.id && !usedIds.has(original.id)) {
+          usedIds.add(original.id);
+          criterion.id = original.id;
+        }
+      });
+      target.acceptanceCriteria = criteria;
+    } else {
+      target.set(field, value === null ? undefined : value);
+    }
+  });
+
+  return target;
+};
+
+module.exports = {
+  REVISION_TARGETS,
+  REVISION_SOURCES,
+  captureProjectState,
+  recordRevisions,
+  listRevisions,
+  getCurrentSnapshot,
+  restoreRevision
+};
@@ -0,0 +1,542 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const JSON5 = require('json5');
+const { inspectGeneratedBackend } = require('./backendVerifier');
+
+const FIXTURES_DIR = 'fixtures';
+const SOURCE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx'];
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+const OBJECT_ID_PATTERN = '^[0-9a-fA-F]{24}$';
+const MIN_FIELD_OVERLAP = 0.5;
+
+// Palabras que acompañan a los nombres de los datos mock pero no identifican la entidad (mockWorkouts, FOOD_DATABASE, getUsers...)
+const NAME_NOISE = new Set(['mock', 'mocks', 'fake', 'dummy', 'sample', 'initial', 'default', 'seed', 'fixture', 'fixtures',
+  'get', 'fetch', 'load', 'list', 'all', 'data', 'database', 'db', 'api']);
+
+// Declaraciones cuyo valor es un literal: const FOODS = [...], export const mockUsers: User[] = {...}
+const DECLARATION_PATTERN = /(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*(?::[^=;]+)?=\s*(?=[[{])/g;
+// Literales devueltos directamente por una función: return [...], resolve([...]), Promise.resolve([...])
+const RETURN_PATTERN = /(?:\breturn\s+|\bresolve\(\s*)(?=\[)/g;
+const FUNCTION_PATTERN = /(?:async\s+)?function\s+([A-Za-z_$][\w$]*)|(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*(?:async\s*)?(?:function\b|\([^)]*\)\s*=>|[A-Za-z_$][\w$]*\s*=>)|([A-Za-z_$][\w$]*)\s*:\s*(?:async\s*)?(?:function\b|\([^)]*\)\s*=>)/g;
+
+// Métodos de knex que declaran columnas en una migración
+const COLUMN_METHODS = new Set(['increments', 'bigIncrements', 'integer', 'bigInteger', 'tinyint', 'smallint', 'mediumint',
+  'decimal', 'float', 'double', 'string', 'text', 'boolean', 'date', 'datetime', 'time', 'timestamp', 'json', 'jsonb',
+  'uuid', 'enu', 'enum', 'specificType', 'binary']);
+const NUMERIC_COLUMNS = new Set(['increments', 'bigIncrements', 'integer', 'bigInteger', 'tinyint', 'smallint', 'mediumint', 'decimal', 'float', 'double']);
+
+// Función auxiliar para saltar un string o template literal; devuelve la posición de la comilla de cierre
+const skipString = (source, start) => {
+  const quote = source[start];
+  for (let i = start + 1; i < source.length; i++) {
+    if (source[i] === '\\') i++;
+    else if (source[i] === quote) return i;
+    else if (source[i] === '\n' && quote !== '`') return -1;
+  }
+  return -1;
+};
+
+// Función auxiliar para encontrar el cierre del literal que empieza en start, saltando strings y comentarios
+const findLiteralEnd = (source, start) => {
+  let depth = 0;
+  for (let i = start; i < source.length; i++) {
+    const char = source[i];
+    if (char === '"' || char === "'" || char === '`') {
+      i = skipString(source, i);
+      if (i === -1) return -1;
+    } else if (char === '/' && source[i + 1] === '/') {
+      i = source.indexOf('\n', i);
+      if (i === -1) return -1;
+    } else if (char === '/' && source[i + 1] === '*') {
+      i = source.indexOf('*/', i + 2);
+      if (i === -1) return -1;
+      i++;
+    } else if ('[{('.includes(char)) {
+      depth++;
+    } else if (']})'.includes(char)) {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+};
+
+// Función auxiliar para evaluar un literal de JavaScript como JSON5 (sin ejecutar código);
+// las fechas y los template literals sin interpolación se convierten en strings, el resto de expresiones lo descartan
+const parseLiteral = (literal, now) => {
+  const normalized = literal
+    .replace(/`((?:[^`\\$]|\\.|\$(?!\{))*)`/g, (match, content) => JSON.stringify(content.replace(/\\`/g, '`')))
+    .replace(/new Date\(\s*(["'])([^"'\n]*)\1\s*\)(?:\.toISOString\(\))?/g, (match, quote, value) => JSON.stringify(value))
+    .replace(/new Date\(\s*\)(?:\.toISOString\(\))?/g, JSON.stringify(now));
+  try {
+    return JSON5.parse(normalized);
+  } catch (error) {
+    return undefined;
+  }
+};
+
+// Función auxiliar para saber si un valor es una lista de registros (array de objetos)
+const isRecordList = (value) => Array.isArray(value) && value.length > 0 &&
+  value.every(item => item && typeof item === 'object' && !Array.isArray(item));
+
+// Función auxiliar para saber si un valor es un diccionario de registros ({ apple: {...}, banana: {...} })
+const isRecordMap = (value) => value && typeof value === 'object' && !Array.isArray(value) &&
+  Object.keys(value).length > 0 && Object.values(value).every(item => item && typeof item === 'object' && !Array.isArray(item));
+
+// Función auxiliar para obtener el nombre de la función que contiene una posición del código
+const findEnclosingFunction = (source, index) => {
+  let name = null;
+  for (const match of source.slice(0, index).matchAll(FUNCTION_PATTERN)) {
+    name = match[1] || match[2] || match[3];
+  }
+  return name;
+};
+
+/**
+ * Extrae los datos mock de un archivo API del frontend: arrays de objetos declarados como constantes
+ * o devueltos por sus funciones, y los objetos que agrupan varios de ellos ({ users: [...], posts: [...] })
+ * o indexan registros por clave ({ apple: {...} }, la clave pasa a ser el id si el registro no tiene).
+ * Los literales se leen como JSON5 sin ejecutar el archivo; los que contienen expresiones se ignoran.
+ *
+ * @param {string} source - Código del archivo API
+ * @param {string} sourceName - Ruta relativa del archivo (solo informativa)
+ * @returns {Array<{names: Array<string>, source: string, records: Array<Object>}>}
+ */
+const extractMockDatasets = (source, sourceName) => {
+  const now = new Date().toISOString();
+  const datasets = [];
+  const candidates = [
+    ...[...source.matchAll(DECLARATION_PATTERN)].map(match => ({ name: match[1], start: match.index + match[0].length })),
+    ...[...source.matchAll(RETURN_PATTERN)].map(match => ({ name: null, start: match.index + match[0].length }))
+  ].sort((a, b) => a.start - b.start);
+
+  let consumedUntil = -1;
+  for (const candidate of candidates) {
+    // Los literales anidados dentro de otro ya leído forman parte de él
+    if (candidate.start <= consumedUntil) continue;
+    const end = findLiteralEnd(source, candidate.start);
+    if (end === -1) continue;
+    const value = parseLiteral(source.slice(candidate.start, end + 1), now);
+    if (value === undefined) continue;
+    consumedUntil = end;
+
+    const context = findEnclosingFunction(source, candidate.start);
+    const names = [candidate.name, context].filter(Boolean);
+    if (isRecordList(value)) {
+      datasets.push({ names, source: sourceName, records: value });
+    } else if (value && typeof value === 'object' && Object.values(value).some(isRecordList)) {
+      Object.entries(value)
+        .filter(([, items]) => isRecordList(items))
+        .forEach(([key, items]) => datasets.push({ names: [key, ...names], source: sourceName, records: items }));
+    } else if (isRecordMap(value)) {
+      const records = Object.entries(value).map(([key, item]) => ('id' in item ? item : { id: key, ...item }));
+      datasets.push({ names, source: sourceName, records });
+    }
+  }
+
+  return datasets;
+};
+
+// Función auxiliar para pasar una palabra del plural al singular
+const singularize = (word) => {
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (/(ches|shes|sses|xes|zes)$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s') && !/(ss|us)$/.test(word)) return word.slice(0, -1);
+  return word;
+};
+
+// Función auxiliar para normalizar el nombre de un dataset, modelo o tabla (mockUserProfiles, user_profiles -> userprofile)
+const normalizeName = (name) => {
+  const tokens = String(name || '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .map(token => token.toLowerCase())
+    .filter(token => token && !NAME_NOISE.has(token));
+  if (tokens.length === 0) return '';
+  tokens.push(singularize(tokens.pop()));
+  return tokens.join('');
+};
+
+// Función auxiliar para convertir camelCase en snake_case
+const toSnakeCase = (name) => name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+
+// Función auxiliar para describir los modelos de Mongoose del backend como destinos de los datos
+const toModelTargets = (models) => models.map(model => {
+  const fields = {};
+  Object.entries((model.schema && model.schema.properties) || {}).forEach(([field, schema]) => {
+    if (field === '_id' || field === '__v') return;
+    const idSchema = schema.type === 'array' ? schema.items || {} : schema;
+    const ref = idSchema.pattern === OBJECT_ID_PATTERN
+      ? ((idSchema.description || '').match(/^ID de (\S+)$/) || [])[1] || null
+      : null;
+    fields[field] = { type: schema.type, isArray: schema.type === 'array', isObjectId: idSchema.pattern === OBJECT_ID_PATTERN, ref };
+  });
+  return { name: model.name, kind: 'model', fields, references: [] };
+});
+
+/**
+ * Lee las tablas que crean las migraciones del backend SQL, con sus columnas y claves foráneas.
+ *
+ * @param {string} outputPath - Directorio del backend generado
+ * @returns {Promise<Array<{name: string, kind: string, fields: Object, references: Array<string>}>>}
+ */
+const readMigrationTables = async (outputPath) => {
+  const migrationsDir = path.join(outputPath, 'migrations');
+  if (!(await fs.pathExists(migrationsDir))) return [];
+
+  const tables = new Map();
+  const files = (await fs.readdir(migrationsDir)).filter(file => /\.(js|ts)$/.test(file) && !file.endsWith('.d.ts')).sort();
+  for (const file of files) {
+    const content = await fs.readFile(path.join(migrationsDir, file), 'utf8');
+    const creations = [...content.matchAll(/createTable(?:IfNotExists)?\(\s*['"`](\w+)['"`]/g)];
+    creations.forEach((creation, index) => {
+      const end = index + 1 < creations.length ? creations[index + 1].index : content.length;
+      const fields = {};
+      content.slice(creation.index, end).split(';').forEach(statement => {
+        const columns = [...statement.matchAll(/\.\s*(\w+)\(\s*['"`](\w+)['"`]/g)].filter(match => COLUMN_METHODS.has(match[1]));
+        columns.forEach(match => { fields[match[2]] = { type: match[1] }; });
+        if (/\.timestamps\(/.test(statement)) {
+          fields.created_at = { type: 'timestamp' };
+          fields.updated_at = { type: 'timestamp' };
+        }
+        const foreign = statement.match(/\.foreign\(\s*['"`](\w+)['"`]/);
+        const refTable = (statement.match(/\.inTable\(\s*['"`](\w+)['"`]/) || statement.match(/\.references\(\s*['"`](\w+)\.\w+['"`]/) || [])[1];
+        const column = foreign ? foreign[1] : columns.length > 0 ? columns[0][2] : null;
+        if (refTable && column) fields[column] = { ...(fields[column] || { type: 'integer' }), ref: refTable };
+      });
+      const name = creation[1];
+      const references = [...new Set(Object.values(fields).map(field => field.ref).filter(ref => ref && ref !== name))];
+      tables.set(name, { name, kind: 'table', fields, references });
+    });
+  }
+  return [...tables.values()];
+};
+
+// Función auxiliar para encontrar el campo del destino que corresponde a una clave del mock (o null)
+const resolveField = (target, key) => {
+  const candidates = target.kind === 'table'
+    ? [toSnakeCase(key)]
+    : [key, key.replace(/Id$/, ''), key.replace(/Ids$/, 's')];
+  const fieldNames = Object.keys(target.fields);
+  for (const candidate of candidates) {
+    const field = fieldNames.find(name => name === candidate) || fieldNames.find(name => name.toLowerCase() === candidate.toLowerCase());
+    // userId solo se asigna al campo user si este es una referencia
+    if (field && (target.kind === 'table' || candidate === key || target.fields[field].isObjectId)) return field;
+  }
+  return null;
+};
+
+// Función auxiliar para puntuar cuánto se parece un dataset a un destino (nombre y campos en común)
+const scoreMatch = (dataset, target) => {
+  const keys = [...new Set(dataset.records.flatMap(record => Object.keys(record)))].filter(key => key !== 'id' && key !== '_id');
+  if (keys.length === 0) return null;
+  const overlap = keys.filter(key => resolveField(target, key)).length / keys.length;
+
+  const targetName = normalizeName(target.name);
+  const nameScore = Math.max(0, ...dataset.names.map(normalizeName).filter(Boolean).map(name => {
+    if (name === targetName) return 1;
+    if (Math.min(name.length, targetName.length) >= 3 && (name.includes(targetName) || targetName.includes(name))) return 0.5;
+    return 0;
+  }));
+
+  if (overlap < MIN_FIELD_OVERLAP && !(nameScore === 1 && overlap > 0)) return null;
+  return nameScore + overlap;
+};
+
+// Función auxiliar para calcular el ObjectId estable de un registro mock (el mismo id siempre da el mismo ObjectId)
+const toObjectId = (modelName, value) => (OBJECT_ID.test(String(value))
+  ? String(value)
+  : crypto.createHash('sha1').update(`${modelName}:${value}`).digest('hex').slice(0, 24));
+
+// Función auxiliar para adaptar un valor del mock al tipo del campo
+const coerceValue = (value, field, target, idMaps) => {
+  if (value === null || value === undefined) return value;
+
+  if (target.kind === 'model') {
+    if (field.isObjectId) {
+      const convert = item => (item && typeof item === 'object' ? item : toObjectId(field.ref || target.name, item));
+      return Array.isArray(value) ? value.map(convert) : convert(value);
+    }
+    if (field.type === 'string' && ['number', 'boolean'].includes(typeof value)) return String(value);
+    if (field.type === 'number' && typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+    return value;
+  }
+
+  if (field.ref) {
+    const idMap = idMaps.get(field.ref);
+    return idMap && idMap.has(String(value)) ? idMap.get(String(value)) : value;
+  }
+  if (NUMERIC_COLUMNS.has(field.type) && typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+  // Los arrays y objetos se guardan serializados (SQLite no tiene tipo JSON y pg confundiría los arrays)
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+};
+
+// Función auxiliar para ordenar las tablas de forma que las referenciadas se inserten primero
+const orderByReferences = (targets) => {
+  const byName = new Map(targets.map(target => [target.name, target]));
+  const ordered = [];
+  const visiting = new Set();
+  const visit = (target) => {
+    if (ordered.includes(target) || visiting.has(target)) return;
+    visiting.add(target);
+    target.references.forEach(name => byName.has(name) && visit(byName.get(name)));
+    visiting.delete(target);
+    ordered.push(target);
+  };
+  targets.forEach(visit);
+  return ordered;
+};
+
+/**
+ * Asigna cada dataset mock al modelo o tabla que mejor encaja (por nombre y campos en común) y
+ * convierte sus registros: solo se conservan los campos que existen en el destino, los ids pasan a
+ * ser ObjectId estables (MongoDB) o enteros (SQL) y las referencias entre mocks se traducen igual.
+ *
+ * @param {Array} datasets - Datasets de extractMockDatasets
+ * @param {Array} targets - Modelos (toModelTargets) o tablas (readMigrationTables)
+ * @returns {{fixtures: Array<{target: string, records: Array<Object>, sources: Array<string>, droppedFields: Array<string>}>, unmatched: Array<string>}}
+ */
+const buildFixtures = (datasets, targets) => {
+  const assigned = new Map();
+  const unmatched = [];
+  datasets.forEach(dataset => {
+    const best = targets
+      .map(target => ({ target, score: scoreMatch(dataset, target) }))
+      .filter(candidate => candidate.score !== null)
+      .sort((a, b) => b.score - a.score)[0];
+    if (!best) {
+      unmatched.push(`${dataset.source}: ${dataset.names[0] || 'literal'}`);
+      return;
+    }
+    assigned.set(best.target, [...(assigned.get(best.target) || []), dataset]);
+  });
+
+  // En SQL los ids deben ser enteros: se conservan si lo son y, si no, se numeran en orden
+  const idMaps = new Map();
+  assigned.forEach((targetDatasets, target) => {
+    if (target.kind !== 'table' || !target.fields.id) return;
+    const ids = targetDatasets.flatMap(dataset => dataset.records.map(record => record.id)).filter(id => id !== undefined);
+    const numeric = ids.every(id => Number.isInteger(Number(id)));
+    idMaps.set(target.name, new Map(ids.map((id, index) => [String(id), numeric ? Number(id) : index + 1])));
+  });
+
+  const fixtures = orderByReferences([...assigned.keys()]).map(target => {
+    const seenIds = new Set();
+    const droppedFields = new Set();
+    const records = [];
+    assigned.get(target).forEach(dataset => dataset.records.forEach(record => {
+      const converted = {};
+      Object.entries(record).forEach(([key, value]) => {
+        if (key === 'id' || key === '_id') {
+          if (target.kind === 'model') converted._id = toObjectId(target.name, value);
+          if (target.fields.id) converted.id = target.kind === 'table' ? idMaps.get(target.name).get(String(value)) : value;
+          return;
+        }
+        const field = resolveField(target, key);
+        if (!field) {
+          droppedFields.add(key);
+          return;
+        }
+        converted[field] = coerceValue(value, target.fields[field], target, idMaps);
+      });
+
+      const recordId = converted._id ?? converted.id;
+      if (recordId !== undefined && seenIds.has(String(recordId))) return;
+      if (recordId !== undefined) seenIds.add(String(recordId));
+      records.push(converted);
+    }));
+
+    return {
+      target: target.name,
+      kind: target.kind,
+      records,
+      sources: [...new Set(assigned.get(target).map(dataset => dataset.source))],
+      droppedFields: [...droppedFields]
+    };
+  });
+
+  return { fixtures, unmatched };
+};
+
+// Función auxiliar para generar el script de seed de MongoDB
+const generateMongoSeedScript = (fixtures, isTypeScript) => `${isTypeScript
+  ? `import fs from 'fs';
+import path from 'path';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();`
+  : `const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();`}
+
+// Datos de ejemplo extraídos de los mocks del frontend (regenerados en cada generación del backend)
+const FIXTURES_DIR = path.join(__dirname, '${FIXTURES_DIR}');
+const MODELS_DIR = path.join(__dirname, 'models');
+const FIXTURES${isTypeScript ? ': Array<{ model: string; file: string }>' : ''} = ${JSON.stringify(fixtures.map(fixture => ({ model: fixture.target, file: `${fixture.target}.json` })), null, 2)};
+
+const seed = async ()${isTypeScript ? ': Promise<void>' : ''} => {
+  // Registrar todos los modelos en mongoose
+  fs.readdirSync(MODELS_DIR)
+    .filter(file => /\\.(js|ts)$/.test(file) && !file.endsWith('.d.ts'))
+    .forEach(file => require(path.join(MODELS_DIR, file)));
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/generated-backend');
+  for (const { model, file } of FIXTURES) {
+    const Model = mongoose.model(model);
+    const documents = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+    await Model.deleteMany({});
+    await Model.insertMany(documents);
+    console.log(\`🌱 \${model}: \${documents.length} documentos\`);
+  }
+};
+
+seed()
+  .then(() => mongoose.disconnect())
+  .catch(async (error${isTypeScript ? ': Error' : ''}) => {
+    console.error('❌ Error cargando los datos de ejemplo:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
+`;
+
+// Función auxiliar para generar el script de seed de una base de datos SQL (knex)
+const generateSqlSeedScript = (fixtures, isTypeScript) => `${isTypeScript
+  ? `import fs from 'fs';
+import path from 'path';
+import db from './config/database';`
+  : `const fs = require('fs');
+const path = require('path');
+const db = require('./config/database');`}
+
+// Datos de ejemplo extraídos de los mocks del frontend (regenerados en cada generación del backend)
+// Las tablas están en orden de inserción: las referenciadas por claves foráneas van primero
+const FIXTURES_DIR = path.join(__dirname, '${FIXTURES_DIR}');
+const FIXTURES${isTypeScript ? ': Array<{ table: string; file: string }>' : ''} = ${JSON.stringify(fixtures.map(fixture => ({ table: fixture.target, file: `${fixture.target}.json` })), null, 2)};
+
+const seed = async ()${isTypeScript ? ': Promise<void>' : ''} => {
+  await db.migrate.latest();
+  for (const { table } of [...FIXTURES].reverse()) {
+    await db(table).del();
+  }
+  for (const { table, file } of FIXTURES) {
+    const rows = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+    if (rows.length > 0) await db(table).insert(rows);
+    // En PostgreSQL la secuencia del id debe continuar después de los ids insertados
+    if (db.client.config.client === 'pg' && rows.some((row${isTypeScript ? ': { id?: number }' : ''}) => row.id !== undefined)) {
+      await db.raw("SELECT setval(pg_get_serial_sequence(?, 'id'), (SELECT MAX(id) FROM ??))", [table, table]);
+    }
+    console.log(\`🌱 \${table}: \${rows.length} filas\`);
+  }
+};
+
+seed()
+  .then(() => db.destroy())
+  .catch(async (error${isTypeScript ? ': Error' : ''}) => {
+    console.error('❌ Error cargando los datos de ejemplo:', error.message);
+    await db.destroy();
+    process.exit(1);
+  });
+`;
+
+/**
+ * Genera los datos de ejemplo del backend a partir de los mocks de los archivos API del frontend:
+ * fixtures/<Modelo>.json con los registros adaptados a cada modelo (o tabla) y seed.js / seed.ts,
+ * que vacía esas colecciones y las vuelve a llenar (npm run seed). Con MongoDB los modelos se
+ * obtienen cargando el backend; con SQL, de sus migraciones.
+ *
+ * @param {string} outputPath - Directorio del backend generado
+ * @param {Object} options
+ * @param {Array<{name: string, path: string, extension: string, relativePath: string}>} options.apiFiles - Archivos API (getAPIFiles)
+ * @param {string} [options.database='mongodb'] - Base de datos del backend
+ * @param {string} [options.language='javascript'] - Lenguaje del backend
+ * @param {string} [options.framework='express'] - Framework del backend
+ * @returns {Promise<{files: Array, fixtures: Array, unmatched: Array<string>, warnings: Array<string>}>}
+ */
+const generateSeedData = async (outputPath, { apiFiles = [], database = 'mongodb', language = 'javascript', framework = 'express' }) => {
+  const fullOutputPath = path.resolve(outputPath);
+  const warnings = [];
+
+  const datasets = [];
+  for (const apiFile of apiFiles) {
+    try {
+      const content = await fs.readFile(apiFile.path, 'utf8');
+      if (apiFile.extension === '.json') {
+        const value = parseLiteral(content, new Date().toISOString());
+        if (isRecordList(value)) datasets.push({ names: [apiFile.name], source: apiFile.relativePath, records: value });
+      } else if (SOURCE_EXTENSIONS.includes(apiFile.extension)) {
+        datasets.push(...extractMockDatasets(content, apiFile.relativePath));
+      }
+    } catch (error) {
+      warnings.push(`${apiFile.relativePath}: ${error.message}`);
+    }
+  }
+  if (datasets.length === 0) return { files: [], fixtures: [], unmatched: [], warnings };
+
+  let targets;
+  if (database === 'mongodb') {
+    const inspection = await inspectGeneratedBackend(fullOutputPath, { framework });
+    warnings.push(...inspection.errors);
+    targets = toModelTargets(inspection.models);
+  } else {
+    targets = await readMigrationTables(fullOutputPath);
+  }
+
+  const { fixtures, unmatched } = buildFixtures(datasets, targets);
+  fixtures.forEach(fixture => {
+    if (fixture.droppedFields.length > 0) {
+      warnings.push(`${fixture.target}: campos de los mocks sin equivalente en el ${fixture.kind === 'table' ? 'esquema' : 'modelo'} (${fixture.droppedFields.join(', ')})`);
+    }
+  });
+  if (fixtures.length === 0) return { files: [], fixtures: [], unmatched, warnings };
+
+  const fixturesDir = path.join(fullOutputPath, FIXTURES_DIR);
+  await fs.emptyDir(fixturesDir);
+  const files = [];
+  for (const fixture of fixtures) {
+    const filePath = path.join(fixturesDir, `${fixture.target}.json`);
+    await fs.writeJson(filePath, fixture.records, { spaces: 2 });
+    files.push({
+      type: 'seed',
+      name: fixture.target,
+      fileName: `${fixture.target}.json`,
+      path: filePath,
+      description: `Datos de ejemplo de ${fixture.target} (${fixture.records.length} registros de ${fixture.sources.join(', ')})`,
+      source: 'mocks'
+    });
+  }
+
+  const isTypeScript = language === 'typescript';
+  const seedFileName = isTypeScript ? 'seed.ts' : 'seed.js';
+  const seedPath = path.join(fullOutputPath, seedFileName);
+  const script = database === 'mongodb'
+    ? generateMongoSeedScript(fixtures, isTypeScript)
+    : generateSqlSeedScript(fixtures, isTypeScript);
+  await fs.writeFile(seedPath, script, 'utf8');
+  files.push({
+    type: 'seed',
+    name: 'Seed',
+    fileName: seedFileName,
+    path: seedPath,
+    description: 'Carga los datos de ejemplo de fixtures/ en la base de datos (npm run seed)',
+    source: 'mocks'
+  });
+
+  return {
+    files,
+    fixtures: fixtures.map(fixture => ({ target: fixture.target, records: fixture.records.length, sources: fixture.sources })),
+    unmatched,
+    warnings
+  };
+};
+
+module.exports = {
+  FIXTURES_DIR,
+  extractMockDatasets,
+  readMigrationTables,
+  buildFixtures,
+  generateSeedData
+};
@@ -0,0 +1,482 @@
+const { v4: uuidv4 } = require('uuid');
+const { toPageRoute, normalizeTitle } = require('./projectSync');
+const { toAcceptanceCriteria, getCriteriaTexts } = require('./acceptanceCriteria');
+
+const STORY_FORMATS = ['csv', 'markdown', 'jira'];
+const DUPLICATE_MODES = ['skip', 'update'];
+const DEFAULT_IMPORT_PAGE = 'Historias importadas';
+const TITLE_MAX_LENGTH = 200;
+const DESCRIPTION_MAX_LENGTH = 1000;
+
+const PRIORITY_LABELS = { high: 'alta', medium: 'media', low: 'baja' };
+const STATUS_LABELS = { pending: 'pendiente', 'in-progress': 'en progreso', completed: 'completada' };
+const JIRA_PRIORITIES = { high: 'High', medium: 'Medium', low: 'Low' };
+
+// Valores aceptados al importar (español, inglés y los nombres por defecto de Jira)
+const PRIORITY_ALIASES = {
+  high: 'high', alta: 'high', highest: 'high', critical: 'high', blocker: 'high',
+  medium: 'medium', media: 'medium', normal: 'medium',
+  low: 'low', baja: 'low', lowest: 'low', minor: 'low', trivial: 'low'
+};
+const STATUS_ALIASES = {
+  pending: 'pending', pendiente: 'pending', 'to do': 'pending', todo: 'pending', backlog: 'pending', open: 'pending', 'selected for development': 'pending',
+  'in-progress': 'in-progress', 'in progress': 'in-progress', 'en progreso': 'in-progress', 'in review': 'in-progress', review: 'in-progress',
+  completed: 'completed', completada: 'completed', done: 'completed', closed: 'completed', resolved: 'completed', hecho: 'completed'
+};
+
+// Cabeceras CSV reconocidas al importar (exportación propia y exportación CSV de Jira)
+const CSV_COLUMNS = {
+  page: ['page', 'página', 'pagina', 'component/s', 'components', 'component'],
+  pageRoute: ['page route', 'ruta', 'route'],
+  title: ['title', 'título', 'titulo', 'summary', 'resumen'],
+  description: ['description', 'descripción', 'descripcion'],
+  acceptanceCriteria: ['acceptance criteria', 'criterios de aceptación', 'criterios de aceptacion', 'custom field (acceptance criteria)'],
+  priority: ['priority', 'prioridad'],
+  status: ['status', 'estado'],
+  estimatedHours: ['estimated hours', 'horas estimadas', 'estimate (h)'],
+  // Jira exporta la estimación en segundos
+  estimateSeconds: ['original estimate', 'time estimate', 'σ original estimate'],
+  labels: ['labels', 'etiquetas']
+};
+
+// Función auxiliar para escapar un valor CSV (RFC 4180)
+const toCsvValue = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Función auxiliar para obtener los criterios de una historia en una línea cada uno (una línea = un criterio al importar)
+const getCriteria = (story) => getCriteriaTexts(story.acceptanceCriteria);
+
+// Función auxiliar para obtener las páginas a exportar (todas o las indicadas)
+const selectPages = (project, pageIds) => project.pages.filter(page =>
+  !pageIds || pageIds.length === 0 || pageIds.includes(page.id));
+
+// Función auxiliar para convertir un nombre en etiqueta de Jira (sin espacios)
+const toJiraLabel = (name) => `page-${toPageRoute(name).replace(/\//g, '-').replace(/^-+|-+$/g, '') || 'sin-nombre'}`;
+
+// Función auxiliar para generar el CSV de las historias (una fila por historia, con su página)
+const exportCsv = (project, pages) => {
+  const header = ['Page', 'Page Route', 'Story ID', 'Title', 'Description', 'Acceptance Criteria', 'Priority', 'Status', 'Estimated Hours', 'Source'];
+  const rows = pages.flatMap(page => page.userStories.map(story => [
+    page.name,
+    page.route,
+    story.id,
+    story.title,
+    story.description,
+    getCriteria(story).join('\n'),
+    story.priority,
+    story.status,
+    story.estimatedHours || 0,
+    story.source || 'manual'
+  ]));
+  // BOM para que Excel abra bien los acentos
+  return '\uFEFF' + [header, ...rows].map(row => row.map(toCsvValue).join(',')).join('\r\n') + '\r\n';
+};
+
+// Función auxiliar para generar el Markdown de las historias agrupadas por página
+const exportMarkdown = (project, pages) => {
+  const lines = [`# ${project.name}`, '', 'Historias de usuario exportadas.', ''];
+
+  pages.forEach(page => {
+    lines.push(`## ${page.name}`, '', `- **Ruta:** \`${page.route}\``, '');
+    if (page.userStories.length === 0) {
+      lines.push('_Sin historias de usuario._', '');
+    }
+    page.userStories.forEach(story => {
+      lines.push(
+        `### ${story.title}`,
+        '',
+        `- **ID:** ${story.id}`,
+        `- **Prioridad:** ${PRIORITY_LABELS[story.priority] || story.priority}`,
+        `- **Estado:** ${STATUS_LABELS[story.status] || story.status}`,
+        `- **Horas estimadas:** ${story.estimatedHours || 0}`,
+        '',
+        story.description,
+        ''
+      );
+      if (getCriteria(story).length > 0) {
+        lines.push('**Criterios de aceptación:**', '');
+        getCriteria(story).forEach(criterion => lines.push(`- [ ] ${criterion}`));
+        lines.push('');
+      }
+    });
+  });
+
+  return lines.join('\n');
+};
+
+// Función auxiliar para generar el JSON de creación masiva de Jira (POST /rest/api/2/issue/bulk)
+const exportJira = (project, pages, { jiraProjectKey = 'PROJ' } = {}) => ({
+  issueUpdates: pages.flatMap(page => page.userStories.map(story => {
+    const criteria = getCriteria(story);
+    const description = [
+      story.description,
+      criteria.length > 0 ? `\nh3. Criterios de aceptación\n${criteria.map(criterion => `* ${criterion}`).join('\n')}` : '',
+      `\nPágina: ${page.name} (${page.route})`
+    ].join('\n').trim();
+
+    const fields = {
+      project: { key: jiraProjectKey },
+      issuetype: { name: 'Story' },
+      summary: story.title,
+      description,
+      priority: { name: JIRA_PRIORITIES[story.priority] || 'Medium' },
+      labels: [toJiraLabel(page.name)]
+    };
+    if (story.estimatedHours > 0) {
+      fields.timetracking = { originalEstimate: `${story.estimatedHours}h` };
+    }
+    return { fields };
+  }))
+});
+
+/**
+ * Exporta las historias de usuario de un proyecto agrupadas por página.
+ *
+ * @param {Object} project - Proyecto
+ * @param {string} format - csv, markdown o jira
+ * @param {Object} [options]
+ * @param {Array<string>} [options.pageIds] - Páginas a exportar (por defecto todas)
+ * @param {string} [options.jiraProjectKey] - Clave del proyecto de Jira (formato jira)
+ * @returns {{content: string, contentType: string, extension: string, storyCount: number}}
+ */
+const exportUserStories = (project, format, options = {}) => {
+  const pages = selectPages(project, options.pageIds);
+  const storyCount = pages.reduce((total, page) => total + page.userStories.length, 0);
+
+  switch (format) {
+    case 'csv':
+      return { content: exportCsv(project, pages), contentType: 'text/csv; charset=utf-8', extension: 'csv', storyCount };
+    case 'markdown':
+      return { content: exportMarkdown(project, pages), contentType: 'text/markdown; charset=utf-8', extension: 'md', storyCount };
+    case 'jira':
+      return { content: JSON.stringify(exportJira(project, pages, options), null, 2), contentType: 'application/json; charset=utf-8', extension: 'json', storyCount };
+    default:
+      throw new Error(`Formato de exportación no soportado: ${format}. Usa: ${STORY_FORMATS.join(', ')}`);
+  }
+};
+
+// Función auxiliar para leer un CSV (RFC 4180: comillas, comillas dobles y saltos de línea dentro de campos)
+const parseCsv = (content) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const text = content.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// Función auxiliar para separar criterios de aceptación escritos en un solo texto (líneas o viñetas)
+const splitCriteria = (text) => String(text || '')
+  .split(/\r?\n/)
+  .map(line => line.replace(/^\s*(?:[-*•]\s*)?(?:\d+[.)]\s*)?(?:\[[ xX]\]\s*)?/, '').trim())
+  .filter(Boolean);
+
+// Función auxiliar para convertir historias de un CSV (propio o exportado de Jira)
+const parseCsvStories = (content) => {
+  const [header, ...rows] = parseCsv(content);
+  if (!header) return [];
+
+  const normalizedHeader = header.map(cell => cell.trim().toLowerCase());
+  const columnIndex = Object.fromEntries(Object.entries(CSV_COLUMNS).map(([key, names]) =>
+    [key, normalizedHeader.findIndex(cell => names.includes(cell))]));
+  if (columnIndex.title < 0) {
+    throw new Error('El CSV no tiene una columna de título (Title, Título o Summary)');
+  }
+
+  const cell = (row, key) => (columnIndex[key] >= 0 ? (row[columnIndex[key]] || '').trim() : '');
+
+  return rows.map(row => {
+    const seconds = parseFloat(cell(row, 'estimateSeconds'));
+    const labelPage = cell(row, 'labels').split(/\s+/).find(label => label.startsWith('page-'));
+    return {
+      pageName: cell(row, 'page') || null,
+      pageRoute: cell(row, 'pageRoute') || null,
+      pageLabel: labelPage || null,
+      title: cell(row, 'title'),
+      description: cell(row, 'description'),
+      acceptanceCriteria: splitCriteria(cell(row, 'acceptanceCriteria')),
+      priority: cell(row, 'priority'),
+      status: cell(row, 'status'),
+      estimatedHours: cell(row, 'estimatedHours') !== ''
+        ? parseFloat(cell(row, 'estimatedHours'))
+        : (Number.isFinite(seconds) ? seconds / 3600 : null)
+    };
+  });
+};
+
+// Función auxiliar para convertir historias del Markdown exportado (## página, ### historia)
+const parseMarkdownStories = (content) => {
+  const stories = [];
+  let pageName = null;
+  let pageRoute = null;
+  let story = null;
+  let inCriteria = false;
+
+  const finishStory = () => {
+    if (story) {
+      story.description = story.descriptionLines.join('\n').trim();
+      delete story.descriptionLines;
+      stories.push(story);
+    }
+    story = null;
+    inCriteria = false;
+  };
+
+  content.split(/\r?\n/).forEach(line => {
+    const pageHeading = line.match(/^##\s+(.+?)\s*$/);
+    const storyHeading = line.match(/^###\s+(.+?)\s*$/);
+    const field = line.match(/^\s*[-*]\s+\*\*(.+?):\*\*\s*(.*)$/);
+
+    if (pageHeading) {
+      finishStory();
+      pageName = pageHeading[1];
+      pageRoute = null;
+    } else if (storyHeading) {
+      finishStory();
+      story = { pageName, pageRoute, title: storyHeading[1], descriptionLines: [], acceptanceCriteria: [], priority: '', status: '', estimatedHours: null };
+    } else if (field && !story) {
+      if (/^(ruta|route)$/i.test(field[1])) pageRoute = field[2].replace(/`/g, '').trim();
+    } else if (field && story && !inCriteria) {
+      const key = field[1].toLowerCase();
+      const value = field[2].trim();
+      if (key === 'prioridad' || key === 'priority') story.priority = value;
+      else if (key === 'estado' || key === 'status') story.status = value;
+      else if (key.startsWith('horas') || key.startsWith('estimated')) story.estimatedHours = parseFloat(value);
+    } else if (story && /^\*\*(criterios de aceptación|criterios de aceptacion|acceptance criteria):?\*\*:?\s*$/i.test(line.trim())) {
+      inCriteria = true;
+    } else if (story && inCriteria && /^\s*[-*]\s+/.test(line)) {
+      story.acceptanceCriteria.push(...splitCriteria(line));
+    } else if (story && !inCriteria) {
+      story.descriptionLines.push(line);
+    }
+  });
+  finishStory();
+
+  return stories;
+};
+
+// Función auxiliar para obtener el texto plano de una descripción de Jira (texto o Atlassian Document Format)
+const jiraDescriptionToText = (description) => {
+  if (!description) return '';
+  if (typeof description === 'string') return description;
+  const collect = (node) => {
+    if (!node) return '';
+    if (node.type === 'text') return node.text || '';
+    const inner = (node.content || []).map(collect).join('');
+    return ['paragraph', 'heading', 'listItem'].includes(node.type) ? `${inner}\n` : inner;
+  };
+  return collect(description).trim();
+};
+
+// Función auxiliar para separar los criterios de aceptación y la página de una descripción de Jira
+const splitJiraDescription = (text) => {
+  const pageMatch = text.match(/\n?Página:\s*(.+?)\s*\(([^)]*)\)\s*$/);
+  const withoutPage = pageMatch ? text.slice(0, pageMatch.index) : text;
+  const criteriaMatch = withoutPage.match(/\n?(?:h3\.\s*)?(?:Criterios de aceptación|Acceptance criteria):?\s*\n([\s\S]*)$/i);
+  return {
+    description: (criteriaMatch ? withoutPage.slice(0, criteriaMatch.index) : withoutPage).trim(),
+    acceptanceCriteria: criteriaMatch ? splitCriteria(criteriaMatch[1]) : [],
+    pageName: pageMatch ? pageMatch[1] : null,
+    pageRoute: pageMatch ? pageMatch[2] : null
+  };
+};
+
+// Función auxiliar para convertir historias de Jira (exportación propia o respuesta de /rest/api/*/search)
+const parseJiraStories = (content) => {
+  const data = typeof content === 'string' ? JSON.parse(content) : content;
+  const issues = data.issueUpdates || data.issues || (Array.isArray(data) ? data : []);
+
+  return issues.map(issue => {
+    const fields = issue.fields || issue;
+    const parsed = splitJiraDescription(jiraDescriptionToText(fields.description));
+    const timetracking = fields.timetracking || {};
+    const estimateSeconds = timetracking.originalEstimateSeconds || fields.timeoriginalestimate;
+    const estimateText = timetracking.originalEstimate ? String(timetracking.originalEstimate).match(/^(\d+(?:\.\d+)?)h$/) : null;
+    const acceptanceCriteria = Array.isArray(fields.acceptanceCriteria) ? fields.acceptanceCriteria : parsed.acceptanceCriteria;
+
+    return {
+      pageName: parsed.pageName || (fields.components || [])[0]?.name || null,
+      pageRoute: parsed.pageRoute,
+      pageLabel: (fields.labels || []).find(label => String(label).startsWith('page-')) || null,
+      title: fields.summary || '',
+      description: parsed.description,
+      acceptanceCriteria,
+      priority: fields.priority?.name || '',
+      status: fields.status?.name || '',
+      estimatedHours: estimateSeconds ? estimateSeconds / 3600 : (estimateText ? parseFloat(estimateText[1]) : null)
+    };
+  });
+};
+
+/**
+ * Lee las historias de usuario de un archivo exportado en CSV, Markdown o JSON de Jira.
+ *
+ * @param {string} format - csv, markdown o jira
+ * @param {string|Object} content - Contenido del archivo
+ * @returns {Array<Object>} Historias con pageName, pageRoute, title, description, acceptanceCriteria,
+ *   priority, status y estimatedHours (sin normalizar)
+ */
+const parseUserStories = (format, content) => {
+  switch (format) {
+    case 'csv':
+      return parseCsvStories(String(content));
+    case 'markdown':
+      return parseMarkdownStories(String(content));
+    case 'jira':
+      return parseJiraStories(content);
+    default:
+      throw new Error(`Formato de importación no soportado: ${format}. Usa: ${STORY_FORMATS.join(', ')}`);
+  }
+};
+
+// Función auxiliar para encontrar la página de una historia importada (por ruta, nombre o etiqueta de Jira)
+const findImportPage = (pages, story) => {
+  const name = (story.pageName || '').trim().toLowerCase();
+  return (story.pageRoute && pages.find(page => page.route === story.pageRoute)) ||
+    (name && pages.find(page => page.name.trim().toLowerCase() === name)) ||
+    (story.pageLabel && pages.find(page => toJiraLabel(page.name) === story.pageLabel)) ||
+    null;
+};
+
+/**
+ * Incorpora al proyecto historias leídas con parseUserStories. Cada historia va a la página indicada
+ * en el archivo (por ruta, nombre o etiqueta de Jira), que se crea si no existe; si el archivo no
+ * indica página, va a options.pageId o a la página "Historias importadas". Las historias cuyo título
+ * ya existe en el proyecto no se duplican: se saltan o, con onDuplicate 'update', se actualizan.
+ *
+ * @param {Object} project - Proyecto (documento de Mongoose, no se guarda aquí)
+ * @param {Array<Object>} stories - Historias leídas del archivo
+ * @param {Object} [options]
+ * @param {string} [options.pageId] - Página para las historias sin página
+ * @param {string} [options.onDuplicate] - skip (por defecto) o update
+ * @returns {{created: Array, updated: Array, skipped: Array, pagesCreated: Array, warnings: Array}}
+ */
+const importUserStories = (project, stories, { pageId, onDuplicate = 'skip' } = {}) => {
+  const report = { created: [], updated: [], skipped: [], pagesCreated: [], warnings: [] };
+  const fallbackPage = pageId ? project.pages.find(page => page.id === pageId) : null;
+  if (pageId && !fallbackPage) {
+    throw new Error(`La página ${pageId} no existe en el proyecto`);
+  }
+
+  // Índice de títulos de todo el proyecto para deduplicar también entre páginas
+  const existingByTitle = new Map();
+  project.pages.forEach(page => page.userStories.forEach(story => {
+    existingByTitle.set(normalizeTitle(story.title), { page, story });
+  }));
+
+  const ensurePage = (story) => {
+    const hasPageInfo = story.pageName || story.pageRoute || story.pageLabel;
+    const existing = hasPageInfo ? findImportPage(project.pages, story) : fallbackPage;
+    if (existing) return existing;
+
+    const name = hasPageInfo
+      ? (story.pageName || story.pageRoute || story.pageLabel.replace(/^page-/, ''))
+      : DEFAULT_IMPORT_PAGE;
+    const route = story.pageRoute || toPageRoute(name);
+    const sameName = project.pages.find(page => page.name === name);
+    if (sameName) return sameName;
+
+    project.pages.push({
+      id: uuidv4(),
+      name: name.slice(0, 100),
+      description: `Página ${name} creada al importar historias de usuario.`,
+      route,
+      userStories: []
+    });
+    const page = project.pages[project.pages.length - 1];
+    report.pagesCreated.push({ id: page.id, name: page.name, route: page.route });
+    return page;
+  };
+
+  stories.forEach((storyData, index) => {
+    const title = String(storyData.title || '').trim();
+    if (!title) {
+      report.warnings.push(`Historia ${index + 1}: sin título, se omite`);
+      return;
+    }
+
+    let description = String(storyData.description || '').trim() || title;
+    if (description.length > DESCRIPTION_MAX_LENGTH) {
+      report.warnings.push(`"${title}": la descripción se recortó a ${DESCRIPTION_MAX_LENGTH} caracteres`);
+      description = description.slice(0, DESCRIPTION_MAX_LENGTH);
+    }
+    const hours = Number(storyData.estimatedHours);
+    const fields = {
+      title: title.slice(0, TITLE_MAX_LENGTH),
+      description,
+      acceptanceCriteria: getCriteriaTexts(storyData.acceptanceCriteria),
+      priority: PRIORITY_ALIASES[String(storyData.priority || '').trim().toLowerCase()] || 'medium',
+      status: STATUS_ALIASES[String(storyData.status || '').trim().toLowerCase()] || 'pending',
+      estimatedHours: Number.isFinite(hours) && hours > 0 ? Math.round(hours * 100) / 100 : 0
+    };
+
+    const duplicate = existingByTitle.get(normalizeTitle(title));
+    if (duplicate) {
+      if (onDuplicate === 'update') {
+        // El estado no se toca: lo lleva el equipo en esta herramienta
+        Object.assign(duplicate.story, {
+          description: fields.description,
+          priority: fields.priority,
+          estimatedHours: fields.estimatedHours,
+          acceptanceCriteria: fields.acceptanceCriteria.length > 0
+            ? toAcceptanceCriteria(fields.acceptanceCriteria, duplicate.story.acceptanceCriteria)
+            : duplicate.story.acceptanceCriteria
+        });
+        report.updated.push({ id: duplicate.story.id, title: duplicate.story.title, page: duplicate.page.name });
+      } else {
+        report.skipped.push({ id: duplicate.story.id, title: duplicate.story.title, page: duplicate.page.name });
+      }
+      return;
+    }
+
+    const page = ensurePage(storyData);
+    page.userStories.push({ id: uuidv4(), ...fields, acceptanceCriteria: toAcceptanceCriteria(fields.acceptanceCriteria), source: 'import' });
+    const created = page.userStories[page.userStories.length - 1];
+    existingByTitle.set(normalizeTitle(title), { page, story: created });
+    report.created.push({ id: created.id, title: created.title, page: page.name });
+  });
+
+  return report;
+};
+
+module.exports = {
+  STORY_FORMATS,
+  DUPLICATE_MODES,
+  exportUserStories,
+  parseUserStories,
+  importUserStories
+};
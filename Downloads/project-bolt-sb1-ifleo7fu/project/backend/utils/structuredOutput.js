@@ -0,0 +1,218 @@
+const path = require('path');
+const JSON5 = require('json5');
+const { z } = require('zod/v4');
+
+// Número máximo de prompts de reparación por paso antes de quedarse con lo que sea válido
+const MAX_REPAIR_ATTEMPTS = parseInt(process.env.LLM_MAX_REPAIRS, 10) >= 0 ? parseInt(process.env.LLM_MAX_REPAIRS, 10) : 2;
+// Secciones que puede devolver un paso de generación de backend
+const ANALYSIS_SECTIONS = ['models', 'migrations', 'controllers', 'services', 'routes', 'middleware', 'config', 'utils', 'tests'];
+// Las respuestas muy largas se recortan en el prompt de reparación
+const MAX_REPAIR_RESPONSE_CHARS = 30000;
+
+// Archivo generado: nombre, ruta relativa segura y contenido no vacío
+const generatedFileSchema = z.looseObject({
+  name: z.string().trim().min(1, 'el nombre no puede estar vacío'),
+  fileName: z.string().trim().min(1, 'el nombre de archivo no puede estar vacío')
+    .refine(fileName => !path.isAbsolute(fileName) && !fileName.split(/[\\/]/).includes('..'), 'debe ser una ruta relativa sin ".."'),
+  content: z.string().refine(content => content.trim().length > 0, 'el contenido del archivo no puede estar vacío'),
+  description: z.string().optional()
+});
+
+// Función auxiliar para crear el schema de un paso de generación de backend
+// (required: secciones que deben venir aunque sea vacías; minFiles: archivos mínimos entre todas las secciones)
+const createAnalysisSchema = ({ required = [], minFiles = 0 } = {}) => z.object(Object.fromEntries(ANALYSIS_SECTIONS.map(section => [
+  section,
+  required.includes(section) ? z.array(generatedFileSchema) : z.array(generatedFileSchema).optional()
+]))).refine(
+  analysis => ANALYSIS_SECTIONS.reduce((total, section) => total + (analysis[section] || []).length, 0) >= minFiles,
+  `la respuesta debe incluir al menos ${minFiles} archivo(s)`
+);
+
+// Historia de usuario tal y como la piden los prompts de sincronización y generación
+const userStorySchema = z.looseObject({
+  title: z.string().trim().min(1, 'el título no puede estar vacío'),
+  description: z.string().trim().min(1, 'la descripción no puede estar vacía'),
+  acceptanceCriteria: z.array(z.union([
+    z.string().trim().min(1),
+    z.looseObject({ text: z.string().trim().min(1) })
+  ])).min(1, 'debe tener al menos un criterio de aceptación'),
+  priority: z.enum(['Alta', 'Media', 'Baja', 'alta', 'media', 'baja', 'high', 'medium', 'low']).optional(),
+  estimatedHours: z.number().min(0).max(1000).optional()
+});
+
+const createUserStoriesSchema = ({ count } = {}) => {
+  const stories = z.array(userStorySchema).min(1, 'debe incluir al menos una historia de usuario');
+  return count ? stories.length(count, `debe incluir exactamente ${count} historias de usuario`) : stories;
+};
+
+// Schemas de cada paso que llama al modelo
+const STEP_SCHEMAS = {
+  models: createAnalysisSchema({ required: ['models'] }),
+  controllers: createAnalysisSchema({ required: ['controllers'], minFiles: 1 }),
+  routes: createAnalysisSchema({ required: ['routes'], minFiles: 1 }),
+  missingFunctions: createAnalysisSchema({ minFiles: 1 }),
+  infrastructure: createAnalysisSchema({ minFiles: 1 }),
+  backendAnalysis: createAnalysisSchema(),
+  userStories: createUserStoriesSchema()
+};
+
+// Función auxiliar para obtener el schema de un paso (o el que se pase directamente)
+const resolveSchema = (step, schema) => {
+  const resolved = schema || STEP_SCHEMAS[step];
+  if (!resolved) throw new Error(`No hay schema de salida definido para el paso "${step}"`);
+  return resolved;
+};
+
+// Función auxiliar para encontrar el primer valor JSON completo (objeto o array) de un texto, respetando las cadenas
+const findBalancedJson = (text) => {
+  const start = text.search(/[{[]/);
+  if (start === -1) return null;
+  const stack = [];
+  let quote = null;
+  for (let index = start; index < text.length; index++) {
+    const char = text[index];
+    if (quote) {
+      if (char === '\\') index++;
+      else if (char === quote) quote = null;
+      continue;
+    }
+    if (char === '"' || char === "'" || char === '`') quote = char;
+    else if (char === '{' || char === '[') stack.push(char === '{' ? '}' : ']');
+    else if (char === '}' || char === ']') {
+      if (stack.pop() !== char) return null;
+      if (stack.length === 0) return text.slice(start, index + 1);
+    }
+  }
+  return null;
+};
+
+// Extrae y parsea el JSON de una respuesta del modelo (bloque ```json, el texto completo o el primer valor JSON)
+const extractJson = (responseText = '') => {
+  const text = String(responseText).trim();
+  const fenced = text.match(/```(?:json5?|JSON)?\s*\n([\s\S]*?)\n\s*```/);
+  const candidates = [fenced && fenced[1], text, findBalancedJson(text)].filter(Boolean);
+
+  let lastError = null;
+  for (const candidate of candidates) {
+    try {
+      return JSON5.parse(candidate);
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  throw new Error(lastError ? `JSON inválido: ${lastError.message}` : 'La respuesta no contiene JSON');
+};
+
+// Función auxiliar para convertir los issues de Zod en errores legibles "ruta: mensaje"
+const formatIssues = (issues) => issues.map(issue => {
+  const issuePath = issue.path.reduce((result, key) => (typeof key === 'number' ? `${result}[${key}]` : result ? `${result}.${key}` : String(key)), '');
+  return `${issuePath || '(raíz)'}: ${issue.message}`;
+});
+
+// Valida el texto de una respuesta contra el schema de un paso
+// Devuelve { success, data, value, errors }; value es el JSON parseado aunque no cumpla el schema
+const validateStructuredOutput = (responseText, step, schema) => {
+  let value;
+  try {
+    value = extractJson(responseText);
+  } catch (error) {
+    return { success: false, data: null, value: undefined, errors: [error.message] };
+  }
+  const result = resolveSchema(step, schema).safeParse(value);
+  return result.success
+    ? { success: true, data: result.data, value, errors: [] }
+    : { success: false, data: null, value, errors: formatIssues(result.error.issues) };
+};
+
+// Función auxiliar para crear el prompt de reparación con los errores de validación y el schema esperado
+const createRepairPrompt = (step, responseText, errors, schema) => {
+  const previous = responseText.length > MAX_REPAIR_RESPONSE_CHARS
+    ? `${responseText.slice(0, MAX_REPAIR_RESPONSE_CHARS)}\n... (respuesta recortada)`
+    : responseText;
+  return `Tu respuesta anterior para el paso "${step}" no cumple el formato JSON esperado.
+
+Errores de validación:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Schema JSON que debe cumplir la respuesta:
+\`\`\`json
+${JSON.stringify(z.toJSONSchema(resolveSchema(step, schema), { unrepresentable: 'any' }), null, 2)}
+\`\`\`
+
+Respuesta anterior:
+\`\`\`
+${previous}
+\`\`\`
+
+Corrige SOLO los errores indicados y conserva todo lo que ya era válido. Ningún archivo puede tener "content" vacío.
+Responde ÚNICAMENTE con el JSON corregido y completo, sin texto adicional.`;
+};
+
+// Recupera de una respuesta inválida solo los elementos que cumplen el schema (nunca archivos sin contenido)
+const salvageStructuredOutput = (value, step) => {
+  if (step === 'userStories') {
+    return (Array.isArray(value) ? value : []).filter(story => userStorySchema.safeParse(story).success);
+  }
+  const analysis = {};
+  ANALYSIS_SECTIONS.forEach(section => {
+    const files = value && Array.isArray(value[section]) ? value[section] : [];
+    analysis[section] = files.map(file => generatedFileSchema.safeParse(file)).filter(result => result.success).map(result => result.data);
+  });
+  return analysis;
+};
+
+// Crea el registro de reparaciones por paso de una operación ({ [paso]: { calls, repairs, failed } })
+const createRepairStats = () => ({});
+
+// Función auxiliar para acumular el resultado de un paso en el registro de reparaciones
+const recordRepairStats = (stats, step, { repairs, valid }) => {
+  if (!stats) return;
+  const entry = stats[step] || (stats[step] = { calls: 0, repairs: 0, failed: 0 });
+  entry.calls++;
+  entry.repairs += repairs;
+  if (!valid) entry.failed++;
+};
+
+/**
+ * Llama al modelo y valida la respuesta contra el schema del paso. Si no cumple, envía un prompt de
+ * reparación con los errores hasta maxRepairs veces. Si sigue sin cumplir, devuelve solo lo recuperable.
+ * @param {(prompt: string) => Promise<{text: string}>} generate - Llamada al proveedor de IA
+ * @param {string} prompt - Prompt original del paso
+ * @param {Object} options - step, schema (opcional), maxRepairs, stats y onResponse(text, repairIndex)
+ * @returns {Promise<{data: any, valid: boolean, repairs: number, errors: string[], text: string}>}
+ */
+const generateStructured = async (generate, prompt, { step, schema, maxRepairs = MAX_REPAIR_ATTEMPTS, stats, onResponse } = {}) => {
+  let response = await generate(prompt);
+  if (onResponse) await onResponse(response.text, 0);
+  let result = validateStructuredOutput(response.text, step, schema);
+  let repairs = 0;
+
+  while (!result.success && repairs < maxRepairs) {
+    repairs++;
+    console.warn(`🩹 Respuesta inválida en "${step}" (${result.errors.length} errores), reparación ${repairs}/${maxRepairs}: ${result.errors.slice(0, 3).join('; ')}`);
+    response = await generate(createRepairPrompt(step, response.text, result.errors, schema));
+    if (onResponse) await onResponse(response.text, repairs);
+    result = validateStructuredOutput(response.text, step, schema);
+  }
+
+  recordRepairStats(stats, step, { repairs, valid: result.success });
+  if (result.success) {
+    if (repairs > 0) console.log(`✅ Respuesta de "${step}" reparada tras ${repairs} intento(s)`);
+    return { data: result.data, valid: true, repairs, errors: [], text: response.text };
+  }
+
+  console.error(`❌ La respuesta de "${step}" sigue sin cumplir el schema tras ${repairs} reparación(es): ${result.errors.slice(0, 5).join('; ')}`);
+  return { data: salvageStructuredOutput(result.value, step), valid: false, repairs, errors: result.errors, text: response.text };
+};
+
+module.exports = {
+  MAX_REPAIR_ATTEMPTS,
+  STEP_SCHEMAS,
+  createAnalysisSchema,
+  createUserStoriesSchema,
+  extractJson,
+  validateStructuredOutput,
+  salvageStructuredOutput,
+  createRepairStats,
+  generateStructured
+};
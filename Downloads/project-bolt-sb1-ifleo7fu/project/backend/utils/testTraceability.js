@@ -0,0 +1,197 @@
+const { applyCiResults } = require('./acceptanceCriteria');
+
+// Etiquetas que los agentes be-test y fe-test ponen en los títulos de los tests (ver shared/utils/traceability.ts)
+const STORY_TAG_PATTERN = /\[story:([\w-]+)\]/g;
+const CRITERION_TAG_PATTERN = /\[ac:([\w-]+)\]/g;
+const MAX_FAILING_TESTS = 20;
+
+const TEST_COVERAGE_STATUSES = ['passing', 'failing', 'not-run', 'no-tests'];
+
+// Función auxiliar para extraer los ids de las etiquetas de un texto
+const extractTags = (text, pattern) => [...String(text || '').matchAll(pattern)].map(match => match[1]);
+
+// Función auxiliar para normalizar rutas de archivos de test (separadores y prefijo ./)
+const normalizeTestPath = (filePath) => String(filePath || '').replace(/\\/g, '/').replace(/^\.\//, '');
+
+// Función auxiliar para saber si un archivo del informe de Jest (ruta absoluta) es un archivo de test enlazado (ruta relativa)
+const isSameTestFile = (reportPath, linkedPath) => {
+  const report = normalizeTestPath(reportPath);
+  const linked = normalizeTestPath(linkedPath);
+  return report === linked || report.endsWith(`/${linked}`);
+};
+
+// Función auxiliar para convertir el estado de Jest en passed, failed o skipped
+const toTestStatus = (status) => {
+  if (status === 'passed') return 'passed';
+  if (status === 'failed') return 'failed';
+  return 'skipped'; // pending, todo, skipped, disabled
+};
+
+/**
+ * Lee el informe JSON de Jest (jest --json) y devuelve un resultado por test con las historias y los
+ * criterios de aceptación que indican sus etiquetas. Un archivo que no llega a ejecutarse (error de
+ * sintaxis, import roto...) cuenta como un test fallido de ese archivo.
+ *
+ * @param {Object} report - Informe de Jest ({ testResults: [{ name, status, assertionResults }] })
+ * @returns {Array<{file: string, fullName: string, status: string, storyIds: Array<string>, criterionIds: Array<string>}>}
+ */
+const parseJestReport = (report) => {
+  if (!report || !Array.isArray(report.testResults)) {
+    throw new Error('El informe no tiene el formato JSON de Jest (falta testResults)');
+  }
+
+  return report.testResults.flatMap(fileResult => {
+    const assertions = fileResult.assertionResults || [];
+    if (assertions.length === 0 && fileResult.status === 'failed') {
+      return [{
+        file: fileResult.name,
+        fullName: `${fileResult.name}: ${(fileResult.message || '').split('\n').map(line => line.replace(/^\s*●\s*/, '').trim()).find(Boolean) || 'el archivo de test no se pudo ejecutar'}`,
+        status: 'failed',
+        storyIds: [],
+        criterionIds: []
+      }];
+    }
+
+    return assertions.map(assertion => {
+      const titles = [...(assertion.ancestorTitles || []), assertion.title].join(' ');
+      const fullName = assertion.fullName || titles;
+      return {
+        file: fileResult.name,
+        fullName,
+        status: toTestStatus(assertion.status),
+        storyIds: [...new Set(extractTags(titles, STORY_TAG_PATTERN))],
+        criterionIds: [...new Set(extractTags(titles, CRITERION_TAG_PATTERN))]
+      };
+    });
+  });
+};
+
+/**
+ * Incorpora un informe de Jest al proyecto: cada historia guarda el resumen de sus tests (por etiqueta
+ * [story:id] o porque el archivo está enlazado a la historia) y cada criterio etiquetado con [ac:id]
+ * recibe ciTestPassed (false si algún test falla, true si todos pasan). Las historias sin tests en el
+ * informe conservan su último resultado.
+ *
+ * @param {Object} project - Proyecto (documento de Mongoose, no se guarda aquí)
+ * @param {Object} report - Informe JSON de Jest
+ * @param {Object} [options]
+ * @param {string} [options.commit] - Commit probado
+ * @param {Date} [options.runAt] - Momento de la ejecución
+ * @returns {{stories: Array, criteria: Object, unknownStoryIds: Array<string>, untaggedTests: number, totalTests: number}}
+ */
+const ingestJestReport = (project, report, { commit, runAt = new Date() } = {}) => {
+  const tests = parseJestReport(report);
+  const stories = project.pages.flatMap(page => page.userStories);
+  const storyIds = new Set(stories.map(story => story.id));
+  const result = { stories: [], criteria: { updated: [], notFound: [] }, unknownStoryIds: [], untaggedTests: 0, totalTests: tests.length };
+
+  stories.forEach(story => {
+    const linkedFiles = (story.testFiles || []).map(testFile => testFile.path);
+    const storyTests = tests.filter(test => test.storyIds.includes(story.id) ||
+      linkedFiles.some(linkedPath => isSameTestFile(test.file, linkedPath)));
+    if (storyTests.length === 0) return;
+
+    const failing = storyTests.filter(test => test.status === 'failed');
+    const testResults = {
+      passed: storyTests.filter(test => test.status === 'passed').length,
+      failed: failing.length,
+      skipped: storyTests.filter(test => test.status === 'skipped').length,
+      lastRunAt: runAt,
+      commit: commit || undefined,
+      failingTests: failing.slice(0, MAX_FAILING_TESTS).map(test => test.fullName)
+    };
+    story.testResults = testResults;
+    result.stories.push({ storyId: story.id, title: story.title, passed: testResults.passed, failed: testResults.failed, skipped: testResults.skipped });
+  });
+
+  // Un criterio pasa si todos sus tests ejecutados pasan; los que solo tienen tests pendientes (todo) no cambian
+  const criterionTests = new Map();
+  tests.forEach(test => test.criterionIds.forEach(criterionId => {
+    if (test.status === 'skipped') return;
+    criterionTests.set(criterionId, [...(criterionTests.get(criterionId) || []), test]);
+  }));
+  result.criteria = applyCiResults(project, [...criterionTests.entries()].map(([criterionId, criterionResults]) => ({
+    criterionId,
+    passed: criterionResults.every(test => test.status === 'passed')
+  })), runAt);
+
+  const unknown = new Set();
+  tests.forEach(test => {
+    if (test.storyIds.length === 0 && test.criterionIds.length === 0) result.untaggedTests++;
+    test.storyIds.filter(storyId => !storyIds.has(storyId)).forEach(storyId => unknown.add(storyId));
+  });
+  result.unknownStoryIds = [...unknown];
+
+  return result;
+};
+
+// Función auxiliar para calcular el estado de los tests de una historia
+const getStoryTestStatus = (story) => {
+  const results = story.testResults;
+  if (results && results.lastRunAt) {
+    if (results.failed > 0) return 'failing';
+    if (results.passed > 0) return 'passing';
+  }
+  // Enlazada a archivos de test que aún no aparecieron en ningún informe (o solo con tests pendientes)
+  return (story.testFiles || []).length > 0 ? 'not-run' : 'no-tests';
+};
+
+/**
+ * Vista de cobertura por página: qué historias tienen tests que pasan, que fallan, enlazados pero sin
+ * ejecutar o ningún test, con el detalle de sus criterios de aceptación.
+ *
+ * @param {Object} project - Proyecto
+ * @param {Object} [options]
+ * @param {string} [options.pageId] - Limitar la vista a una página
+ * @returns {{summary: Object, pages: Array}}
+ */
+const getTestCoverage = (project, { pageId } = {}) => {
+  const emptySummary = () => ({ total: 0, passing: 0, failing: 0, 'not-run': 0, 'no-tests': 0 });
+  const summary = emptySummary();
+
+  const pages = project.pages
+    .filter(page => !pageId || page.id === pageId)
+    .map(page => {
+      const pageSummary = emptySummary();
+      const stories = page.userStories.map(story => {
+        const status = getStoryTestStatus(story);
+        const criteria = story.acceptanceCriteria || [];
+        pageSummary.total++;
+        pageSummary[status]++;
+        return {
+          id: story.id,
+          title: story.title,
+          status,
+          tests: story.testResults && story.testResults.lastRunAt ? {
+            passed: story.testResults.passed,
+            failed: story.testResults.failed,
+            skipped: story.testResults.skipped,
+            lastRunAt: story.testResults.lastRunAt,
+            commit: story.testResults.commit || null,
+            failingTests: story.testResults.failingTests
+          } : null,
+          testFiles: (story.testFiles || []).map(testFile => testFile.path),
+          acceptanceCriteria: {
+            total: criteria.length,
+            passing: criteria.filter(criterion => criterion.ciTestPassed === true).length,
+            failing: criteria.filter(criterion => criterion.ciTestPassed === false).length,
+            untested: criteria.filter(criterion => criterion.ciTestPassed === null || criterion.ciTestPassed === undefined).length
+          }
+        };
+      });
+
+      TEST_COVERAGE_STATUSES.concat('total').forEach(key => {
+        summary[key] += pageSummary[key];
+      });
+      return { id: page.id, name: page.name, route: page.route, summary: pageSummary, stories };
+    });
+
+  return { summary, pages };
+};
+
+module.exports = {
+  TEST_COVERAGE_STATUSES,
+  parseJestReport,
+  ingestJestReport,
+  getTestCoverage
+};
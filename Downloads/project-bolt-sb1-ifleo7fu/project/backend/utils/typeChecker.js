@@ -0,0 +1,125 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { Project, ts } = require('ts-morph');
+
+const HOST_NODE_MODULES = path.join(__dirname, '..', 'node_modules');
+const MAX_DIAGNOSTICS = 50;
+
+// "Cannot find module" y "Could not find a declaration file for module"
+const MODULE_NOT_FOUND_CODES = new Set([2307, 7016]);
+
+// Función auxiliar para convertir un diagnóstico del compilador en un objeto serializable
+const formatDiagnostic = (diagnostic, rootDir) => {
+  const entry = {
+    file: null,
+    line: null,
+    code: diagnostic.code,
+    message: ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n')
+  };
+  if (diagnostic.file) {
+    entry.file = path.relative(rootDir, diagnostic.file.fileName);
+    entry.line = diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start).line + 1;
+  }
+  return entry;
+};
+
+// Función auxiliar para obtener el módulo no resuelto de un diagnóstico 2307/7016 (null si es relativo)
+const getMissingPackage = (diagnostic) => {
+  if (!MODULE_NOT_FOUND_CODES.has(diagnostic.code)) return null;
+  const match = diagnostic.message.match(/module '([^']+)'/);
+  if (!match || match[1].startsWith('.') || path.isAbsolute(match[1])) return null;
+  return match[1];
+};
+
+/**
+ * Comprueba los tipos del backend generado en TypeScript, equivalente a `tsc --noEmit`
+ * con su propio tsconfig.json. Los paquetes y @types se resuelven primero desde el
+ * node_modules del backend generado y después desde el de este backend, así que no
+ * hace falta instalar nada. Los paquetes externos sin tipos disponibles se informan en
+ * missingTypes pero no hacen fallar la comprobación (dependen del entorno, no del código).
+ *
+ * @param {string} outputPath - Directorio del backend generado (con tsconfig.json)
+ * @returns {Promise<Object>} passed, typescriptVersion, fileCount, errorCount,
+ *   diagnostics (máximo 50), missingTypes y durationMs
+ */
+const typeCheckGeneratedBackend = async (outputPath) => {
+  const startTime = Date.now();
+  const rootDir = path.resolve(outputPath);
+  const configPath = path.join(rootDir, 'tsconfig.json');
+  const result = {
+    passed: false,
+    typescriptVersion: ts.version,
+    fileCount: 0,
+    errorCount: 0,
+    diagnostics: [],
+    missingTypes: [],
+    durationMs: 0
+  };
+
+  if (!await fs.pathExists(configPath)) {
+    result.errorCount = 1;
+    result.diagnostics.push({ file: null, line: null, code: null, message: 'No se encontró tsconfig.json' });
+    result.durationMs = Date.now() - startTime;
+    return result;
+  }
+
+  // ts-morph incluye en memoria los lib.*.d.ts de TypeScript, que no están en disco
+  const localNodeModules = path.join(rootDir, 'node_modules');
+  let project;
+  try {
+    project = new Project({
+      tsConfigFilePath: configPath,
+      compilerOptions: {
+        noEmit: true,
+        baseUrl: rootDir,
+        paths: {
+          '*': [
+            path.join(localNodeModules, '*'),
+            path.join(localNodeModules, '@types', '*'),
+            path.join(HOST_NODE_MODULES, '*'),
+            path.join(HOST_NODE_MODULES, '@types', '*')
+          ]
+        },
+        typeRoots: [path.join(localNodeModules, '@types'), path.join(HOST_NODE_MODULES, '@types')]
+      }
+    });
+  } catch (error) {
+    result.errorCount = 1;
+    result.diagnostics.push({ file: 'tsconfig.json', line: null, code: null, message: error.message });
+    result.durationMs = Date.now() - startTime;
+    return result;
+  }
+
+  const program = project.getProgram().compilerObject;
+  const diagnostics = ts.getPreEmitDiagnostics(program)
+    .filter(diagnostic => diagnostic.category === ts.DiagnosticCategory.Error)
+    .map(diagnostic => formatDiagnostic(diagnostic, rootDir));
+
+  const missingTypes = new Set();
+  const errors = diagnostics.filter(diagnostic => {
+    const missingPackage = getMissingPackage(diagnostic);
+    if (missingPackage) missingTypes.add(missingPackage);
+    return !missingPackage;
+  });
+
+  result.passed = errors.length === 0;
+  result.fileCount = project.getSourceFiles().filter(file => !file.isDeclarationFile()).length;
+  result.errorCount = errors.length;
+  result.diagnostics = errors.slice(0, MAX_DIAGNOSTICS);
+  result.missingTypes = [...missingTypes];
+  result.durationMs = Date.now() - startTime;
+  return result;
+};
+
+// Función auxiliar para resumir la comprobación de tipos en una línea de log
+const summarizeTypecheck = (typecheck) => {
+  if (!typecheck) return 'no ejecutada';
+  if (typecheck.passed) return `OK (${typecheck.fileCount} archivos, TypeScript ${typecheck.typescriptVersion})`;
+  const first = typecheck.diagnostics[0];
+  return `${typecheck.errorCount} errores de tipos${first ? `, p. ej. ${first.file || ''}:${first.line || ''} ${first.message}` : ''}`;
+};
+
+module.exports = {
+  typeCheckGeneratedBackend,
+  summarizeTypecheck
+};
@@ -0,0 +1,412 @@
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const simpleGit = require('simple-git');
+const {
+  cloneProjectRepository,
+  fetchProjectRepository,
+  ensureCommitAvailable,
+  pushProjectBranch
+} = require('./repositoryAccess');
+
+const WORKSPACE_ROOT = path.resolve(process.env.WORKSPACE_CACHE_DIR || path.join(__dirname, '..', 'workspaces'));
+const WORKSPACE_MAX_AGE_MS = parseInt(process.env.WORKSPACE_MAX_AGE_MS, 10) || 7 * 24 * 60 * 60 * 1000;
+const SNAPSHOT_MAX_AGE_MS = parseInt(process.env.WORKSPACE_SNAPSHOT_MAX_AGE_MS, 10) || 6 * 60 * 60 * 1000;
+const WORKSPACE_GC_INTERVAL_MS = 60 * 60 * 1000;
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+// Un clonado largo renueva el lock; si nadie lo toca en este tiempo se considera abandonado
+const LOCK_STALE_MS = 30 * 60 * 1000;
+const LOCK_RETRY_MS = 250;
+const METADATA_FILE = 'workspace.json';
+// Autor de los commits que el generador hace en el repositorio del proyecto
+const COMMIT_AUTHOR_NAME = process.env.GIT_COMMIT_AUTHOR_NAME || 'Backend Generator';
+const COMMIT_AUTHOR_EMAIL = process.env.GIT_COMMIT_AUTHOR_EMAIL || 'backend-generator@localhost';
+// Directorios del backend generado que no se suben al repositorio
+const UNCOMMITTED_DIRECTORIES = new Set(['node_modules', '.git']);
+
+// Snapshots entregados por este proceso que aún no se han liberado (el GC no los toca)
+const activeSnapshots = new Set();
+
+// Función auxiliar para calcular la clave del workspace: cambia si cambian la URL, el ref o el tipo de clonado
+const getWorkspaceKey = (project) => {
+  const repository = project.repository || {};
+  const fingerprint = [project.githubUrl, repository.ref || '', repository.shallow !== false].join('|');
+  return `${project._id}_${crypto.createHash('sha256').update(fingerprint).digest('hex').slice(0, 12)}`;
+};
+
+// Función auxiliar para saber si un proceso de esta máquina sigue vivo
+const isProcessAlive = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+};
+
+// Función auxiliar para decidir si un lock quedó abandonado (proceso muerto o sin renovar).
+// Devuelve el contenido del lock abandonado (para reconocerlo al liberarlo) o null si no lo está
+const getStaleLockContent = async (lockPath) => {
+  try {
+    const [stat, content] = await Promise.all([fs.stat(lockPath), fs.readFile(lockPath, 'utf8')]);
+    const owner = JSON.parse(content || '{}');
+    if (owner.hostname === os.hostname() && owner.pid && !isProcessAlive(owner.pid)) return content;
+    return Date.now() - stat.mtimeMs > LOCK_STALE_MS ? content : null;
+  } catch (error) {
+    // Lock a medio escribir o ya borrado: se reintenta en la siguiente vuelta
+    return null;
+  }
+};
+
+// Función auxiliar para liberar un lock abandonado. Se aparta con un rename atómico y se comprueba que es
+// el mismo que se dio por abandonado: si otro proceso se adelantó, lo liberó y tomó uno nuevo, se devuelve a su sitio
+const removeStaleLock = async (lockPath, staleContent) => {
+  const claimedPath = `${lockPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.stale`;
+  try {
+    await fs.rename(lockPath, claimedPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+
+  const content = await fs.readFile(claimedPath, 'utf8').catch(() => null);
+  if (content !== staleContent) {
+    // link falla si entretanto alguien creó otro lock: en ese caso ese es el bueno
+    await fs.link(claimedPath, lockPath).catch(() => {});
+  }
+  await fs.remove(claimedPath);
+};
+
+/**
+ * Adquiere el lock de un workspace. El lock es un archivo creado de forma atómica (flag "wx"),
+ * así que también excluye a otros procesos del servidor que compartan el directorio de caché.
+ *
+ * @param {string} key - Clave del workspace
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - Espera máxima (0: no esperar)
+ * @returns {Promise<Function|null>} Función que libera el lock, o null si no se obtuvo sin esperar
+ */
+const acquireLock = async (key, { timeoutMs = LOCK_TIMEOUT_MS } = {}) => {
+  const lockPath = path.join(WORKSPACE_ROOT, `${key}.lock`);
+  const deadline = Date.now() + timeoutMs;
+  await fs.ensureDir(WORKSPACE_ROOT);
+
+  while (true) {
+    try {
+      const handle = await fs.open(lockPath, 'wx');
+      // El token distingue este lock de uno anterior del mismo proceso
+      const content = JSON.stringify({
+        pid: process.pid,
+        hostname: os.hostname(),
+        token: crypto.randomBytes(8).toString('hex'),
+        acquiredAt: new Date().toISOString()
+      });
+      await fs.writeFile(handle, content);
+      await fs.close(handle);
+
+      // Renovar el lock mientras se usa para que una operación larga no parezca abandonada
+      const heartbeat = setInterval(() => {
+        const now = new Date();
+        fs.utimes(lockPath, now, now).catch(() => {});
+      }, LOCK_STALE_MS / 3);
+      heartbeat.unref();
+
+      return async () => {
+        clearInterval(heartbeat);
+        // Solo se borra si sigue siendo este lock (si se dio por abandonado, ya puede ser de otro)
+        const current = await fs.readFile(lockPath, 'utf8').catch(() => null);
+        if (current === content) await fs.remove(lockPath);
+      };
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const staleContent = await getStaleLockContent(lockPath);
+    if (staleContent !== null) {
+      console.warn(`⚠️ Lock abandonado en el workspace ${key}, se libera`);
+      await removeStaleLock(lockPath, staleContent);
+      continue;
+    }
+    if (Date.now() >= deadline) {
+      if (timeoutMs === 0) return null;
+      throw new Error(`Tiempo de espera agotado esperando el workspace del repositorio (${key}): hay otra operación en curso`);
+    }
+    await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+  }
+};
+
+// Función auxiliar para ejecutar una función con el lock del workspace
+const withWorkspaceLock = async (key, fn) => {
+  const release = await acquireLock(key);
+  try {
+    return await fn();
+  } finally {
+    await release();
+  }
+};
+
+// Función auxiliar para leer los metadatos de un workspace (null si no existen)
+const readMetadata = async (workspaceDir) => {
+  try {
+    return await fs.readJson(path.join(workspaceDir, METADATA_FILE));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Función auxiliar para eliminar un snapshot: primero como worktree de Git y, si falla, borrando el directorio
+const removeSnapshot = async (repoDir, snapshotDir) => {
+  try {
+    await simpleGit(repoDir).raw(['worktree', 'remove', '--force', snapshotDir]);
+  } catch (error) {
+    await fs.remove(snapshotDir);
+    await simpleGit(repoDir).raw(['worktree', 'prune']).catch(() => {});
+  }
+};
+
+// Función auxiliar para validar el directorio del repositorio donde se guarda el backend generado
+const normalizeCommitDirectory = (directory) => {
+  const normalized = path.posix.normalize(String(directory || '').replace(/\\/g, '/')).replace(/^\.\/|\/$/g, '');
+  if (!normalized || normalized === '.' || path.posix.isAbsolute(normalized) || normalized.split('/').includes('..') || normalized.split('/').includes('.git')) {
+    throw new Error(`Directorio de destino no válido: "${directory}" (debe ser una ruta relativa dentro del repositorio)`);
+  }
+  return normalized;
+};
+
+/**
+ * Crea una rama nueva en el clon en caché a partir de un commit y guarda en ella un árbol de archivos
+ * (el backend generado) dentro de un directorio del repositorio, que se sustituye entero. El commit se
+ * hace en un worktree temporal, así que no afecta a los snapshots en uso. Si se pide, sube la rama al
+ * remoto; un fallo del push no deshace el commit local, que se devuelve con pushError.
+ * Debe ejecutarse con el lock del workspace.
+ *
+ * @param {Object} project - Proyecto (githubUrl y repository)
+ * @param {string} repoDir - Clon en caché
+ * @param {Object} options
+ * @param {string} options.sourceDir - Directorio con los archivos a guardar
+ * @param {string} options.baseCommit - Commit del que parte la rama
+ * @param {string} options.branch - Nombre de la rama (no debe existir)
+ * @param {string} options.directory - Directorio del repositorio donde se guardan los archivos
+ * @param {string} options.message - Mensaje del commit
+ * @param {boolean} [options.push=false] - Subir la rama al remoto
+ * @returns {Promise<{branch: string, commit: string, baseCommit: string, directory: string, files: number, pushed: boolean, pushError?: string}>}
+ */
+const commitTreeToBranch = async (project, repoDir, { sourceDir, baseCommit, branch, directory, message, push = false }) => {
+  const git = simpleGit(repoDir);
+  const targetDirectory = normalizeCommitDirectory(directory);
+
+  try {
+    await git.raw(['check-ref-format', '--branch', branch]);
+  } catch (error) {
+    throw new Error(`Nombre de rama no válido: "${branch}"`);
+  }
+  if ((await git.raw(['branch', '--list', branch])).trim()) {
+    throw new Error(`La rama ${branch} ya existe en el repositorio`);
+  }
+
+  const worktreeDir = path.join(path.dirname(repoDir), 'snapshots', `commit_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`);
+  await fs.ensureDir(path.dirname(worktreeDir));
+  await git.raw(['worktree', 'add', '-b', branch, worktreeDir, baseCommit]);
+  let committed = false;
+
+  try {
+    const targetDir = path.join(worktreeDir, targetDirectory);
+    await fs.remove(targetDir);
+    await fs.copy(sourceDir, targetDir, {
+      filter: source => !UNCOMMITTED_DIRECTORIES.has(path.basename(source))
+    });
+
+    const worktreeGit = simpleGit(worktreeDir);
+    await worktreeGit.raw(['add', '-A', '--', targetDirectory]);
+    const changedFiles = (await worktreeGit.raw(['diff', '--cached', '--name-only'])).split('\n').filter(Boolean);
+    if (changedFiles.length === 0) {
+      throw new Error(`El backend generado no cambia nada en ${targetDirectory}/ respecto al commit ${baseCommit.slice(0, 7)}`);
+    }
+
+    await worktreeGit.raw([
+      '-c', `user.name=${COMMIT_AUTHOR_NAME}`,
+      '-c', `user.email=${COMMIT_AUTHOR_EMAIL}`,
+      'commit', '--no-verify', '-m', message
+    ]);
+    committed = true;
+    const commit = (await worktreeGit.revparse(['HEAD'])).trim();
+    console.log(`🌿 Backend generado guardado en la rama ${branch} (${commit.slice(0, 7)}, ${changedFiles.length} archivos)`);
+
+    const result = { branch, commit, baseCommit, directory: targetDirectory, files: changedFiles.length, pushed: false };
+    if (push) {
+      try {
+        await pushProjectBranch(project, worktreeDir, branch);
+        result.pushed = true;
+        console.log(`⬆️ Rama ${branch} subida al repositorio remoto`);
+      } catch (error) {
+        result.pushError = error.message;
+        console.error(`❌ No se pudo subir la rama ${branch}:`, error.message);
+      }
+    }
+    return result;
+  } finally {
+    await removeSnapshot(repoDir, worktreeDir);
+    // Sin commit, la rama recién creada no aporta nada
+    if (!committed) await git.raw(['branch', '-D', branch]).catch(() => {});
+  }
+};
+
+/**
+ * Obtiene un snapshot del repositorio del proyecto para una operación (sincronización, generación...).
+ * Cada proyecto tiene un clon en caché que se actualiza con un fetch incremental; cada operación recibe
+ * su propio worktree de Git en el commit actual, así que las operaciones concurrentes no se pisan.
+ * Quien lo usa no debe escribir en él (no se impide con permisos: es un worktree normal del clon en caché).
+ *
+ * @param {Object} project - Proyecto (githubUrl y repository)
+ * @param {Object} [options]
+ * @param {string} [options.label] - Etiqueta de la operación (aparece en el nombre del snapshot)
+ * @param {string} [options.commit] - Commit exacto del snapshot (por defecto la punta del ref configurado)
+ * @returns {Promise<{dir: string, headCommit: string, reused: boolean, ensureCommit: Function, commitToBranch: Function, release: Function}>}
+ */
+const acquireWorkspace = async (project, { label = 'op', commit } = {}) => {
+  const key = getWorkspaceKey(project);
+  const workspaceDir = path.join(WORKSPACE_ROOT, key);
+  const repoDir = path.join(workspaceDir, 'repo');
+  const snapshotDir = path.join(workspaceDir, 'snapshots', `${label}_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`);
+
+  const { headCommit, reused } = await withWorkspaceLock(key, async () => {
+    let result = null;
+    let reused = false;
+
+    if (await fs.pathExists(path.join(repoDir, '.git'))) {
+      try {
+        result = await fetchProjectRepository(project, repoDir, { commit });
+        reused = true;
+        console.log(`♻️ Workspace en caché actualizado: ${key}`);
+      } catch (error) {
+        console.warn(`⚠️ No se pudo actualizar el workspace ${key} (${error.message}), se vuelve a clonar`);
+      }
+    }
+
+    if (!result) {
+      // Solo se sustituye el clon (también uno a medio hacer): los snapshots de otras operaciones en curso
+      // siguen en snapshots/ y se pueden leer hasta que se liberen, aunque el clon nuevo ya no los registre
+      await fs.remove(repoDir);
+      await fs.ensureDir(workspaceDir);
+      result = await cloneProjectRepository(project, repoDir, { commit });
+    }
+
+    await fs.ensureDir(path.dirname(snapshotDir));
+    await simpleGit(repoDir).raw(['worktree', 'add', '--detach', snapshotDir, result.headCommit]);
+
+    const metadata = await readMetadata(workspaceDir);
+    await fs.writeJson(path.join(workspaceDir, METADATA_FILE), {
+      projectId: String(project._id),
+      url: project.githubUrl,
+      ref: project.repository?.ref || null,
+      headCommit: result.headCommit,
+      createdAt: metadata?.createdAt || new Date().toISOString(),
+      lastUsedAt: new Date().toISOString()
+    }, { spaces: 2 });
+
+    return { headCommit: result.headCommit, reused };
+  });
+
+  activeSnapshots.add(snapshotDir);
+  let released = false;
+
+  return {
+    dir: snapshotDir,
+    headCommit,
+    reused,
+    // Trae un commit anterior al clon en caché (los worktrees comparten los objetos de Git)
+    ensureCommit: (sha) => withWorkspaceLock(key, () => ensureCommitAvailable(project, repoDir, sha)),
+    // Guarda un árbol de archivos en una rama nueva que parte del commit del snapshot (ver commitTreeToBranch)
+    commitToBranch: (options) => withWorkspaceLock(key, () => commitTreeToBranch(project, repoDir, { baseCommit: headCommit, ...options })),
+    release: async () => {
+      if (released) return;
+      released = true;
+      activeSnapshots.delete(snapshotDir);
+      try {
+        await withWorkspaceLock(key, () => removeSnapshot(repoDir, snapshotDir));
+      } catch (error) {
+        console.warn(`⚠️ No se pudo liberar el snapshot ${snapshotDir}: ${error.message}`);
+      }
+    }
+  };
+};
+
+/**
+ * Elimina los workspaces sin usar desde hace más de WORKSPACE_MAX_AGE_MS y los snapshots huérfanos
+ * (de operaciones que terminaron sin liberarlos) con más de WORKSPACE_SNAPSHOT_MAX_AGE_MS.
+ * Los workspaces con una operación en curso (lock tomado) se saltan.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.maxAgeMs] - Antigüedad máxima de un workspace sin usar
+ * @param {number} [options.snapshotMaxAgeMs] - Antigüedad máxima de un snapshot
+ * @returns {Promise<{removedWorkspaces: Array<string>, removedSnapshots: number}>}
+ */
+const collectStaleWorkspaces = async ({ maxAgeMs = WORKSPACE_MAX_AGE_MS, snapshotMaxAgeMs = SNAPSHOT_MAX_AGE_MS } = {}) => {
+  const result = { removedWorkspaces: [], removedSnapshots: 0 };
+  if (!await fs.pathExists(WORKSPACE_ROOT)) return result;
+
+  const entries = await fs.readdir(WORKSPACE_ROOT, { withFileTypes: true });
+  for (const entry of entries.filter(item => item.isDirectory())) {
+    const key = entry.name;
+    const release = await acquireLock(key, { timeoutMs: 0 });
+    if (!release) continue;
+
+    try {
+      const workspaceDir = path.join(WORKSPACE_ROOT, key);
+      const metadata = await readMetadata(workspaceDir);
+      const lastUsedAt = metadata?.lastUsedAt ? Date.parse(metadata.lastUsedAt) : (await fs.stat(workspaceDir)).mtimeMs;
+      const snapshotsDir = path.join(workspaceDir, 'snapshots');
+      const snapshots = await fs.pathExists(snapshotsDir) ? await fs.readdir(snapshotsDir) : [];
+      const hasActiveSnapshots = snapshots.some(name => activeSnapshots.has(path.join(snapshotsDir, name)));
+
+      if (!hasActiveSnapshots && Date.now() - lastUsedAt > maxAgeMs) {
+        await fs.remove(workspaceDir);
+        result.removedWorkspaces.push(key);
+        continue;
+      }
+
+      for (const name of snapshots) {
+        const snapshotDir = path.join(snapshotsDir, name);
+        if (activeSnapshots.has(snapshotDir)) continue;
+        const stat = await fs.stat(snapshotDir);
+        if (Date.now() - stat.mtimeMs > snapshotMaxAgeMs) {
+          await removeSnapshot(path.join(workspaceDir, 'repo'), snapshotDir);
+          result.removedSnapshots++;
+        }
+      }
+    } catch (error) {
+      console.warn(`⚠️ Error limpiando el workspace ${key}: ${error.message}`);
+    } finally {
+      await release();
+    }
+  }
+
+  if (result.removedWorkspaces.length > 0 || result.removedSnapshots > 0) {
+    console.log(`🧹 Workspaces eliminados: ${result.removedWorkspaces.length}, snapshots huérfanos: ${result.removedSnapshots}`);
+  }
+  return result;
+};
+
+/**
+ * Programa la limpieza periódica de workspaces (una al arrancar y luego cada hora).
+ *
+ * @returns {NodeJS.Timeout} Intervalo (no mantiene vivo el proceso)
+ */
+const scheduleWorkspaceGC = () => {
+  const run = () => collectStaleWorkspaces().catch(error => {
+    console.warn(`⚠️ Error en la limpieza de workspaces: ${error.message}`);
+  });
+  run();
+  const interval = setInterval(run, WORKSPACE_GC_INTERVAL_MS);
+  interval.unref();
+  return interval;
+};
+
+module.exports = {
+  WORKSPACE_ROOT,
+  acquireWorkspace,
+  normalizeCommitDirectory,
+  collectStaleWorkspaces,
+  scheduleWorkspaceGC
+};
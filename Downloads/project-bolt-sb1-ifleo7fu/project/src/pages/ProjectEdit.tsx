@@ -100,6 +100,7 @@ export default function ProjectEdit() {
   const [selectedPageIdForIa, setSelectedPageIdForIa] = useState<string | null>(null);
   const [isEditPageDescriptionModalOpen, setIsEditPageDescriptionModalOpen] = useState(false);
   const [editingPageDescription, setEditingPageDescription] = useState('');
+  const [generatedPageDescription, setGeneratedPageDescription] = useState<string | null>(null); // Última descripción generada con IA
   const [selectedPageForDescriptionEdit, setSelectedPageForDescriptionEdit] = useState<AppPage | null>(null);
   const [draggedPage, setDraggedPage] = useState<AppPage | null>(null);
   const [pageWeekAssignments, setPageWeekAssignments] = useState<{[pageId: string]: string}>({});
@@ -371,6 +372,7 @@ export default function ProjectEdit() {
   const handleOpenEditPageDescriptionModal = (page: AppPage) => {
     setSelectedPageForDescriptionEdit(page);
     setEditingPageDescription(page.description ?? ''); // usa ?? por si viene undefined
+    setGeneratedPageDescription(null);
     setIsEditPageDescriptionModalOpen(true);
   };
   
@@ -378,6 +380,7 @@ export default function ProjectEdit() {
     setIsEditPageDescriptionModalOpen(false);
     setSelectedPageForDescriptionEdit(null);
     setEditingPageDescription('');
+    setGeneratedPageDescription(null);
   };
 
   const handleUpdatePageDescription = async () => {
@@ -394,7 +397,9 @@ export default function ProjectEdit() {
         body: JSON.stringify({
           name: selectedPageForDescriptionEdit.name,
           description: editingPageDescription,
-          route: selectedPageForDescriptionEdit.route
+          route: selectedPageForDescriptionEdit.route,
+          // El historial de versiones distingue lo que escribió el PM de lo que generó la IA
+          source: generatedPageDescription !== null && editingPageDescription === generatedPageDescription ? 'llm' : 'manual'
         })
       });
 
@@ -444,6 +449,7 @@ export default function ProjectEdit() {
       
       // Actualizar el campo de descripción con la descripción generada
       setEditingPageDescription(data.description);
+      setGeneratedPageDescription(data.description);
       
       console.log('✅ Descripción generada exitosamente:', data.description);
       